@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+const { main } = require('../src/bmp180sensor.cli');
+
+main();
@@ -0,0 +1,128 @@
+const debug = require('debug')('Bme280sensor');
+const _ = require('lodash');
+
+const { Bmp280sensor } = require('./bmp280sensor');
+const compensation = require('./bmp280sensor.compensation');
+const { chipIds } = require('./bmp280sensor.constants');
+
+/**
+ * BME280 Humidity, Pressure and Temperature Sensor, measured in forced mode
+ *
+ * @class Bme280sensor
+ * @extends {Bmp280sensor}
+ */
+class Bme280sensor extends Bmp280sensor {
+  /**
+   *Creates an instance of Bme280sensor.
+   * @param {object|number} bus An i2c-bus Bus class, a Virtualbus or the number for the bus
+   * @param {number} [address=0x77] The I2C address, 0x76 when SDO is pulled low
+   * @param {bmp280sensorDefaults} [options] The configuration options, also accepts the I2csensor retryOptions and lock
+   * @throws Will throw if the oversampling, a unit or precision is invalid.
+   * @memberof Bme280sensor
+   */
+  constructor(bus, address = 0x77, options) {
+    super(bus, address, options);
+    this._name = 'BME280';
+    this._chipId = chipIds.bme280;
+    this._humiditycalibrationdata = null;
+    debug('Bme280sensor constructor.');
+  }
+
+  /**
+   * Check that sensor is calibrated, including humidity
+   *
+   * @readonly
+   * @memberof Bme280sensor
+   */
+  get isCalibrated() {
+    return super.isCalibrated && !_.isNil(this._humiditycalibrationdata);
+  }
+
+  /**
+   * Get the humidity calibration coefficients, null until calibrated
+   *
+   * @readonly
+   * @memberof Bme280sensor
+   */
+  get humidityCalibrationData() {
+    return this._humiditycalibrationdata;
+  }
+
+  /**
+   * The oversampling used for each measurement
+   *
+   * @returns {object}
+   * @memberof Bme280sensor
+   */
+  _measurementOversampling() {
+    return { ...this._opts.oversampling };
+  }
+
+  /**
+   * Retrieves the temperature, pressure and humidity calibration data
+   *
+   * @returns {Promise<boolean>} Returns a Promise that on success will be resolved to true, rejected with a CalibrationInvalidError if the calibration data returned is invalid
+   * @memberof Bme280sensor
+   */
+  calibrate() {
+    debug('calibrate');
+    let h1;
+    return super
+      .calibrate()
+      .then(() => {
+        return this.transaction(() => {
+          return this._readI2cByte(this._registers.humidityCalibrationH1).then((value) => {
+            h1 = value;
+            return this._readI2cBlock(
+              this._registers.humidityCalibration,
+              Buffer.alloc(compensation.humidityCalibrationLength)
+            );
+          });
+        });
+      })
+      .then((response) => {
+        this._humiditycalibrationdata = compensation.decodeHumidityCalibration(
+          h1,
+          this._validatedBuffer(response.buffer)
+        );
+        debug('calibrate. humidity data %o', this._humiditycalibrationdata);
+        return true;
+      });
+  }
+
+  /**
+   * Compensate raw values, including humidity when it was measured
+   *
+   * @param {object} raw The raw values from _measure(), adcT, adcP and adcH
+   * @returns {{temperature: number, pressure: number, humidity: number|undefined, tFine: number}}
+   * @throws Will throw a NotCalibratedError if the sensor is not calibrated.
+   * @memberof Bme280sensor
+   */
+  compensate(raw) {
+    const values = super.compensate(raw);
+    const humidity = _.isNil(raw.adcH)
+      ? undefined
+      : compensation.compensateHumidity(raw.adcH, values.tFine, this._humiditycalibrationdata);
+    return { ...values, humidity };
+  }
+
+  /**
+   * Current relative humidity in percent
+   *
+   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the current humidity, rejected with a TypeError if humidity oversampling is 0
+   * @memberof Bme280sensor
+   */
+  humidity() {
+    debug('humidity');
+    return this.read().then((sample) => {
+      if (_.isNil(sample.humidity)) {
+        throw new TypeError(`Invalid humidity oversampling ${this._opts.oversampling.humidity}`);
+      }
+      return sample.humidity;
+    });
+  }
+}
+
+module.exports = {
+  Bme280sensor,
+};
@@ -0,0 +1,30 @@
+const debug = require('debug')('Bmp085sensor');
+
+const { Bmp180sensor } = require('./bmp180sensor');
+
+/**
+ * BMP085 Pressure and Temperature Sensor. The BMP085 has the same chip id, register
+ * map, calibration and compensation as the BMP180 it was replaced by, so only the
+ * name differs.
+ *
+ * @class Bmp085sensor
+ * @extends {Bmp180sensor}
+ */
+class Bmp085sensor extends Bmp180sensor {
+  /**
+   *Creates an instance of Bmp085sensor.
+   * @param {object|number} bus An i2c-bus Bus class, a Virtualbus or the number for the bus
+   * @param {number} [address=0x77] The I2C address
+   * @param {object} [options] The configuration options, see Bmp180sensor
+   * @memberof Bmp085sensor
+   */
+  constructor(bus, address = 0x77, options) {
+    super(bus, address, options);
+    this._name = 'BMP085';
+    debug('Bmp085sensor constructor.');
+  }
+}
+
+module.exports = {
+  Bmp085sensor,
+};
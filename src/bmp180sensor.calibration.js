@@ -0,0 +1,157 @@
+/**
+ * BMP180 calibration coefficient encoding and validation
+ *
+ * @module calibration
+ */
+const _ = require('lodash');
+
+const { CalibrationInvalidError } = require('./lib/errors');
+
+// Calibration EEPROM layout, in register order from 0xaa
+const calibrationLayout = Object.freeze([
+  { name: 'ac1', signed: true },
+  { name: 'ac2', signed: true },
+  { name: 'ac3', signed: true },
+  { name: 'ac4', signed: false },
+  { name: 'ac5', signed: false },
+  { name: 'ac6', signed: false },
+  { name: 'b1', signed: true },
+  { name: 'b2', signed: true },
+  { name: 'mb', signed: true },
+  { name: 'mc', signed: true },
+  { name: 'md', signed: true },
+]);
+
+/**
+ * Length of the calibration EEPROM block in bytes
+ * @type {number}
+ */
+const calibrationLength = calibrationLayout.length * 2;
+
+/**
+ * Confirm Valid calibration coefficients, every coefficient must be a 16 bit
+ * integer and the datasheet states no word is 0x0000 or 0xFFFF
+ *
+ * @param {*} calibration The calibration coefficients
+ * @throws Will throw a CalibrationInvalidError if invalid.
+ * @returns {object} The coefficients, frozen
+ */
+const validatedCalibration = (calibration) => {
+  if (!_.isObject(calibration)) {
+    throw new CalibrationInvalidError(`Invalid calibration data ${calibration}`);
+  }
+  calibrationLayout.forEach(({ name, signed }) => {
+    const value = calibration[name];
+    const min = signed ? -0x8000 : 0;
+    const max = signed ? 0x7fff : 0xffff;
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new CalibrationInvalidError(
+        `Invalid calibration data, ${name} is ${value}`,
+        name,
+        value
+      );
+    }
+    const word = value < 0 ? value + 0x10000 : value;
+    if (word === 0x0000 || word === 0xffff) {
+      throw new CalibrationInvalidError(
+        `Invalid calibration data, ${name} is 0x${word.toString(16).padStart(4, '0')}`,
+        name,
+        value
+      );
+    }
+  });
+  return Object.freeze(_.pick(calibration, _.map(calibrationLayout, 'name')));
+};
+
+/**
+ * Decode the calibration EEPROM block
+ *
+ * @param {Buffer} buffer The 22 byte block read from 0xaa
+ * @throws Will throw a CalibrationInvalidError if the buffer is not 22 bytes or the coefficients are invalid.
+ * @returns {object} The calibration coefficients
+ */
+const decodeCalibration = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length !== calibrationLength) {
+    throw new CalibrationInvalidError(
+      `Invalid calibration data, expected ${calibrationLength} bytes got ${_.get(buffer, 'length')}`
+    );
+  }
+  const calibration = {};
+  calibrationLayout.forEach(({ name, signed }, index) => {
+    calibration[name] = signed ? buffer.readInt16BE(index * 2) : buffer.readUInt16BE(index * 2);
+  });
+  return validatedCalibration(calibration);
+};
+
+/**
+ * Encode calibration coefficients as the calibration EEPROM block
+ *
+ * @param {object} calibration The calibration coefficients
+ * @returns {Buffer} The 22 byte block
+ */
+const encodeCalibration = (calibration) => {
+  const buffer = Buffer.alloc(calibrationLength);
+  calibrationLayout.forEach(({ name, signed }, index) => {
+    if (signed) {
+      buffer.writeInt16BE(calibration[name], index * 2);
+    } else {
+      buffer.writeUInt16BE(calibration[name], index * 2);
+    }
+  });
+  return buffer;
+};
+
+/**
+ * Calibration coefficients as a hex string of the EEPROM block
+ *
+ * @param {object} calibration The calibration coefficients
+ * @returns {string}
+ */
+const calibrationToHex = (calibration) => {
+  return encodeCalibration(validatedCalibration(calibration)).toString('hex');
+};
+
+/**
+ * Calibration coefficients from saved data
+ *
+ * @param {object|string|Buffer} data The coefficients as an object, JSON, a hex string or the EEPROM block
+ * @throws Will throw a CalibrationInvalidError if invalid.
+ * @returns {object} The calibration coefficients
+ */
+const parseCalibration = (data) => {
+  if (Buffer.isBuffer(data)) {
+    return decodeCalibration(data);
+  }
+  if (_.isString(data)) {
+    const text = data.trim();
+    if (/^(0x)?[0-9a-f]+$/i.test(text)) {
+      const digits = text.replace(/^0x/i, '');
+      // Buffer.from drops a trailing odd digit, so check the digits rather than the bytes
+      if (digits.length !== calibrationLength * 2) {
+        throw new CalibrationInvalidError(
+          `Invalid calibration data, expected ${calibrationLength} bytes got ${digits.length / 2}`
+        );
+      }
+      return decodeCalibration(Buffer.from(digits, 'hex'));
+    }
+    try {
+      return validatedCalibration(JSON.parse(text));
+    } catch (err) {
+      if (err instanceof SyntaxError) {
+        throw new CalibrationInvalidError(`Invalid calibration data ${data}`);
+      }
+      throw err;
+    }
+  }
+  return validatedCalibration(data);
+};
+
+module.exports = {
+  calibrationLayout,
+  calibrationLength,
+  validatedCalibration,
+  decodeCalibration,
+  encodeCalibration,
+  calibrationToHex,
+  parseCalibration,
+};
@@ -0,0 +1,443 @@
+/**
+ * The bmp180 command-line tool
+ *
+ * @module bmp180sensor.cli
+ */
+const debug = require('debug')('bmp180cli');
+const _ = require('lodash');
+
+const { Bmp180sensor } = require('./bmp180sensor');
+const { Bmp180manager } = require('./bmp180sensor.manager');
+const { oversamplingSettings } = require('./bmp180sensor.constants');
+const { bmp180cliDefaults } = require('./bmp180sensor.defaults');
+
+const commands = ['read', 'watch', 'info', 'scan', 'reset'];
+const formats = ['table', 'json', 'ndjson'];
+const modes = ['ultra_low_power', 'standard', 'high', 'ultra_high_resolution'];
+
+// Every address a 7 bit device can use, excluding the reserved addresses
+const scanAddresses = _.range(0x03, 0x78);
+
+const partNames = {
+  0x55: 'BMP180/BMP085',
+  0x58: 'BMP280',
+  0x60: 'BME280',
+};
+
+const exitCodes = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+};
+
+const usage = `Usage: bmp180 <command> [options]
+
+Commands:
+  read            Take a single reading
+  watch           Take a reading every interval until interrupted
+  info            Print the chip id, version and calibration coefficients
+  scan            List the devices on the bus and their chip ids
+  reset           Perform a soft reset
+
+Options:
+  -b, --bus <number>       The I2C bus number (default: 1)
+  -a, --address <address>  The I2C address (default: 0x77)
+  -m, --mode <mode>        The oversampling mode, ${modes.join(', ')} or 0 - 3 (default: standard)
+  -f, --format <format>    The output format, ${formats.join(', ')} (default: table)
+  -i, --interval <ms>      The milliseconds between watch readings (default: 1000)
+  -n, --count <number>     Stop watch after this many readings
+  -r, --retries <number>   The number of times to retry a failed transfer (default: 2)
+  -h, --help               Print this help
+`;
+
+/**
+ * Parse and validate a non-negative integer option
+ *
+ * @param {string} name The option name
+ * @param {string} value The option value
+ * @param {number} [min=0] The smallest valid value
+ * @returns {number}
+ */
+const integerOption = (name, value, min = 0) => {
+  const number = Number(value);
+  if (value === '' || !Number.isInteger(number) || number < min) {
+    throw new TypeError(`Invalid ${name} ${value}`);
+  }
+  return number;
+};
+
+const optionParsers = {
+  bus: (value) => integerOption('bus', value),
+  address: (value) => {
+    const address = Number(value);
+    if (value === '' || !_.includes(scanAddresses, address)) {
+      throw new TypeError(`Invalid address ${value}`);
+    }
+    return address;
+  },
+  mode: (value) => {
+    const mode = _.get(modes, value, value);
+    if (!_.includes(modes, mode)) {
+      throw new TypeError(`Invalid mode ${value}`);
+    }
+    return mode;
+  },
+  format: (value) => {
+    if (!_.includes(formats, value)) {
+      throw new TypeError(`Invalid format ${value}`);
+    }
+    return value;
+  },
+  interval: (value) => integerOption('interval', value, 1),
+  count: (value) => integerOption('count', value, 1),
+  retries: (value) => integerOption('retries', value),
+};
+
+const aliases = {
+  b: 'bus',
+  a: 'address',
+  m: 'mode',
+  f: 'format',
+  i: 'interval',
+  n: 'count',
+  r: 'retries',
+  h: 'help',
+};
+
+/**
+ * Parse the command-line arguments
+ *
+ * @param {string[]} argv The arguments after the script name
+ * @returns {{command: string, options: bmp180cliDefaults, help: boolean}}
+ * @throws Will throw a TypeError if a command or option is unknown or invalid.
+ */
+const parseArgs = (argv) => {
+  const options = { ...bmp180cliDefaults };
+  const positional = [];
+  let help = false;
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    const match = /^(?:--([a-z]+)|-([a-z]))(?:=(.*))?$/.exec(arg);
+    if (_.isNil(match)) {
+      positional.push(arg);
+    } else {
+      const [, long, short, inline] = match;
+      const name = long || _.get(aliases, short);
+      if (name === 'help') {
+        help = true;
+      } else if (!_.has(optionParsers, name)) {
+        throw new TypeError(`Unknown option ${arg}`);
+      } else {
+        let value = inline;
+        if (_.isNil(value)) {
+          index += 1;
+          value = argv[index];
+        }
+        if (_.isNil(value)) {
+          throw new TypeError(`Missing value for ${arg}`);
+        }
+        options[name] = optionParsers[name](value);
+      }
+    }
+  }
+  const [command, ...extra] = positional;
+  if (!help && !_.includes(commands, command)) {
+    throw new TypeError(_.isNil(command) ? 'Missing command' : `Unknown command ${command}`);
+  }
+  if (extra.length > 0) {
+    throw new TypeError(`Unexpected argument ${extra[0]}`);
+  }
+  return { command, options, help };
+};
+
+/**
+ * Format a number as hex, e.g. 0x77
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+const hex = (value) => `0x${_.padStart(value.toString(16), 2, '0')}`;
+
+/**
+ * Format a table cell, fractional numbers are shown to two decimal places
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const cell = (value) => {
+  if (_.isNumber(value) && !Number.isInteger(value)) {
+    return value.toFixed(2);
+  }
+  return String(value);
+};
+
+/**
+ * Render records in the output format
+ *
+ * @param {string} format One of table, json or ndjson
+ * @param {object[]} records The records
+ * @param {Array<{header: string, value: function}>} columns The table columns
+ * @param {boolean} [header=true] Include the table header
+ * @returns {string[]} The output lines
+ */
+const render = (format, records, columns, header = true) => {
+  if (format === 'json') {
+    return [JSON.stringify(records.length === 1 ? records[0] : records, null, 2)];
+  }
+  if (format === 'ndjson') {
+    return records.map((record) => JSON.stringify(record));
+  }
+  const rows = records.map((record) => columns.map((column) => cell(column.value(record))));
+  const widths = columns.map((column, index) =>
+    Math.max(column.header.length, ...rows.map((row) => row[index].length))
+  );
+  const line = (row) =>
+    _.trimEnd(row.map((value, index) => _.padEnd(value, widths[index])).join('  '));
+  return [...(header ? [line(columns.map((column) => column.header))] : []), ...rows.map(line)];
+};
+
+/**
+ * Plain record of a Sample
+ *
+ * @param {Sample} sample
+ * @returns {object}
+ */
+const sampleRecord = (sample) => ({
+  timestamp: sample.timestamp.toISOString(),
+  temperature: sample.temperature,
+  pressure: sample.pressure,
+  units: sample.units,
+  ut: sample.ut,
+  up: sample.up,
+  oss: sample.oss,
+});
+
+const sampleColumns = [
+  { header: 'timestamp', value: (record) => record.timestamp },
+  { header: 'temperature (C)', value: (record) => record.temperature },
+  { header: 'pressure (Pa)', value: (record) => record.pressure },
+  { header: 'ut', value: (record) => record.ut },
+  { header: 'up', value: (record) => record.up },
+  { header: 'oss', value: (record) => record.oss },
+];
+
+const fieldColumns = [
+  { header: 'field', value: (record) => record.field },
+  { header: 'value', value: (record) => record.value },
+];
+
+const scanColumns = [
+  { header: 'id', value: (record) => record.id },
+  { header: 'address', value: (record) => hex(record.address) },
+  { header: 'chipid', value: (record) => hex(record.chipid) },
+  { header: 'part', value: (record) => record.part },
+];
+
+/**
+ * Take a single reading
+ *
+ * @param {Bmp180sensor} sensor
+ * @param {bmp180cliDefaults} options
+ * @param {function} write Writes one output line
+ * @returns {Promise<number>} The exit code
+ */
+const read = (sensor, options, write) => {
+  return sensor
+    .initialize()
+    .then(() => sensor.read())
+    .then((sample) => {
+      render(options.format, [sampleRecord(sample)], sampleColumns).forEach(write);
+      return exitCodes.success;
+    });
+};
+
+/**
+ * Take a reading every interval until count readings, an error or SIGINT/SIGTERM
+ *
+ * @param {Bmp180sensor} sensor
+ * @param {bmp180cliDefaults} options
+ * @param {function} write Writes one output line
+ * @returns {Promise<number>} The exit code
+ */
+const watch = (sensor, options, write) => {
+  return sensor.initialize().then(() => {
+    return new Promise((resolve, reject) => {
+      let readings = 0;
+      const format = options.format === 'json' ? 'ndjson' : options.format;
+      const finish = (err) => {
+        process.removeListener('SIGINT', finish);
+        process.removeListener('SIGTERM', finish);
+        sensor.removeAllListeners('data');
+        sensor.removeAllListeners('error');
+        sensor.stop().then(() => (err instanceof Error ? reject(err) : resolve(exitCodes.success)));
+      };
+      process.once('SIGINT', finish);
+      process.once('SIGTERM', finish);
+      sensor.on('data', (sample) => {
+        readings += 1;
+        render(format, [sampleRecord(sample)], sampleColumns, readings === 1).forEach(write);
+        if (readings >= options.count) {
+          finish();
+        }
+      });
+      sensor.on('error', finish);
+      sensor.start({ interval: options.interval });
+    });
+  });
+};
+
+/**
+ * Print the chip id, version and calibration coefficients without resetting the sensor
+ *
+ * @param {Bmp180sensor} sensor
+ * @param {bmp180cliDefaults} options
+ * @param {function} write Writes one output line
+ * @returns {Promise<number>} The exit code
+ */
+const info = (sensor, options, write) => {
+  let version;
+  return sensor
+    .isValidChipId()
+    .then(() => sensor.version())
+    .then((value) => {
+      version = value;
+      return sensor.calibrate();
+    })
+    .then(() => {
+      const record = {
+        bus: options.bus,
+        address: options.address,
+        chipid: 0x55,
+        version,
+        calibration: sensor.calibrationData,
+      };
+      if (options.format === 'table') {
+        const fields = [
+          { field: 'bus', value: record.bus },
+          { field: 'address', value: hex(record.address) },
+          { field: 'chipid', value: hex(record.chipid) },
+          { field: 'version', value: hex(record.version) },
+          ..._.map(record.calibration, (value, field) => ({ field, value })),
+        ];
+        render(options.format, fields, fieldColumns).forEach(write);
+      } else {
+        render(options.format, [record], fieldColumns).forEach(write);
+      }
+      return exitCodes.success;
+    });
+};
+
+/**
+ * Perform a soft reset once the chip id is confirmed
+ *
+ * @param {Bmp180sensor} sensor
+ * @param {bmp180cliDefaults} options
+ * @param {function} write Writes one output line
+ * @returns {Promise<number>} The exit code
+ */
+const reset = (sensor, options, write) => {
+  return sensor
+    .isValidChipId()
+    .then(() => sensor.softreset())
+    .then(() => {
+      if (options.format === 'table') {
+        write(`Soft reset ${hex(options.address)} on bus ${options.bus}`);
+      } else {
+        const record = { bus: options.bus, address: options.address, reset: true };
+        render(options.format, [record], fieldColumns).forEach(write);
+      }
+      return exitCodes.success;
+    });
+};
+
+/**
+ * List every device on the bus that acknowledges, with its chip id
+ *
+ * @param {object|number} bus The bus to scan
+ * @param {bmp180cliDefaults} options
+ * @param {function} write Writes one output line
+ * @returns {Promise<number>} The exit code
+ */
+const scan = (bus, options, write) => {
+  const manager = new Bmp180manager({ buses: [bus], addresses: scanAddresses });
+  return manager
+    .scan()
+    .then((found) => {
+      const failed = _.find(found, ({ address }) => address === null);
+      if (!_.isNil(failed)) {
+        throw new Error(`Cannot scan bus ${options.bus}, ${failed.error.message}`);
+      }
+      const records = found.map((device) => ({
+        ..._.omit(device, 'error'),
+        part: _.get(partNames, device.chipid, 'unknown'),
+      }));
+      render(options.format, records, scanColumns).forEach(write);
+      return exitCodes.success;
+    })
+    .finally(() => manager.close());
+};
+
+const sensorCommands = { read, watch, info, reset };
+
+/**
+ * Run the tool
+ *
+ * @param {string[]} argv The arguments after the script name
+ * @param {object} [io] Overrides for testing
+ * @param {stream.Writable} [io.stdout=process.stdout] The output stream
+ * @param {stream.Writable} [io.stderr=process.stderr] The error stream
+ * @param {function} [io.openBus] Returns the bus for a bus number, defaults to the number so the bus is opened by the sensor
+ * @returns {Promise<number>} Returns a Promise that will be resolved to the exit code, 1 on a chip id or I/O failure and 2 on a usage error
+ */
+const run = (argv, io = {}) => {
+  const { stdout = process.stdout, stderr = process.stderr, openBus = _.identity } = io;
+  const write = (line) => stdout.write(`${line}\n`);
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (err) {
+    stderr.write(`bmp180: ${err.message}\n\n${usage}`);
+    return Promise.resolve(exitCodes.usage);
+  }
+  const { command, options, help } = parsed;
+  if (help) {
+    stdout.write(usage);
+    return Promise.resolve(exitCodes.success);
+  }
+  debug('run. command: %s options: %o', command, options);
+  return Promise.resolve()
+    .then(() => {
+      const bus = openBus(options.bus);
+      if (command === 'scan') {
+        return scan(bus, options, write);
+      }
+      const sensor = new Bmp180sensor(bus, options.address, {
+        oss: oversamplingSettings[options.mode],
+        retryOptions: { retries: options.retries, minTimeout: 100, maxTimeout: 1000 },
+      });
+      return sensorCommands[command](sensor, options, write).finally(() => sensor.close());
+    })
+    .catch((err) => {
+      debug('run. error: %o', err);
+      stderr.write(`bmp180: ${err.message}\n`);
+      return exitCodes.failure;
+    });
+};
+
+/**
+ * Run the tool with the process arguments and set the exit code
+ *
+ * @returns {Promise} Returns a Promise that will be resolved once the command completes
+ */
+const main = () => {
+  return run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+};
+
+module.exports = {
+  exitCodes,
+  parseArgs,
+  run,
+  main,
+};
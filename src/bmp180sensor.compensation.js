@@ -0,0 +1,159 @@
+/**
+ * BMP180 temperature and pressure compensation, using the 32 bit integer arithmetic
+ * of the datasheet algorithm so results match the Bosch reference exactly. The
+ * functions are pure, taking the calibration coefficients and raw values, so raw
+ * captures can be compensated without a device.
+ *
+ * @module compensation
+ */
+const _ = require('lodash');
+
+/**
+ * Wrap a value to an unsigned 32 bit integer, as a C unsigned long
+ *
+ * @param {number} value An integer
+ * @returns {number}
+ */
+const uint32 = (value) => ((value % 2 ** 32) + 2 ** 32) % 2 ** 32;
+
+/**
+ * Wrap a value to a signed 32 bit integer, as a C long
+ *
+ * @param {number} value An integer
+ * @returns {number}
+ */
+const int32 = (value) => {
+  const unsigned = uint32(value);
+  return unsigned >= 2 ** 31 ? unsigned - 2 ** 32 : unsigned;
+};
+
+/**
+ * Confirm the calibration coefficients and raw value are usable
+ *
+ * @param {object} calibration The calibration coefficients
+ * @param {number} value The raw value
+ * @param {string} name The raw value name used in the error
+ * @throws Will throw a TypeError if the calibration or value is invalid.
+ */
+const validate = (calibration, value, name) => {
+  if (!_.isObject(calibration)) {
+    throw new TypeError(`Invalid calibration ${calibration}`);
+  }
+  if (!Number.isInteger(value)) {
+    throw new TypeError(`Invalid ${name} ${value}`);
+  }
+};
+
+/**
+ * Confirm the oversampling mode
+ *
+ * @param {number} oss The oversampling mode
+ * @throws Will throw a TypeError if the mode is not 0 to 3.
+ * @returns {number}
+ */
+const validatedOss = (oss) => {
+  if (![0, 1, 2, 3].includes(oss)) {
+    throw new TypeError(`Invalid oversampling setting ${oss}`);
+  }
+  return oss;
+};
+
+/**
+ * Calculate the B5 value shared by the temperature and pressure compensation
+ *
+ * @param {object} calibration The calibration coefficients
+ * @param {number} ut Uncompensated temperature value
+ * @throws Will throw a TypeError if the calibration or ut is invalid.
+ * @returns {number}
+ */
+const computeB5 = (calibration, ut) => {
+  validate(calibration, ut, 'Uncompensated Temperature');
+  const { ac5, ac6, mc, md } = calibration;
+  const x1 = Math.floor(((ut - ac6) * ac5) / 2 ** 15);
+  if (x1 + md === 0) {
+    throw new TypeError(`Invalid Uncompensated Temperature ${ut}`);
+  }
+  // C integer division truncates towards zero
+  const x2 = Math.trunc((mc * 2 ** 11) / (x1 + md));
+  return int32(x1 + x2);
+};
+
+/**
+ * Calculate the B3 value, pressure readings below B3 are out of range
+ *
+ * @param {object} calibration The calibration coefficients
+ * @param {number} b5 The B5 value
+ * @param {number} oss The oversampling mode, 0 to 3
+ * @returns {number}
+ */
+const computeB3 = (calibration, b5, oss) => {
+  const { ac1, ac2, b2 } = calibration;
+  const b6 = b5 - 4000;
+  const x1 = Math.floor((b2 * Math.floor((b6 * b6) / 2 ** 12)) / 2 ** 11);
+  const x2 = Math.floor((ac2 * b6) / 2 ** 11);
+  const x3 = x1 + x2;
+  return Math.floor((int32((ac1 * 4 + x3) * 2 ** validatedOss(oss)) + 2) / 2 ** 2);
+};
+
+/**
+ * Compensated temperature in Celsius, to 0.1 deg C
+ *
+ * @param {object} calibration The calibration coefficients
+ * @param {number} ut Uncompensated temperature value
+ * @throws Will throw a TypeError if the calibration or ut is invalid.
+ * @returns {number}
+ */
+const compensateTemperature = (calibration, ut) =>
+  Math.floor((computeB5(calibration, ut) + 8) / 2 ** 4) / 10;
+
+/**
+ * Compensated pressure in Pascals
+ *
+ * @param {object} calibration The calibration coefficients
+ * @param {number} ut Uncompensated temperature value
+ * @param {number} up Uncompensated pressure value
+ * @param {number} [oss=0] The oversampling mode up was read with, 0 to 3
+ * @throws Will throw a TypeError if the calibration, ut, up or oss is invalid.
+ * @returns {number}
+ */
+const compensatePressure = (calibration, ut, up, oss = 0) => {
+  validate(calibration, up, 'Uncompensated Pressure');
+  const { ac3, ac4, b1 } = calibration;
+  const b5 = computeB5(calibration, ut);
+  const b3 = computeB3(calibration, b5, oss);
+  const b6 = b5 - 4000;
+  let x1 = Math.floor((ac3 * b6) / 2 ** 13);
+  let x2 = Math.floor((b1 * Math.floor((b6 * b6) / 2 ** 12)) / 2 ** 16);
+  const x3 = Math.floor((x1 + x2 + 2) / 2 ** 2);
+  const b4 = Math.floor(uint32(ac4 * uint32(x3 + 32768)) / 2 ** 15);
+  const b7 = uint32(uint32(up - b3) * Math.floor(50000 / 2 ** oss));
+  const p = int32(b7 < 0x80000000 ? Math.floor((b7 * 2) / b4) : Math.floor(b7 / b4) * 2);
+  x1 = int32(Math.floor(p / 2 ** 8) * Math.floor(p / 2 ** 8));
+  x1 = Math.floor(int32(x1 * 3038) / 2 ** 16);
+  x2 = Math.floor(int32(-7357 * p) / 2 ** 16);
+  return int32(p + Math.floor((x1 + x2 + 3791) / 2 ** 4));
+};
+
+/**
+ * Compensated temperature and pressure from raw values, e.g. the ut, up and oss of a Sample
+ *
+ * @param {object} calibration The calibration coefficients
+ * @param {object} raw The raw values
+ * @param {number} raw.ut The uncompensated temperature
+ * @param {number} raw.up The uncompensated pressure
+ * @param {number} [raw.oss=0] The oversampling mode up was read with, 0 to 3
+ * @throws Will throw a TypeError if the calibration or a raw value is invalid.
+ * @returns {{temperature: number, pressure: number}} The temperature in Celsius and pressure in Pascals
+ */
+const compensate = (calibration, { ut, up, oss = 0 }) => ({
+  temperature: compensateTemperature(calibration, ut),
+  pressure: compensatePressure(calibration, ut, up, oss),
+});
+
+module.exports = {
+  computeB5,
+  computeB3,
+  compensateTemperature,
+  compensatePressure,
+  compensate,
+};
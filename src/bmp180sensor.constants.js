@@ -35,7 +35,56 @@ const registers = {
   results: 0xf6,
 };
 
+// Maximum conversion time in ms from the datasheet, keyed by oss mode
+const conversionTimes = {
+  0: 4.5,
+  1: 7.5,
+  2: 13.5,
+  3: 25.5,
+  255: 4.5,
+};
+
+// Typical average current in uA at one conversion per second from the datasheet, keyed by oss mode
+const conversionCurrents = {
+  0: 3,
+  1: 5,
+  2: 7,
+  3: 12,
+  255: 3,
+};
+
+// Typical RMS noise of a single pressure conversion from the datasheet, keyed by oss mode
+const conversionNoise = {
+  0: { pressure: 6, altitude: 0.5 },
+  1: { pressure: 5, altitude: 0.4 },
+  2: { pressure: 4, altitude: 0.3 },
+  3: { pressure: 3, altitude: 0.25 },
+};
+
+// Typical standby current in uA from the datasheet
+const standbyCurrent = 0.1;
+
+// Calibration coefficients used in the datasheet worked example
+const datasheetCalibration = {
+  ac1: 408,
+  ac2: -72,
+  ac3: -14383,
+  ac4: 32741,
+  ac5: 32757,
+  ac6: 23153,
+  b1: 6190,
+  b2: 4,
+  mb: -32768,
+  mc: -8711,
+  md: 2868,
+};
+
 module.exports = {
   oversamplingSettings: Object.freeze(oversamplingSettings),
   registers: Object.freeze(registers),
+  conversionTimes: Object.freeze(conversionTimes),
+  conversionCurrents: Object.freeze(conversionCurrents),
+  conversionNoise: Object.freeze(conversionNoise),
+  standbyCurrent,
+  datasheetCalibration: Object.freeze(datasheetCalibration),
 };
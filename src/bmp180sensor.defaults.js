@@ -1,9 +1,88 @@
-const { oversamplingSettings } = require('./bmp180sensor.constants');
+const { oversamplingSettings, datasheetCalibration } = require('./bmp180sensor.constants');
+const { standardSeaLevelPressure } = require('./lib/barometric');
+const { defaultUnits } = require('./lib/units');
 
 const bmp180sensorDefaults = {
   oss: oversamplingSettings.standard,
+  seaLevelPressure: standardSeaLevelPressure,
+  units: defaultUnits,
+  precision: {
+    temperature: null,
+    pressure: null,
+  },
+  filter: {
+    samples: 1,
+    chain: [],
+  },
+  conversion: {
+    strategy: 'delay',
+    pollInterval: 1,
+    timeout: 50,
+    eoc: null,
+  },
+  temperatureReuse: {
+    maxAge: null,
+    every: null,
+  },
+  profile: null,
+};
+
+/**
+ * @typedef bmp180virtualdeviceDefaults
+ * @type {object}
+ * @property {number} chipid=0x55 The value returned from the chip id register 0xd0
+ * @property {number} version=0x02 The value returned from the version register 0xd1
+ * @property {number} temperature=15 The simulated temperature in Celsius
+ * @property {number} pressure=101325 The simulated pressure in Pascals
+ * @property {boolean} timing=true Honour the datasheet conversion times before results are available
+ * @property {object} calibration The calibration coefficients, defaults to the datasheet example
+ */
+const bmp180virtualdeviceDefaults = {
+  chipid: 0x55,
+  version: 0x02,
+  temperature: 15,
+  pressure: 101325,
+  timing: true,
+  calibration: datasheetCalibration,
+};
+
+/**
+ * @typedef bmp180managerDefaults
+ * @type {object}
+ * @property {Array<number|object>} buses=[1] The bus numbers, or i2c-bus Bus and Virtualbus objects, to scan. Multiplexer channels are scanned by listing the bus number the kernel mux driver creates for each channel.
+ * @property {number[]} addresses=[0x77] The addresses to probe on each bus
+ * @property {object} sensor The options for each sensor created, whatever its driver
+ */
+const bmp180managerDefaults = {
+  buses: [1],
+  addresses: [0x77],
+  sensor: {},
+};
+
+/**
+ * @typedef bmp180cliDefaults
+ * @type {object}
+ * @property {number} bus=1 The bus number
+ * @property {number} address=0x77 The I2C address
+ * @property {string} mode=standard The oversampling setting name, or mode 0 - 3
+ * @property {string} format=table The output format, one of table, json or ndjson
+ * @property {number} interval=1000 The number of milliseconds between readings for watch
+ * @property {number} count=Infinity The number of readings for watch
+ * @property {number} retries=2 The number of times to retry a failed transfer
+ */
+const bmp180cliDefaults = {
+  bus: 1,
+  address: 0x77,
+  mode: 'standard',
+  format: 'table',
+  interval: 1000,
+  count: Infinity,
+  retries: 2,
 };
 
 module.exports = {
   bmp180sensorDefaults,
+  bmp180virtualdeviceDefaults,
+  bmp180managerDefaults,
+  bmp180cliDefaults,
 };
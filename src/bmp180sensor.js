@@ -1,11 +1,67 @@
+const { finished } = require('stream');
 const debug = require('debug')('Bmp180sensor');
 const _ = require('lodash');
 const delay = require('delay');
 
 const { I2csensor } = require('./lib/i2csensor');
+const { Sample } = require('./lib/sample');
+const { Sampler } = require('./lib/sampler');
+const { Samplestream } = require('./lib/samplestream');
+const barometric = require('./lib/barometric');
+const units = require('./lib/units');
+const { Filterchain } = require('./lib/filterchain');
+const { Forecaster } = require('./lib/forecaster');
+const { Healthmonitor } = require('./lib/healthmonitor');
 const { oversamplingSettings, registers } = require('./bmp180sensor.constants');
+const calibration = require('./bmp180sensor.calibration');
+const compensation = require('./bmp180sensor.compensation');
+const profiles = require('./bmp180sensor.profiles');
+const errors = require('./lib/errors');
 
 const { bmp180sensorDefaults } = require('./bmp180sensor.defaults');
+const { samplerDefaults } = require('./lib/sampler.defaults');
+
+// Output options for the pressure used by the barometric calculations
+const pascals = { units: { pressure: 'Pa' }, precision: { pressure: null } };
+
+const conversionStrategies = ['delay', 'sco', 'eoc'];
+
+/**
+ * The options a usage profile configures
+ *
+ * @param {string} name The profile name
+ * @returns {object}
+ */
+const profileOptions = (name) => {
+  const profile = profiles.usageProfile(name);
+  return { oss: profile.oss, filter: { samples: profile.samples } };
+};
+
+/**
+ * Current time in milliseconds from a monotonic clock
+ *
+ * @returns {number}
+ */
+const now = () => Number(process.hrtime.bigint()) / 1e6;
+
+/**
+ * Check the start of conversion bit 5 of the control register, cleared once a conversion completes
+ *
+ * @param {number} control The control register value
+ * @returns {boolean}
+ */
+const isConverting = (control) => Math.floor(control / 2 ** 5) % 2 === 1;
+
+/**
+ * Read the level of the EOC pin, high once a conversion completes
+ *
+ * @param {function|object} eoc A function returning the level, or a GPIO providing read() such as an onoff Gpio
+ * @returns {Promise<boolean>}
+ */
+const readEoc = (eoc) =>
+  Promise.resolve()
+    .then(() => (_.isFunction(eoc) ? eoc() : eoc.read()))
+    .then((level) => Boolean(Number(level)));
 
 /**
  * BMP180 Pressure and Temperature Sensor
@@ -16,7 +72,7 @@ const { bmp180sensorDefaults } = require('./bmp180sensor.defaults');
 class Bmp180sensor extends I2csensor {
   /**
    *Creates an instance of Bmp180sensor.
-   * @param {object|number} bus An i2c-bus Bus class or the number for the bus
+   * @param {object|number} bus An i2c-bus Bus class, a Virtualbus or the number for the bus
    * @param {number} [address=0x77] The I2C address
    * @param {object} options The configuration options
    * @param {object} [options.retryOptions] The promise-retry options {@link https://www.npmjs.com/package/promise-retry} for I2C communications
@@ -25,21 +81,266 @@ class Bmp180sensor extends I2csensor {
    * @param {number} [options.retryOptions.minTimeout=1000] The number of milliseconds before starting the first retry.
    * @param {number} [options.retryOptions.maxTimeout=Infinity] The maximum number of milliseconds between two retries.
    * @param {boolean} [options.retryOptions.randomize=false] Randomizes the timeouts by multiplying with a factor between 1 to 2.
+   * @param {object} [options.lock] The transaction lock options
+   * @param {string} [options.lock.scope=device] Serialize conversions per device, or per bus across every sensor using bus scope
+   * @param {number} [options.lock.maxQueue=Infinity] The number of transactions allowed to wait for the lock
+   * @param {number} [options.lock.timeout=null] The number of milliseconds to wait for the lock, null waits forever
    * @param {object} [options.oss] The oversampling setting
    * @param {number} options.oss.mode=1 The oversampling setting STANDARD mode
    * @param {number} options.oss.command=0x74 The oversampling setting STANDARD command
    * @param {number} options.oss.delay=8 The oversampling setting STANDARD delay in ms
+   * @param {number} [options.seaLevelPressure=101325] The sea-level reference pressure (QNH) in Pascals used for altitude
+   * @param {object} [options.units] The output units
+   * @param {string} [options.units.temperature=C] The temperature unit, one of C, F or K
+   * @param {string} [options.units.pressure=Pa] The pressure unit, one of Pa, hPa, mbar, kPa, inHg, mmHg, psi or atm
+   * @param {object} [options.precision] The number of decimal places to round outputs to
+   * @param {number} [options.precision.temperature=null] The temperature decimal places, null leaves it unrounded
+   * @param {number} [options.precision.pressure=null] The pressure decimal places, null leaves it unrounded
+   * @param {object} [options.filter] The software filtering applied by read()
+   * @param {number} [options.filter.samples=1] The number of pressure conversions averaged per reading
+   * @param {object[]} [options.filter.chain=[]] The filters applied in order across readings, e.g. [{ type: 'median', window: 5 }, { type: 'iir', coefficient: 0.2 }]
+   * @param {object|string|Buffer} [options.calibration] Saved calibration coefficients, as returned by exportCalibration(), used instead of reading the EEPROM
+   * @param {object} [options.conversion] How the end of each conversion is detected
+   * @param {string} [options.conversion.strategy=delay] Wait the fixed worst case delay of the oversampling setting, poll the sco bit of the control register, or poll the eoc pin
+   * @param {number} [options.conversion.pollInterval=1] The number of milliseconds between polls
+   * @param {number} [options.conversion.timeout=50] The number of milliseconds to poll before rejecting with a ConversionTimeoutError
+   * @param {function|object} [options.conversion.eoc=null] The EOC pin for the eoc strategy, a function returning the level or a GPIO providing read() such as an onoff Gpio
+   * @param {object} [options.temperatureReuse] Reuse the ut of the last temperature conversion for pressure readings, refreshing it when either limit is reached, both null converts the temperature for every reading
+   * @param {number} [options.temperatureReuse.maxAge=null] The number of milliseconds a ut is reused for, the datasheet suggests refreshing about once a second
+   * @param {number} [options.temperatureReuse.every=null] The number of pressure readings a ut is used for
+   * @param {healthmonitorDefaults} [options.health] The health monitoring of read()
+   * @param {boolean} [options.health.enabled=false] Check every reading and recover the sensor after repeated failures
+   * @param {object} [options.health.limits] The plausible { min, max } temperature in Celsius and pressure in Pascals, defaults to the datasheet operating range
+   * @param {number} [options.health.stuckReads=10] The number of readings with identical ut and up before the sensor is considered stuck, null disables the check
+   * @param {number} [options.health.chipIdInterval=60000] The number of milliseconds between chip id checks, null disables the check
+   * @param {number} [options.health.recoverAfter=3] The number of consecutive failed readings before softreset() and calibrate() are called
+   * @param {string} [options.profile=null] The usage profile configuring the oversampling setting, filter samples and sampling interval, one of weather_monitoring, floor_change, sports or indoor_navigation, oss and filter.samples options take precedence
+   * @throws Will throw if a unit, precision, filter, calibration, conversion, temperature reuse, health option or profile is invalid.
    * @memberof Bmp180sensor
    */
   constructor(bus, address = 0x77, options) {
-    const opts = _.merge({}, bmp180sensorDefaults, options);
+    const profile = _.get(options, 'profile');
+    const opts = _.merge(
+      {},
+      bmp180sensorDefaults,
+      _.isNil(profile) ? {} : profileOptions(profile),
+      _.omit(options, 'calibration')
+    );
     super('BMP180', bus, address, opts);
+    Object.assign(this._opts, units.validatedOutput(this._opts));
+    this.filter = this._opts.filter;
+    this._validatedConversion(this._opts.conversion);
+    this._conversionTimes = {};
+    this._validatedTemperatureReuse(this._opts.temperatureReuse);
+    this._temperatureCache = null;
     this._registers = registers;
+    this._opts.calibration = null;
     this._calibrationdata = null;
+    if (!_.isNil(_.get(options, 'calibration'))) {
+      this.loadCalibration(options.calibration);
+    }
     this._initialized = false;
+    this._sampler = new Sampler(() => this.read(), this);
+    this._samplingOptions = {};
+    this._health = new Healthmonitor(
+      {
+        checkChipId: () => this.isValidChipId(),
+        recover: () => this._recover(),
+      },
+      this,
+      this._opts.health
+    );
+    this._streams = new Set();
     debug('Bmp180sensor constructor.');
   }
 
+  /**
+   * Confirm Valid conversion options
+   *
+   * @param {*} conversion Validates the strategy, poll interval, timeout and eoc pin
+   * @throws Will throw an error if invalid.
+   * @returns {object}
+   *
+   * @memberof Bmp180sensor
+   */
+  _validatedConversion = (conversion) => {
+    if (!conversionStrategies.includes(conversion.strategy)) {
+      throw new TypeError(`Invalid conversion strategy ${conversion.strategy}`);
+    }
+    ['pollInterval', 'timeout'].forEach((name) => {
+      if (!(Number.isFinite(conversion[name]) && conversion[name] > 0)) {
+        throw new TypeError(`Invalid conversion ${name} ${conversion[name]}`);
+      }
+    });
+    const { eoc } = conversion;
+    if (
+      conversion.strategy === 'eoc' &&
+      !(_.isFunction(eoc) || (!_.isNil(eoc) && _.isFunction(eoc.read)))
+    ) {
+      throw new TypeError(`Invalid conversion eoc ${eoc}`);
+    }
+    return conversion;
+  };
+
+  /**
+   * Confirm Valid temperature reuse options
+   *
+   * @param {*} reuse Validates the max age and every
+   * @throws Will throw an error if invalid.
+   * @returns {object}
+   *
+   * @memberof Bmp180sensor
+   */
+  _validatedTemperatureReuse = (reuse) => {
+    if (!(_.isNil(reuse.maxAge) || (Number.isFinite(reuse.maxAge) && reuse.maxAge > 0))) {
+      throw new TypeError(`Invalid temperatureReuse maxAge ${reuse.maxAge}`);
+    }
+    if (!(_.isNil(reuse.every) || (Number.isInteger(reuse.every) && reuse.every > 0))) {
+      throw new TypeError(`Invalid temperatureReuse every ${reuse.every}`);
+    }
+    return reuse;
+  };
+
+  /**
+   * Poll until a conversion completes, rejecting with a ConversionTimeoutError once
+   * the timeout has passed
+   *
+   * @param {function} isComplete Returns a Promise resolved to true once the conversion is complete
+   * @param {number} started The time the conversion started
+   * @returns {Promise}
+   * @memberof Bmp180sensor
+   */
+  _poll(isComplete, started) {
+    const { pollInterval, timeout } = this._opts.conversion;
+    return delay(pollInterval)
+      .then(() => isComplete())
+      .then((complete) => {
+        if (complete) {
+          return undefined;
+        }
+        if (now() - started >= timeout) {
+          throw new errors.ConversionTimeoutError(this._address, timeout);
+        }
+        return this._poll(isComplete, started);
+      });
+  }
+
+  /**
+   * Wait for a conversion started by a write to the control register, falling back to
+   * the fixed delay if the sco bit or eoc pin cannot be read, and record how long it took
+   *
+   * @param {object} setting The oversampling setting, or the temperature setting
+   * @returns {Promise<number>} Returns a Promise that will be resolved to the conversion time in ms, rejected with a ConversionTimeoutError
+   * @memberof Bmp180sensor
+   */
+  _waitForConversion(setting) {
+    const { strategy, eoc } = this._opts.conversion;
+    const started = now();
+    let waited;
+    if (strategy === 'sco') {
+      waited = this._poll(
+        () => this._readI2cByte(this._registers.control).then((control) => !isConverting(control)),
+        started
+      );
+    } else if (strategy === 'eoc') {
+      waited = this._poll(() => readEoc(eoc), started);
+    } else {
+      waited = delay(setting.delay);
+    }
+    return waited
+      .catch((err) => {
+        if (err instanceof errors.ConversionTimeoutError) {
+          throw err;
+        }
+        debug('_waitForConversion. %s failed, using the fixed delay: %o', strategy, err);
+        return delay(Math.max(setting.delay - (now() - started), 0));
+      })
+      .then(() => {
+        const elapsed = now() - started;
+        const name = _.findKey(oversamplingSettings, { mode: setting.mode }) || `${setting.mode}`;
+        const times = _.get(this._conversionTimes, name, { count: 0, min: Infinity, max: 0 });
+        this._conversionTimes[name] = {
+          last: elapsed,
+          min: Math.min(times.min, elapsed),
+          max: Math.max(times.max, elapsed),
+          mean: (_.get(times, 'mean', 0) * times.count + elapsed) / (times.count + 1),
+          count: times.count + 1,
+        };
+        debug('_waitForConversion. %s %s %d ms', strategy, name, elapsed);
+        return elapsed;
+      });
+  }
+
+  /**
+   * Get the measured conversion times in ms, the last, min, max, mean and count keyed
+   * by oversampling setting name, and temperature
+   *
+   * @readonly
+   * @memberof Bmp180sensor
+   */
+  get conversionTimes() {
+    return _.cloneDeep(this._conversionTimes);
+  }
+
+  /**
+   * Forget the cached ut so the next pressure reading converts the temperature
+   *
+   * @memberof Bmp180sensor
+   */
+  invalidateTemperature() {
+    debug('invalidateTemperature');
+    this._temperatureCache = null;
+  }
+
+  /**
+   * Convert the temperature, caching the ut for later pressure readings
+   *
+   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the uncompensated temperature (ut)
+   * @memberof Bmp180sensor
+   */
+  _refreshTemperature() {
+    return this._getUncompensatedTemperature().then((ut) => {
+      this._temperatureCache = { ut, readAt: now(), uses: 0 };
+      return ut;
+    });
+  }
+
+  /**
+   * Check if a temperature reuse policy is configured
+   *
+   * @returns {boolean}
+   * @memberof Bmp180sensor
+   */
+  _reusesTemperature() {
+    const { maxAge, every } = this._opts.temperatureReuse;
+    return !_.isNil(maxAge) || !_.isNil(every);
+  }
+
+  /**
+   * The ut for a pressure reading, reusing the cached ut until it reaches the max age
+   * or has been used for every pressure readings
+   *
+   * @returns {Promise<{ut: number, cached: boolean}>} Returns a Promise that on success will be resolved to the ut and whether it was cached
+   * @memberof Bmp180sensor
+   */
+  _temperatureForPressure() {
+    const { maxAge, every } = this._opts.temperatureReuse;
+    const cache = this._temperatureCache;
+    const reusable =
+      this._reusesTemperature() &&
+      !_.isNil(cache) &&
+      (_.isNil(maxAge) || now() - cache.readAt < maxAge) &&
+      (_.isNil(every) || cache.uses < every);
+    const ready = reusable ? Promise.resolve(cache.ut) : this._refreshTemperature();
+    return ready.then((ut) => {
+      if (!_.isNil(this._temperatureCache)) {
+        this._temperatureCache.uses += 1;
+      }
+      debug('_temperatureForPressure. ut: %d cached: %s', ut, reusable);
+      return { ut, cached: reusable };
+    });
+  }
+
   /**
    * Calculate the B5 value used to convert raw values to compensated
    * temperature and pressure
@@ -51,17 +352,9 @@ class Bmp180sensor extends I2csensor {
    */
   _computeB5(ut) {
     if (!this.isCalibrated) {
-      throw new Error('calibrationdata is invalid');
-    }
-
-    if (!Number.isInteger(ut)) {
-      throw new TypeError(`Invalid Uncompensated Temperature ${ut}`);
+      throw new errors.NotCalibratedError();
     }
-
-    const x1 = Math.floor(((ut - this._calibrationdata.ac6) * this._calibrationdata.ac5) / 2 ** 15);
-    const x2 = (this._calibrationdata.mc * 2 ** 11) / (x1 + this._calibrationdata.md);
-    const b5 = x1 + x2;
-    return b5;
+    return compensation.computeB5(this._calibrationdata, ut);
   }
 
   /**
@@ -72,12 +365,10 @@ class Bmp180sensor extends I2csensor {
    * @memberof Bmp180sensor
    */
   _convertUncompensatedTemperature(ut) {
-    if (!Number.isInteger(ut)) {
-      throw new TypeError(`Invalid Uncompensated Temperature ${ut}`);
+    if (!this.isCalibrated) {
+      throw new errors.NotCalibratedError();
     }
-    const b5 = this._computeB5(ut);
-    const temperature = Math.floor((b5 + 8) / 2 ** 4);
-    return temperature / 10;
+    return compensation.compensateTemperature(this._calibrationdata, ut);
   }
 
   /**
@@ -85,104 +376,71 @@ class Bmp180sensor extends I2csensor {
    *
    * @param {number} ut Uncompensated temperature value
    * @param {number} up Uncompensated pressure value
+   * @param {object} [oss=this.oss] The oversampling setting used to read up
    * @returns {number} Pressure in Pa
    * @memberof Bmp180sensor
    */
-  _convertUncompensatedPressure(ut, up) {
-    if (!Number.isInteger(ut)) {
-      throw new TypeError(`Invalid Uncompensated Temperature ${ut}`);
-    }
-
-    if (!Number.isInteger(up)) {
-      throw new TypeError(`Invalid Uncompensated Pressure ${up}`);
-    }
-    const b5 = this._computeB5(ut);
-
-    /* Pressure compensation */
-    const b6 = b5 - 4000;
-    let x1 = Math.floor((this._calibrationdata.b2 * Math.floor((b6 * b6) / 2 ** 12)) / 2 ** 11);
-    let x2 = Math.floor((this._calibrationdata.ac2 * b6) / 2 ** 11);
-    let x3 = x1 + x2;
-    const b3 = Math.floor(
-      ((this._calibrationdata.ac1 * 4 + x3) * 2 ** this._opts.oss.mode + 2) / 2 ** 2
-    );
-    x1 = Math.floor((this._calibrationdata.ac3 * b6) / 2 ** 13);
-    x2 = Math.floor(Math.floor(this._calibrationdata.b1 * ((b6 * b6) / 2 ** 12)) / 2 ** 16);
-    x3 = Math.floor((x1 + x2 + 2) / 2 ** 2);
-    const b4 = Math.floor((this._calibrationdata.ac4 * (x3 + 32768)) / 2 ** 15);
-    const b7 = (up - b3) * Math.floor(50000 / 2 ** this._opts.oss.mode);
-    let p;
-    if (b7 < 0x80000000) {
-      p = (b7 * 2) / b4;
-    } else {
-      p = (b7 / b4) * 2;
+  _convertUncompensatedPressure(ut, up, oss = this._opts.oss) {
+    if (!this.isCalibrated) {
+      throw new errors.NotCalibratedError();
     }
-    x1 = Math.floor(p / 2 ** 8) * Math.floor(p / 2 ** 8);
-    x1 = Math.floor((x1 * 3038) / 2 ** 16);
-    x2 = Math.floor((-7357 * p) / 2 ** 16);
-    const pressure = p + Math.floor((x1 + x2 + 3791) / 2 ** 4);
-    return pressure;
+    return compensation.compensatePressure(this._calibrationdata, ut, up, oss.mode);
   }
 
   /**
    * Read the uncompensated pressure
    *
-   * @throws Will throw an error if invalid response buffer returned
-   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the uncompensated pressure (up)
+   * @param {object} [oss=this.oss] The oversampling setting to use
+   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the uncompensated pressure (up), rejected with an I2cTransferError, ShortReadError or ConversionTimeoutError
    * @memberof Bmp180sensor
    */
-  _getUncompensatedPressure() {
+  _getUncompensatedPressure(oss = this._opts.oss) {
     debug('_getUncompensatedPressure');
-    return this._writeI2cByte(this._registers.control, this._opts.oss.command)
-      .then(() => {
-        return delay(this._opts.oss.delay);
-      })
-      .then(() => {
-        return this._readI2cBlock(this._registers.results, Buffer.alloc(3));
-      })
-      .then((response) => {
-        const responseBuffer = this._validatedBuffer(response.buffer);
-        if (responseBuffer.length < 3) {
-          throw new Error('Results data not returned');
-        }
-        const MSB = responseBuffer.readUInt8(0);
-        const LSB = responseBuffer.readUInt8(1);
-        const XLSB = responseBuffer.readUInt8(2);
-        const up = Math.floor(
-          (MSB * 2 ** 16 + LSB * 2 ** 8 + XLSB) / 2 ** (8 - this._opts.oss.mode)
-        );
-        debug('_getUncompensatedPressure (up) %d', up);
-        return up;
-      });
+    return this.transaction(() => {
+      return this._writeI2cByte(this._registers.control, oss.command)
+        .then(() => {
+          return this._waitForConversion(oss);
+        })
+        .then(() => {
+          return this._readI2cBlock(this._registers.results, Buffer.alloc(3));
+        })
+        .then((response) => {
+          const responseBuffer = this._validatedBuffer(response.buffer);
+          const MSB = responseBuffer.readUInt8(0);
+          const LSB = responseBuffer.readUInt8(1);
+          const XLSB = responseBuffer.readUInt8(2);
+          const up = Math.floor((MSB * 2 ** 16 + LSB * 2 ** 8 + XLSB) / 2 ** (8 - oss.mode));
+          debug('_getUncompensatedPressure (up) %d', up);
+          return up;
+        });
+    });
   }
 
   /**
    * Read the uncompensated temperature
    *
-   * @throws Will throw an error if invalid response buffer returned
-   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the uncompensated temperature (ut)
+   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the uncompensated temperature (ut), rejected with an I2cTransferError, ShortReadError or ConversionTimeoutError
    * @memberof Bmp180sensor
    */
   _getUncompensatedTemperature() {
     debug('_getUncompensatedTemperature');
-    return this._writeI2cByte(this._registers.control, oversamplingSettings.temperature.command)
-      .then(() => {
-        return delay(oversamplingSettings.temperature.delay);
-      })
-      .then(() => {
-        return this._readI2cBlock(this._registers.results, Buffer.alloc(2));
-      })
-      .then((response) => {
-        const responseBuffer = this._validatedBuffer(response.buffer);
-        if (responseBuffer.length < 2) {
-          throw new Error('Results data not returned');
-        }
-        const MSB = responseBuffer.readUInt8(0);
-        const LSB = responseBuffer.readUInt8(1);
-        const ut = MSB * 2 ** 8 + LSB;
-        debug('_getUncompensatedTemperature (ut) %d', ut);
-        return ut;
-      });
+    return this.transaction(() => {
+      return this._writeI2cByte(this._registers.control, oversamplingSettings.temperature.command)
+        .then(() => {
+          return this._waitForConversion(oversamplingSettings.temperature);
+        })
+        .then(() => {
+          return this._readI2cBlock(this._registers.results, Buffer.alloc(2));
+        })
+        .then((response) => {
+          const responseBuffer = this._validatedBuffer(response.buffer);
+          const MSB = responseBuffer.readUInt8(0);
+          const LSB = responseBuffer.readUInt8(1);
+          const ut = MSB * 2 ** 8 + LSB;
+          debug('_getUncompensatedTemperature (ut) %d', ut);
+          return ut;
+        });
+    });
   }
 
   /**
@@ -195,6 +453,16 @@ class Bmp180sensor extends I2csensor {
     return !_.isNil(this._calibrationdata);
   }
 
+  /**
+   * Get the calibration coefficients, null until calibrated
+   *
+   * @readonly
+   * @memberof Bmp180sensor
+   */
+  get calibrationData() {
+    return this._calibrationdata;
+  }
+
   /**
    * Check that sensor is calibrated
    *
@@ -222,24 +490,247 @@ class Bmp180sensor extends I2csensor {
    */
   set oss(value) {
     this._opts.oss = value;
+    this.invalidateTemperature();
+  }
+
+  /**
+   * Get the output units
+   *
+   * @memberof Bmp180sensor
+   */
+  get units() {
+    return this._opts.units;
+  }
+
+  /**
+   * Set the output units, e.g. { pressure: 'hPa' }
+   *
+   * @memberof Bmp180sensor
+   */
+  set units(value) {
+    this._opts.units = this._output({ units: value }).units;
+  }
+
+  /**
+   * Get the number of decimal places outputs are rounded to
+   *
+   * @memberof Bmp180sensor
+   */
+  get precision() {
+    return this._opts.precision;
+  }
+
+  /**
+   * Set the number of decimal places outputs are rounded to, e.g. { pressure: 1 }
+   *
+   * @memberof Bmp180sensor
+   */
+  set precision(value) {
+    this._opts.precision = this._output({ precision: value }).precision;
+  }
+
+  /**
+   * Get the software filtering applied by read()
+   *
+   * @memberof Bmp180sensor
+   */
+  get filter() {
+    return this._opts.filter;
+  }
+
+  /**
+   * Set the software filtering applied by read(), this clears the filter history
+   *
+   * @memberof Bmp180sensor
+   */
+  set filter(value) {
+    const filter = _.merge({ samples: 1, chain: [] }, value);
+    if (!Number.isInteger(filter.samples) || filter.samples < 1) {
+      throw new TypeError(`Invalid filter samples ${filter.samples}`);
+    }
+    this._filterchain = new Filterchain(filter.chain);
+    this._opts.filter = filter;
+  }
+
+  /**
+   * Get the temperature reuse policy for pressure readings
+   *
+   * @memberof Bmp180sensor
+   */
+  get temperatureReuse() {
+    return this._opts.temperatureReuse;
+  }
+
+  /**
+   * Set the temperature reuse policy for pressure readings, e.g. { maxAge: 1000 }, this
+   * forgets the cached ut
+   *
+   * @memberof Bmp180sensor
+   */
+  set temperatureReuse(value) {
+    this._opts.temperatureReuse = this._validatedTemperatureReuse(
+      _.merge({ maxAge: null, every: null }, value)
+    );
+    this.invalidateTemperature();
+  }
+
+  /**
+   * Get the name of the usage profile, null if none was selected
+   *
+   * @memberof Bmp180sensor
+   */
+  get profile() {
+    return this._opts.profile;
+  }
+
+  /**
+   * Select a usage profile, e.g. weather_monitoring, setting the oversampling setting,
+   * filter samples and sampling interval, sampling that is running is restarted at the
+   * profile interval. null keeps the configuration and uses the default interval for
+   * sampling started afterwards.
+   *
+   * @memberof Bmp180sensor
+   */
+  set profile(value) {
+    if (!_.isNil(value)) {
+      const { oss, filter } = profileOptions(value);
+      this.oss = oss;
+      this.filter = { ...this._opts.filter, samples: filter.samples };
+    }
+    this._opts.profile = _.isNil(value) ? null : value;
+    if (!_.isNil(value) && this.isSampling) {
+      debug('profile. restarting sampling at %d ms', this._profileInterval());
+      this._sampler.stop();
+      this._sampler.start({ ...this._samplingOptions, interval: this._profileInterval() });
+    }
+  }
+
+  /**
+   * The interval of the usage profile, or the default sampling interval
+   *
+   * @returns {number}
+   * @memberof Bmp180sensor
+   */
+  _profileInterval() {
+    return _.isNil(this._opts.profile)
+      ? samplerDefaults.interval
+      : profiles.usageProfiles[this._opts.profile].interval;
+  }
+
+  /**
+   * Estimate the average current and RMS noise of the active configuration from the
+   * datasheet figures for the oversampling setting, filter samples and temperature reuse
+   *
+   * @param {number} [interval] The number of milliseconds between readings, defaults to the running sampling interval, else the usage profile interval, else 1000
+   * @returns {{interval: number, readingTime: number, current: number, noise: {pressure: number, altitude: number}}} The interval readings are actually made at, the ms each reading takes, the current in uA and the RMS noise in Pascals and metres
+   * @throws Will throw a TypeError if the interval is invalid.
+   * @memberof Bmp180sensor
+   */
+  estimate(interval) {
+    let resolved = interval;
+    if (_.isNil(resolved)) {
+      resolved = this.isSampling ? this._sampler.options.interval : this._profileInterval();
+    }
+    return profiles.estimate({
+      oss: this._opts.oss,
+      samples: this._opts.filter.samples,
+      interval: resolved,
+      temperatureReuse: this._opts.temperatureReuse,
+    });
+  }
+
+  /**
+   * Clear the history of the filter chain
+   *
+   * @memberof Bmp180sensor
+   */
+  resetFilter() {
+    debug('resetFilter');
+    this._filterchain.reset();
+  }
+
+  /**
+   * Resolve output options against the configured units and precision
+   *
+   * @param {object} [output] The output options
+   * @throws Will throw an error if invalid.
+   * @returns {object}
+   * @memberof Bmp180sensor
+   */
+  _output(output) {
+    return units.validatedOutput(output, {
+      units: this._opts.units,
+      precision: this._opts.precision,
+    });
+  }
+
+  /**
+   * Get the health of the sensor, the status healthy or degraded, the consecutive
+   * failures, the last error and counts of readings, failures and recoveries
+   *
+   * @readonly
+   * @memberof Bmp180sensor
+   */
+  get health() {
+    return this._health.health;
+  }
+
+  /**
+   * Check if continuous sampling is running
+   *
+   * @readonly
+   * @memberof Bmp180sensor
+   */
+  get isSampling() {
+    return this._sampler.isRunning;
+  }
+
+  /**
+   * Get the sea-level reference pressure in Pascals used for altitude
+   *
+   * @memberof Bmp180sensor
+   */
+  get seaLevelPressure() {
+    return this._opts.seaLevelPressure;
+  }
+
+  /**
+   * Set the sea-level reference pressure in Pascals used for altitude, e.g. the local QNH
+   *
+   * @memberof Bmp180sensor
+   */
+  set seaLevelPressure(value) {
+    this._opts.seaLevelPressure = barometric.validatedPressure(value, 'sea-level pressure');
   }
 
   /**
    * Validates the chip id is correct for a BMP180 device
    *
-   * @returns {Promise<boolean>} Returns a Promise that on success will be resolved to true
-   * @throws Will throw if chip id is invalid.
+   * @returns {Promise<boolean>} Returns a Promise that on success will be resolved to true, rejected with a ChipIdMismatchError if the chip id is invalid
    * @memberof Bmp180sensor
    */
   isValidChipId() {
     debug('checkChipId');
-    return this._readI2cByte(this._registers.chipid).then((response) => {
-      if (response !== 0x55) {
-        throw new Error(
-          `Expected BMP180 chip_id to be 0x55, got chip id 0x${response.toString(16)}.`
-        );
-      }
-      return true;
+    return this.transaction(() => {
+      return this._readI2cByte(this._registers.chipid).then((response) => {
+        if (response !== 0x55) {
+          throw new errors.ChipIdMismatchError(this._name, 0x55, response);
+        }
+        return true;
+      });
+    });
+  }
+
+  /**
+   * Reads the version register 0xd1, the ML_version in the low nibble and AL_version in the high nibble
+   *
+   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the version register value
+   * @memberof Bmp180sensor
+   */
+  version() {
+    debug('version');
+    return this.transaction(() => {
+      return this._readI2cByte(this._registers.version);
     });
   }
 
@@ -252,54 +743,82 @@ class Bmp180sensor extends I2csensor {
    */
   softreset() {
     debug('softreset');
-    return this._writeI2cByte(this._registers.softreset, 0xb6).then(() => {
-      return true;
+    return this.transaction(() => {
+      return this._writeI2cByte(this._registers.softreset, 0xb6).then(() => {
+        this.invalidateTemperature();
+        return true;
+      });
     });
   }
 
   /**
    * Retrieves chip calibration data, and stores in this.calibrationData.
    *
-   * @returns {Promise<boolean>} Returns a Promise that on success will be resolved to true
-   * @throws Will throw if calibration data returned is invalid.
+   * @returns {Promise<boolean>} Returns a Promise that on success will be resolved to true, rejected with a CalibrationInvalidError if the calibration data returned is invalid
    * @memberof Bmp180sensor
    *
    */
   calibrate() {
     debug('calibrate');
-    const calLength = 22;
-    return this._readI2cBlock(this._registers.calibration, Buffer.alloc(calLength)).then(
-      (response) => {
-        const responseBuffer = this._validatedBuffer(response.buffer);
-        if (responseBuffer.length < calLength) {
-          throw new Error('Calibration data not returned');
-        }
-
-        this._calibrationdata = Object.freeze({
-          ac1: responseBuffer.readInt16BE(0),
-          ac2: responseBuffer.readInt16BE(2),
-          ac3: responseBuffer.readInt16BE(4),
-          ac4: responseBuffer.readUInt16BE(6),
-          ac5: responseBuffer.readUInt16BE(8),
-          ac6: responseBuffer.readUInt16BE(10),
-          b1: responseBuffer.readInt16BE(12),
-          b2: responseBuffer.readInt16BE(14),
-          mb: responseBuffer.readInt16BE(16),
-          mc: responseBuffer.readInt16BE(18),
-          md: responseBuffer.readInt16BE(20),
-        });
-
+    return this.transaction(() => {
+      return this._readI2cBlock(
+        this._registers.calibration,
+        Buffer.alloc(calibration.calibrationLength)
+      ).then((response) => {
+        this._calibrationdata = calibration.decodeCalibration(
+          this._validatedBuffer(response.buffer)
+        );
         debug('calibrate. data %o', this._calibrationdata);
+        this.invalidateTemperature();
         return true;
-      }
-    );
+      });
+    });
+  }
+
+  /**
+   * Use saved calibration coefficients instead of reading the EEPROM, initialize()
+   * will keep them rather than calling calibrate()
+   *
+   * @param {object|string|Buffer} data The coefficients as an object, JSON, a hex string or the 22 byte EEPROM block
+   * @returns {boolean} Returns true
+   * @throws Will throw a CalibrationInvalidError if the calibration data is invalid.
+   * @memberof Bmp180sensor
+   */
+  loadCalibration(data) {
+    debug('loadCalibration');
+    this._calibrationdata = calibration.parseCalibration(data);
+    this._opts.calibration = this._calibrationdata;
+    this.invalidateTemperature();
+    return true;
+  }
+
+  /**
+   * Export the calibration coefficients so they can be saved and loaded later
+   *
+   * @param {string} [format='json'] The format, json for a JSON string or hex for the EEPROM block as a hex string
+   * @returns {string}
+   * @throws Will throw a NotCalibratedError if the sensor is not calibrated, or a TypeError if the format is invalid.
+   * @memberof Bmp180sensor
+   */
+  exportCalibration(format = 'json') {
+    if (!this.isCalibrated) {
+      throw new errors.NotCalibratedError();
+    }
+    switch (format) {
+      case 'json':
+        return JSON.stringify(this._calibrationdata);
+      case 'hex':
+        return calibration.calibrationToHex(this._calibrationdata);
+      default:
+        throw new TypeError(`Invalid calibration format ${format}`);
+    }
   }
 
   /**
    * Initializes the sensor, calling:
    * isValidChipId()
    * softReset()
-   * calibrate()
+   * calibrate(), unless saved calibration coefficients were loaded
    *
    * @returns {Promise<boolean>} Returns a Promise that on success will be resolved to true
    * @memberof Bmp180sensor
@@ -313,7 +832,7 @@ class Bmp180sensor extends I2csensor {
         return this.softreset();
       })
       .then(() => {
-        return this.calibrate();
+        return _.isNil(this._opts.calibration) ? this.calibrate() : true;
       })
       .then(() => {
         this._initialized = true;
@@ -322,7 +841,22 @@ class Bmp180sensor extends I2csensor {
   }
 
   /**
-   * Closes the I2c bus
+   * Recover a sensor that keeps failing, calling:
+   * softreset()
+   * calibrate(), unless saved calibration coefficients were loaded
+   *
+   * @returns {Promise<boolean>} Returns a Promise that on success will be resolved to true
+   * @memberof Bmp180sensor
+   */
+  _recover() {
+    debug('_recover');
+    return this.softreset().then(() => {
+      return _.isNil(this._opts.calibration) ? this.calibrate() : true;
+    });
+  }
+
+  /**
+   * Stops any continuous sampling, ends any sample streams and closes the I2c bus
    *
    * @returns {Promise} Returns a Promise that will be resolved with no arguments
    * @memberof Bmp180sensor
@@ -330,56 +864,317 @@ class Bmp180sensor extends I2csensor {
    */
   close() {
     debug('close');
-    return this._closeI2c();
+    const streams = Array.from(this._streams, (stream) => stream.finish());
+    return Promise.all([this.stop(), ...streams]).then(() => {
+      return this._closeI2c();
+    });
   }
 
   /**
-   * Current temperature in Celsius
+   * Start continuous sampling using read(). Readings never overlap and the schedule is
+   * corrected for the time each conversion takes.
+   *
+   * Emits:
+   * data - with the Sample from each reading
+   * error - with the error from a failed reading
+   * change - with the Sample and the previous changed Sample when the change exceeds the threshold
+   * stale - with the age in ms and last Sample when no successful reading arrives within staleAfter
    *
-   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the current temperature in Celsius
+   * @param {samplerDefaults} [options] The sampling options
+   * @param {number} [options.interval=1000] The number of milliseconds between the start of each reading, defaults to the usage profile interval
+   * @returns {Bmp180sensor} This sensor, to allow chaining
+   * @throws Will throw if the interval is invalid.
    * @memberof Bmp180sensor
    *
    */
-  temperature() {
+  start(options) {
+    debug('start');
+    const restart = !this.isSampling;
+    this._sampler.start(_.defaults({}, options, { interval: this._profileInterval() }));
+    if (restart) {
+      // Kept for a restart at the interval of a profile selected while sampling
+      this._samplingOptions = _.omit(options, 'interval');
+    }
+    return this;
+  }
+
+  /**
+   * Create an object mode Readable stream of Samples from read(). Polling pauses while
+   * the consumer is not reading, and the stream ends when close() is called.
+   *
+   * @param {samplestreamDefaults} [options] The stream options
+   * @param {number} [options.interval=1000] The minimum number of milliseconds between the start of each reading, defaults to the usage profile interval
+   * @param {number} [options.highWaterMark=1] The number of samples buffered before polling pauses
+   * @returns {Samplestream}
+   * @throws Will throw if the interval is invalid.
+   * @memberof Bmp180sensor
+   *
+   */
+  createReadStream(options) {
+    debug('createReadStream');
+    const stream = new Samplestream(
+      () => this.read(),
+      _.defaults({}, options, { interval: this._profileInterval() })
+    );
+    this._streams.add(stream);
+    finished(stream, () => {
+      this._streams.delete(stream);
+    });
+    return stream;
+  }
+
+  /**
+   * Async iterator of Samples from read(), for use with for await...of
+   *
+   * @param {samplestreamDefaults} [options] The stream options
+   * @param {number} [options.interval=1000] The minimum number of milliseconds between the start of each reading, defaults to the usage profile interval
+   * @returns {AsyncIterator<Sample>}
+   * @throws Will throw if the interval is invalid.
+   * @memberof Bmp180sensor
+   *
+   */
+  samples(options) {
+    debug('samples');
+    return this.createReadStream(options)[Symbol.asyncIterator]();
+  }
+
+  /**
+   * Stop continuous sampling
+   *
+   * @returns {Promise} Returns a Promise that will be resolved with no arguments once any reading in progress has completed
+   * @memberof Bmp180sensor
+   *
+   */
+  stop() {
+    debug('stop');
+    return this._sampler.stop();
+  }
+
+  /**
+   * Current temperature, in Celsius unless other units are configured
+   *
+   * @param {object} [output] The output options, defaults to the configured units and precision
+   * @param {object} [output.units] The units, e.g. { temperature: 'F' }
+   * @param {object} [output.precision] The decimal places, e.g. { temperature: 1 }
+   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the current temperature
+   * @memberof Bmp180sensor
+   *
+   */
+  temperature(output) {
     debug('temperature');
-    return new Promise((resolve, reject) => {
-      this._getUncompensatedTemperature().then((ut) => {
-        try {
-          const value = this._convertUncompensatedTemperature(ut);
-          debug('temperature. %d C', value);
-          resolve(value);
-        } catch (err) {
-          reject(err);
-        }
+    return Promise.resolve()
+      .then(() => {
+        return this._refreshTemperature();
+      })
+      .then((ut) => {
+        const { units: to, precision } = this._output(output);
+        const value = units.round(
+          units.convertTemperature(this._convertUncompensatedTemperature(ut), to.temperature),
+          precision.temperature
+        );
+        debug('temperature. %d %s', value, to.temperature);
+        return value;
       });
-    });
   }
 
   /**
-   * Current pressure in Pascals
+   * Current pressure, in Pascals unless other units are configured
    *
-   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the current pressure in Pascals
+   * @param {object} [output] The output options, defaults to the configured units and precision
+   * @param {object} [output.units] The units, e.g. { pressure: 'hPa' }
+   * @param {object} [output.precision] The decimal places, e.g. { pressure: 1 }
+   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the current pressure
    * @memberof Bmp180sensor
    *
    */
-  pressure() {
+  pressure(output) {
     debug('pressure');
-    return new Promise((resolve, reject) => {
-      this._getUncompensatedTemperature().then((ut) => {
-        this._getUncompensatedPressure().then((up) => {
-          try {
-            const value = this._convertUncompensatedPressure(ut, up);
-            debug('pressure. %d Pa', value);
-            resolve(value);
-          } catch (err) {
-            reject(err);
-          }
-        });
+    let ut;
+    return Promise.resolve()
+      .then(() => {
+        return this._temperatureForPressure();
+      })
+      .then((value) => {
+        ({ ut } = value);
+        return this._getUncompensatedPressure();
+      })
+      .then((up) => {
+        const { units: to, precision } = this._output(output);
+        const value = units.round(
+          units.convertPressure(this._convertUncompensatedPressure(ut, up), to.pressure),
+          precision.pressure
+        );
+        debug('pressure. %d %s', value, to.pressure);
+        return value;
       });
+  }
+
+  /**
+   * Current altitude in metres, using the sea-level reference pressure
+   *
+   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the current altitude in metres
+   * @memberof Bmp180sensor
+   *
+   */
+  altitude() {
+    debug('altitude');
+    return this.pressure(pascals).then((pressure) => {
+      const value = barometric.altitude(pressure, this._opts.seaLevelPressure);
+      debug('altitude. %d m', value);
+      return value;
+    });
+  }
+
+  /**
+   * Current pressure reduced to sea level, for a sensor at a known altitude
+   *
+   * @param {number} stationAltitude The altitude of the sensor in metres
+   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the sea-level pressure in Pascals
+   * @memberof Bmp180sensor
+   *
+   */
+  pressureAtSeaLevel(stationAltitude) {
+    debug('pressureAtSeaLevel');
+    return this.pressure(pascals).then((pressure) => {
+      return barometric.seaLevelPressure(pressure, stationAltitude);
+    });
+  }
+
+  /**
+   * Set the sea-level reference pressure so the current pressure reads as a known altitude
+   *
+   * @param {number} knownAltitude The altitude of the sensor in metres
+   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the new sea-level reference pressure in Pascals
+   * @memberof Bmp180sensor
+   *
+   */
+  calibrateAltitude(knownAltitude) {
+    debug('calibrateAltitude');
+    return this.pressureAtSeaLevel(knownAltitude).then((value) => {
+      this.seaLevelPressure = value;
+      debug('calibrateAltitude. %d Pa', value);
+      return value;
     });
   }
+
+  /**
+   * Current temperature and pressure from a single temperature conversion and one or
+   * more pressure conversions, averaged and passed through the filter chain. The
+   * temperature conversion is skipped while temperatureReuse allows the cached ut.
+   *
+   * When health monitoring is enabled the chip id is checked when due, and a reading
+   * outside the limits or with raw values stuck for stuckReads readings is rejected.
+   * After recoverAfter consecutive failures the sensor is reset and recalibrated before
+   * the failed reading is rejected.
+   *
+   * Emits:
+   * degraded - with the error and health when a healthy sensor fails a reading
+   * recovered - with the health when a degraded sensor completes a reading
+   *
+   * @param {object} [output] The output options, defaults to the configured units and precision
+   * @param {object} [output.units] The units, e.g. { temperature: 'F', pressure: 'inHg' }
+   * @param {object} [output.precision] The decimal places, e.g. { temperature: 1, pressure: 2 }
+   * @returns {Promise<Sample>} Returns a Promise that on success will be resolved to the Sample, rejected with an ImplausibleReadingError or StuckSensorError when health monitoring is enabled
+   * @memberof Bmp180sensor
+   *
+   */
+  read(output) {
+    debug('read');
+    return this._health.run(() => this._read(output));
+  }
+
+  /**
+   * Read a Sample, see read()
+   *
+   * @param {object} [output] The output options
+   * @returns {Promise<Sample>}
+   * @memberof Bmp180sensor
+   */
+  _read(output) {
+    const { oss } = this._opts;
+    const { samples } = this._opts.filter;
+    let ut;
+    let temperatureCached;
+    let resolved;
+    return Promise.resolve()
+      .then(() => {
+        resolved = this._output(output);
+        return this._temperatureForPressure();
+      })
+      .then((value) => {
+        ({ ut } = value);
+        temperatureCached = value.cached;
+        const ups = [];
+        const next = () =>
+          this._getUncompensatedPressure(oss).then((up) => {
+            ups.push(up);
+            return ups.length < samples ? next() : ups;
+          });
+        return next();
+      })
+      .then((ups) => {
+        const unfiltered = {
+          temperature: this._convertUncompensatedTemperature(ut),
+          pressure: _.mean(ups.map((up) => this._convertUncompensatedPressure(ut, up, oss))),
+        };
+        const up = Math.round(_.mean(ups));
+        this._health.check({ ...unfiltered, ut, up });
+        const filtered = this._filterchain.update(unfiltered);
+        const sample = new Sample({
+          ...filtered,
+          unfiltered,
+          ut,
+          up,
+          oss: oss.mode,
+          temperatureCached,
+        }).convert(resolved);
+        debug('read. %o', sample);
+        return sample;
+      });
+  }
+
+  /**
+   * Compensate raw values recorded elsewhere, e.g. the ut, up and oss of a Sample,
+   * using the loaded calibration coefficients without touching the bus
+   *
+   * @param {object} raw The raw values
+   * @param {number} raw.ut The uncompensated temperature
+   * @param {number} raw.up The uncompensated pressure
+   * @param {number} [raw.oss] The oversampling mode up was read with, defaults to the configured mode
+   * @param {Date|string} [raw.timestamp] The time the raw values were read, defaults to now
+   * @param {object} [output] The output options, defaults to the configured units and precision
+   * @returns {Sample}
+   * @throws Will throw a NotCalibratedError if the sensor is not calibrated, or a TypeError if a raw value is invalid.
+   * @memberof Bmp180sensor
+   */
+  compensate({ ut, up, oss = this._opts.oss.mode, timestamp }, output) {
+    const setting = _.find(oversamplingSettings, (value) => value.mode === oss && oss !== 255);
+    if (_.isNil(setting)) {
+      throw new TypeError(`Invalid oversampling setting ${oss}`);
+    }
+    const values = {
+      temperature: this._convertUncompensatedTemperature(ut),
+      pressure: this._convertUncompensatedPressure(ut, up, setting),
+    };
+    return new Sample({
+      ...values,
+      unfiltered: values,
+      ut,
+      up,
+      oss,
+      timestamp: _.isNil(timestamp) ? new Date() : new Date(timestamp),
+    }).convert(this._output(output));
+  }
 }
 
 module.exports = {
   Bmp180sensor,
+  barometric,
+  calibration,
+  compensation,
+  errors,
+  profiles,
+  units,
+  Forecaster,
+  Sample,
 };
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const { openSync } = require('i2c-bus');
+const debug = require('debug')('Bmp180manager');
+const _ = require('lodash');
+
+const { registers } = require('./bmp180sensor.constants');
+const { bmp180managerDefaults } = require('./bmp180sensor.defaults');
+const { drivers, createSensor } = require('./sensorfactory');
+
+/**
+ * Stable id for a device, e.g. i2c-1-0x77
+ *
+ * @param {number|string} busnumber The bus number, or the bus position when the bus has no number
+ * @param {number} address The I2C address
+ * @returns {string}
+ */
+const deviceId = (busnumber, address) => `i2c-${busnumber}-0x${address.toString(16)}`;
+
+/**
+ * Stable id for a bus, e.g. i2c-1
+ *
+ * @param {number|string} busnumber The bus number, or the bus position when the bus has no number
+ * @returns {string}
+ */
+const busId = (busnumber) => `i2c-${busnumber}`;
+
+/**
+ * Open a bus by number, i2c-bus opens the device file lazily and its scan ignores
+ * failures, so the device file is checked first
+ *
+ * @param {number} busnumber The bus number
+ * @returns {object} The i2c-bus Bus
+ * @throws Will throw if /dev/i2c-N does not exist or cannot be read and written.
+ */
+const openBus = (busnumber) => {
+  // eslint-disable-next-line no-bitwise
+  fs.accessSync(`/dev/i2c-${busnumber}`, fs.constants.R_OK | fs.constants.W_OK);
+  return openSync(busnumber);
+};
+
+/**
+ * Read the chip id of a device
+ *
+ * @param {object} entry The bus entry with the bus and its number
+ * @param {number} address The I2C address
+ * @returns {Promise<object>} Returns a Promise resolved to the device id, busnumber, address, chipid and error, with chipid null if it could not be read
+ */
+const probe = (entry, address) => {
+  const found = {
+    id: deviceId(entry.busnumber, address),
+    busnumber: entry.busnumber,
+    address,
+    error: null,
+  };
+  return entry.bus
+    .promisifiedBus()
+    .readByte(address, registers.chipid)
+    .then(
+      (chipid) => ({ ...found, chipid }),
+      (err) => {
+        debug('probe. %s error: %o', found.id, err);
+        return { ...found, chipid: null };
+      }
+    );
+};
+
+/**
+ * Discovers, initializes and reads BMP180/BMP085, BMP280 and BME280 sensors across several buses,
+ * each with the driver for its chip id.
+ *
+ * @class Bmp180manager
+ */
+class Bmp180manager {
+  /**
+   *Creates an instance of Bmp180manager.
+   * @param {bmp180managerDefaults} [options] The configuration options
+   * @throws Will throw if the buses or addresses are invalid.
+   * @memberof Bmp180manager
+   */
+  constructor(options) {
+    this._opts = { ...bmp180managerDefaults, ...options };
+    if (!Array.isArray(this._opts.buses) || this._opts.buses.length === 0) {
+      throw new TypeError(`Invalid buses ${this._opts.buses}`);
+    }
+    this._opts.buses.forEach((bus) => {
+      if (!(Number.isInteger(bus) && bus >= 0) && !_.isFunction(_.get(bus, 'promisifiedBus'))) {
+        throw new TypeError(`Invalid bus ${bus}`);
+      }
+    });
+    if (
+      !Array.isArray(this._opts.addresses) ||
+      !this._opts.addresses.every(
+        (address) => Number.isInteger(address) && address >= 0 && address <= 0x7f
+      )
+    ) {
+      throw new TypeError(`Invalid addresses ${this._opts.addresses}`);
+    }
+    this._buses = null;
+    this._devices = new Map();
+    debug('Bmp180manager constructor. %o', this._opts);
+  }
+
+  /**
+   * Get the ids of the initialized sensors
+   *
+   * @readonly
+   * @memberof Bmp180manager
+   */
+  get ids() {
+    return Array.from(this._devices.keys());
+  }
+
+  /**
+   * Get the initialized devices, each with its id, busnumber, address, chipid and sensor
+   *
+   * @readonly
+   * @memberof Bmp180manager
+   */
+  get devices() {
+    return Array.from(this._devices.values(), ({ bus, ...device }) => device);
+  }
+
+  /**
+   * Get an initialized sensor by id
+   *
+   * @param {string} id The device id
+   * @returns {Bmp180sensor|Bmp280sensor|Bme280sensor|undefined}
+   * @memberof Bmp180manager
+   */
+  get(id) {
+    return _.get(this._devices.get(id), 'sensor');
+  }
+
+  /**
+   * Open the configured buses once, buses passed as numbers are opened and later closed
+   * by the manager. A bus that failed to open is tried again on the next call.
+   *
+   * @returns {object[]} The buses with their number, whether the manager opened them and the error opening them
+   * @memberof Bmp180manager
+   */
+  _openBuses() {
+    this._buses = this._opts.buses.map((bus, index) => {
+      const known = _.get(this._buses, index);
+      if (!_.isNil(known) && _.isNil(known.error)) {
+        return known;
+      }
+      if (Number.isInteger(bus)) {
+        try {
+          return { busnumber: bus, bus: openBus(bus), opened: true, error: null };
+        } catch (error) {
+          debug('_openBuses. %s error: %o', busId(bus), error);
+          return { busnumber: bus, bus: null, opened: false, error };
+        }
+      }
+      const busnumber = Number.isInteger(bus.busnumber) ? bus.busnumber : `bus${index}`;
+      return { busnumber, bus, opened: false, error: null };
+    });
+    return this._buses;
+  }
+
+  /**
+   * Scan one bus for devices at the configured addresses and read their chip ids
+   *
+   * @param {object} entry The bus entry with the bus and its number
+   * @returns {Promise<object[]>} Returns a Promise, never rejected, resolved to the devices found, or to the bus id, busnumber and error when the bus failed
+   * @memberof Bmp180manager
+   */
+  _scanBus(entry) {
+    const { addresses } = this._opts;
+    return Promise.resolve()
+      .then(() => {
+        if (!_.isNil(entry.error)) {
+          throw entry.error;
+        }
+        const bus = entry.bus.promisifiedBus();
+        return _.isFunction(bus.scan) ? bus.scan() : addresses;
+      })
+      .then((present) => {
+        return Promise.all(
+          addresses
+            .filter((address) => present.includes(address))
+            .map((address) => probe(entry, address))
+        );
+      })
+      .catch((error) => {
+        const { busnumber } = entry;
+        debug('_scanBus. %s error: %o', busId(busnumber), error);
+        return [{ id: busId(busnumber), busnumber, address: null, chipid: null, error }];
+      });
+  }
+
+  /**
+   * Scan the configured buses for devices at the configured addresses and read their chip ids,
+   * a failing bus does not affect the others
+   *
+   * @returns {Promise<object[]>} Returns a Promise resolved to the id, busnumber, address, chipid and error of each device that acknowledged, error is null, and the id, busnumber and error of each bus that failed, address and chipid are null
+   * @memberof Bmp180manager
+   */
+  scan() {
+    debug('scan');
+    return Promise.resolve()
+      .then(() => {
+        return Promise.all(this._openBuses().map((entry) => this._scanBus(entry)));
+      })
+      .then((results) => {
+        const found = _.flatten(results).filter(
+          ({ chipid, error }) => chipid !== null || error !== null
+        );
+        debug('scan. found: %o', found);
+        return found;
+      });
+  }
+
+  /**
+   * Scan then initialize every supported sensor not already initialized, using the driver for its chip id
+   *
+   * @returns {Promise<object[]>} Returns a Promise resolved to the id, busnumber, address, chipid and error of each new sensor, error is null when the sensor was initialized, followed by each bus that failed as returned by scan()
+   * @memberof Bmp180manager
+   */
+  discover() {
+    debug('discover');
+    return this.scan().then((found) => {
+      const entries = _.keyBy(this._buses, 'busnumber');
+      const failedBuses = found.filter(({ address }) => address === null);
+      const initialized = Promise.all(
+        found
+          .filter(({ id, chipid }) => _.has(drivers, chipid) && !this._devices.has(id))
+          .map((device) => {
+            const { bus } = entries[device.busnumber];
+            return createSensor(bus, device.address, this._opts.sensor).then(
+              (sensor) => ({
+                device: { ...device, bus, sensor },
+                result: { ...device, error: null },
+              }),
+              (error) => {
+                debug('discover. %s error: %o', device.id, error);
+                return { device: null, result: { ...device, error } };
+              }
+            );
+          })
+      );
+      return initialized.then((settled) => {
+        // Added in scan order rather than as each initializes, so ids and readAll() stay stable
+        _.compact(_.map(settled, 'device')).forEach((device) =>
+          this._devices.set(device.id, device)
+        );
+        return [..._.map(settled, 'result'), ...failedBuses];
+      });
+    });
+  }
+
+  /**
+   * Read every initialized sensor, a failing sensor does not affect the others
+   *
+   * @param {object} [output] The output options passed to each read()
+   * @returns {Promise<object[]>} Returns a Promise, never rejected, resolved to the id, sample and error of each sensor, with either sample or error null
+   * @memberof Bmp180manager
+   */
+  readAll(output) {
+    debug('readAll');
+    return Promise.all(
+      Array.from(this._devices.values(), ({ id, sensor }) => {
+        return sensor.read(output).then(
+          (sample) => ({ id, sample, error: null }),
+          (error) => {
+            debug('readAll. %s error: %o', id, error);
+            return { id, sample: null, error };
+          }
+        );
+      })
+    );
+  }
+
+  /**
+   * Close every sensor and the buses opened by the manager
+   *
+   * @returns {Promise} Returns a Promise that will be resolved with no arguments
+   * @memberof Bmp180manager
+   */
+  close() {
+    debug('close');
+    const sensors = Array.from(this._devices.values(), ({ sensor }) => sensor.close());
+    return Promise.all(sensors).then(() => {
+      const buses = _.filter(this._buses, 'opened').map(({ bus }) => bus.promisifiedBus().close());
+      this._buses = null;
+      this._devices.clear();
+      return Promise.all(buses).then(() => undefined);
+    });
+  }
+}
+
+module.exports = {
+  Bmp180manager,
+  deviceId,
+};
@@ -0,0 +1,110 @@
+/**
+ * BMP180 usage profiles, following the datasheet recommendations for common
+ * applications, and estimates of the average current and RMS noise of a configuration
+ * from the datasheet per-mode figures, for budgeting battery powered nodes.
+ *
+ * @module profiles
+ */
+const _ = require('lodash');
+
+const {
+  oversamplingSettings,
+  conversionCurrents,
+  conversionNoise,
+  standbyCurrent,
+} = require('./bmp180sensor.constants');
+
+/**
+ * The usage profiles, each an oversampling setting name, the number of milliseconds
+ * between readings and the number of pressure conversions averaged per reading
+ *
+ * weather_monitoring - lowest power, one reading a minute
+ * floor_change - elevator and floor change detection, standard resolution averaged at 8 Hz
+ * sports - fast altitude changes while running or cycling, high resolution at 5 Hz
+ * indoor_navigation - lowest noise, ultra high resolution averaged at 10 Hz
+ */
+const usageProfiles = Object.freeze({
+  weather_monitoring: Object.freeze({ oss: 'ultra_low_power', interval: 60000, samples: 1 }),
+  floor_change: Object.freeze({ oss: 'standard', interval: 125, samples: 4 }),
+  sports: Object.freeze({ oss: 'high', interval: 200, samples: 2 }),
+  indoor_navigation: Object.freeze({ oss: 'ultra_high_resolution', interval: 100, samples: 3 }),
+});
+
+/**
+ * Get a usage profile by name
+ *
+ * @param {string} name The profile name, e.g. weather_monitoring
+ * @throws Will throw a TypeError if the profile does not exist.
+ * @returns {object} The profile with its oversampling setting resolved
+ */
+const usageProfile = (name) => {
+  if (!_.has(usageProfiles, name)) {
+    throw new TypeError(`Invalid profile ${name}`);
+  }
+  const profile = usageProfiles[name];
+  return { ...profile, name, oss: oversamplingSettings[profile.oss] };
+};
+
+/**
+ * The fraction of readings that convert the temperature under a temperature reuse policy
+ *
+ * @param {object} temperatureReuse The maxAge and every of the policy
+ * @param {number} interval The number of milliseconds between readings
+ * @returns {number}
+ */
+const temperatureFraction = ({ maxAge, every }, interval) => {
+  const readings = Math.min(
+    _.isNil(every) ? Infinity : every,
+    _.isNil(maxAge) ? Infinity : Math.max(Math.ceil(maxAge / interval), 1)
+  );
+  return Number.isFinite(readings) ? 1 / readings : 1;
+};
+
+/**
+ * Estimate the average current and RMS noise of a configuration. The current is the
+ * datasheet figure at one conversion per second scaled by the conversions made, and
+ * the noise of a single conversion falls with the square root of the number averaged.
+ * Filters in the filter chain are not included.
+ *
+ * @param {object} config The configuration
+ * @param {object} config.oss The oversampling setting
+ * @param {number} [config.samples=1] The number of pressure conversions averaged per reading
+ * @param {number} [config.interval=1000] The number of milliseconds between the start of each reading
+ * @param {object} [config.temperatureReuse] The temperature reuse policy, converts the temperature for every reading by default
+ * @throws Will throw a TypeError if the oversampling setting, samples or interval is invalid.
+ * @returns {{interval: number, readingTime: number, current: number, noise: {pressure: number, altitude: number}}} The interval readings are actually made at, the ms each reading takes, the current in uA and the RMS noise in Pascals and metres
+ */
+const estimate = ({ oss, samples = 1, interval = 1000, temperatureReuse = {} }) => {
+  const noise = _.get(conversionNoise, _.get(oss, 'mode'));
+  if (_.isNil(noise)) {
+    throw new TypeError(`Invalid oversampling setting ${_.get(oss, 'mode', oss)}`);
+  }
+  if (!(Number.isInteger(samples) && samples > 0)) {
+    throw new TypeError(`Invalid samples ${samples}`);
+  }
+  if (!(Number.isFinite(interval) && interval > 0)) {
+    throw new TypeError(`Invalid interval ${interval}`);
+  }
+  const { temperature } = oversamplingSettings;
+  const readingTime = temperature.delay + samples * oss.delay;
+  // Readings never overlap, so they cannot be made faster than they take
+  const actual = Math.max(interval, readingTime);
+  const fraction = temperatureFraction(temperatureReuse, actual);
+  const perReading =
+    fraction * conversionCurrents[temperature.mode] + samples * conversionCurrents[oss.mode];
+  return {
+    interval: actual,
+    readingTime,
+    current: standbyCurrent + (perReading * 1000) / actual,
+    noise: {
+      pressure: noise.pressure / Math.sqrt(samples),
+      altitude: noise.altitude / Math.sqrt(samples),
+    },
+  };
+};
+
+module.exports = {
+  usageProfiles,
+  usageProfile,
+  estimate,
+};
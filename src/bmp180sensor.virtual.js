@@ -0,0 +1,281 @@
+const debug = require('debug')('Bmp180virtualdevice');
+const _ = require('lodash');
+
+const { conversionTimes, oversamplingSettings, registers } = require('./bmp180sensor.constants');
+const { bmp180virtualdeviceDefaults } = require('./bmp180sensor.defaults');
+const { encodeCalibration } = require('./bmp180sensor.calibration');
+const compensation = require('./bmp180sensor.compensation');
+
+// Node timers can fire up to 1ms early against the monotonic clock
+const timerResolution = 1;
+
+const temperatureControl = 0x0e;
+const pressureControl = 0x14;
+
+/**
+ * Current time in milliseconds from a monotonic clock
+ *
+ * @returns {number}
+ */
+const now = () => Number(process.hrtime.bigint()) / 1e6;
+
+/**
+ * Smallest integer in [lo, hi] for which predicate is true, or hi + 1 if none
+ *
+ * @param {number} lo Lower bound
+ * @param {number} hi Upper bound
+ * @param {function} predicate Monotonic predicate
+ * @returns {number}
+ */
+const lowerBound = (lo, hi, predicate) => {
+  let low = lo;
+  let high = hi + 1;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (predicate(mid)) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return low;
+};
+
+/**
+ * Simulated BMP180 that can be attached to a Virtualbus.
+ *
+ * Emulates the chip id, version, calibration, soft reset, control and results
+ * registers, generating raw UT/UP values from the configured temperature and pressure.
+ *
+ * @class Bmp180virtualdevice
+ */
+class Bmp180virtualdevice {
+  /**
+   *Creates an instance of Bmp180virtualdevice.
+   * @param {bmp180virtualdeviceDefaults} [options] The configuration options
+   * @memberof Bmp180virtualdevice
+   */
+  constructor(options) {
+    this._opts = _.merge({}, bmp180virtualdeviceDefaults, options);
+    this._calibration = Bmp180virtualdevice.encodeCalibration(this._opts.calibration);
+    this._temperature = this._opts.temperature;
+    this._pressure = this._opts.pressure;
+    this.reset();
+    debug('Bmp180virtualdevice constructor.');
+  }
+
+  /**
+   * Encode calibration coefficients as the 22 byte EEPROM block
+   *
+   * @static
+   * @param {object} calibration The calibration coefficients
+   * @returns {Buffer}
+   * @memberof Bmp180virtualdevice
+   */
+  static encodeCalibration(calibration) {
+    return encodeCalibration(calibration);
+  }
+
+  /**
+   * Get the simulated temperature in Celsius
+   *
+   * @memberof Bmp180virtualdevice
+   */
+  get temperature() {
+    return this._temperature;
+  }
+
+  /**
+   * Set the simulated temperature in Celsius
+   *
+   * @memberof Bmp180virtualdevice
+   */
+  set temperature(value) {
+    this._temperature = value;
+  }
+
+  /**
+   * Get the simulated pressure in Pascals
+   *
+   * @memberof Bmp180virtualdevice
+   */
+  get pressure() {
+    return this._pressure;
+  }
+
+  /**
+   * Set the simulated pressure in Pascals
+   *
+   * @memberof Bmp180virtualdevice
+   */
+  set pressure(value) {
+    this._pressure = value;
+  }
+
+  /**
+   * Check if a conversion is in progress
+   *
+   * @readonly
+   * @memberof Bmp180virtualdevice
+   */
+  get isConverting() {
+    this._update();
+    return !_.isNil(this._conversion);
+  }
+
+  /**
+   * Raw UT value that compensates to the simulated temperature
+   *
+   * @returns {number} Uncompensated temperature value
+   * @memberof Bmp180virtualdevice
+   */
+  uncompensatedTemperature() {
+    const cal = this._opts.calibration;
+    const target = Math.round(this._temperature * 10);
+    const temperature = (ut) => Math.round(compensation.compensateTemperature(cal, ut) * 10);
+    // B5 is only monotonic once the X2 denominator is positive
+    const lo = lowerBound(
+      0,
+      0xffff,
+      (ut) => Math.floor(((ut - cal.ac6) * cal.ac5) / 2 ** 15) + cal.md > 0
+    );
+    const first = lowerBound(lo, 0xffff, (ut) => temperature(ut) >= target);
+    const next = lowerBound(first, 0xffff, (ut) => temperature(ut) > target);
+    return Math.min(Math.floor((first + next - 1) / 2), 0xffff);
+  }
+
+  /**
+   * Raw UP value that compensates to the simulated pressure
+   *
+   * @param {number} oss The oversampling mode
+   * @returns {number} Uncompensated pressure value
+   * @memberof Bmp180virtualdevice
+   */
+  uncompensatedPressure(oss) {
+    const cal = this._opts.calibration;
+    const ut = this.uncompensatedTemperature();
+    const max = 2 ** (16 + oss) - 1;
+    // Below B3 the unsigned B7 wraps, so pressure is only monotonic from B3
+    const lo = Math.max(compensation.computeB3(cal, compensation.computeB5(cal, ut), oss), 0);
+    const target = Math.round(this._pressure);
+    const pressure = (up) => compensation.compensatePressure(cal, ut, up, oss);
+    const first = lowerBound(lo, max, (up) => pressure(up) >= target);
+    const next = lowerBound(first, max, (up) => pressure(up) > target);
+    return Math.min(Math.floor((first + next - 1) / 2), max);
+  }
+
+  /**
+   * Perform the same sequence as a power on reset
+   *
+   * @memberof Bmp180virtualdevice
+   */
+  reset() {
+    debug('reset');
+    this._control = 0x00;
+    this._results = [0x80, 0x00, 0x00];
+    this._conversion = null;
+  }
+
+  /**
+   * Start a conversion from a write to the control register
+   *
+   * @param {number} value The value written to the control register
+   * @memberof Bmp180virtualdevice
+   */
+  _startConversion(value) {
+    this._control = value;
+    const oss = Math.floor(value / 64);
+    const sco = Math.floor(value / 32) % 2;
+    const measurement = value % 32;
+    if (sco !== 1 || (measurement !== temperatureControl && measurement !== pressureControl)) {
+      this._conversion = null;
+      return;
+    }
+    const isTemperature = measurement === temperatureControl;
+    const duration = isTemperature
+      ? conversionTimes[oversamplingSettings.temperature.mode]
+      : conversionTimes[oss];
+    this._conversion = {
+      isTemperature,
+      oss,
+      completesAt: now() + (this._opts.timing ? duration - timerResolution : 0),
+    };
+    debug('_startConversion %o', this._conversion);
+  }
+
+  /**
+   * Latch the results once the current conversion has completed
+   *
+   * @memberof Bmp180virtualdevice
+   */
+  _update() {
+    if (_.isNil(this._conversion) || now() < this._conversion.completesAt) {
+      return;
+    }
+    const { isTemperature, oss } = this._conversion;
+    if (isTemperature) {
+      const ut = this.uncompensatedTemperature();
+      this._results = [Math.floor(ut / 2 ** 8), ut % 2 ** 8, 0x00];
+    } else {
+      const raw = this.uncompensatedPressure(oss) * 2 ** (8 - oss);
+      this._results = [Math.floor(raw / 2 ** 16), Math.floor(raw / 2 ** 8) % 2 ** 8, raw % 2 ** 8];
+    }
+    this._control -= 32;
+    this._conversion = null;
+  }
+
+  /**
+   * Read a register
+   *
+   * @param {number} register The register to read
+   * @returns {number} The register value
+   * @memberof Bmp180virtualdevice
+   */
+  readRegister(register) {
+    this._update();
+    const calibrationEnd = registers.calibration + this._calibration.length;
+    if (register >= registers.calibration && register < calibrationEnd) {
+      return this._calibration.readUInt8(register - registers.calibration);
+    }
+    if (register >= registers.results && register < registers.results + 3) {
+      return this._results[register - registers.results];
+    }
+    switch (register) {
+      case registers.chipid:
+        return this._opts.chipid;
+      case registers.version:
+        return this._opts.version;
+      case registers.control:
+        return this._control;
+      default:
+        return 0x00;
+    }
+  }
+
+  /**
+   * Write a register
+   *
+   * @param {number} register The register to write
+   * @param {number} value The value to write
+   * @memberof Bmp180virtualdevice
+   */
+  writeRegister(register, value) {
+    this._update();
+    switch (register) {
+      case registers.softreset:
+        if (value === 0xb6) {
+          this.reset();
+        }
+        break;
+      case registers.control:
+        this._startConversion(value);
+        break;
+      default:
+        debug('writeRegister. ignored register: %h', register);
+    }
+  }
+}
+
+module.exports = {
+  Bmp180virtualdevice,
+};
@@ -0,0 +1,212 @@
+/**
+ * BMP280 and BME280 calibration decoding and compensation, using the floating point
+ * formulas from the datasheets
+ *
+ * @module bmp280compensation
+ */
+const _ = require('lodash');
+
+const { CalibrationInvalidError } = require('./lib/errors');
+
+// Calibration layout from 0x88, little endian words
+const calibrationLayout = Object.freeze([
+  { name: 't1', signed: false },
+  { name: 't2', signed: true },
+  { name: 't3', signed: true },
+  { name: 'p1', signed: false },
+  { name: 'p2', signed: true },
+  { name: 'p3', signed: true },
+  { name: 'p4', signed: true },
+  { name: 'p5', signed: true },
+  { name: 'p6', signed: true },
+  { name: 'p7', signed: true },
+  { name: 'p8', signed: true },
+  { name: 'p9', signed: true },
+]);
+
+/**
+ * Length of the temperature and pressure calibration block in bytes
+ * @type {number}
+ */
+const calibrationLength = calibrationLayout.length * 2;
+
+/**
+ * Length of the humidity calibration block from 0xe1 in bytes
+ * @type {number}
+ */
+const humidityCalibrationLength = 7;
+
+// Maximum measurement time in ms per oversampling count, from the BME280 datasheet section 9.1
+const measurementTimes = { base: 1.25, perSample: 2.3, setup: 0.575 };
+
+/**
+ * Decode the temperature and pressure calibration block
+ *
+ * @param {Buffer} buffer The 24 byte block read from 0x88
+ * @throws Will throw a CalibrationInvalidError if the buffer is too short or dig_T1 or dig_P1 is zero.
+ * @returns {object} The calibration coefficients
+ */
+const decodeCalibration = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < calibrationLength) {
+    throw new CalibrationInvalidError(
+      `Invalid calibration data, expected ${calibrationLength} bytes got ${_.get(buffer, 'length')}`
+    );
+  }
+  const calibration = {};
+  calibrationLayout.forEach(({ name, signed }, index) => {
+    calibration[name] = signed ? buffer.readInt16LE(index * 2) : buffer.readUInt16LE(index * 2);
+  });
+  ['t1', 'p1'].forEach((name) => {
+    if (calibration[name] === 0) {
+      throw new CalibrationInvalidError(`Invalid calibration data, ${name} is 0`, name, 0);
+    }
+  });
+  return Object.freeze(calibration);
+};
+
+/**
+ * Encode temperature and pressure calibration coefficients as the block at 0x88
+ *
+ * @param {object} calibration The calibration coefficients
+ * @returns {Buffer} The 24 byte block
+ */
+const encodeCalibration = (calibration) => {
+  const buffer = Buffer.alloc(calibrationLength);
+  calibrationLayout.forEach(({ name, signed }, index) => {
+    if (signed) {
+      buffer.writeInt16LE(calibration[name], index * 2);
+    } else {
+      buffer.writeUInt16LE(calibration[name], index * 2);
+    }
+  });
+  return buffer;
+};
+
+/**
+ * Decode the BME280 humidity calibration, dig_H4 and dig_H5 are 12 bit values that
+ * share the nibbles of 0xe5
+ *
+ * @param {number} h1 The byte read from 0xa1
+ * @param {Buffer} buffer The 7 byte block read from 0xe1
+ * @throws Will throw a CalibrationInvalidError if the buffer is too short.
+ * @returns {object} The humidity calibration coefficients
+ */
+const decodeHumidityCalibration = (h1, buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < humidityCalibrationLength) {
+    throw new CalibrationInvalidError(
+      `Invalid humidity calibration data, expected ${humidityCalibrationLength} bytes got ${_.get(
+        buffer,
+        'length'
+      )}`
+    );
+  }
+  const e5 = buffer.readUInt8(4);
+  return Object.freeze({
+    h1,
+    h2: buffer.readInt16LE(0),
+    h3: buffer.readUInt8(2),
+    h4: buffer.readInt8(3) * 16 + (e5 % 16),
+    h5: buffer.readInt8(5) * 16 + Math.floor(e5 / 16),
+    h6: buffer.readInt8(6),
+  });
+};
+
+/**
+ * Encode BME280 humidity calibration coefficients as the block at 0xe1
+ *
+ * @param {object} calibration The humidity calibration coefficients
+ * @returns {Buffer} The 7 byte block, dig_H1 is stored separately at 0xa1
+ */
+const encodeHumidityCalibration = (calibration) => {
+  const buffer = Buffer.alloc(humidityCalibrationLength);
+  const nibble = (value) => ((value % 16) + 16) % 16;
+  buffer.writeInt16LE(calibration.h2, 0);
+  buffer.writeUInt8(calibration.h3, 2);
+  buffer.writeInt8(Math.floor(calibration.h4 / 16), 3);
+  buffer.writeUInt8(nibble(calibration.h5) * 16 + nibble(calibration.h4), 4);
+  buffer.writeInt8(Math.floor(calibration.h5 / 16), 5);
+  buffer.writeInt8(calibration.h6, 6);
+  return buffer;
+};
+
+/**
+ * Compensated temperature
+ *
+ * @param {number} adcT The 20 bit raw temperature
+ * @param {object} cal The calibration coefficients
+ * @returns {{temperature: number, tFine: number}} The temperature in Celsius, and t_fine used by the pressure and humidity compensation
+ */
+const compensateTemperature = (adcT, cal) => {
+  const var1 = (adcT / 16384 - cal.t1 / 1024) * cal.t2;
+  const var2 = (adcT / 131072 - cal.t1 / 8192) ** 2 * cal.t3;
+  const tFine = var1 + var2;
+  return { temperature: tFine / 5120, tFine };
+};
+
+/**
+ * Compensated pressure
+ *
+ * @param {number} adcP The 20 bit raw pressure
+ * @param {number} tFine The t_fine value from compensateTemperature()
+ * @param {object} cal The calibration coefficients
+ * @returns {number} The pressure in Pascals
+ */
+const compensatePressure = (adcP, tFine, cal) => {
+  let var1 = tFine / 2 - 64000;
+  let var2 = (var1 * var1 * cal.p6) / 32768;
+  var2 += var1 * cal.p5 * 2;
+  var2 = var2 / 4 + cal.p4 * 65536;
+  var1 = ((cal.p3 * var1 * var1) / 524288 + cal.p2 * var1) / 524288;
+  var1 = (1 + var1 / 32768) * cal.p1;
+  if (var1 === 0) {
+    return 0;
+  }
+  let p = 1048576 - adcP;
+  p = ((p - var2 / 4096) * 6250) / var1;
+  var1 = (cal.p9 * p * p) / 2147483648;
+  var2 = (p * cal.p8) / 32768;
+  return p + (var1 + var2 + cal.p7) / 16;
+};
+
+/**
+ * Compensated relative humidity
+ *
+ * @param {number} adcH The 16 bit raw humidity
+ * @param {number} tFine The t_fine value from compensateTemperature()
+ * @param {object} cal The humidity calibration coefficients
+ * @returns {number} The relative humidity in percent, clamped to 0 - 100
+ */
+const compensateHumidity = (adcH, tFine, cal) => {
+  let h = tFine - 76800;
+  h =
+    (adcH - (cal.h4 * 64 + (cal.h5 / 16384) * h)) *
+    ((cal.h2 / 65536) * (1 + (cal.h6 / 67108864) * h * (1 + (cal.h3 / 67108864) * h)));
+  h *= 1 - (cal.h1 * h) / 524288;
+  return _.clamp(h, 0, 100);
+};
+
+/**
+ * Maximum time for a forced mode measurement
+ *
+ * @param {object} oversampling The temperature, pressure and humidity oversampling counts, 0 skips a measurement
+ * @returns {number} The time in ms
+ */
+const measurementTime = ({ temperature = 0, pressure = 0, humidity = 0 }) => {
+  const { base, perSample, setup } = measurementTimes;
+  const time = (count, overhead) => (count > 0 ? perSample * count + overhead : 0);
+  return base + time(temperature, 0) + time(pressure, setup) + time(humidity, setup);
+};
+
+module.exports = {
+  calibrationLayout,
+  calibrationLength,
+  humidityCalibrationLength,
+  decodeCalibration,
+  encodeCalibration,
+  decodeHumidityCalibration,
+  encodeHumidityCalibration,
+  compensateTemperature,
+  compensatePressure,
+  compensateHumidity,
+  measurementTime,
+};
@@ -0,0 +1,68 @@
+const chipIds = {
+  bmp280: 0x58,
+  bme280: 0x60,
+};
+
+const registers = {
+  calibration: 0x88,
+  humidityCalibrationH1: 0xa1,
+  humidityCalibration: 0xe1,
+  chipid: 0xd0,
+  softreset: 0xe0,
+  controlHumidity: 0xf2,
+  status: 0xf3,
+  control: 0xf4,
+  config: 0xf5,
+  results: 0xf7,
+};
+
+// Register value for each oversampling count, 0 skips the measurement
+const oversamplingCodes = {
+  0: 0,
+  1: 1,
+  2: 2,
+  4: 3,
+  8: 4,
+  16: 5,
+};
+
+const forcedMode = 0x01;
+
+// Power on start up time in ms after a soft reset
+const startupTime = 2;
+
+// Example calibration from the BMP280 datasheet section 8.2
+const datasheetCalibration = {
+  t1: 27504,
+  t2: 26435,
+  t3: -1000,
+  p1: 36477,
+  p2: -10685,
+  p3: 3024,
+  p4: 2855,
+  p5: 140,
+  p6: -7,
+  p7: 15500,
+  p8: -14600,
+  p9: 6000,
+};
+
+// Typical BME280 humidity calibration
+const datasheetHumidityCalibration = {
+  h1: 75,
+  h2: 362,
+  h3: 0,
+  h4: 313,
+  h5: 50,
+  h6: 30,
+};
+
+module.exports = {
+  chipIds: Object.freeze(chipIds),
+  registers: Object.freeze(registers),
+  oversamplingCodes: Object.freeze(oversamplingCodes),
+  forcedMode,
+  startupTime,
+  datasheetCalibration: Object.freeze(datasheetCalibration),
+  datasheetHumidityCalibration: Object.freeze(datasheetHumidityCalibration),
+};
@@ -0,0 +1,52 @@
+const { datasheetCalibration, datasheetHumidityCalibration } = require('./bmp280sensor.constants');
+const { standardSeaLevelPressure } = require('./lib/barometric');
+const { defaultUnits } = require('./lib/units');
+
+/**
+ * @typedef bmp280sensorDefaults
+ * @type {object}
+ * @property {object} oversampling The oversampling count for each measurement, one of 1, 2, 4, 8 or 16
+ * @property {number} oversampling.temperature=1 The temperature oversampling
+ * @property {number} oversampling.pressure=4 The pressure oversampling
+ * @property {number} oversampling.humidity=1 The humidity oversampling, BME280 only, 0 skips humidity
+ * @property {number} seaLevelPressure=101325 The sea-level reference pressure (QNH) in Pascals used for altitude
+ * @property {object} units The temperature and pressure output units
+ * @property {object} precision The temperature and pressure decimal places, null leaves values unrounded
+ */
+const bmp280sensorDefaults = {
+  oversampling: {
+    temperature: 1,
+    pressure: 4,
+    humidity: 1,
+  },
+  seaLevelPressure: standardSeaLevelPressure,
+  units: defaultUnits,
+  precision: {
+    temperature: null,
+    pressure: null,
+  },
+};
+
+/**
+ * @typedef bmp280virtualdeviceDefaults
+ * @type {object}
+ * @property {number} chipid=0x58 The value returned from the chip id register 0xd0, 0x60 also emulates the BME280 humidity registers
+ * @property {number} temperature=15 The simulated temperature in Celsius
+ * @property {number} pressure=101325 The simulated pressure in Pascals
+ * @property {number} humidity=50 The simulated relative humidity in percent
+ * @property {object} calibration The calibration coefficients, defaults to the datasheet example
+ * @property {object} humidityCalibration The humidity calibration coefficients
+ */
+const bmp280virtualdeviceDefaults = {
+  chipid: 0x58,
+  temperature: 15,
+  pressure: 101325,
+  humidity: 50,
+  calibration: datasheetCalibration,
+  humidityCalibration: datasheetHumidityCalibration,
+};
+
+module.exports = {
+  bmp280sensorDefaults,
+  bmp280virtualdeviceDefaults,
+};
@@ -0,0 +1,374 @@
+const debug = require('debug')('Bmp280sensor');
+const _ = require('lodash');
+const delay = require('delay');
+
+const { I2csensor } = require('./lib/i2csensor');
+const { Sample } = require('./lib/sample');
+const barometric = require('./lib/barometric');
+const units = require('./lib/units');
+const errors = require('./lib/errors');
+const compensation = require('./bmp280sensor.compensation');
+const {
+  chipIds,
+  registers,
+  oversamplingCodes,
+  forcedMode,
+  startupTime,
+} = require('./bmp280sensor.constants');
+const { bmp280sensorDefaults } = require('./bmp280sensor.defaults');
+
+/**
+ * BMP280 Pressure and Temperature Sensor, measured in forced mode
+ *
+ * @class Bmp280sensor
+ * @extends {I2csensor}
+ */
+class Bmp280sensor extends I2csensor {
+  /**
+   *Creates an instance of Bmp280sensor.
+   * @param {object|number} bus An i2c-bus Bus class, a Virtualbus or the number for the bus
+   * @param {number} [address=0x77] The I2C address, 0x76 when SDO is pulled low
+   * @param {bmp280sensorDefaults} [options] The configuration options, also accepts the I2csensor retryOptions and lock
+   * @throws Will throw if the oversampling, a unit or precision is invalid.
+   * @memberof Bmp280sensor
+   */
+  constructor(bus, address = 0x77, options) {
+    const opts = _.merge({}, bmp280sensorDefaults, options);
+    super('BMP280', bus, address, opts);
+    Object.assign(this._opts, units.validatedOutput(this._opts));
+    this._validatedOversampling(this._opts.oversampling);
+    this._chipId = chipIds.bmp280;
+    this._registers = registers;
+    this._calibrationdata = null;
+    this._initialized = false;
+    debug('Bmp280sensor constructor.');
+  }
+
+  /**
+   * Confirm Valid oversampling counts
+   *
+   * @param {*} oversampling Validates the temperature, pressure and humidity counts
+   * @throws Will throw an error if invalid.
+   * @returns {object}
+   *
+   * @memberof Bmp280sensor
+   */
+  _validatedOversampling = (oversampling) => {
+    ['temperature', 'pressure', 'humidity'].forEach((name) => {
+      const count = _.get(oversampling, name);
+      const skipped = count === 0 && name !== 'humidity';
+      if (!_.has(oversamplingCodes, count) || skipped) {
+        throw new TypeError(`Invalid ${name} oversampling ${count}`);
+      }
+    });
+    return oversampling;
+  };
+
+  /**
+   * Check that sensor is calibrated
+   *
+   * @readonly
+   * @memberof Bmp280sensor
+   */
+  get isCalibrated() {
+    return !_.isNil(this._calibrationdata);
+  }
+
+  /**
+   * Check that sensor is initialized
+   *
+   * @readonly
+   * @memberof Bmp280sensor
+   */
+  get isInitialized() {
+    return this._initialized;
+  }
+
+  /**
+   * Get the calibration coefficients, null until calibrated
+   *
+   * @readonly
+   * @memberof Bmp280sensor
+   */
+  get calibrationData() {
+    return this._calibrationdata;
+  }
+
+  /**
+   * Get the oversampling counts
+   *
+   * @memberof Bmp280sensor
+   */
+  get oversampling() {
+    return this._opts.oversampling;
+  }
+
+  /**
+   * Set the oversampling counts, missing counts are unchanged
+   *
+   * @throws Will throw if a count is invalid.
+   * @memberof Bmp280sensor
+   */
+  set oversampling(value) {
+    const oversampling = { ...this._opts.oversampling, ...value };
+    this._opts.oversampling = this._validatedOversampling(oversampling);
+  }
+
+  /**
+   * Get the sea-level reference pressure in Pascals used for altitude
+   *
+   * @memberof Bmp280sensor
+   */
+  get seaLevelPressure() {
+    return this._opts.seaLevelPressure;
+  }
+
+  /**
+   * Set the sea-level reference pressure in Pascals used for altitude, e.g. the local QNH
+   *
+   * @memberof Bmp280sensor
+   */
+  set seaLevelPressure(value) {
+    this._opts.seaLevelPressure = barometric.validatedPressure(value, 'sea-level pressure');
+  }
+
+  /**
+   * The oversampling used for each measurement, the BMP280 has no humidity sensor
+   *
+   * @returns {object}
+   * @memberof Bmp280sensor
+   */
+  _measurementOversampling() {
+    return { ...this._opts.oversampling, humidity: 0 };
+  }
+
+  /**
+   * Resolve output options against the configured units and precision
+   *
+   * @param {object} [output] The output options
+   * @throws Will throw an error if invalid.
+   * @returns {object}
+   * @memberof Bmp280sensor
+   */
+  _output(output) {
+    return units.validatedOutput(output, {
+      units: this._opts.units,
+      precision: this._opts.precision,
+    });
+  }
+
+  /**
+   * Validates the chip id is correct for the device
+   *
+   * @returns {Promise<boolean>} Returns a Promise that on success will be resolved to true, rejected with a ChipIdMismatchError if the chip id is invalid
+   * @memberof Bmp280sensor
+   */
+  isValidChipId() {
+    debug('isValidChipId');
+    return this.transaction(() => {
+      return this._readI2cByte(this._registers.chipid).then((response) => {
+        if (response !== this._chipId) {
+          throw new errors.ChipIdMismatchError(this._name, this._chipId, response);
+        }
+        return true;
+      });
+    });
+  }
+
+  /**
+   * Perform a Soft Reset this will perform the same sequence as power on reset.
+   *
+   * @returns {Promise<boolean>} Returns a Promise that on success will be resolved to true once the start up time has passed
+   * @memberof Bmp280sensor
+   */
+  softreset() {
+    debug('softreset');
+    return this.transaction(() => {
+      return this._writeI2cByte(this._registers.softreset, 0xb6).then(() => delay(startupTime));
+    }).then(() => {
+      return true;
+    });
+  }
+
+  /**
+   * Retrieves chip calibration data, and stores in this.calibrationData.
+   *
+   * @returns {Promise<boolean>} Returns a Promise that on success will be resolved to true, rejected with a CalibrationInvalidError if the calibration data returned is invalid
+   * @memberof Bmp280sensor
+   */
+  calibrate() {
+    debug('calibrate');
+    return this.transaction(() => {
+      return this._readI2cBlock(
+        this._registers.calibration,
+        Buffer.alloc(compensation.calibrationLength)
+      );
+    }).then((response) => {
+      this._calibrationdata = compensation.decodeCalibration(
+        this._validatedBuffer(response.buffer)
+      );
+      debug('calibrate. data %o', this._calibrationdata);
+      return true;
+    });
+  }
+
+  /**
+   * Initializes the sensor, calling:
+   * isValidChipId()
+   * softReset()
+   * calibrate()
+   *
+   * @returns {Promise<boolean>} Returns a Promise that on success will be resolved to true
+   * @memberof Bmp280sensor
+   */
+  initialize() {
+    debug('initialize');
+    this._initialized = false;
+    return this.isValidChipId()
+      .then(() => {
+        return this.softreset();
+      })
+      .then(() => {
+        return this.calibrate();
+      })
+      .then(() => {
+        this._initialized = true;
+        return this._initialized;
+      });
+  }
+
+  /**
+   * Run a forced mode measurement and read the raw values
+   *
+   * @returns {Promise<{adcT: number, adcP: number, adcH: number|undefined}>} Returns a Promise that on success will be resolved to the 20 bit raw temperature and pressure, and the 16 bit raw humidity when measured
+   * @memberof Bmp280sensor
+   */
+  _measure() {
+    debug('_measure');
+    const oversampling = this._measurementOversampling();
+    const withHumidity = oversampling.humidity > 0;
+    const control =
+      oversamplingCodes[oversampling.temperature] * 32 +
+      oversamplingCodes[oversampling.pressure] * 4 +
+      forcedMode;
+    return this.transaction(() => {
+      // ctrl_hum only takes effect after the following write to ctrl_meas
+      const configured = withHumidity
+        ? this._writeI2cByte(
+            this._registers.controlHumidity,
+            oversamplingCodes[oversampling.humidity]
+          )
+        : Promise.resolve();
+      return configured
+        .then(() => {
+          return this._writeI2cByte(this._registers.control, control);
+        })
+        .then(() => {
+          return delay(Math.ceil(compensation.measurementTime(oversampling)));
+        })
+        .then(() => {
+          return this._readI2cBlock(this._registers.results, Buffer.alloc(withHumidity ? 8 : 6));
+        });
+    }).then((response) => {
+      const buffer = this._validatedBuffer(response.buffer);
+      const raw20 = (offset) =>
+        buffer.readUInt8(offset) * 2 ** 12 +
+        buffer.readUInt8(offset + 1) * 2 ** 4 +
+        Math.floor(buffer.readUInt8(offset + 2) / 2 ** 4);
+      const raw = {
+        adcP: raw20(0),
+        adcT: raw20(3),
+        adcH: withHumidity ? buffer.readUInt16BE(6) : undefined,
+      };
+      debug('_measure. %o', raw);
+      return raw;
+    });
+  }
+
+  /**
+   * Compensate raw values
+   *
+   * @param {object} raw The raw values from _measure(), adcT, adcP and adcH
+   * @returns {{temperature: number, pressure: number, tFine: number}} The temperature in Celsius, pressure in Pascals and t_fine
+   * @throws Will throw a NotCalibratedError if the sensor is not calibrated.
+   * @memberof Bmp280sensor
+   */
+  compensate(raw) {
+    if (!this.isCalibrated) {
+      throw new errors.NotCalibratedError();
+    }
+    const { temperature, tFine } = compensation.compensateTemperature(
+      raw.adcT,
+      this._calibrationdata
+    );
+    const pressure = compensation.compensatePressure(raw.adcP, tFine, this._calibrationdata);
+    return { temperature, pressure, tFine };
+  }
+
+  /**
+   * Current temperature, in Celsius unless other units are configured
+   *
+   * @param {object} [output] The output options, defaults to the configured units and precision
+   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the current temperature
+   * @memberof Bmp280sensor
+   */
+  temperature(output) {
+    debug('temperature');
+    return this.read(output).then((sample) => sample.temperature);
+  }
+
+  /**
+   * Current pressure, in Pascals unless other units are configured
+   *
+   * @param {object} [output] The output options, defaults to the configured units and precision
+   * @returns {Promise<number>} Returns a Promise that on success will be resolved to the current pressure
+   * @memberof Bmp280sensor
+   */
+  pressure(output) {
+    debug('pressure');
+    return this.read(output).then((sample) => sample.pressure);
+  }
+
+  /**
+   * Current temperature and pressure from a single forced mode measurement
+   *
+   * @param {object} [output] The output options, defaults to the configured units and precision
+   * @returns {Promise<Sample>} Returns a Promise that on success will be resolved to the Sample, with oss set to the pressure oversampling count
+   * @memberof Bmp280sensor
+   */
+  read(output) {
+    debug('read');
+    let resolved;
+    return Promise.resolve()
+      .then(() => {
+        resolved = this._output(output);
+        return this._measure();
+      })
+      .then((raw) => {
+        const { tFine, ...values } = this.compensate(raw);
+        const sample = new Sample({
+          ...values,
+          ut: raw.adcT,
+          up: raw.adcP,
+          oss: this._opts.oversampling.pressure,
+        }).convert(resolved);
+        debug('read. %o', sample);
+        return sample;
+      });
+  }
+
+  /**
+   * Closes the I2c bus if opened by the sensor
+   *
+   * @returns {Promise<boolean>} Returns a Promise that will be resolved to true if the bus was opened by the sensor and closed
+   * @memberof Bmp280sensor
+   */
+  close() {
+    debug('close');
+    return this._closeI2c();
+  }
+}
+
+module.exports = {
+  Bmp280sensor,
+};
@@ -0,0 +1,326 @@
+const debug = require('debug')('Bmp280virtualdevice');
+const _ = require('lodash');
+
+const compensation = require('./bmp280sensor.compensation');
+const { chipIds, registers, forcedMode } = require('./bmp280sensor.constants');
+const { bmp280virtualdeviceDefaults } = require('./bmp280sensor.defaults');
+
+// Result registers read back 0x80000 for a skipped temperature or pressure and 0x8000 for humidity
+const skippedResults = [0x80, 0x00, 0x00, 0x80, 0x00, 0x00, 0x80, 0x00];
+
+const maxAdc = 2 ** 20 - 1;
+const maxAdcH = 2 ** 16 - 1;
+
+/**
+ * Smallest integer in [lo, hi] for which predicate is true, or hi + 1 if none
+ *
+ * @param {number} lo Lower bound
+ * @param {number} hi Upper bound
+ * @param {function} predicate Monotonic predicate
+ * @returns {number}
+ */
+const lowerBound = (lo, hi, predicate) => {
+  let low = lo;
+  let high = hi + 1;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (predicate(mid)) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return low;
+};
+
+/**
+ * Raw value in [0, max] that compensates closest to the target
+ *
+ * @param {number} max Largest raw value
+ * @param {function} compensate Monotonic compensation of a raw value
+ * @param {number} target The value to reach
+ * @returns {number}
+ */
+const closestRaw = (max, compensate, target) => {
+  const increasing = compensate(max) >= compensate(0);
+  const reached = (raw) => (increasing ? compensate(raw) >= target : compensate(raw) <= target);
+  const raw = Math.min(lowerBound(0, max, reached), max);
+  if (raw === 0) {
+    return raw;
+  }
+  const distance = (value) => Math.abs(compensate(value) - target);
+  return distance(raw - 1) < distance(raw) ? raw - 1 : raw;
+};
+
+/**
+ * Split a 20 bit raw value into the msb, lsb and xlsb result registers
+ *
+ * @param {number} raw The 20 bit raw value
+ * @returns {number[]}
+ */
+const raw20Bytes = (raw) => [
+  Math.floor(raw / 2 ** 12),
+  Math.floor(raw / 2 ** 4) % 2 ** 8,
+  (raw % 2 ** 4) * 2 ** 4,
+];
+
+/**
+ * Simulated BMP280 or BME280 that can be attached to a Virtualbus.
+ *
+ * Emulates the chip id, calibration, soft reset, control and results registers, a
+ * forced mode write to ctrl_meas latches results generated from the configured
+ * temperature, pressure and humidity. The humidity registers are only emulated for
+ * the BME280 chip id.
+ *
+ * @class Bmp280virtualdevice
+ */
+class Bmp280virtualdevice {
+  /**
+   *Creates an instance of Bmp280virtualdevice.
+   * @param {bmp280virtualdeviceDefaults} [options] The configuration options
+   * @memberof Bmp280virtualdevice
+   */
+  constructor(options) {
+    this._opts = _.merge({}, bmp280virtualdeviceDefaults, options);
+    this._calibration = compensation.encodeCalibration(this._opts.calibration);
+    this._humidityCalibration = compensation.encodeHumidityCalibration(
+      this._opts.humidityCalibration
+    );
+    this._temperature = this._opts.temperature;
+    this._pressure = this._opts.pressure;
+    this._humidity = this._opts.humidity;
+    this.reset();
+    debug('Bmp280virtualdevice constructor.');
+  }
+
+  /**
+   * Check if the humidity registers are emulated
+   *
+   * @readonly
+   * @memberof Bmp280virtualdevice
+   */
+  get hasHumidity() {
+    return this._opts.chipid === chipIds.bme280;
+  }
+
+  /**
+   * Get the simulated temperature in Celsius
+   *
+   * @memberof Bmp280virtualdevice
+   */
+  get temperature() {
+    return this._temperature;
+  }
+
+  /**
+   * Set the simulated temperature in Celsius
+   *
+   * @memberof Bmp280virtualdevice
+   */
+  set temperature(value) {
+    this._temperature = value;
+  }
+
+  /**
+   * Get the simulated pressure in Pascals
+   *
+   * @memberof Bmp280virtualdevice
+   */
+  get pressure() {
+    return this._pressure;
+  }
+
+  /**
+   * Set the simulated pressure in Pascals
+   *
+   * @memberof Bmp280virtualdevice
+   */
+  set pressure(value) {
+    this._pressure = value;
+  }
+
+  /**
+   * Get the simulated relative humidity in percent
+   *
+   * @memberof Bmp280virtualdevice
+   */
+  get humidity() {
+    return this._humidity;
+  }
+
+  /**
+   * Set the simulated relative humidity in percent
+   *
+   * @memberof Bmp280virtualdevice
+   */
+  set humidity(value) {
+    this._humidity = value;
+  }
+
+  /**
+   * Raw temperature that compensates to the simulated temperature
+   *
+   * @returns {number} The 20 bit raw temperature
+   * @memberof Bmp280virtualdevice
+   */
+  rawTemperature() {
+    const cal = this._opts.calibration;
+    return closestRaw(
+      maxAdc,
+      (adcT) => compensation.compensateTemperature(adcT, cal).temperature,
+      this._temperature
+    );
+  }
+
+  /**
+   * t_fine for the raw temperature
+   *
+   * @returns {number}
+   * @memberof Bmp280virtualdevice
+   */
+  _tFine() {
+    return compensation.compensateTemperature(this.rawTemperature(), this._opts.calibration).tFine;
+  }
+
+  /**
+   * Raw pressure that compensates to the simulated pressure
+   *
+   * @returns {number} The 20 bit raw pressure
+   * @memberof Bmp280virtualdevice
+   */
+  rawPressure() {
+    const cal = this._opts.calibration;
+    const tFine = this._tFine();
+    return closestRaw(
+      maxAdc,
+      (adcP) => compensation.compensatePressure(adcP, tFine, cal),
+      this._pressure
+    );
+  }
+
+  /**
+   * Raw humidity that compensates to the simulated humidity
+   *
+   * @returns {number} The 16 bit raw humidity
+   * @memberof Bmp280virtualdevice
+   */
+  rawHumidity() {
+    const cal = this._opts.humidityCalibration;
+    const tFine = this._tFine();
+    return closestRaw(
+      maxAdcH,
+      (adcH) => compensation.compensateHumidity(adcH, tFine, cal),
+      this._humidity
+    );
+  }
+
+  /**
+   * Perform the same sequence as a power on reset
+   *
+   * @memberof Bmp280virtualdevice
+   */
+  reset() {
+    debug('reset');
+    this._controlHumidity = 0x00;
+    this._control = 0x00;
+    this._config = 0x00;
+    this._results = [...skippedResults];
+  }
+
+  /**
+   * Run a forced mode measurement, skipped measurements read back the reset values
+   *
+   * @memberof Bmp280virtualdevice
+   */
+  _measure() {
+    const temperature = Math.floor(this._control / 32);
+    const pressure = Math.floor(this._control / 4) % 8;
+    const humidity = this.hasHumidity ? this._controlHumidity % 8 : 0;
+    const results = [...skippedResults];
+    if (pressure > 0) {
+      results.splice(0, 3, ...raw20Bytes(this.rawPressure()));
+    }
+    if (temperature > 0) {
+      results.splice(3, 3, ...raw20Bytes(this.rawTemperature()));
+    }
+    if (humidity > 0) {
+      const adcH = this.rawHumidity();
+      results.splice(6, 2, Math.floor(adcH / 2 ** 8), adcH % 2 ** 8);
+    }
+    this._results = results;
+    // Forced mode returns to sleep mode once the measurement completes
+    this._control -= this._control % 4;
+    debug('_measure %o', this._results);
+  }
+
+  /**
+   * Read a register
+   *
+   * @param {number} register The register to read
+   * @returns {number} The register value
+   * @memberof Bmp280virtualdevice
+   */
+  readRegister(register) {
+    const calibrationEnd = registers.calibration + this._calibration.length;
+    if (register >= registers.calibration && register < calibrationEnd) {
+      return this._calibration.readUInt8(register - registers.calibration);
+    }
+    if (register >= registers.results && register < registers.results + 8) {
+      const offset = register - registers.results;
+      return offset < 6 || this.hasHumidity ? this._results[offset] : 0x00;
+    }
+    const humidityEnd = registers.humidityCalibration + compensation.humidityCalibrationLength;
+    if (this.hasHumidity && register >= registers.humidityCalibration && register < humidityEnd) {
+      return this._humidityCalibration.readUInt8(register - registers.humidityCalibration);
+    }
+    switch (register) {
+      case registers.humidityCalibrationH1:
+        return this.hasHumidity ? this._opts.humidityCalibration.h1 : 0x00;
+      case registers.chipid:
+        return this._opts.chipid;
+      case registers.controlHumidity:
+        return this.hasHumidity ? this._controlHumidity : 0x00;
+      case registers.control:
+        return this._control;
+      case registers.config:
+        return this._config;
+      default:
+        return 0x00;
+    }
+  }
+
+  /**
+   * Write a register
+   *
+   * @param {number} register The register to write
+   * @param {number} value The value to write
+   * @memberof Bmp280virtualdevice
+   */
+  writeRegister(register, value) {
+    switch (register) {
+      case registers.softreset:
+        if (value === 0xb6) {
+          this.reset();
+        }
+        break;
+      case registers.controlHumidity:
+        this._controlHumidity = value % 8;
+        break;
+      case registers.control:
+        this._control = value;
+        if (value % 4 === forcedMode) {
+          this._measure();
+        }
+        break;
+      case registers.config:
+        this._config = value;
+        break;
+      default:
+        debug('writeRegister. ignored register: %h', register);
+    }
+  }
+}
+
+module.exports = {
+  Bmp280virtualdevice,
+};
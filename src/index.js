@@ -0,0 +1,35 @@
+const bmp180sensor = require('./bmp180sensor');
+const { Bmp180manager } = require('./bmp180sensor.manager');
+const { Bmp085sensor } = require('./bmp085sensor');
+const { Bmp280sensor } = require('./bmp280sensor');
+const { Bme280sensor } = require('./bme280sensor');
+const { createSensor } = require('./sensorfactory');
+
+/**
+ * The integrations, each loaded on first use so requiring the driver does not load
+ * mqtt, the HTTP servers or the loggers, they can also be required directly, e.g.
+ * const { Mqttpublisher } = require('bmp180sensor/src/lib/mqttpublisher');
+ */
+/* eslint-disable global-require */
+const integrations = {
+  Metricsexporter: () => require('./lib/metricsexporter').Metricsexporter,
+  Sensorapi: () => require('./lib/sensorapi').Sensorapi,
+  Mqttpublisher: () => require('./lib/mqttpublisher').Mqttpublisher,
+  Datalogger: () => require('./lib/datalogger').Datalogger,
+  Recordingbus: () => require('./lib/recordingbus').Recordingbus,
+  Replaybus: () => require('./lib/replaybus').Replaybus,
+};
+/* eslint-enable global-require */
+
+module.exports = {
+  ...bmp180sensor,
+  Bmp180manager,
+  Bmp085sensor,
+  Bmp280sensor,
+  Bme280sensor,
+  createSensor,
+};
+
+Object.keys(integrations).forEach((name) => {
+  Object.defineProperty(module.exports, name, { enumerable: true, get: integrations[name] });
+});
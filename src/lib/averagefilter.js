@@ -0,0 +1,60 @@
+const _ = require('lodash');
+
+/**
+ * Moving average of the last window values
+ *
+ * @class Averagefilter
+ */
+class Averagefilter {
+  /**
+   *Creates an instance of Averagefilter.
+   * @param {number} window The number of values to average
+   * @throws Will throw if the window is invalid.
+   * @memberof Averagefilter
+   */
+  constructor(window) {
+    if (!Number.isInteger(window) || window < 1) {
+      throw new TypeError(`Invalid filter window ${window}`);
+    }
+    this._window = window;
+    this._values = [];
+  }
+
+  /**
+   * Combine the values in the window
+   *
+   * @returns {number}
+   * @memberof Averagefilter
+   */
+  _aggregate() {
+    return _.mean(this._values);
+  }
+
+  /**
+   * Add a value
+   *
+   * @param {number} value The new value
+   * @returns {number} The filtered value
+   * @memberof Averagefilter
+   */
+  update(value) {
+    this._values.push(value);
+    if (this._values.length > this._window) {
+      this._values.shift();
+    }
+    return this._aggregate();
+  }
+
+  /**
+   * Clear the filter history
+   *
+   * @memberof Averagefilter
+   */
+  reset() {
+    this._values = [];
+  }
+}
+
+module.exports = {
+  Averagefilter,
+};
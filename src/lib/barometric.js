@@ -0,0 +1,92 @@
+/**
+ * Barometric conversions using the international barometric formula from the
+ * BMP180 datasheet. All pressures are in Pascals and altitudes in metres.
+ *
+ * @module barometric
+ */
+
+/**
+ * Standard atmosphere pressure at sea level in Pascals
+ * @type {number}
+ */
+const standardSeaLevelPressure = 101325;
+
+const scaleHeight = 44330;
+const exponent = 5.255;
+
+/**
+ * Confirm a Valid pressure
+ *
+ * @param {*} pressure Validates the pressure is a positive number
+ * @param {string} name The parameter name used in the error
+ * @throws Will throw an error if invalid.
+ * @returns {number}
+ */
+const validatedPressure = (pressure, name = 'pressure') => {
+  if (!Number.isFinite(pressure) || pressure <= 0) {
+    throw new TypeError(`Invalid ${name} ${pressure}`);
+  }
+  return pressure;
+};
+
+/**
+ * Confirm a Valid altitude
+ *
+ * @param {*} altitude Validates the altitude is below the formula limit
+ * @throws Will throw an error if invalid.
+ * @returns {number}
+ */
+const validatedAltitude = (altitude) => {
+  if (!Number.isFinite(altitude) || altitude >= scaleHeight) {
+    throw new TypeError(`Invalid altitude ${altitude}`);
+  }
+  return altitude;
+};
+
+/**
+ * Altitude from pressure
+ *
+ * @param {number} pressure The measured pressure
+ * @param {number} [seaLevelPressure=101325] The sea-level reference pressure (QNH)
+ * @returns {number} Altitude in metres
+ */
+const altitude = (pressure, seaLevelPressure = standardSeaLevelPressure) => {
+  const ratio =
+    validatedPressure(pressure) / validatedPressure(seaLevelPressure, 'sea-level pressure');
+  return scaleHeight * (1 - ratio ** (1 / exponent));
+};
+
+/**
+ * Sea-level pressure from the pressure measured at a known altitude
+ *
+ * @param {number} pressure The measured station pressure
+ * @param {number} stationAltitude The altitude of the station in metres
+ * @returns {number} Sea-level pressure
+ */
+const seaLevelPressure = (pressure, stationAltitude) => {
+  return (
+    validatedPressure(pressure) / (1 - validatedAltitude(stationAltitude) / scaleHeight) ** exponent
+  );
+};
+
+/**
+ * Station pressure expected at a known altitude for a sea-level pressure
+ *
+ * @param {number} seaLevel The sea-level pressure (QNH)
+ * @param {number} stationAltitude The altitude of the station in metres
+ * @returns {number} Station pressure
+ */
+const stationPressure = (seaLevel, stationAltitude) => {
+  return (
+    validatedPressure(seaLevel, 'sea-level pressure') *
+    (1 - validatedAltitude(stationAltitude) / scaleHeight) ** exponent
+  );
+};
+
+module.exports = {
+  standardSeaLevelPressure,
+  altitude,
+  seaLevelPressure,
+  stationPressure,
+  validatedPressure,
+};
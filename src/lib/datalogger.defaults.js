@@ -0,0 +1,38 @@
+/**
+ * @typedef dataloggerDefaults
+ * @type {object}
+ * @property {string} directory=. The directory the files are written to, created if missing
+ * @property {string} basename=bmp180 The file name prefix, files are named <basename>-<YYYY-MM-DD>[.<n>].<format>
+ * @property {string} format=csv The file format, csv or ndjson
+ * @property {string[]} columns The sample values written, in order
+ * @property {number} interval=60000 The number of milliseconds between readings once started
+ * @property {object} rotate When to start a new file
+ * @property {boolean} rotate.daily=true Start a new file each UTC day
+ * @property {number} rotate.size=null Start a new file before one would exceed this many bytes, null for no limit
+ * @property {object} retention Which rotated files to keep
+ * @property {number} retention.files=null The number of files kept including the current file, null keeps every file
+ * @property {number} retention.days=null The number of days of files kept including today, null keeps every day
+ * @property {boolean} gzip=true Compress files once they are rotated
+ * @property {boolean} handleSignals=true Flush and close on SIGTERM while started
+ */
+const dataloggerDefaults = {
+  directory: '.',
+  basename: 'bmp180',
+  format: 'csv',
+  columns: ['timestamp', 'temperature', 'pressure'],
+  interval: 60000,
+  rotate: {
+    daily: true,
+    size: null,
+  },
+  retention: {
+    files: null,
+    days: null,
+  },
+  gzip: true,
+  handleSignals: true,
+};
+
+module.exports = {
+  dataloggerDefaults,
+};
@@ -0,0 +1,408 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const debug = require('debug')('Datalogger');
+const _ = require('lodash');
+
+const { dataloggerDefaults } = require('./datalogger.defaults');
+
+const appendFile = promisify(fs.appendFile);
+const mkdir = promisify(fs.mkdir);
+const readdir = promisify(fs.readdir);
+const stat = promisify(fs.stat);
+const unlink = promisify(fs.unlink);
+
+const formats = ['csv', 'ndjson'];
+const oneDay = 24 * 60 * 60 * 1000;
+
+/**
+ * The UTC day of a timestamp, e.g. 2020-04-30
+ *
+ * @param {Date|string|number} timestamp
+ * @returns {string}
+ */
+const dayOf = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+/**
+ * Format a CSV field, quoting it when needed
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const csvField = (value) => {
+  if (_.isNil(value)) {
+    return '';
+  }
+  const text = _.isDate(value) ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Compress a file to <file>.gz then remove it
+ *
+ * @param {string} file
+ * @returns {Promise}
+ */
+const gzipFile = (file) => {
+  return new Promise((resolve, reject) => {
+    pipeline(
+      fs.createReadStream(file),
+      zlib.createGzip(),
+      fs.createWriteStream(`${file}.gz`),
+      (err) => (err ? reject(err) : resolve())
+    );
+  }).then(() => unlink(file));
+};
+
+/**
+ * Writes timestamped samples to CSV or NDJSON files, rotating them by day and size,
+ * compressing rotated files and removing the oldest. Writes are queued so each is
+ * appended in order, and on startup it resumes appending to the current file
+ * without writing the CSV header again.
+ *
+ * Emits:
+ * rotate - with the previous and new file paths when a new file is started
+ * error - with the error from a failed reading, write, compression or removal
+ *
+ * @class Datalogger
+ * @extends {EventEmitter}
+ */
+class Datalogger extends EventEmitter {
+  /**
+   *Creates an instance of Datalogger.
+   * @param {object} [sensor] The sensor read by start(), providing read(), not needed when only write() is used
+   * @param {dataloggerDefaults} [options] The configuration options
+   * @throws Will throw if the sensor, format, columns, interval, rotation or retention is invalid.
+   * @memberof Datalogger
+   */
+  constructor(sensor, options) {
+    super();
+    if (!_.isNil(sensor) && !_.isFunction(sensor.read)) {
+      throw new TypeError(`Invalid sensor ${sensor}`);
+    }
+    this._opts = _.merge({}, dataloggerDefaults, options);
+    if (!_.isNil(_.get(options, 'columns'))) {
+      this._opts.columns = options.columns;
+    }
+    this._validatedOptions(this._opts);
+    this._sensor = sensor;
+    const pattern = `^${_.escapeRegExp(
+      this._opts.basename
+    )}-(\\d{4}-\\d{2}-\\d{2})(?:\\.(\\d+))?\\.${this._opts.format}(\\.gz)?$`;
+    this._pattern = new RegExp(pattern);
+    this._current = null;
+    this._queue = Promise.resolve();
+    this._running = false;
+    this._timer = null;
+    this._reading = Promise.resolve();
+    this._onSignal = null;
+    debug('Datalogger constructor. %o', this._opts);
+  }
+
+  /**
+   * Confirm Valid options
+   *
+   * @param {*} options Validates the format, columns, interval, rotation and retention
+   * @throws Will throw an error if invalid.
+   * @returns {object}
+   *
+   * @memberof Datalogger
+   */
+  _validatedOptions = (options) => {
+    const positive = (value) => _.isNil(value) || (Number.isInteger(value) && value > 0);
+    if (!formats.includes(options.format)) {
+      throw new TypeError(`Invalid format ${options.format}`);
+    }
+    if (!_.isArray(options.columns) || options.columns.length === 0) {
+      throw new TypeError(`Invalid columns ${options.columns}`);
+    }
+    if (!(Number.isInteger(options.interval) && options.interval > 0)) {
+      throw new TypeError(`Invalid interval ${options.interval}`);
+    }
+    if (!positive(options.rotate.size)) {
+      throw new TypeError(`Invalid rotate size ${options.rotate.size}`);
+    }
+    ['files', 'days'].forEach((name) => {
+      if (!positive(options.retention[name])) {
+        throw new TypeError(`Invalid retention ${name} ${options.retention[name]}`);
+      }
+    });
+    return options;
+  };
+
+  /**
+   * Get the path of the file being appended to, null until the first write
+   *
+   * @readonly
+   * @memberof Datalogger
+   */
+  get currentFile() {
+    return _.get(this._current, 'path', null);
+  }
+
+  /**
+   * Check if the sensor is being logged
+   *
+   * @readonly
+   * @memberof Datalogger
+   */
+  get isRunning() {
+    return this._running;
+  }
+
+  /**
+   * The path of a log file
+   *
+   * @param {string} date The UTC day
+   * @param {number} index The file number within the day
+   * @returns {string}
+   * @memberof Datalogger
+   */
+  _path(date, index) {
+    const { directory, basename, format } = this._opts;
+    const suffix = index === 0 ? '' : `.${index}`;
+    return path.join(directory, `${basename}-${date}${suffix}.${format}`);
+  }
+
+  /**
+   * The log files in the directory, oldest first
+   *
+   * @returns {Promise<object[]>} Returns a Promise resolved to the path, date, index and whether each file is compressed
+   * @memberof Datalogger
+   */
+  _files() {
+    return readdir(this._opts.directory).then((names) => {
+      const files = names
+        .map((name) => this._pattern.exec(name))
+        .filter((match) => !_.isNil(match))
+        .map(([name, date, index, gz]) => ({
+          path: path.join(this._opts.directory, name),
+          date,
+          index: _.isNil(index) ? 0 : Number(index),
+          gz: !_.isNil(gz),
+        }));
+      return _.sortBy(files, ['date', 'index', 'gz']);
+    });
+  }
+
+  /**
+   * Find the file to append to on the first write, resuming the newest uncompressed file
+   *
+   * @param {string} date The UTC day of the sample
+   * @returns {Promise}
+   * @memberof Datalogger
+   */
+  _resume(date) {
+    if (!_.isNil(this._current)) {
+      return Promise.resolve();
+    }
+    return mkdir(this._opts.directory, { recursive: true })
+      .then(() => this._files())
+      .then((files) => {
+        const latest = _.findLast(files, (file) => !file.gz);
+        if (_.isNil(latest)) {
+          this._current = { path: this._path(date, 0), date, index: 0, size: 0 };
+          return undefined;
+        }
+        return stat(latest.path).then(({ size }) => {
+          this._current = { ..._.omit(latest, 'gz'), size };
+          debug('_resume. %o', this._current);
+        });
+      });
+  }
+
+  /**
+   * Start a new file, then compress every other uncompressed file and apply retention
+   *
+   * @param {string} date The UTC day of the sample
+   * @returns {Promise}
+   * @memberof Datalogger
+   */
+  _rotate(date) {
+    const previous = this._current;
+    return this._files()
+      .then((files) => {
+        const indexes = files.filter((file) => file.date === date).map((file) => file.index);
+        const index = indexes.length === 0 ? 0 : _.max(indexes) + 1;
+        this._current = { path: this._path(date, index), date, index, size: 0 };
+        debug('_rotate. %s to %s', previous.path, this._current.path);
+        this.emit('rotate', previous.path, this._current.path);
+        return this._files();
+      })
+      .then((files) => {
+        if (!this._opts.gzip) {
+          return files;
+        }
+        const rotated = files.filter((file) => !file.gz && file.path !== this._current.path);
+        return Promise.all(rotated.map((file) => gzipFile(file.path))).then(() => this._files());
+      })
+      .then((files) => this._retain(files));
+  }
+
+  /**
+   * Remove files beyond the retention limits, never the current file
+   *
+   * @param {object[]} files The log files, oldest first
+   * @returns {Promise}
+   * @memberof Datalogger
+   */
+  _retain(files) {
+    const { files: keepFiles, days } = this._opts.retention;
+    const oldestDay = _.isNil(days)
+      ? null
+      : dayOf(new Date(`${this._current.date}T00:00:00Z`).getTime() - (days - 1) * oneDay);
+    // The current file counts towards the limit even before its first line is written
+    const all = _.some(files, { path: this._current.path }) ? files : [...files, this._current];
+    const kept = _.isNil(keepFiles) ? all : all.slice(-keepFiles);
+    const expired = files.filter(
+      (file) =>
+        file.path !== this._current.path &&
+        (!kept.includes(file) || (!_.isNil(oldestDay) && file.date < oldestDay))
+    );
+    debug('_retain. removing %o', expired);
+    return Promise.all(expired.map((file) => unlink(file.path)));
+  }
+
+  /**
+   * The line for a sample
+   *
+   * @param {object} sample
+   * @returns {string}
+   * @memberof Datalogger
+   */
+  _line(sample) {
+    const values = this._opts.columns.map((column) => {
+      const value = _.get(sample, column);
+      return column === 'timestamp' ? new Date(value).toISOString() : value;
+    });
+    if (this._opts.format === 'ndjson') {
+      return `${JSON.stringify(_.zipObject(this._opts.columns, values))}\n`;
+    }
+    return `${values.map(csvField).join(',')}\n`;
+  }
+
+  /**
+   * Append a sample to the current file, rotating first if needed
+   *
+   * @param {object} sample
+   * @returns {Promise}
+   * @memberof Datalogger
+   */
+  _append(sample) {
+    const line = this._line(sample);
+    const date = dayOf(sample.timestamp);
+    return this._resume(date)
+      .then(() => {
+        const { daily, size } = this._opts.rotate;
+        const current = this._current;
+        const full =
+          !_.isNil(size) && current.size > 0 && current.size + Buffer.byteLength(line) > size;
+        return (daily && current.date !== date) || full ? this._rotate(date) : undefined;
+      })
+      .then(() => {
+        const header =
+          this._opts.format === 'csv' && this._current.size === 0
+            ? `${this._opts.columns.map(csvField).join(',')}\n`
+            : '';
+        const text = `${header}${line}`;
+        return appendFile(this._current.path, text).then(() => {
+          this._current.size += Buffer.byteLength(text);
+        });
+      });
+  }
+
+  /**
+   * Queue a sample to be written, samples are written in the order they are queued
+   *
+   * @param {object} sample The Sample, or any object with a timestamp and the configured columns
+   * @returns {Promise} Returns a Promise that will be resolved once the sample is written
+   * @memberof Datalogger
+   */
+  write(sample) {
+    if (_.isNil(sample) || Number.isNaN(new Date(_.get(sample, 'timestamp')).getTime())) {
+      return Promise.reject(new TypeError(`Invalid sample ${sample}`));
+    }
+    const written = this._queue.then(() => this._append(sample));
+    this._queue = written.catch(() => undefined);
+    return written;
+  }
+
+  /**
+   * Read the sensor and write a sample every interval, the schedule is corrected for
+   * the time each takes. Errors are emitted on the next tick, outside of the reading
+   * close() waits for, so a missing or throwing listener cannot stop the schedule.
+   *
+   * @memberof Datalogger
+   */
+  _schedule() {
+    const started = Date.now();
+    this._reading = Promise.resolve()
+      .then(() => this._sensor.read())
+      .then((sample) => this.write(sample))
+      .catch((err) => {
+        process.nextTick(() => this.emit('error', err));
+      })
+      .then(() => {
+        if (this._running) {
+          const wait = Math.max(this._opts.interval - (Date.now() - started), 0);
+          this._timer = setTimeout(() => this._schedule(), wait);
+        }
+      });
+  }
+
+  /**
+   * Start logging the sensor every interval, and close on SIGTERM when handleSignals is set
+   *
+   * @returns {Datalogger} This logger, to allow chaining
+   * @throws Will throw if there is no sensor.
+   * @memberof Datalogger
+   */
+  start() {
+    if (_.isNil(this._sensor)) {
+      throw new TypeError('Invalid sensor undefined, a sensor is needed to start');
+    }
+    if (this._running) {
+      return this;
+    }
+    debug('start');
+    this._running = true;
+    if (this._opts.handleSignals) {
+      this._onSignal = () => {
+        this._onSignal = null;
+        // Raise SIGTERM again once flushed, unless something else is handling it
+        this.close().then(() => {
+          if (process.listenerCount('SIGTERM') === 0) {
+            process.kill(process.pid, 'SIGTERM');
+          }
+        });
+      };
+      process.once('SIGTERM', this._onSignal);
+    }
+    this._schedule();
+    return this;
+  }
+
+  /**
+   * Stop logging and wait for every queued sample to be written
+   *
+   * @returns {Promise<boolean>} Returns a Promise that will be resolved to true once flushed
+   * @memberof Datalogger
+   */
+  close() {
+    debug('close');
+    this._running = false;
+    clearTimeout(this._timer);
+    if (!_.isNil(this._onSignal)) {
+      process.removeListener('SIGTERM', this._onSignal);
+      this._onSignal = null;
+    }
+    return this._reading.then(() => this._queue).then(() => true);
+  }
+}
+
+module.exports = {
+  Datalogger,
+};
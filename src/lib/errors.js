@@ -0,0 +1,330 @@
+/* eslint-disable max-classes-per-file */
+/**
+ * Sensor error classes, each with a stable code property
+ *
+ * @module errors
+ */
+
+/**
+ * Format a number as hex for error messages
+ *
+ * @param {number} value The value
+ * @returns {string}
+ */
+const hex = (value) => (Number.isInteger(value) ? `0x${value.toString(16)}` : `${value}`);
+
+/**
+ * Describe a register location for error messages
+ *
+ * @param {number} address The I2C address
+ * @param {number} register The command/register
+ * @returns {string}
+ */
+const location = (address, register) => `address ${hex(address)} register ${hex(register)}`;
+
+/**
+ * Base class for all sensor errors
+ *
+ * @class SensorError
+ * @extends {Error}
+ */
+class SensorError extends Error {
+  /**
+   *Creates an instance of SensorError.
+   * @param {string} message The error message
+   * @param {string} code The stable error code
+   * @memberof SensorError
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * The chip id register did not contain the expected value
+ *
+ * @class ChipIdMismatchError
+ * @extends {SensorError}
+ */
+class ChipIdMismatchError extends SensorError {
+  /**
+   *Creates an instance of ChipIdMismatchError.
+   * @param {string} name The sensor name, e.g. BMP180
+   * @param {number} expected The expected chip id
+   * @param {number} actual The chip id read
+   * @memberof ChipIdMismatchError
+   */
+  constructor(name, expected, actual) {
+    super(
+      `Expected ${name} chip_id to be ${hex(expected)}, got chip id ${hex(actual)}.`,
+      'ECHIPID'
+    );
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * The chip id read is not one of the supported parts
+ *
+ * @class UnsupportedChipError
+ * @extends {SensorError}
+ */
+class UnsupportedChipError extends SensorError {
+  /**
+   *Creates an instance of UnsupportedChipError.
+   * @param {number} address The I2C address
+   * @param {number} chipid The chip id read
+   * @memberof UnsupportedChipError
+   */
+  constructor(address, chipid) {
+    super(`Unsupported chip id ${hex(chipid)} at address ${hex(address)}`, 'EUNSUPPORTEDCHIP');
+    this.address = address;
+    this.chipid = chipid;
+  }
+}
+
+/**
+ * Compensation was attempted before calibration coefficients were available
+ *
+ * @class NotCalibratedError
+ * @extends {SensorError}
+ */
+class NotCalibratedError extends SensorError {
+  /**
+   *Creates an instance of NotCalibratedError.
+   * @memberof NotCalibratedError
+   */
+  constructor() {
+    super('calibrationdata is invalid, call calibrate() or initialize() first', 'ENOTCALIBRATED');
+  }
+}
+
+/**
+ * The calibration coefficients read or loaded are invalid
+ *
+ * @class CalibrationInvalidError
+ * @extends {SensorError}
+ */
+class CalibrationInvalidError extends SensorError {
+  /**
+   *Creates an instance of CalibrationInvalidError.
+   * @param {string} message The error message
+   * @param {string} [coefficient] The name of the invalid coefficient
+   * @param {*} [value] The invalid value
+   * @memberof CalibrationInvalidError
+   */
+  constructor(message, coefficient, value) {
+    super(message, 'ECALIBRATION');
+    this.coefficient = coefficient;
+    this.value = value;
+  }
+}
+
+/**
+ * An I2C transfer failed after all retries
+ *
+ * @class I2cTransferError
+ * @extends {SensorError}
+ */
+class I2cTransferError extends SensorError {
+  /**
+   *Creates an instance of I2cTransferError.
+   * @param {string} operation The transfer, e.g. readI2cBlock
+   * @param {number} address The I2C address
+   * @param {number} register The command/register
+   * @param {number} attempts The number of attempts made
+   * @param {Error} [cause] The error from the last attempt
+   * @memberof I2cTransferError
+   */
+  constructor(operation, address, register, attempts, cause) {
+    const reason = cause ? `: ${cause.message}` : '';
+    super(
+      `${operation} failed at ${location(address, register)} after ${attempts} attempt(s)${reason}`,
+      'EI2CTRANSFER'
+    );
+    this.operation = operation;
+    this.address = address;
+    this.register = register;
+    this.attempts = attempts;
+    this.errno = cause && Number.isInteger(cause.errno) ? cause.errno : null;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Fewer bytes were returned than requested
+ *
+ * @class ShortReadError
+ * @extends {SensorError}
+ */
+class ShortReadError extends SensorError {
+  /**
+   *Creates an instance of ShortReadError.
+   * @param {number} address The I2C address
+   * @param {number} register The command/register
+   * @param {number} expected The number of bytes requested
+   * @param {number} actual The number of bytes read
+   * @memberof ShortReadError
+   */
+  constructor(address, register, expected, actual) {
+    super(
+      `Short read at ${location(address, register)}, expected ${expected} bytes got ${actual}`,
+      'ESHORTREAD'
+    );
+    this.address = address;
+    this.register = register;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Too many callers were already waiting for a lock
+ *
+ * @class LockQueueFullError
+ * @extends {SensorError}
+ */
+class LockQueueFullError extends SensorError {
+  /**
+   *Creates an instance of LockQueueFullError.
+   * @param {string} lock The lock name
+   * @param {number} maxQueue The queue depth limit
+   * @memberof LockQueueFullError
+   */
+  constructor(lock, maxQueue) {
+    super(`Too many waiting for the ${lock} lock, the limit is ${maxQueue}`, 'ELOCKQUEUE');
+    this.lock = lock;
+    this.maxQueue = maxQueue;
+  }
+}
+
+/**
+ * Timed out waiting for a lock
+ *
+ * @class LockTimeoutError
+ * @extends {SensorError}
+ */
+class LockTimeoutError extends SensorError {
+  /**
+   *Creates an instance of LockTimeoutError.
+   * @param {string} lock The lock name
+   * @param {number} timeout The number of milliseconds waited
+   * @memberof LockTimeoutError
+   */
+  constructor(lock, timeout) {
+    super(`Timed out after ${timeout} ms waiting for the ${lock} lock`, 'ELOCKTIMEOUT');
+    this.lock = lock;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Timed out waiting for a conversion to complete
+ *
+ * @class ConversionTimeoutError
+ * @extends {SensorError}
+ */
+class ConversionTimeoutError extends SensorError {
+  /**
+   *Creates an instance of ConversionTimeoutError.
+   * @param {number} address The I2C address
+   * @param {number} timeout The number of milliseconds waited
+   * @memberof ConversionTimeoutError
+   */
+  constructor(address, timeout) {
+    super(
+      `Timed out after ${timeout} ms waiting for the conversion at address ${hex(address)}`,
+      'ECONVERSIONTIMEOUT'
+    );
+    this.address = address;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * A replayed bus was asked for a transfer that differs from the recording
+ *
+ * @class ReplayMismatchError
+ * @extends {SensorError}
+ */
+class ReplayMismatchError extends SensorError {
+  /**
+   *Creates an instance of ReplayMismatchError.
+   * @param {number} record The sequence number of the recorded transfer, null once the recording is exhausted
+   * @param {string} expected The recorded transfer
+   * @param {string} actual The transfer issued
+   * @memberof ReplayMismatchError
+   */
+  constructor(record, expected, actual) {
+    const at = record === null ? 'the end of the recording' : `record ${record}`;
+    super(`Replay mismatch at ${at}, expected ${expected} got ${actual}`, 'EREPLAYMISMATCH');
+    this.record = record;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * A reading was outside the physical limits of the sensor
+ *
+ * @class ImplausibleReadingError
+ * @extends {SensorError}
+ */
+class ImplausibleReadingError extends SensorError {
+  /**
+   *Creates an instance of ImplausibleReadingError.
+   * @param {string} quantity The quantity read, temperature or pressure
+   * @param {number} value The value read, in Celsius or Pascals
+   * @param {number} min The lowest plausible value
+   * @param {number} max The highest plausible value
+   * @memberof ImplausibleReadingError
+   */
+  constructor(quantity, value, min, max) {
+    super(`Implausible ${quantity} ${value}, expected ${min} to ${max}`, 'EIMPLAUSIBLE');
+    this.quantity = quantity;
+    this.value = value;
+    this.min = min;
+    this.max = max;
+  }
+}
+
+/**
+ * The raw values have not changed for too many readings
+ *
+ * @class StuckSensorError
+ * @extends {SensorError}
+ */
+class StuckSensorError extends SensorError {
+  /**
+   *Creates an instance of StuckSensorError.
+   * @param {number} reads The number of readings with identical raw values
+   * @param {number} ut The uncompensated temperature read
+   * @param {number} up The uncompensated pressure read
+   * @memberof StuckSensorError
+   */
+  constructor(reads, ut, up) {
+    super(`Stuck sensor, ut ${ut} and up ${up} unchanged for ${reads} readings`, 'ESTUCK');
+    this.reads = reads;
+    this.ut = ut;
+    this.up = up;
+  }
+}
+
+module.exports = {
+  SensorError,
+  ChipIdMismatchError,
+  UnsupportedChipError,
+  NotCalibratedError,
+  CalibrationInvalidError,
+  I2cTransferError,
+  ShortReadError,
+  LockQueueFullError,
+  LockTimeoutError,
+  ConversionTimeoutError,
+  ReplayMismatchError,
+  ImplausibleReadingError,
+  StuckSensorError,
+};
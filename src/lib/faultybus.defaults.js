@@ -0,0 +1,38 @@
+/**
+ * @typedef faultybusDefaults
+ * @type {object}
+ * @property {object} probability The chance of each fault on every transfer, from 0 to 1, checked in order and at most one fault per transfer
+ * @property {number} probability.eio=0 Reject with EIO
+ * @property {number} probability.eremoteio=0 Reject with EREMOTEIO, as when the device does not acknowledge
+ * @property {number} probability.latency=0 Delay the transfer by latency
+ * @property {number} probability.shortRead=0 Return one byte fewer than requested from a block read
+ * @property {number} probability.corrupt=0 Change one byte read
+ * @property {number} probability.stuck=0 Make the bus stuck
+ * @property {Array<string|object>} schedule=[] Scripted faults injected before any chosen by probability, each a fault name or { fault, count, op, address, register } applied to the next count matching transfers
+ * @property {number} latency=10 The number of milliseconds added by a latency fault
+ * @property {object} stuck A stuck bus rejects every transfer with ETIMEDOUT until released
+ * @property {number} stuck.timeout=1000 The number of milliseconds each transfer waits before timing out
+ * @property {number} stuck.transfers=Infinity The number of transfers that time out before the bus recovers by itself
+ * @property {function} random=Math.random The random number source, replace it for repeatable runs
+ */
+const faultybusDefaults = {
+  probability: {
+    eio: 0,
+    eremoteio: 0,
+    latency: 0,
+    shortRead: 0,
+    corrupt: 0,
+    stuck: 0,
+  },
+  schedule: [],
+  latency: 10,
+  stuck: {
+    timeout: 1000,
+    transfers: Infinity,
+  },
+  random: Math.random,
+};
+
+module.exports = {
+  faultybusDefaults,
+};
@@ -0,0 +1,376 @@
+const debug = require('debug')('Faultybus');
+const delay = require('delay');
+const _ = require('lodash');
+
+const { remoteIoError } = require('./virtualbus');
+const { faultybusDefaults } = require('./faultybus.defaults');
+
+const transferOps = ['readByte', 'writeByte', 'readI2cBlock', 'writeI2cBlock'];
+
+// The transfers each fault can be injected into, in the order probabilities are checked
+const faultOps = {
+  eio: transferOps,
+  eremoteio: transferOps,
+  latency: transferOps,
+  shortRead: ['readI2cBlock'],
+  corrupt: ['readByte', 'readI2cBlock'],
+  stuck: transferOps,
+};
+
+const faults = Object.keys(faultOps);
+
+/**
+ * Create an error matching the one i2c-bus returns for a failed transfer
+ *
+ * @param {string} code The error code, e.g. EIO
+ * @param {number} errno The error number
+ * @param {string} description The error description
+ * @param {number} address The I2C address
+ * @returns {Error}
+ */
+const transferError = (code, errno, description, address) => {
+  const err = new Error(`${code}, ${description} (address 0x${address.toString(16)})`);
+  err.code = code;
+  err.errno = errno;
+  return err;
+};
+
+/**
+ * Wraps an i2c-bus PromisifiedBus or Virtualbus, injecting faults into its transfers
+ * by probability or on a scripted schedule, to exercise retry and recovery paths.
+ *
+ * Faults:
+ * eio - the transfer is rejected with EIO
+ * eremoteio - the transfer is rejected with EREMOTEIO, as when the device does not acknowledge
+ * latency - the transfer is delayed
+ * shortRead - a block read returns one byte fewer than requested
+ * corrupt - one byte read is changed
+ * stuck - the bus is stuck, every transfer times out with ETIMEDOUT until it is released
+ *
+ * @class Faultybus
+ */
+class Faultybus {
+  /**
+   *Creates an instance of Faultybus.
+   * @param {object} bus The bus to wrap, an i2c-bus Bus or PromisifiedBus or a Virtualbus
+   * @param {faultybusDefaults} [options] The configuration options
+   * @throws Will throw if the bus, a probability or a scheduled fault is invalid.
+   * @memberof Faultybus
+   */
+  constructor(bus, options) {
+    if (_.isNil(bus) || !_.isFunction(bus.promisifiedBus)) {
+      throw new TypeError('Invalid bus it must be an i2c-bus.Bus or a Virtualbus');
+    }
+    this._bus = bus.promisifiedBus();
+    this._opts = _.merge({}, faultybusDefaults, _.omit(options, 'schedule'));
+    this._validatedProbability(this._opts.probability);
+    this._schedule = [];
+    _.get(options, 'schedule', []).forEach((entry) => this.inject(entry));
+    this._stuckRemaining = 0;
+    this._stats = _.zipObject(['transfers', ...faults], _.times(faults.length + 1, _.constant(0)));
+    debug('Faultybus constructor. %o', this._opts);
+  }
+
+  /**
+   * Confirm Valid fault probabilities
+   *
+   * @param {*} probability Validates each probability is from 0 to 1
+   * @throws Will throw an error if invalid.
+   * @returns {object}
+   *
+   * @memberof Faultybus
+   */
+  _validatedProbability = (probability) => {
+    _.forEach(probability, (value, fault) => {
+      if (!faults.includes(fault)) {
+        throw new TypeError(`Invalid fault ${fault}`);
+      }
+      if (!(Number.isFinite(value) && value >= 0 && value <= 1)) {
+        throw new TypeError(`Invalid probability ${fault} ${value}`);
+      }
+    });
+    return probability;
+  };
+
+  /**
+   * Get the number reported by the wrapped bus
+   *
+   * @readonly
+   * @memberof Faultybus
+   */
+  get busnumber() {
+    return _.get(this._bus, 'busnumber', null);
+  }
+
+  /**
+   * Get the number of transfers and the number of each fault injected
+   *
+   * @readonly
+   * @memberof Faultybus
+   */
+  get stats() {
+    return { ...this._stats };
+  }
+
+  /**
+   * Check if the bus is stuck
+   *
+   * @readonly
+   * @memberof Faultybus
+   */
+  get isStuck() {
+    return this._stuckRemaining > 0;
+  }
+
+  /**
+   * Mirrors i2c-bus Bus.promisifiedBus(), this bus is already promise based
+   *
+   * @returns {Faultybus}
+   * @memberof Faultybus
+   */
+  promisifiedBus() {
+    return this;
+  }
+
+  /**
+   * Mirrors i2c-bus PromisifiedBus.bus()
+   *
+   * @returns {Faultybus}
+   * @memberof Faultybus
+   */
+  bus() {
+    return this;
+  }
+
+  /**
+   * Schedule a fault for the next matching transfers, after those already scheduled
+   *
+   * @param {string|object} entry The fault name, or { fault, count, op, address, register }
+   * @param {string} entry.fault The fault to inject
+   * @param {number} [entry.count=1] The number of matching transfers to inject it into
+   * @param {string} [entry.op] Only inject into this transfer, e.g. readI2cBlock
+   * @param {number} [entry.address] Only inject into transfers to this address
+   * @param {number} [entry.register] Only inject into transfers to this command/register
+   * @returns {Faultybus} This bus, to allow chaining
+   * @throws Will throw if the fault, count or op is invalid.
+   * @memberof Faultybus
+   */
+  inject(entry) {
+    const scheduled = { count: 1, ...(_.isString(entry) ? { fault: entry } : entry) };
+    if (!faults.includes(scheduled.fault)) {
+      throw new TypeError(`Invalid fault ${scheduled.fault}`);
+    }
+    if (
+      !(scheduled.count === Infinity || (Number.isInteger(scheduled.count) && scheduled.count > 0))
+    ) {
+      throw new TypeError(`Invalid count ${scheduled.count}`);
+    }
+    if (!_.isNil(scheduled.op) && !faultOps[scheduled.fault].includes(scheduled.op)) {
+      throw new TypeError(`Invalid op ${scheduled.op} for ${scheduled.fault}`);
+    }
+    this._schedule.push(scheduled);
+    return this;
+  }
+
+  /**
+   * Release a stuck bus
+   *
+   * @returns {boolean} True if the bus was stuck
+   * @memberof Faultybus
+   */
+  release() {
+    const wasStuck = this.isStuck;
+    this._stuckRemaining = 0;
+    return wasStuck;
+  }
+
+  /**
+   * Choose the fault for a transfer, the stuck bus first, then the schedule, then by probability
+   *
+   * @param {object} call The op, address and register of the transfer
+   * @returns {string|null}
+   * @memberof Faultybus
+   */
+  _choose(call) {
+    if (this.isStuck) {
+      return 'stuck';
+    }
+    const index = this._schedule.findIndex(
+      (entry) =>
+        faultOps[entry.fault].includes(call.op) &&
+        _.every(
+          ['op', 'address', 'register'],
+          (key) => _.isNil(entry[key]) || entry[key] === call[key]
+        )
+    );
+    if (index >= 0) {
+      const entry = this._schedule[index];
+      entry.count -= 1;
+      if (entry.count === 0) {
+        this._schedule.splice(index, 1);
+      }
+      return entry.fault;
+    }
+    const { probability, random } = this._opts;
+    const chosen = faults.find(
+      (fault) =>
+        faultOps[fault].includes(call.op) &&
+        _.get(probability, fault, 0) > 0 &&
+        random() < probability[fault]
+    );
+    return _.isNil(chosen) ? null : chosen;
+  }
+
+  /**
+   * Change a byte to a different random value
+   *
+   * @param {number} value The byte
+   * @returns {number}
+   * @memberof Faultybus
+   */
+  _corruptByte(value) {
+    return (value + 1 + Math.floor(this._opts.random() * 255)) % 256;
+  }
+
+  /**
+   * Run a transfer on the wrapped bus, injecting any fault chosen for it
+   *
+   * @param {object} call The op, address and register of the transfer
+   * @param {function} transfer Returns a Promise for the transfer
+   * @returns {Promise}
+   * @memberof Faultybus
+   */
+  _run(call, transfer) {
+    this._stats.transfers += 1;
+    const fault = this._choose(call);
+    if (_.isNil(fault)) {
+      return transfer();
+    }
+    this._stats[fault] += 1;
+    debug('_run. %s %s address: %h register: %h', fault, call.op, call.address, call.register);
+    switch (fault) {
+      case 'eio':
+        return delay(0).then(() => {
+          throw transferError('EIO', 5, 'Input/output error', call.address);
+        });
+      case 'eremoteio':
+        return delay(0).then(() => {
+          throw remoteIoError(call.address);
+        });
+      case 'latency':
+        return delay(this._opts.latency).then(() => transfer());
+      case 'stuck':
+        if (!this.isStuck) {
+          this._stuckRemaining = this._opts.stuck.transfers;
+        }
+        this._stuckRemaining -= 1;
+        return delay(this._opts.stuck.timeout).then(() => {
+          throw transferError('ETIMEDOUT', 110, 'Connection timed out', call.address);
+        });
+      case 'shortRead':
+        return transfer().then((response) => ({
+          ...response,
+          bytesRead: Math.max(response.bytesRead - 1, 0),
+        }));
+      default:
+        return transfer().then((response) => {
+          if (call.op === 'readByte') {
+            return this._corruptByte(response);
+          }
+          if (response.bytesRead > 0) {
+            const index = Math.floor(this._opts.random() * response.bytesRead);
+            response.buffer.writeUInt8(this._corruptByte(response.buffer[index]), index);
+          }
+          return response;
+        });
+    }
+  }
+
+  /**
+   * Read a byte from a device register
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The command/register to read from
+   * @returns {Promise<number>}
+   * @memberof Faultybus
+   */
+  readByte(address, command) {
+    return this._run({ op: 'readByte', address, register: command }, () =>
+      this._bus.readByte(address, command)
+    );
+  }
+
+  /**
+   * Write a byte to a device register
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The command/register to write to
+   * @param {number} byte The value to write
+   * @returns {Promise}
+   * @memberof Faultybus
+   */
+  writeByte(address, command, byte) {
+    return this._run({ op: 'writeByte', address, register: command }, () =>
+      this._bus.writeByte(address, command, byte)
+    );
+  }
+
+  /**
+   * Read a block of consecutive registers
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The first command/register to read from
+   * @param {number} length The number of bytes to read
+   * @param {Buffer} buffer The buffer to read into
+   * @returns {Promise<{bytesRead: number, buffer: Buffer}>}
+   * @memberof Faultybus
+   */
+  readI2cBlock(address, command, length, buffer) {
+    return this._run({ op: 'readI2cBlock', address, register: command }, () =>
+      this._bus.readI2cBlock(address, command, length, buffer)
+    );
+  }
+
+  /**
+   * Write a block of consecutive registers
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The first command/register to write to
+   * @param {number} length The number of bytes to write
+   * @param {Buffer} buffer The buffer to write
+   * @returns {Promise<{bytesWritten: number, buffer: Buffer}>}
+   * @memberof Faultybus
+   */
+  writeI2cBlock(address, command, length, buffer) {
+    return this._run({ op: 'writeI2cBlock', address, register: command }, () =>
+      this._bus.writeI2cBlock(address, command, length, buffer)
+    );
+  }
+
+  /**
+   * Scan the wrapped bus for devices, scans are never faulted
+   *
+   * @param {number} [startAddr=0x03] The first address to scan
+   * @param {number} [endAddr=0x77] The last address to scan
+   * @returns {Promise<number[]>}
+   * @memberof Faultybus
+   */
+  scan(startAddr = 0x03, endAddr = 0x77) {
+    return this._bus.scan(startAddr, endAddr);
+  }
+
+  /**
+   * Close the wrapped bus
+   *
+   * @returns {Promise}
+   * @memberof Faultybus
+   */
+  close() {
+    debug('close');
+    return this._bus.close();
+  }
+}
+
+module.exports = {
+  Faultybus,
+};
@@ -0,0 +1,89 @@
+const _ = require('lodash');
+
+const { Averagefilter } = require('./averagefilter');
+const { Medianfilter } = require('./medianfilter');
+const { Iirfilter } = require('./iirfilter');
+
+/**
+ * Create a filter from its configuration
+ *
+ * @param {object} spec The filter configuration
+ * @param {string} spec.type One of average, median or iir
+ * @param {number} [spec.window] The window for average and median
+ * @param {number} [spec.coefficient] The coefficient for iir
+ * @throws Will throw an error if invalid.
+ * @returns {Averagefilter|Medianfilter|Iirfilter}
+ */
+const createFilter = (spec) => {
+  switch (_.get(spec, 'type')) {
+    case 'average':
+      return new Averagefilter(spec.window);
+    case 'median':
+      return new Medianfilter(spec.window);
+    case 'iir':
+      return new Iirfilter(spec.coefficient);
+    default:
+      throw new TypeError(`Invalid filter type ${_.get(spec, 'type')}`);
+  }
+};
+
+/**
+ * Chain of filters applied in order to temperature and pressure
+ *
+ * @class Filterchain
+ */
+class Filterchain {
+  /**
+   *Creates an instance of Filterchain.
+   * @param {object[]} [specs=[]] The filter configurations, applied in order
+   * @throws Will throw if a filter configuration is invalid.
+   * @memberof Filterchain
+   */
+  constructor(specs = []) {
+    if (!Array.isArray(specs)) {
+      throw new TypeError(`Invalid filter chain ${specs}`);
+    }
+    this._specs = specs;
+    this._temperature = specs.map(createFilter);
+    this._pressure = specs.map(createFilter);
+  }
+
+  /**
+   * Get the filter configurations
+   *
+   * @readonly
+   * @memberof Filterchain
+   */
+  get specs() {
+    return this._specs;
+  }
+
+  /**
+   * Add a reading
+   *
+   * @param {{temperature: number, pressure: number}} values The new values
+   * @returns {{temperature: number, pressure: number}} The filtered values
+   * @memberof Filterchain
+   */
+  update({ temperature, pressure }) {
+    return {
+      temperature: this._temperature.reduce((value, filter) => filter.update(value), temperature),
+      pressure: this._pressure.reduce((value, filter) => filter.update(value), pressure),
+    };
+  }
+
+  /**
+   * Clear the history of every filter
+   *
+   * @memberof Filterchain
+   */
+  reset() {
+    this._temperature.forEach((filter) => filter.reset());
+    this._pressure.forEach((filter) => filter.reset());
+  }
+}
+
+module.exports = {
+  Filterchain,
+  createFilter,
+};
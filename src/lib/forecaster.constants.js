@@ -0,0 +1,61 @@
+// Zambretti forecasts, letters A to Z
+const zambrettiForecasts = [
+  'Settled fine',
+  'Fine weather',
+  'Becoming fine',
+  'Fine, becoming less settled',
+  'Fine, possible showers',
+  'Fairly fine, improving',
+  'Fairly fine, possible showers early',
+  'Fairly fine, showery later',
+  'Showery early, improving',
+  'Changeable, mending',
+  'Fairly fine, showers likely',
+  'Rather unsettled clearing later',
+  'Unsettled, probably improving',
+  'Showery, bright intervals',
+  'Showery, becoming less settled',
+  'Changeable, some rain',
+  'Unsettled, short fine intervals',
+  'Unsettled, rain later',
+  'Unsettled, some rain',
+  'Mostly very unsettled',
+  'Occasional rain, worsening',
+  'Rain at times, very unsettled',
+  'Rain at frequent intervals',
+  'Rain, very unsettled',
+  'Stormy, may improve',
+  'Stormy, much rain',
+];
+
+// Forecast index for each of the 22 pressure bands, lowest pressure first
+const zambrettiOptions = {
+  rising: [25, 25, 25, 24, 24, 19, 16, 12, 11, 9, 8, 6, 5, 2, 1, 1, 0, 0, 0, 0, 0, 0],
+  steady: [25, 25, 25, 25, 25, 25, 23, 23, 22, 18, 15, 13, 10, 4, 1, 1, 0, 0, 0, 0, 0, 0],
+  falling: [25, 25, 25, 25, 25, 25, 25, 25, 23, 23, 21, 20, 17, 14, 7, 3, 1, 1, 1, 0, 0, 0],
+};
+
+// Sea-level pressure range of the Zambretti dial in hPa
+const zambrettiRange = {
+  bottom: 950,
+  top: 1050,
+};
+
+// WMO pressure tendency bands, largest 3 hour change in hPa (to 0.1 hPa) and descriptor
+const tendencyBands = [
+  { max: 0, adverb: null },
+  { max: 1.5, adverb: 'slowly' },
+  { max: 3.5, adverb: '' },
+  { max: 6, adverb: 'quickly' },
+  { max: Infinity, adverb: 'very rapidly' },
+];
+
+const threeHours = 3 * 60 * 60 * 1000;
+
+module.exports = {
+  zambrettiForecasts: Object.freeze(zambrettiForecasts),
+  zambrettiOptions: Object.freeze(zambrettiOptions),
+  zambrettiRange: Object.freeze(zambrettiRange),
+  tendencyBands: Object.freeze(tendencyBands),
+  threeHours,
+};
@@ -0,0 +1,22 @@
+/**
+ * @typedef forecasterDefaults
+ * @type {object}
+ * @property {number} altitude=0 The station altitude in metres, used to reduce pressure to sea level
+ * @property {string} hemisphere=north The hemisphere, north or south
+ * @property {string} season=null The season, summer or winter, defaults to the season of the latest sample
+ * @property {number} maxAge=14400000 The number of milliseconds of history kept, 4 hours
+ * @property {number} resolution=60000 The minimum number of milliseconds between history entries
+ * @property {number} minSpan=3600000 The minimum number of milliseconds of history before a tendency is reported, 1 hour
+ */
+const forecasterDefaults = {
+  altitude: 0,
+  hemisphere: 'north',
+  season: null,
+  maxAge: 4 * 60 * 60 * 1000,
+  resolution: 60 * 1000,
+  minSpan: 60 * 60 * 1000,
+};
+
+module.exports = {
+  forecasterDefaults,
+};
@@ -0,0 +1,291 @@
+const debug = require('debug')('Forecaster');
+const _ = require('lodash');
+
+const barometric = require('./barometric');
+const units = require('./units');
+const { forecasterDefaults } = require('./forecaster.defaults');
+const {
+  zambrettiForecasts,
+  zambrettiOptions,
+  zambrettiRange,
+  tendencyBands,
+  threeHours,
+} = require('./forecaster.constants');
+
+const hemispheres = ['north', 'south'];
+const seasons = ['summer', 'winter'];
+
+/**
+ * Confirm a Valid option from a list
+ *
+ * @param {*} value Validates the value is one of the allowed values
+ * @param {string[]} allowed The allowed values
+ * @param {string} name The option name used in the error
+ * @throws Will throw an error if invalid.
+ * @returns {string}
+ */
+const validatedChoice = (value, allowed, name) => {
+  if (!allowed.includes(value)) {
+    throw new TypeError(`Invalid ${name} ${value}`);
+  }
+  return value;
+};
+
+/**
+ * Short-term weather forecast from the sea-level pressure tendency, using the
+ * Zambretti algorithm.
+ *
+ * @class Forecaster
+ */
+class Forecaster {
+  /**
+   *Creates an instance of Forecaster.
+   * @param {forecasterDefaults} [options] The configuration options
+   * @throws Will throw if the hemisphere or season is invalid.
+   * @memberof Forecaster
+   */
+  constructor(options) {
+    this._opts = _.merge({}, forecasterDefaults, options);
+    validatedChoice(this._opts.hemisphere, hemispheres, 'hemisphere');
+    if (!_.isNil(this._opts.season)) {
+      validatedChoice(this._opts.season, seasons, 'season');
+    }
+    this._history = [];
+    this._sensor = null;
+    this._listener = null;
+    debug('Forecaster constructor. %o', this._opts);
+  }
+
+  /**
+   * Restore a Forecaster from the output of toJSON()
+   *
+   * @static
+   * @param {object|string} json The serialized history
+   * @param {forecasterDefaults} [options] The configuration options
+   * @returns {Forecaster}
+   * @memberof Forecaster
+   */
+  static fromJSON(json, options) {
+    const forecaster = new Forecaster(options);
+    forecaster.load(json);
+    return forecaster;
+  }
+
+  /**
+   * Get a copy of the history, sea-level pressure in Pascals oldest first
+   *
+   * @readonly
+   * @memberof Forecaster
+   */
+  get history() {
+    return this._history.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Add a sample to the history, samples closer than the resolution to the
+   * previous entry are ignored
+   *
+   * @param {Sample|object} sample A Sample, or an object with pressure in Pascals and an optional timestamp
+   * @returns {boolean} True if the sample was added
+   * @memberof Forecaster
+   */
+  add(sample) {
+    const timestamp = _.isNil(sample.timestamp) ? Date.now() : new Date(sample.timestamp).getTime();
+    const pressure = units.convertPressure(
+      barometric.validatedPressure(sample.pressure),
+      'Pa',
+      _.get(sample, 'units.pressure', units.defaultUnits.pressure)
+    );
+    const last = _.last(this._history);
+    if (!_.isNil(last) && timestamp - last.timestamp < this._opts.resolution) {
+      return false;
+    }
+    this._history.push({
+      timestamp,
+      pressure:
+        this._opts.altitude === 0
+          ? pressure
+          : barometric.seaLevelPressure(pressure, this._opts.altitude),
+    });
+    this._prune();
+    return true;
+  }
+
+  /**
+   * Drop history older than maxAge
+   *
+   * @memberof Forecaster
+   */
+  _prune() {
+    const latest = _.last(this._history);
+    if (_.isNil(latest)) {
+      return;
+    }
+    const oldest = latest.timestamp - this._opts.maxAge;
+    this._history = this._history.filter((entry) => entry.timestamp >= oldest);
+  }
+
+  /**
+   * Clear the history
+   *
+   * @memberof Forecaster
+   */
+  clear() {
+    this._history = [];
+  }
+
+  /**
+   * The 3 hour pressure tendency, extrapolated when less than 3 hours of history is available
+   *
+   * @returns {object|null} The trend (rising, steady or falling), WMO description, change in hPa per 3 hours, span of history used in ms and latest sea-level pressure in hPa, or null if there is less than minSpan of history
+   * @memberof Forecaster
+   */
+  tendency() {
+    const latest = _.last(this._history);
+    if (_.isNil(latest)) {
+      return null;
+    }
+    const target = latest.timestamp - threeHours;
+    const reference = this._history.find((entry) => entry.timestamp >= target);
+    const span = latest.timestamp - reference.timestamp;
+    if (span < this._opts.minSpan || span === 0) {
+      return null;
+    }
+
+    const change = _.round(((latest.pressure - reference.pressure) / 100) * (threeHours / span), 1);
+    const band = tendencyBands.find(({ max }) => Math.abs(change) <= max);
+    let trend = 'steady';
+    if (band.adverb !== null) {
+      trend = change > 0 ? 'rising' : 'falling';
+    }
+    return {
+      trend,
+      description: _.trim(band.adverb === null ? trend : `${trend} ${band.adverb}`),
+      change,
+      span,
+      pressure: latest.pressure / 100,
+    };
+  }
+
+  /**
+   * The season used for the forecast
+   *
+   * @param {number} timestamp The time of the latest sample
+   * @returns {string}
+   * @memberof Forecaster
+   */
+  _season(timestamp) {
+    if (!_.isNil(this._opts.season)) {
+      return this._opts.season;
+    }
+    const month = new Date(timestamp).getMonth();
+    const northernSummer = month >= 3 && month <= 8;
+    return northernSummer === (this._opts.hemisphere === 'north') ? 'summer' : 'winter';
+  }
+
+  /**
+   * Zambretti forecast from the latest sea-level pressure and its tendency
+   *
+   * @returns {object|null} The forecast letter, text, whether the pressure is outside the dial range, the tendency and the season, or null if there is not enough history
+   * @memberof Forecaster
+   */
+  forecast() {
+    const tendency = this.tendency();
+    if (_.isNil(tendency)) {
+      return null;
+    }
+    const season = this._season(_.last(this._history).timestamp);
+    const { bottom, top } = zambrettiRange;
+    const range = top - bottom;
+
+    let hpa = tendency.pressure;
+    if (season === 'summer' && tendency.trend === 'rising') {
+      hpa += 0.07 * range;
+    } else if (season === 'summer' && tendency.trend === 'falling') {
+      hpa -= 0.07 * range;
+    }
+
+    const options = zambrettiOptions[tendency.trend];
+    const option = Math.floor((hpa - bottom) / (range / options.length));
+    const exceptional = option < 0 || option >= options.length;
+    const index = options[_.clamp(option, 0, options.length - 1)];
+    const text = zambrettiForecasts[index];
+    debug('forecast. option: %d index: %d', option, index);
+
+    return {
+      letter: String.fromCharCode(65 + index),
+      text: exceptional ? `Exceptional weather, ${text}` : text,
+      exceptional,
+      season,
+      hemisphere: this._opts.hemisphere,
+      tendency,
+    };
+  }
+
+  /**
+   * Add every data event from a sensor to the history
+   *
+   * @param {EventEmitter} sensor A sensor emitting data events, e.g. a Bmp180sensor after start()
+   * @returns {Forecaster} This forecaster, to allow chaining
+   * @memberof Forecaster
+   */
+  attach(sensor) {
+    this.detach();
+    this._sensor = sensor;
+    this._listener = (sample) => this.add(sample);
+    sensor.on('data', this._listener);
+    return this;
+  }
+
+  /**
+   * Stop listening to the attached sensor
+   *
+   * @memberof Forecaster
+   */
+  detach() {
+    if (!_.isNil(this._sensor)) {
+      this._sensor.removeListener('data', this._listener);
+    }
+    this._sensor = null;
+    this._listener = null;
+  }
+
+  /**
+   * Replace the history with the output of toJSON()
+   *
+   * @param {object|string} json The serialized history
+   * @throws Will throw an error if the history is invalid.
+   * @memberof Forecaster
+   */
+  load(json) {
+    const data = _.isString(json) ? JSON.parse(json) : json;
+    const history = _.get(data, 'history');
+    if (
+      !Array.isArray(history) ||
+      !history.every(
+        (entry) => Number.isFinite(_.get(entry, 'timestamp')) && Number.isFinite(entry.pressure)
+      )
+    ) {
+      throw new TypeError('Invalid forecaster history');
+    }
+    this._history = _.sortBy(
+      history.map(({ timestamp, pressure }) => ({ timestamp, pressure })),
+      'timestamp'
+    );
+    this._prune();
+  }
+
+  /**
+   * Serializable history, restore with load() or Forecaster.fromJSON()
+   *
+   * @returns {object}
+   * @memberof Forecaster
+   */
+  toJSON() {
+    return { history: this.history };
+  }
+}
+
+module.exports = {
+  Forecaster,
+};
@@ -0,0 +1,25 @@
+/**
+ * @typedef healthmonitorDefaults
+ * @type {object}
+ * @property {boolean} enabled=false Check every reading and recover the sensor after repeated failures
+ * @property {object} limits The plausible readings, the BMP180 datasheet operating range
+ * @property {object} limits.temperature The lowest and highest plausible temperature in Celsius
+ * @property {object} limits.pressure The lowest and highest plausible pressure in Pascals
+ * @property {number} stuckReads=10 The number of readings with identical raw values before the sensor is considered stuck, null disables the check
+ * @property {number} chipIdInterval=60000 The number of milliseconds between chip id checks, null disables the check
+ * @property {number} recoverAfter=3 The number of consecutive failed readings before the sensor is reset and recalibrated
+ */
+const healthmonitorDefaults = {
+  enabled: false,
+  limits: {
+    temperature: { min: -40, max: 85 },
+    pressure: { min: 30000, max: 110000 },
+  },
+  stuckReads: 10,
+  chipIdInterval: 60000,
+  recoverAfter: 3,
+};
+
+module.exports = {
+  healthmonitorDefaults,
+};
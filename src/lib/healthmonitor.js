@@ -0,0 +1,260 @@
+const debug = require('debug')('Healthmonitor');
+const _ = require('lodash');
+
+const { ImplausibleReadingError, StuckSensorError } = require('./errors');
+const { healthmonitorDefaults } = require('./healthmonitor.defaults');
+
+/**
+ * Tracks the health of a sensor across readings, emitting events on behalf of the sensor.
+ *
+ * Readings outside the physical limits, raw values that stay identical for too many
+ * readings and a chip id that no longer matches are treated as failures, and after
+ * repeated consecutive failures the sensor is reset and recalibrated.
+ *
+ * Emits:
+ * degraded - with the error and health when a healthy sensor fails a reading
+ * recovered - with the health when a degraded sensor completes a reading
+ *
+ * @class Healthmonitor
+ */
+class Healthmonitor {
+  /**
+   *Creates an instance of Healthmonitor.
+   * @param {object} actions The sensor actions
+   * @param {function} actions.checkChipId Returns a Promise rejected if the chip id is wrong
+   * @param {function} actions.recover Returns a Promise resolved once the sensor is reset and recalibrated
+   * @param {EventEmitter} emitter The emitter for the degraded and recovered events
+   * @param {healthmonitorDefaults} [options] The configuration options
+   * @throws Will throw if a limit, stuckReads, chipIdInterval or recoverAfter is invalid.
+   * @memberof Healthmonitor
+   */
+  constructor(actions, emitter, options) {
+    this._actions = actions;
+    this._emitter = emitter;
+    this._opts = this._validatedOptions(_.merge({}, healthmonitorDefaults, options));
+    this._status = 'healthy';
+    this._consecutiveFailures = 0;
+    this._lastError = null;
+    this._lastChipIdCheck = Date.now();
+    this._identical = { ut: null, up: null, count: 0 };
+    this._recovering = null;
+    this._counts = { readings: 0, failures: 0, implausible: 0, stuck: 0, recoveries: 0 };
+    debug('Healthmonitor constructor. %o', this._opts);
+  }
+
+  /**
+   * Confirm Valid health options
+   *
+   * @param {*} options Validates the limits, stuckReads, chipIdInterval and recoverAfter
+   * @throws Will throw an error if invalid.
+   * @returns {object}
+   *
+   * @memberof Healthmonitor
+   */
+  _validatedOptions = (options) => {
+    _.forEach(options.limits, (limit, quantity) => {
+      if (!(Number.isFinite(limit.min) && Number.isFinite(limit.max) && limit.min < limit.max)) {
+        throw new TypeError(`Invalid health limits ${quantity} ${limit.min} to ${limit.max}`);
+      }
+    });
+    const { stuckReads, chipIdInterval, recoverAfter } = options;
+    if (!(_.isNil(stuckReads) || (Number.isInteger(stuckReads) && stuckReads > 1))) {
+      throw new TypeError(`Invalid health stuckReads ${stuckReads}`);
+    }
+    if (!(_.isNil(chipIdInterval) || (Number.isFinite(chipIdInterval) && chipIdInterval > 0))) {
+      throw new TypeError(`Invalid health chipIdInterval ${chipIdInterval}`);
+    }
+    if (!(Number.isInteger(recoverAfter) && recoverAfter > 0)) {
+      throw new TypeError(`Invalid health recoverAfter ${recoverAfter}`);
+    }
+    return options;
+  };
+
+  /**
+   * Check if health monitoring is enabled
+   *
+   * @readonly
+   * @memberof Healthmonitor
+   */
+  get isEnabled() {
+    return this._opts.enabled;
+  }
+
+  /**
+   * Get the health, the status healthy or degraded, the consecutive failures, the last
+   * error and the number of readings, failures, implausible and stuck readings and recoveries
+   *
+   * @readonly
+   * @memberof Healthmonitor
+   */
+  get health() {
+    return {
+      enabled: this._opts.enabled,
+      status: this._status,
+      consecutiveFailures: this._consecutiveFailures,
+      lastError: this._lastError,
+      ...this._counts,
+    };
+  }
+
+  /**
+   * Check the values of a reading, throwing if they are outside the limits or the raw
+   * values have been identical for stuckReads readings
+   *
+   * @param {object} values The reading
+   * @param {number} values.temperature The temperature in Celsius
+   * @param {number} values.pressure The pressure in Pascals
+   * @param {number} values.ut The uncompensated temperature
+   * @param {number} values.up The uncompensated pressure
+   * @throws Will throw an ImplausibleReadingError or StuckSensorError.
+   * @memberof Healthmonitor
+   */
+  check({ temperature, pressure, ut, up }) {
+    if (!this._opts.enabled) {
+      return;
+    }
+    const identical = this._identical;
+    const count = identical.ut === ut && identical.up === up ? identical.count + 1 : 1;
+    this._identical = { ut, up, count };
+    _.forEach({ temperature, pressure }, (value, quantity) => {
+      const { min, max } = this._opts.limits[quantity];
+      if (!(value >= min && value <= max)) {
+        this._counts.implausible += 1;
+        throw new ImplausibleReadingError(quantity, value, min, max);
+      }
+    });
+    const { stuckReads } = this._opts;
+    if (!_.isNil(stuckReads) && count >= stuckReads) {
+      this._counts.stuck += 1;
+      throw new StuckSensorError(count, ut, up);
+    }
+  }
+
+  /**
+   * Run a reading, checking the chip id first when it is due and recording the outcome
+   *
+   * @param {function} read Returns a Promise resolved to the reading
+   * @returns {Promise} Returns a Promise settled the same way as the reading, a failure is only rejected once any recovery has completed
+   * @memberof Healthmonitor
+   */
+  run(read) {
+    if (!this._opts.enabled) {
+      return read();
+    }
+    return Promise.resolve()
+      .then(() => this._checkChipIdIfDue())
+      .then(() => read())
+      .then(
+        (value) => {
+          this._succeeded();
+          return value;
+        },
+        (err) =>
+          this._failed(err).then(() => {
+            throw err;
+          })
+      );
+  }
+
+  /**
+   * Check the chip id once chipIdInterval has passed since the last check
+   *
+   * @returns {Promise}
+   * @memberof Healthmonitor
+   */
+  _checkChipIdIfDue() {
+    const { chipIdInterval } = this._opts;
+    if (
+      _.isNil(chipIdInterval) ||
+      (!_.isNil(this._lastChipIdCheck) && Date.now() - this._lastChipIdCheck < chipIdInterval)
+    ) {
+      return Promise.resolve();
+    }
+    debug('_checkChipIdIfDue. checking');
+    return this._actions.checkChipId().then(() => {
+      this._lastChipIdCheck = Date.now();
+    });
+  }
+
+  /**
+   * Emit outside of the reading promise chain so a throwing listener cannot reject the reading
+   *
+   * @param {string} event The event name
+   * @param {...*} args The event arguments
+   * @memberof Healthmonitor
+   */
+  _emit(event, ...args) {
+    process.nextTick(() => {
+      this._emitter.emit(event, ...args);
+    });
+  }
+
+  /**
+   * Record a successful reading, a degraded sensor has recovered
+   *
+   * @memberof Healthmonitor
+   */
+  _succeeded() {
+    this._counts.readings += 1;
+    this._consecutiveFailures = 0;
+    if (this._status === 'degraded') {
+      this._status = 'healthy';
+      debug('_succeeded. recovered');
+      this._emit('recovered', this.health);
+    }
+  }
+
+  /**
+   * Record a failed reading, recovering the sensor every recoverAfter consecutive failures
+   *
+   * @param {Error} err The error from the reading
+   * @returns {Promise} Returns a Promise resolved once any recovery has completed
+   * @memberof Healthmonitor
+   */
+  _failed(err) {
+    this._counts.readings += 1;
+    this._counts.failures += 1;
+    this._consecutiveFailures += 1;
+    this._lastError = err;
+    if (this._status === 'healthy') {
+      this._status = 'degraded';
+      debug('_failed. degraded %o', err);
+      this._emit('degraded', err, this.health);
+    }
+    return this._consecutiveFailures % this._opts.recoverAfter === 0
+      ? this._recover()
+      : Promise.resolve();
+  }
+
+  /**
+   * Reset and recalibrate the sensor, the chip id is checked before the next reading
+   *
+   * @returns {Promise} Returns a Promise resolved once the recovery has completed or failed
+   * @memberof Healthmonitor
+   */
+  _recover() {
+    if (_.isNil(this._recovering)) {
+      debug('_recover. after %d failures', this._consecutiveFailures);
+      this._recovering = Promise.resolve()
+        .then(() => this._actions.recover())
+        .then(
+          () => {
+            this._counts.recoveries += 1;
+            this._identical = { ut: null, up: null, count: 0 };
+            this._lastChipIdCheck = null;
+          },
+          (err) => {
+            debug('_recover. failed %o', err);
+          }
+        )
+        .then(() => {
+          this._recovering = null;
+        });
+    }
+    return this._recovering;
+  }
+}
+
+module.exports = {
+  Healthmonitor,
+};
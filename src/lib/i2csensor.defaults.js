@@ -7,6 +7,10 @@
  * @property {number} retryOptions.minTimeout=1000 The number of milliseconds before starting the first retry.
  * @property {number} retryOptions.maxTimeout=Infinity The maximum number of milliseconds between two retries.
  * @property {boolean} retryOptions.randomize=false Randomizes the timeouts by multiplying with a factor between 1 to 2.
+ * @property {object} lock The transaction lock options
+ * @property {string} lock.scope=device Serialize transactions per device address, or per bus across every sensor on the bus. Every sensor sharing a bus must use bus scope for bus wide serialization.
+ * @property {number} lock.maxQueue=Infinity The number of transactions allowed to wait for the lock before rejecting
+ * @property {number} lock.timeout=null The number of milliseconds to wait for the lock before rejecting, null waits forever
  */
 const i2csensorDefaults = {
   retryOptions: {
@@ -16,6 +20,11 @@ const i2csensorDefaults = {
     maxTimeout: Infinity,
     randomize: false,
   },
+  lock: {
+    scope: 'device',
+    maxQueue: Infinity,
+    timeout: null,
+  },
 };
 
 module.exports = {
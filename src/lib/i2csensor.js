@@ -1,28 +1,38 @@
+const EventEmitter = require('events');
 const { openSync } = require('i2c-bus');
 const debug = require('debug')('I2csensor');
 const PromiseRetry = require('promise-retry');
 const _ = require('lodash');
 
 const { i2csensorDefaults } = require('./i2csensor.defaults');
+const { I2cTransferError, ReplayMismatchError, ShortReadError } = require('./errors');
+const { busLockFor, deviceLockFor } = require('./lock');
+
+const lockScopes = ['device', 'bus'];
 
 /**
  * I2csensor Base Class
  *
  * @class I2csensor
+ * @extends {EventEmitter}
  */
-class I2csensor {
+class I2csensor extends EventEmitter {
   /**
    *Creates an instance of I2csensor.
    * @param {string} name The name for the Sensor
-   * @param {object|number} bus An i2c-bus Bus class or the number for the bus
+   * @param {object|number} bus An i2c-bus Bus class, a Virtualbus or the number for the bus
    * @param {number} address The I2C address
    * @param {i2csensorDefaults} options The configuration options
-   *
+   * @throws Will throw if the bus, address or lock options are invalid.
    * @memberof I2csensor
    */
   constructor(name, bus, address, options) {
+    super();
     this._name = name;
     this._address = this._validatedAddress(address);
+    this._opts = _.merge({}, i2csensorDefaults, options);
+    this._validatedLock(this._opts.lock);
+    this._stats = { transfers: 0, retries: 0, failures: 0 };
 
     this._bus = null;
     this._busnumber = null;
@@ -47,14 +57,34 @@ class I2csensor {
         this._bus = null;
         throw new TypeError('Invalid bus it must a number or an i2c-bus.Bus');
     }
-
-    this._opts = _.merge({}, i2csensorDefaults, options);
   }
 
   get name() {
     return this._name;
   }
 
+  /**
+   * Get the bus number, null when the bus object does not report one
+   *
+   * @readonly
+   * @memberof I2csensor
+   */
+  get busnumber() {
+    return _.isNil(this._busnumber) ? _.get(this._bus, 'busnumber', null) : this._busnumber;
+  }
+
+  /**
+   * Get the transfer counts since the sensor was created, each transfer is counted
+   * once however many attempts it took, retries counts the extra attempts and failures
+   * the transfers that failed once retries were exhausted
+   *
+   * @readonly
+   * @memberof I2csensor
+   */
+  get stats() {
+    return { ...this._stats };
+  }
+
   /**
    * Get the current chip address to use, return as Base 10
    *
@@ -84,7 +114,8 @@ class I2csensor {
   }
 
   /**
-   * Confirm a Valid bus parameter
+   * Confirm a Valid bus parameter, any object providing promisifiedBus() like
+   * an i2c-bus Bus or a Virtualbus is accepted
    *
    * @param {*} bus Validates the bus supplied is valid
    * @throws Will throw an error if invalid.
@@ -96,7 +127,7 @@ class I2csensor {
     if (_.isNil(bus)) {
       throw new TypeError('Invalid bus it must a number or an i2c-bus.Bus');
     }
-    if (bus.constructor.name !== 'Bus') {
+    if (!_.isFunction(bus.promisifiedBus)) {
       throw new TypeError('Invalid bus it must a number or an i2c-bus.Bus');
     }
     return bus;
@@ -134,6 +165,28 @@ class I2csensor {
     return address;
   };
 
+  /**
+   * Confirm Valid lock options
+   *
+   * @param {*} lock Validates the scope, maxQueue and timeout
+   * @throws Will throw an error if invalid.
+   * @returns {object}
+   *
+   * @memberof I2csensor
+   */
+  _validatedLock = (lock) => {
+    if (!lockScopes.includes(lock.scope)) {
+      throw new TypeError(`Invalid lock scope ${lock.scope}`);
+    }
+    if (!(Number.isInteger(lock.maxQueue) || lock.maxQueue === Infinity) || lock.maxQueue < 0) {
+      throw new TypeError(`Invalid lock maxQueue ${lock.maxQueue}`);
+    }
+    if (!_.isNil(lock.timeout) && !(Number.isFinite(lock.timeout) && lock.timeout >= 0)) {
+      throw new TypeError(`Invalid lock timeout ${lock.timeout}`);
+    }
+    return lock;
+  };
+
   /**
    * Confirm a Valid I2C command/register
    *
@@ -166,6 +219,58 @@ class I2csensor {
     return buffer;
   };
 
+  /**
+   * Run a multi-step operation atomically, holding the device lock, and the bus lock
+   * when the lock scope is bus, shared with every sensor instance using the same bus.
+   * Locks are not reentrant so fn must not start another transaction.
+   *
+   * @param {function} fn The operation, may return a Promise
+   * @returns {Promise} Returns a Promise that will be resolved to the result of fn, rejected with a LockQueueFullError or LockTimeoutError if the lock is not acquired
+   * @memberof I2csensor
+   */
+  transaction(fn) {
+    const { scope, maxQueue, timeout } = this._opts.lock;
+    const options = { maxQueue, timeout };
+    const bus = _.isNil(this._busnumber) ? this._bus : this._busnumber;
+    const device = () => deviceLockFor(bus, this._address).run(fn, options);
+    return scope === 'bus' ? busLockFor(bus).run(device, options) : device();
+  }
+
+  /**
+   * Run a bus transfer with retries
+   *
+   * @param {string} operation The transfer name used in debug output and errors
+   * @param {integer} command The command/register
+   * @param {function} transfer Returns a Promise for a single attempt
+   * @returns {Promise} Returns a Promise resolved with the result of the transfer, or rejected with the ShortReadError or an I2cTransferError once retries are exhausted, a ReplayMismatchError is rejected without retrying
+   * @memberof I2csensor
+   */
+  _transfer(operation, command, transfer) {
+    let attempts = 0;
+    this._stats.transfers += 1;
+    return PromiseRetry((retry, number) => {
+      debug('%s. attempt: %d', operation, number);
+      attempts = number;
+      if (number > 1) {
+        this._stats.retries += 1;
+      }
+      return transfer().catch((err) => {
+        debug('%s. error: %o', operation, err);
+        // A replay mismatch fails the same way on every attempt
+        if (err instanceof ReplayMismatchError) {
+          throw err;
+        }
+        retry(err);
+      });
+    }, this._opts.retryOptions).catch((err) => {
+      this._stats.failures += 1;
+      if (err instanceof ShortReadError || err instanceof ReplayMismatchError) {
+        throw err;
+      }
+      throw new I2cTransferError(operation, this._address, command, attempts, err);
+    });
+  }
+
   /**
    * Read a byte from the specified command/register
    *
@@ -177,13 +282,7 @@ class I2csensor {
   _readI2cByte(command) {
     const cmd = this._validatedCommand(command);
     debug('readI2cByte. address: %h command: %h', this._address, cmd);
-    return PromiseRetry((retry, number) => {
-      debug('readBreadI2cByteyte. attempt: %d', number);
-      return this._bus.readByte(this._address, cmd).catch((err) => {
-        debug('readI2cByte. error: %o', err);
-        retry();
-      });
-    }, this._opts.retryOptions);
+    return this._transfer('readI2cByte', cmd, () => this._bus.readByte(this._address, cmd));
   }
 
   /**
@@ -198,13 +297,7 @@ class I2csensor {
   _writeI2cByte(command, byte) {
     const cmd = this._validatedCommand(command);
     debug('writeI2cByte. address: %h command: %h byte: %h', this._address, cmd, byte);
-    return PromiseRetry((retry, number) => {
-      debug('writeI2cByte. attempt: %d', number);
-      return this._bus.writeByte(this._address, cmd, byte).catch((err) => {
-        debug('writeI2cByte. error: %o', err);
-        retry();
-      });
-    }, this._opts.retryOptions);
+    return this._transfer('writeI2cByte', cmd, () => this._bus.writeByte(this._address, cmd, byte));
   }
 
   /**
@@ -214,20 +307,21 @@ class I2csensor {
    * @param {Buffer} buffer The buffer to read
    * @throws Will throw an error if invalid command/register
    * @throws Will throw an error if invalid buffer
-   * @returns {Promise<{bytesRead: number, buffer: Buffer}>} Returns a Promise that on success will be resolved with an object with a bytesRead property identifying the number of bytes read, and a buffer property contiining the read block.
+   * @returns {Promise<{bytesRead: number, buffer: Buffer}>} Returns a Promise that on success will be resolved with an object with a bytesRead property identifying the number of bytes read, and a buffer property contiining the read block. Rejected with a ShortReadError if fewer bytes than the buffer length are read.
    */
   _readI2cBlock(command, buffer) {
     const cmd = this._validatedCommand(command);
     const buff = this._validatedBuffer(buffer);
     const { length } = buff;
     debug('readI2cBlock. address: %h command: %h length: %h', this._address, cmd, length);
-    return PromiseRetry((retry, number) => {
-      debug('readI2cBlock. attempt: %d', number);
-      return this._bus.readI2cBlock(this._address, cmd, length, buff).catch((err) => {
-        debug('readI2cBlock. error: %o', err);
-        retry();
-      });
-    }, this._opts.retryOptions);
+    return this._transfer('readI2cBlock', cmd, () =>
+      this._bus.readI2cBlock(this._address, cmd, length, buff).then((response) => {
+        if (response.bytesRead < length) {
+          throw new ShortReadError(this._address, cmd, length, response.bytesRead);
+        }
+        return response;
+      })
+    );
   }
 
   /**
@@ -245,13 +339,9 @@ class I2csensor {
     const buff = this._validatedBuffer(buffer);
     const { length } = buff;
     debug('writeI2cBlock. address: %h command: %h length: %h', this._address, cmd, length);
-    return PromiseRetry((retry, number) => {
-      debug('writeI2cBlock. attempt: %d', number);
-      return this._bus.writeI2cBlock(this._address, cmd, length, buff).catch((err) => {
-        debug('writeI2cBlock. error: %o', err);
-        retry();
-      });
-    }, this._opts.retryOptions);
+    return this._transfer('writeI2cBlock', cmd, () =>
+      this._bus.writeI2cBlock(this._address, cmd, length, buff)
+    );
   }
 
   /**
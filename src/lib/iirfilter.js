@@ -0,0 +1,48 @@
+/**
+ * Exponential (first order IIR) low-pass, y = y + coefficient * (x - y)
+ *
+ * @class Iirfilter
+ */
+class Iirfilter {
+  /**
+   *Creates an instance of Iirfilter.
+   * @param {number} coefficient The smoothing coefficient between 0 and 1, smaller is smoother
+   * @memberof Iirfilter
+   */
+  constructor(coefficient) {
+    if (!Number.isFinite(coefficient) || coefficient <= 0 || coefficient > 1) {
+      throw new TypeError(`Invalid filter coefficient ${coefficient}`);
+    }
+    this._coefficient = coefficient;
+    this._value = null;
+  }
+
+  /**
+   * Add a value
+   *
+   * @param {number} value The new value
+   * @returns {number} The filtered value
+   * @memberof Iirfilter
+   */
+  update(value) {
+    if (this._value === null) {
+      this._value = value;
+    } else {
+      this._value += this._coefficient * (value - this._value);
+    }
+    return this._value;
+  }
+
+  /**
+   * Clear the filter history
+   *
+   * @memberof Iirfilter
+   */
+  reset() {
+    this._value = null;
+  }
+}
+
+module.exports = {
+  Iirfilter,
+};
@@ -0,0 +1,169 @@
+const debug = require('debug')('Lock');
+const _ = require('lodash');
+
+const { LockQueueFullError, LockTimeoutError } = require('./errors');
+
+// Locks for buses passed as objects, released with the bus
+const objectBusLocks = new WeakMap();
+// Locks for buses opened by number, shared by every sensor opening that number
+const numberedBusLocks = new Map();
+
+/**
+ * First in first out asynchronous mutual exclusion lock.
+ *
+ * @class Lock
+ */
+class Lock {
+  /**
+   *Creates an instance of Lock.
+   * @param {string} name The name used in errors, e.g. bus 1 address 0x77
+   * @memberof Lock
+   */
+  constructor(name) {
+    this._name = name;
+    this._locked = false;
+    this._queue = [];
+  }
+
+  /**
+   * Get the name of the lock
+   *
+   * @readonly
+   * @memberof Lock
+   */
+  get name() {
+    return this._name;
+  }
+
+  /**
+   * Check if the lock is held
+   *
+   * @readonly
+   * @memberof Lock
+   */
+  get isLocked() {
+    return this._locked;
+  }
+
+  /**
+   * Get the number of callers waiting for the lock
+   *
+   * @readonly
+   * @memberof Lock
+   */
+  get queueDepth() {
+    return this._queue.length;
+  }
+
+  /**
+   * Wait for the lock
+   *
+   * @param {object} [options] The wait options
+   * @param {number} [options.maxQueue=Infinity] The number of waiting callers allowed before rejecting
+   * @param {number} [options.timeout=null] The number of milliseconds to wait before rejecting, null waits forever
+   * @returns {Promise<function>} Returns a Promise that will be resolved to the function that releases the lock, rejected with a LockQueueFullError or LockTimeoutError
+   * @memberof Lock
+   */
+  acquire({ maxQueue = Infinity, timeout = null } = {}) {
+    if (!this._locked) {
+      this._locked = true;
+      return Promise.resolve(this._releaser());
+    }
+    if (this._queue.length >= maxQueue) {
+      debug('acquire. %s queue full', this._name);
+      return Promise.reject(new LockQueueFullError(this._name, maxQueue));
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, timer: null };
+      if (!_.isNil(timeout)) {
+        waiter.timer = setTimeout(() => {
+          _.pull(this._queue, waiter);
+          debug('acquire. %s timed out', this._name);
+          reject(new LockTimeoutError(this._name, timeout));
+        }, timeout);
+      }
+      this._queue.push(waiter);
+    });
+  }
+
+  /**
+   * Run a function while holding the lock
+   *
+   * @param {function} fn The function to run, may return a Promise
+   * @param {object} [options] The wait options, see acquire()
+   * @returns {Promise} Returns a Promise that will be resolved to the result of fn
+   * @memberof Lock
+   */
+  run(fn, options) {
+    return this.acquire(options).then((release) => {
+      return Promise.resolve().then(fn).finally(release);
+    });
+  }
+
+  /**
+   * Create the function that releases the lock, calling it more than once does nothing
+   *
+   * @returns {function}
+   * @memberof Lock
+   */
+  _releaser() {
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      const waiter = this._queue.shift();
+      if (_.isNil(waiter)) {
+        this._locked = false;
+        return;
+      }
+      clearTimeout(waiter.timer);
+      waiter.resolve(this._releaser());
+    };
+  }
+}
+
+/**
+ * The bus lock and per address device locks shared by every sensor on a bus
+ *
+ * @param {object|number} bus The promisified bus object, or the bus number for buses opened by number
+ * @returns {{bus: Lock, devices: Map<number, Lock>}}
+ */
+const locksFor = (bus) => {
+  const registry = _.isObject(bus) ? objectBusLocks : numberedBusLocks;
+  if (!registry.has(bus)) {
+    const name = _.isObject(bus) ? 'bus' : `bus ${bus}`;
+    registry.set(bus, { bus: new Lock(name), devices: new Map() });
+  }
+  return registry.get(bus);
+};
+
+/**
+ * The lock for one device address on a bus
+ *
+ * @param {object|number} bus The promisified bus object, or the bus number for buses opened by number
+ * @param {number} address The I2C address
+ * @returns {Lock}
+ */
+const deviceLockFor = (bus, address) => {
+  const locks = locksFor(bus);
+  if (!locks.devices.has(address)) {
+    locks.devices.set(address, new Lock(`${locks.bus.name} address 0x${address.toString(16)}`));
+  }
+  return locks.devices.get(address);
+};
+
+/**
+ * The lock for a whole bus
+ *
+ * @param {object|number} bus The promisified bus object, or the bus number for buses opened by number
+ * @returns {Lock}
+ */
+const busLockFor = (bus) => locksFor(bus).bus;
+
+module.exports = {
+  Lock,
+  busLockFor,
+  deviceLockFor,
+};
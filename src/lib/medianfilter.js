@@ -0,0 +1,28 @@
+const { Averagefilter } = require('./averagefilter');
+
+/**
+ * Sliding median of the last window values, rejects single reading spikes
+ *
+ * @class Medianfilter
+ * @extends {Averagefilter}
+ */
+class Medianfilter extends Averagefilter {
+  /**
+   * Median of the values in the window
+   *
+   * @returns {number}
+   * @memberof Medianfilter
+   */
+  _aggregate() {
+    const sorted = [...this._values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    if (sorted.length % 2 === 0) {
+      return (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    return sorted[middle];
+  }
+}
+
+module.exports = {
+  Medianfilter,
+};
@@ -0,0 +1,20 @@
+/**
+ * @typedef metricsexporterDefaults
+ * @type {object}
+ * @property {number} cacheAge=1000 The number of milliseconds a reading is reused for, so rapid scrapes do not each read the sensor
+ * @property {string} prefix=bmp180_ The prefix for every metric name
+ * @property {string} path=/metrics The path the metrics are served on
+ * @property {number} port=9469 The port listen() uses when none is given
+ * @property {string} host=null The host listen() binds to, null binds every interface
+ */
+const metricsexporterDefaults = {
+  cacheAge: 1000,
+  prefix: 'bmp180_',
+  path: '/metrics',
+  port: 9469,
+  host: null,
+};
+
+module.exports = {
+  metricsexporterDefaults,
+};
@@ -0,0 +1,335 @@
+const http = require('http');
+const debug = require('debug')('Metricsexporter');
+const _ = require('lodash');
+
+const barometric = require('./barometric');
+const { metricsexporterDefaults } = require('./metricsexporter.defaults');
+
+const contentTypes = {
+  prometheus: 'text/plain; version=0.0.4; charset=utf-8',
+  openmetrics: 'application/openmetrics-text; version=1.0.0; charset=utf-8',
+};
+
+// Readings are always exported in base units, whatever the sensor is configured to output
+const baseOutput = {
+  units: { temperature: 'C', pressure: 'Pa' },
+  precision: { temperature: null, pressure: null },
+};
+
+/**
+ * The metric families, value returns undefined when a sensor has no value
+ * @type {object[]}
+ */
+const families = [
+  {
+    name: 'up',
+    type: 'gauge',
+    help: 'Whether the last read of the sensor succeeded',
+    value: (state) => (_.isNil(state.sample) ? 0 : 1),
+  },
+  {
+    name: 'temperature_celsius',
+    type: 'gauge',
+    help: 'The compensated temperature in Celsius',
+    value: (state) => _.get(state.sample, 'temperature'),
+  },
+  {
+    name: 'pressure_pascals',
+    type: 'gauge',
+    help: 'The compensated pressure in Pascals',
+    value: (state) => _.get(state.sample, 'pressure'),
+  },
+  {
+    name: 'altitude_meters',
+    type: 'gauge',
+    help: 'The altitude in metres derived from the pressure and the sea-level reference pressure',
+    value: (state) => {
+      const { seaLevelPressure } = state.sensor;
+      if (_.isNil(state.sample) || !_.isNumber(seaLevelPressure)) {
+        return undefined;
+      }
+      return barometric.altitude(state.sample.pressure, seaLevelPressure);
+    },
+  },
+  {
+    name: 'humidity_percent',
+    type: 'gauge',
+    help: 'The relative humidity in percent',
+    value: (state) => _.get(state.sample, 'humidity'),
+  },
+  {
+    name: 'last_success_timestamp_seconds',
+    type: 'gauge',
+    help: 'The time of the last successful read in seconds since the epoch',
+    value: (state) => (_.isNil(state.lastSuccess) ? undefined : state.lastSuccess / 1000),
+  },
+  {
+    name: 'read_errors_total',
+    type: 'counter',
+    help: 'The number of reads that failed',
+    value: (state) => state.readErrors,
+  },
+  {
+    name: 'i2c_transfers_total',
+    type: 'counter',
+    help: 'The number of I2C transfers',
+    value: (state) => _.get(state.sensor.stats, 'transfers'),
+  },
+  {
+    name: 'i2c_retries_total',
+    type: 'counter',
+    help: 'The number of I2C transfer attempts that were retries',
+    value: (state) => _.get(state.sensor.stats, 'retries'),
+  },
+  {
+    name: 'i2c_failures_total',
+    type: 'counter',
+    help: 'The number of I2C transfers that failed once retries were exhausted',
+    value: (state) => _.get(state.sensor.stats, 'failures'),
+  },
+];
+
+/**
+ * Escape a label value
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Format a sample value
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (!Number.isFinite(value)) {
+    return value > 0 ? '+Inf' : '-Inf';
+  }
+  return String(value);
+};
+
+/**
+ * The labels identifying a sensor
+ *
+ * @param {object} sensor
+ * @returns {string}
+ */
+const labelsFor = (sensor) => {
+  const labels = {
+    bus: _.isNil(sensor.busnumber) ? '' : sensor.busnumber,
+    address: _.isNil(sensor.address) ? '' : `0x${sensor.address.toString(16)}`,
+    sensor: sensor.name,
+  };
+  return _.map(labels, (value, name) => `${name}="${escapeLabel(value)}"`).join(',');
+};
+
+/**
+ * Serves sensor readings and I2C transfer counts for Prometheus, in the Prometheus
+ * text format or OpenMetrics when the scraper asks for it. Sensors are read on scrape,
+ * reusing a reading for up to cacheAge so rapid scrapes do not each read the bus.
+ *
+ * @class Metricsexporter
+ */
+class Metricsexporter {
+  /**
+   *Creates an instance of Metricsexporter.
+   * @param {object|object[]} sensors The sensor or sensors to export, each providing read() and name
+   * @param {metricsexporterDefaults} [options] The configuration options
+   * @throws Will throw if a sensor or the cache age is invalid.
+   * @memberof Metricsexporter
+   */
+  constructor(sensors, options) {
+    this._opts = _.merge({}, metricsexporterDefaults, options);
+    if (!(Number.isFinite(this._opts.cacheAge) && this._opts.cacheAge >= 0)) {
+      throw new TypeError(`Invalid cacheAge ${this._opts.cacheAge}`);
+    }
+    this._states = _.castArray(sensors).map((sensor) => {
+      if (_.isNil(sensor) || !_.isFunction(sensor.read)) {
+        throw new TypeError(`Invalid sensor ${sensor}`);
+      }
+      return {
+        sensor,
+        sample: null,
+        readAt: null,
+        lastSuccess: null,
+        readErrors: 0,
+        pending: null,
+      };
+    });
+    this._server = null;
+    this.handler = this.handler.bind(this);
+    debug('Metricsexporter constructor. %o', this._opts);
+  }
+
+  /**
+   * Get the HTTP server once listen() has been called
+   *
+   * @readonly
+   * @memberof Metricsexporter
+   */
+  get server() {
+    return this._server;
+  }
+
+  /**
+   * Read a sensor unless the last reading is younger than the cache age, concurrent
+   * scrapes share the same read
+   *
+   * @param {object} state The sensor state
+   * @returns {Promise} Returns a Promise that will be resolved once the state is current, it is never rejected
+   * @memberof Metricsexporter
+   */
+  _refresh(state) {
+    const current = state;
+    if (!_.isNil(current.pending)) {
+      return current.pending;
+    }
+    if (!_.isNil(current.readAt) && Date.now() - current.readAt < this._opts.cacheAge) {
+      return Promise.resolve();
+    }
+    current.pending = Promise.resolve()
+      .then(() => current.sensor.read(baseOutput))
+      .then(
+        (sample) => {
+          current.sample = sample;
+          current.lastSuccess = Date.now();
+        },
+        (err) => {
+          debug('_refresh. %s error: %o', current.sensor.name, err);
+          current.sample = null;
+          current.readErrors += 1;
+        }
+      )
+      .then(() => {
+        current.readAt = Date.now();
+        current.pending = null;
+      });
+    return current.pending;
+  }
+
+  /**
+   * Read the sensors and render the metrics
+   *
+   * @param {string} [format=prometheus] The exposition format, prometheus or openmetrics
+   * @returns {Promise<string>} Returns a Promise that will be resolved to the metrics text
+   * @memberof Metricsexporter
+   */
+  metrics(format = 'prometheus') {
+    if (!_.has(contentTypes, format)) {
+      return Promise.reject(new TypeError(`Invalid format ${format}`));
+    }
+    const openmetrics = format === 'openmetrics';
+    return Promise.all(this._states.map((state) => this._refresh(state))).then(() => {
+      const lines = [];
+      families.forEach((family) => {
+        const name = `${this._opts.prefix}${family.name}`;
+        const samples = this._states
+          .map((state) => ({ labels: labelsFor(state.sensor), value: family.value(state) }))
+          .filter(({ value }) => _.isNumber(value));
+        if (samples.length === 0) {
+          return;
+        }
+        // OpenMetrics names the counter family without the _total suffix of its samples
+        const familyName =
+          openmetrics && family.type === 'counter' ? name.replace(/_total$/, '') : name;
+        lines.push(`# HELP ${familyName} ${family.help}`);
+        lines.push(`# TYPE ${familyName} ${family.type}`);
+        samples.forEach(({ labels, value }) => {
+          lines.push(`${name}{${labels}} ${formatValue(value)}`);
+        });
+      });
+      if (openmetrics) {
+        lines.push('# EOF');
+      }
+      return `${lines.join('\n')}\n`;
+    });
+  }
+
+  /**
+   * Request handler serving the metrics path, for http.createServer() or mounting in
+   * an existing server
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @memberof Metricsexporter
+   */
+  handler(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== this._opts.path) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not Found\n');
+      return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Method Not Allowed\n');
+      return;
+    }
+    const accept = _.get(req.headers, 'accept', '');
+    const format = accept.includes('application/openmetrics-text') ? 'openmetrics' : 'prometheus';
+    this.metrics(format).then(
+      (body) => {
+        res.writeHead(200, { 'Content-Type': contentTypes[format] });
+        res.end(req.method === 'HEAD' ? undefined : body);
+      },
+      (err) => {
+        debug('handler. error: %o', err);
+        res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(`${err.message}\n`);
+      }
+    );
+  }
+
+  /**
+   * Start an HTTP server serving the metrics
+   *
+   * @param {number} [port] The port, defaults to the configured port, 0 picks a free port
+   * @param {string} [host] The host, defaults to the configured host
+   * @returns {Promise<http.Server>} Returns a Promise that will be resolved to the listening server
+   * @memberof Metricsexporter
+   */
+  listen(port = this._opts.port, host = this._opts.host) {
+    if (!_.isNil(this._server)) {
+      return Promise.reject(new Error('Metricsexporter is already listening'));
+    }
+    const server = http.createServer(this.handler);
+    this._server = server;
+    return new Promise((resolve, reject) => {
+      server.once('error', (err) => {
+        this._server = null;
+        reject(err);
+      });
+      server.listen(port, _.isNil(host) ? undefined : host, () => {
+        debug('listen. %o', server.address());
+        resolve(server);
+      });
+    });
+  }
+
+  /**
+   * Stop the HTTP server
+   *
+   * @returns {Promise<boolean>} Returns a Promise that will be resolved to true if a server was stopped
+   * @memberof Metricsexporter
+   */
+  close() {
+    const server = this._server;
+    this._server = null;
+    if (_.isNil(server)) {
+      return Promise.resolve(false);
+    }
+    return new Promise((resolve, reject) => {
+      server.close((err) => (err ? reject(err) : resolve(true)));
+    });
+  }
+}
+
+module.exports = {
+  Metricsexporter,
+};
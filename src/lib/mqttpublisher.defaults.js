@@ -0,0 +1,49 @@
+/**
+ * @typedef mqttpublisherDefaults
+ * @type {object}
+ * @property {string} url=mqtt://localhost:1883 The broker url
+ * @property {object} clientOptions The MQTT.js client options, e.g. username and password
+ * @property {string} id=null The device id used in topics and unique ids, defaults to the sensor name, bus and address, e.g. bmp180_1_77
+ * @property {string} name=null The device name shown in Home Assistant, defaults to the sensor name
+ * @property {string} baseTopic=null The topic prefix, defaults to bmp180/ and the id
+ * @property {object} topics The topics, each defaults to a subtopic of baseTopic
+ * @property {string} topics.state=null The retained JSON state, <baseTopic>/state
+ * @property {string} topics.availability=null The retained online/offline availability and last will, <baseTopic>/availability
+ * @property {string} topics.command=null The topic read and reset commands are accepted on, <baseTopic>/command
+ * @property {boolean} discovery=true Publish Home Assistant discovery configs
+ * @property {string} discoveryPrefix=homeassistant The Home Assistant discovery prefix
+ * @property {number} interval=60000 The number of milliseconds between readings
+ * @property {number} qos=0 The QoS of published messages
+ * @property {number} stopTimeout=1000 The number of milliseconds stop() waits for the offline message to be sent before disconnecting
+ * @property {object} units The temperature and pressure units published
+ * @property {object} precision The temperature and pressure decimal places published
+ */
+const mqttpublisherDefaults = {
+  url: 'mqtt://localhost:1883',
+  clientOptions: {},
+  id: null,
+  name: null,
+  baseTopic: null,
+  topics: {
+    state: null,
+    availability: null,
+    command: null,
+  },
+  discovery: true,
+  discoveryPrefix: 'homeassistant',
+  interval: 60000,
+  qos: 0,
+  stopTimeout: 1000,
+  units: {
+    temperature: 'C',
+    pressure: 'hPa',
+  },
+  precision: {
+    temperature: 2,
+    pressure: 2,
+  },
+};
+
+module.exports = {
+  mqttpublisherDefaults,
+};
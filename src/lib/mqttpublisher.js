@@ -0,0 +1,406 @@
+const EventEmitter = require('events');
+const delay = require('delay');
+const debug = require('debug')('Mqttpublisher');
+const _ = require('lodash');
+
+const units = require('./units');
+const { mqttpublisherDefaults } = require('./mqttpublisher.defaults');
+
+// Home Assistant unit_of_measurement for each temperature unit, pressure units match
+const temperatureUnitsOfMeasurement = {
+  C: '°C',
+  F: '°F',
+  K: 'K',
+};
+
+// The pressure units Home Assistant accepts for the pressure device class, atm is not one
+const pressureUnitsOfMeasurement = ['Pa', 'hPa', 'kPa', 'mbar', 'mmHg', 'inHg', 'psi'];
+
+const commands = ['read', 'reset'];
+
+/**
+ * Load MQTT.js on first use, it is an optional peer dependency so the driver can be
+ * installed and required without it
+ *
+ * @returns {object} The mqtt module
+ * @throws Will throw if mqtt is not installed.
+ */
+const loadMqtt = () => {
+  try {
+    // eslint-disable-next-line global-require
+    return require('mqtt');
+  } catch (err) {
+    if (err.code === 'MODULE_NOT_FOUND') {
+      throw new Error('Mqttpublisher needs the mqtt package, install it with npm install mqtt');
+    }
+    throw err;
+  }
+};
+
+/**
+ * Default device id from the sensor name, bus and address, e.g. bmp180_1_77
+ *
+ * @param {object} sensor
+ * @returns {string}
+ */
+const deviceIdFor = (sensor) => {
+  const busnumber = _.isNil(sensor.busnumber) ? 'bus' : sensor.busnumber;
+  const id = `${sensor.name}_${busnumber}_${sensor.address.toString(16)}`;
+  return id.toLowerCase().replace(/[^a-z0-9_]/g, '_');
+};
+
+/**
+ * Publishes readings from a sensor to an MQTT broker, with a retained availability
+ * topic that is also the last will, Home Assistant discovery configs and a command
+ * topic accepting read and reset.
+ *
+ * Emits:
+ * publish - with the Sample from each published reading
+ * command - with the name of each command once it has completed
+ * error - with the error from a failed reading, command or connection
+ *
+ * @class Mqttpublisher
+ * @extends {EventEmitter}
+ */
+class Mqttpublisher extends EventEmitter {
+  /**
+   *Creates an instance of Mqttpublisher.
+   * @param {object} sensor The sensor to publish, providing read(), softreset() and calibrate()
+   * @param {mqttpublisherDefaults} [options] The configuration options
+   * @throws Will throw if the sensor, interval, qos, stop timeout, a unit or precision is invalid, or discovery is enabled with a pressure unit Home Assistant does not accept.
+   * @memberof Mqttpublisher
+   */
+  constructor(sensor, options) {
+    super();
+    if (_.isNil(sensor) || !_.isFunction(sensor.read)) {
+      throw new TypeError(`Invalid sensor ${sensor}`);
+    }
+    this._opts = _.merge({}, mqttpublisherDefaults, options);
+    if (!(Number.isInteger(this._opts.interval) && this._opts.interval > 0)) {
+      throw new TypeError(`Invalid interval ${this._opts.interval}`);
+    }
+    if (![0, 1, 2].includes(this._opts.qos)) {
+      throw new TypeError(`Invalid qos ${this._opts.qos}`);
+    }
+    if (!(Number.isFinite(this._opts.stopTimeout) && this._opts.stopTimeout >= 0)) {
+      throw new TypeError(`Invalid stopTimeout ${this._opts.stopTimeout}`);
+    }
+    Object.assign(this._opts, units.validatedOutput(this._opts));
+    const { pressure } = this._opts.units;
+    if (this._opts.discovery && !pressureUnitsOfMeasurement.includes(pressure)) {
+      throw new TypeError(`Invalid pressure unit ${pressure} for Home Assistant discovery`);
+    }
+    this._sensor = sensor;
+    this._id = _.isNil(this._opts.id) ? deviceIdFor(sensor) : this._opts.id;
+    const baseTopic = _.isNil(this._opts.baseTopic) ? `bmp180/${this._id}` : this._opts.baseTopic;
+    this._topics = _.mapValues(this._opts.topics, (topic, name) =>
+      _.isNil(topic) ? `${baseTopic}/${name}` : topic
+    );
+    this._client = null;
+    this._timer = null;
+    this._running = false;
+    debug('Mqttpublisher constructor. id: %s topics: %o', this._id, this._topics);
+  }
+
+  /**
+   * Get the device id
+   *
+   * @readonly
+   * @memberof Mqttpublisher
+   */
+  get id() {
+    return this._id;
+  }
+
+  /**
+   * Get the state, availability and command topics
+   *
+   * @readonly
+   * @memberof Mqttpublisher
+   */
+  get topics() {
+    return { ...this._topics };
+  }
+
+  /**
+   * Check if readings are being published
+   *
+   * @readonly
+   * @memberof Mqttpublisher
+   */
+  get isRunning() {
+    return this._running;
+  }
+
+  /**
+   * The Home Assistant discovery topics and configs, one for each measurement
+   *
+   * @returns {Array<{topic: string, config: object}>}
+   * @memberof Mqttpublisher
+   */
+  discoveryConfigs() {
+    const { discoveryPrefix, name } = this._opts;
+    const measurements = [
+      {
+        key: 'temperature',
+        name: 'Temperature',
+        unit: temperatureUnitsOfMeasurement[this._opts.units.temperature],
+      },
+      { key: 'pressure', name: 'Pressure', unit: this._opts.units.pressure },
+    ];
+    if (_.isFunction(this._sensor.humidity)) {
+      measurements.push({ key: 'humidity', name: 'Humidity', unit: '%' });
+    }
+    const device = {
+      identifiers: [this._id],
+      name: _.isNil(name) ? this._sensor.name : name,
+      model: this._sensor.name,
+      manufacturer: 'Bosch',
+    };
+    return measurements.map(({ key, name: measurement, unit }) => ({
+      topic: `${discoveryPrefix}/sensor/${this._id}/${key}/config`,
+      config: {
+        name: `${device.name} ${measurement}`,
+        unique_id: `${this._id}_${key}`,
+        device_class: key,
+        state_class: 'measurement',
+        unit_of_measurement: unit,
+        state_topic: this._topics.state,
+        value_template: `{{ value_json.${key} }}`,
+        availability_topic: this._topics.availability,
+        payload_available: 'online',
+        payload_not_available: 'offline',
+        device,
+      },
+    }));
+  }
+
+  /**
+   * Emit an error while running, outside of the publishing promise chains so a
+   * missing or throwing listener behaves as it would for any other EventEmitter
+   *
+   * @param {Error} err
+   * @memberof Mqttpublisher
+   */
+  _emitError(err) {
+    process.nextTick(() => {
+      if (this._running) {
+        this.emit('error', err);
+      }
+    });
+  }
+
+  /**
+   * Publish a message
+   *
+   * @param {string} topic
+   * @param {string|object} payload Objects are published as JSON
+   * @param {boolean} [retain=false]
+   * @returns {Promise} Returns a Promise that will be resolved once the message is sent
+   * @memberof Mqttpublisher
+   */
+  _publish(topic, payload, retain = false) {
+    const message = _.isString(payload) ? payload : JSON.stringify(payload);
+    if (_.isNil(this._client)) {
+      return Promise.reject(new Error('Mqttpublisher is not running'));
+    }
+    return new Promise((resolve, reject) => {
+      this._client.publish(topic, message, { qos: this._opts.qos, retain }, (err) =>
+        err ? reject(err) : resolve()
+      );
+    });
+  }
+
+  /**
+   * Announce the device, publishing availability and discovery configs and subscribing
+   * to the command topic, on every connection to the broker
+   *
+   * @returns {Promise}
+   * @memberof Mqttpublisher
+   */
+  _announce() {
+    debug('_announce');
+    const discovery = this._opts.discovery ? this.discoveryConfigs() : [];
+    return Promise.all([
+      this._publish(this._topics.availability, 'online', true),
+      ...discovery.map(({ topic, config }) => this._publish(topic, config, true)),
+      new Promise((resolve, reject) => {
+        this._client.subscribe(this._topics.command, { qos: this._opts.qos }, (err) =>
+          err ? reject(err) : resolve()
+        );
+      }),
+    ]);
+  }
+
+  /**
+   * Read the sensor and publish the retained state
+   *
+   * @returns {Promise<Sample>} Returns a Promise that will be resolved to the published Sample
+   * @memberof Mqttpublisher
+   */
+  publishReading() {
+    debug('publishReading');
+    const { units: output, precision } = this._opts;
+    return Promise.resolve()
+      .then(() => this._sensor.read({ units: output, precision }))
+      .then((sample) => {
+        const state = {
+          temperature: sample.temperature,
+          pressure: sample.pressure,
+          ...(_.isNil(sample.humidity) ? {} : { humidity: _.round(sample.humidity, 2) }),
+          timestamp: sample.timestamp.toISOString(),
+        };
+        return this._publish(this._topics.state, state, true).then(() => {
+          this.emit('publish', sample);
+          return sample;
+        });
+      });
+  }
+
+  /**
+   * Run a command received on the command topic
+   *
+   * @param {string} payload The command, read or reset
+   * @returns {Promise}
+   * @memberof Mqttpublisher
+   */
+  _command(payload) {
+    const command = payload.trim().toLowerCase();
+    debug('_command. %s', command);
+    return Promise.resolve()
+      .then(() => {
+        if (!commands.includes(command)) {
+          throw new TypeError(`Invalid command ${payload}`);
+        }
+        if (command === 'reset') {
+          return this._sensor
+            .softreset()
+            .then(() => this._sensor.calibrate())
+            .then(() => this.publishReading());
+        }
+        return this.publishReading();
+      })
+      .then(() => {
+        this.emit('command', command);
+      });
+  }
+
+  /**
+   * Publish a reading every interval, the schedule is corrected for the time each takes
+   *
+   * @memberof Mqttpublisher
+   */
+  _schedule() {
+    const started = Date.now();
+    this.publishReading()
+      .catch((err) => this._emitError(err))
+      .then(() => {
+        if (this._running) {
+          const wait = Math.max(this._opts.interval - (Date.now() - started), 0);
+          this._timer = setTimeout(() => this._schedule(), wait);
+        }
+      });
+  }
+
+  /**
+   * Connect to the broker, announce the device and start publishing readings
+   *
+   * @returns {Promise<boolean>} Returns a Promise that will be resolved to true once connected and announced, rejected if mqtt is not installed or the first connection fails
+   * @memberof Mqttpublisher
+   */
+  start() {
+    if (this._running) {
+      return Promise.resolve(false);
+    }
+    debug('start. %s', this._opts.url);
+    let mqtt;
+    try {
+      mqtt = loadMqtt();
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    this._running = true;
+    const client = mqtt.connect(this._opts.url, {
+      ...this._opts.clientOptions,
+      will: {
+        topic: this._topics.availability,
+        payload: 'offline',
+        qos: this._opts.qos,
+        retain: true,
+      },
+    });
+    this._client = client;
+    client.on('message', (topic, message) => {
+      if (topic === this._topics.command) {
+        this._command(message.toString()).catch((err) => this._emitError(err));
+      }
+    });
+    return new Promise((resolve, reject) => {
+      client.once('error', reject);
+      client.once('connect', () => {
+        client.removeListener('error', reject);
+        client.on('error', (err) => this._emitError(err));
+        // Announce again after a reconnect, unless stop() has been called since
+        client.on('connect', () => {
+          if (this._client === client) {
+            this._announce().catch((err) => this._emitError(err));
+          }
+        });
+        resolve(this._announce());
+      });
+    })
+      .then(() => {
+        this._schedule();
+        return true;
+      })
+      .catch((err) => {
+        this._running = false;
+        this._client = null;
+        client.end(true);
+        throw err;
+      });
+  }
+
+  /**
+   * Stop publishing, mark the device offline and disconnect. The offline message is
+   * skipped while disconnected, as the broker publishes the last will, and is given up
+   * on after stopTimeout.
+   *
+   * @returns {Promise<boolean>} Returns a Promise that will be resolved to true if the publisher was running
+   * @memberof Mqttpublisher
+   */
+  stop() {
+    if (!this._running) {
+      return Promise.resolve(false);
+    }
+    debug('stop');
+    this._running = false;
+    clearTimeout(this._timer);
+    const client = this._client;
+    this._client = null;
+    const timeout = delay(this._opts.stopTimeout);
+    const offline = client.connected
+      ? Promise.race([
+          new Promise((resolve) => {
+            client.publish(
+              this._topics.availability,
+              'offline',
+              { qos: this._opts.qos, retain: true },
+              resolve
+            );
+          }),
+          timeout,
+        ])
+      : Promise.resolve();
+    return offline
+      .then(() => {
+        timeout.clear();
+        return new Promise((resolve) => client.end(true, {}, resolve));
+      })
+      .then(() => true);
+  }
+}
+
+module.exports = {
+  Mqttpublisher,
+};
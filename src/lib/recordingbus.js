@@ -0,0 +1,281 @@
+const fs = require('fs');
+const debug = require('debug')('Recordingbus');
+const _ = require('lodash');
+
+/**
+ * Current time in milliseconds from a monotonic clock
+ *
+ * @returns {number}
+ */
+const now = () => Number(process.hrtime.bigint()) / 1e6;
+
+/**
+ * Round a time in milliseconds to microseconds
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+const roundTime = (value) => _.round(value, 3);
+
+/**
+ * The recorded form of an error, keeping what callers check for retries
+ *
+ * @param {Error} err
+ * @returns {object}
+ */
+const recordedError = (err) =>
+  _.omitBy({ message: err.message, code: err.code, errno: err.errno }, _.isNil);
+
+/**
+ * Wraps an i2c-bus PromisifiedBus or Virtualbus, recording every transfer with its
+ * address, register, payload, result or error and timing, so a session from a field
+ * unit can be replayed with a Replaybus.
+ *
+ * Each record is written as a line of NDJSON, e.g.
+ * {"seq":3,"op":"readI2cBlock","address":119,"register":246,"length":2,"result":"6cfa","at":12.021,"duration":0.412}
+ *
+ * An error writing the file, e.g. a missing directory, is kept and rejects the
+ * transfers that follow and close().
+ *
+ * @class Recordingbus
+ */
+class Recordingbus {
+  /**
+   *Creates an instance of Recordingbus.
+   * @param {object} bus The bus to record, an i2c-bus Bus or PromisifiedBus or a Virtualbus
+   * @param {string} [file] The NDJSON file to write, records are kept in memory when not set
+   * @throws Will throw if the bus is invalid.
+   * @memberof Recordingbus
+   */
+  constructor(bus, file) {
+    if (_.isNil(bus) || !_.isFunction(bus.promisifiedBus)) {
+      throw new TypeError('Invalid bus it must be an i2c-bus.Bus or a Virtualbus');
+    }
+    this._bus = bus.promisifiedBus();
+    this._file = _.isNil(file) ? null : file;
+    this._stream = _.isNil(file) ? null : fs.createWriteStream(file);
+    this._error = null;
+    if (!_.isNil(this._stream)) {
+      this._stream.on('error', (err) => {
+        debug('Recordingbus. file error: %o', err);
+        this._error = err;
+      });
+    }
+    this._records = [];
+    this._seq = 0;
+    this._started = now();
+    debug('Recordingbus constructor. file: %s', this._file);
+  }
+
+  /**
+   * Get the number reported by the recorded bus
+   *
+   * @readonly
+   * @memberof Recordingbus
+   */
+  get busnumber() {
+    return _.get(this._bus, 'busnumber', null);
+  }
+
+  /**
+   * Get the records kept in memory, empty when writing to a file
+   *
+   * @readonly
+   * @memberof Recordingbus
+   */
+  get records() {
+    return this._records.map((record) => ({ ...record }));
+  }
+
+  /**
+   * Mirrors i2c-bus Bus.promisifiedBus(), this bus is already promise based
+   *
+   * @returns {Recordingbus}
+   * @memberof Recordingbus
+   */
+  promisifiedBus() {
+    return this;
+  }
+
+  /**
+   * Mirrors i2c-bus PromisifiedBus.bus()
+   *
+   * @returns {Recordingbus}
+   * @memberof Recordingbus
+   */
+  bus() {
+    return this;
+  }
+
+  /**
+   * Write a record to the file, or keep it in memory
+   *
+   * @param {object} record
+   * @memberof Recordingbus
+   */
+  _write(record) {
+    if (_.isNil(this._file)) {
+      this._records.push(record);
+    } else if (!_.isNil(this._stream)) {
+      this._stream.write(`${JSON.stringify(record)}\n`);
+    } else {
+      debug('_write. closed, dropping record %d', record.seq);
+    }
+  }
+
+  /**
+   * Run a transfer on the recorded bus and record it once it settles
+   *
+   * @param {object} call The op, address, register and payload of the transfer
+   * @param {function} transfer Returns a Promise for the transfer
+   * @param {function} [result] Maps the resolved value to the recorded result
+   * @returns {Promise} Returns a Promise settled the same way as the transfer, rejected without running it once writing the file has failed
+   * @memberof Recordingbus
+   */
+  _record(call, transfer, result = _.identity) {
+    if (!_.isNil(this._error)) {
+      return Promise.reject(this._error);
+    }
+    const seq = this._seq;
+    this._seq += 1;
+    const started = now();
+    const record = (outcome) =>
+      this._write({
+        seq,
+        ...call,
+        ...outcome,
+        at: roundTime(started - this._started),
+        duration: roundTime(now() - started),
+      });
+    return Promise.resolve()
+      .then(() => transfer())
+      .then(
+        (value) => {
+          record({ result: result(value) });
+          return value;
+        },
+        (err) => {
+          record({ error: recordedError(err) });
+          throw err;
+        }
+      );
+  }
+
+  /**
+   * Read a byte from a device register
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The command/register to read from
+   * @returns {Promise<number>}
+   * @memberof Recordingbus
+   */
+  readByte(address, command) {
+    return this._record({ op: 'readByte', address, register: command }, () =>
+      this._bus.readByte(address, command)
+    );
+  }
+
+  /**
+   * Write a byte to a device register
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The command/register to write to
+   * @param {number} byte The value to write
+   * @returns {Promise}
+   * @memberof Recordingbus
+   */
+  writeByte(address, command, byte) {
+    return this._record(
+      { op: 'writeByte', address, register: command, payload: byte },
+      () => this._bus.writeByte(address, command, byte),
+      () => null
+    );
+  }
+
+  /**
+   * Read a block of consecutive registers, the bytes read are recorded as hex
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The first command/register to read from
+   * @param {number} length The number of bytes to read
+   * @param {Buffer} buffer The buffer to read into
+   * @returns {Promise<{bytesRead: number, buffer: Buffer}>}
+   * @memberof Recordingbus
+   */
+  readI2cBlock(address, command, length, buffer) {
+    return this._record(
+      { op: 'readI2cBlock', address, register: command, length },
+      () => this._bus.readI2cBlock(address, command, length, buffer),
+      (response) => response.buffer.slice(0, response.bytesRead).toString('hex')
+    );
+  }
+
+  /**
+   * Write a block of consecutive registers, the bytes written are recorded as hex
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The first command/register to write to
+   * @param {number} length The number of bytes to write
+   * @param {Buffer} buffer The buffer to write
+   * @returns {Promise<{bytesWritten: number, buffer: Buffer}>}
+   * @memberof Recordingbus
+   */
+  writeI2cBlock(address, command, length, buffer) {
+    return this._record(
+      {
+        op: 'writeI2cBlock',
+        address,
+        register: command,
+        length,
+        payload: buffer.slice(0, length).toString('hex'),
+      },
+      () => this._bus.writeI2cBlock(address, command, length, buffer),
+      (response) => response.bytesWritten
+    );
+  }
+
+  /**
+   * Scan the recorded bus for devices
+   *
+   * @param {number} [startAddr=0x03] The first address to scan
+   * @param {number} [endAddr=0x77] The last address to scan
+   * @returns {Promise<number[]>}
+   * @memberof Recordingbus
+   */
+  scan(startAddr = 0x03, endAddr = 0x77) {
+    return this._record({ op: 'scan', address: null, startAddr, endAddr }, () =>
+      this._bus.scan(startAddr, endAddr)
+    );
+  }
+
+  /**
+   * Finish the recording and close the recorded bus
+   *
+   * @returns {Promise} Returns a Promise that will be resolved once the file is flushed and the bus closed, rejected with the error if writing the file failed
+   * @memberof Recordingbus
+   */
+  close() {
+    debug('close');
+    const stream = this._stream;
+    this._stream = null;
+    const flushed =
+      _.isNil(stream) || !_.isNil(this._error)
+        ? Promise.resolve()
+        : new Promise((resolve) => {
+            // The error itself is kept by the listener added in the constructor
+            stream.once('error', resolve);
+            stream.end(resolve);
+          });
+    return flushed
+      .then(() => this._bus.close())
+      .then(() => {
+        if (!_.isNil(this._error)) {
+          throw this._error;
+        }
+      });
+  }
+}
+
+module.exports = {
+  Recordingbus,
+};
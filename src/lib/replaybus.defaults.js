@@ -0,0 +1,14 @@
+/**
+ * @typedef replaybusDefaults
+ * @type {object}
+ * @property {number} busnumber=null The number reported for the bus
+ * @property {boolean} timing=false Take the recorded duration of each transfer before it settles
+ */
+const replaybusDefaults = {
+  busnumber: null,
+  timing: false,
+};
+
+module.exports = {
+  replaybusDefaults,
+};
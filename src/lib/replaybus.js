@@ -0,0 +1,264 @@
+const fs = require('fs');
+const debug = require('debug')('Replaybus');
+const delay = require('delay');
+const _ = require('lodash');
+
+const { ReplayMismatchError } = require('./errors');
+const { replaybusDefaults } = require('./replaybus.defaults');
+
+/**
+ * Format a number as hex for descriptions
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+const hex = (value) => `0x${value.toString(16)}`;
+
+/**
+ * Describe a transfer, two transfers match when their descriptions are equal
+ *
+ * @param {object} call The op, address, register, length and payload of the transfer
+ * @returns {string}
+ */
+const describe = (call) => {
+  if (call.op === 'scan') {
+    return `scan ${hex(call.startAddr)}-${hex(call.endAddr)}`;
+  }
+  const parts = [call.op, `address ${hex(call.address)}`, `register ${hex(call.register)}`];
+  if (!_.isNil(call.length)) {
+    parts.push(`length ${call.length}`);
+  }
+  if (!_.isNil(call.payload)) {
+    parts.push(`payload ${_.isNumber(call.payload) ? hex(call.payload) : call.payload}`);
+  }
+  return parts.join(' ');
+};
+
+/**
+ * Parse a recording, one record per line
+ *
+ * @param {string} text The NDJSON written by a Recordingbus
+ * @returns {object[]}
+ */
+const parseRecording = (text) =>
+  text
+    .split('\n')
+    .filter((line) => line.trim() !== '')
+    .map((line) => JSON.parse(line));
+
+/**
+ * Recreate a recorded error
+ *
+ * @param {object} recorded The message, code and errno
+ * @returns {Error}
+ */
+const replayedError = (recorded) => Object.assign(new Error(recorded.message), recorded);
+
+/**
+ * A bus that replays the transfers recorded by a Recordingbus, so a sensor can be run
+ * against a session captured from a device. Each address replays its transfers in the
+ * recorded order, and a transfer that differs from the next recorded for its address
+ * is rejected with a ReplayMismatchError.
+ *
+ * @class Replaybus
+ */
+class Replaybus {
+  /**
+   *Creates an instance of Replaybus.
+   * @param {string|object[]} recording The NDJSON file written by a Recordingbus, or its records
+   * @param {replaybusDefaults} [options] The configuration options
+   * @throws Will throw if the recording cannot be read or parsed.
+   * @memberof Replaybus
+   */
+  constructor(recording, options) {
+    this._opts = _.merge({}, replaybusDefaults, options);
+    const records = _.isString(recording)
+      ? parseRecording(fs.readFileSync(recording, 'utf8'))
+      : recording;
+    if (!_.isArray(records)) {
+      throw new TypeError(`Invalid recording ${recording}`);
+    }
+    this._queues = _.groupBy(_.sortBy(records, 'seq'), (record) => String(record.address));
+    this._remaining = records.length;
+    this._closed = false;
+    debug('Replaybus constructor. %d records', records.length);
+  }
+
+  /**
+   * Get the number reported for this bus
+   *
+   * @readonly
+   * @memberof Replaybus
+   */
+  get busnumber() {
+    return this._opts.busnumber;
+  }
+
+  /**
+   * Get the number of recorded transfers not yet replayed
+   *
+   * @readonly
+   * @memberof Replaybus
+   */
+  get remaining() {
+    return this._remaining;
+  }
+
+  /**
+   * Check if every recorded transfer has been replayed
+   *
+   * @readonly
+   * @memberof Replaybus
+   */
+  get isComplete() {
+    return this._remaining === 0;
+  }
+
+  /**
+   * Mirrors i2c-bus Bus.promisifiedBus(), this bus is already promise based
+   *
+   * @returns {Replaybus}
+   * @memberof Replaybus
+   */
+  promisifiedBus() {
+    return this;
+  }
+
+  /**
+   * Mirrors i2c-bus PromisifiedBus.bus()
+   *
+   * @returns {Replaybus}
+   * @memberof Replaybus
+   */
+  bus() {
+    return this;
+  }
+
+  /**
+   * Replay the next recorded transfer for the address of a call
+   *
+   * @param {object} call The op, address, register, length and payload of the transfer
+   * @returns {Promise} Returns a Promise settled with the recorded result or error, rejected with a ReplayMismatchError if the call differs from the recording
+   * @memberof Replaybus
+   */
+  _replay(call) {
+    if (this._closed) {
+      return Promise.reject(new Error('Bus is closed'));
+    }
+    const actual = describe(call);
+    const queue = _.get(this._queues, String(call.address), []);
+    const record = queue[0];
+    if (_.isNil(record)) {
+      return Promise.reject(new ReplayMismatchError(null, 'no more transfers', actual));
+    }
+    const expected = describe(record);
+    if (expected !== actual) {
+      debug('_replay. mismatch at %d: %s != %s', record.seq, expected, actual);
+      return Promise.reject(new ReplayMismatchError(record.seq, expected, actual));
+    }
+    queue.shift();
+    this._remaining -= 1;
+    const wait = this._opts.timing ? delay(record.duration) : new Promise(setImmediate);
+    return wait.then(() => {
+      if (!_.isNil(record.error)) {
+        throw replayedError(record.error);
+      }
+      return record.result;
+    });
+  }
+
+  /**
+   * Read a byte from a device register
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The command/register to read from
+   * @returns {Promise<number>}
+   * @memberof Replaybus
+   */
+  readByte(address, command) {
+    return this._replay({ op: 'readByte', address, register: command });
+  }
+
+  /**
+   * Write a byte to a device register
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The command/register to write to
+   * @param {number} byte The value to write
+   * @returns {Promise}
+   * @memberof Replaybus
+   */
+  writeByte(address, command, byte) {
+    return this._replay({ op: 'writeByte', address, register: command, payload: byte }).then(
+      () => undefined
+    );
+  }
+
+  /**
+   * Read a block of consecutive registers
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The first command/register to read from
+   * @param {number} length The number of bytes to read
+   * @param {Buffer} buffer The buffer to read into
+   * @returns {Promise<{bytesRead: number, buffer: Buffer}>}
+   * @memberof Replaybus
+   */
+  readI2cBlock(address, command, length, buffer) {
+    return this._replay({ op: 'readI2cBlock', address, register: command, length }).then(
+      (result) => {
+        const bytesRead = Buffer.from(result, 'hex').copy(buffer);
+        return { bytesRead, buffer };
+      }
+    );
+  }
+
+  /**
+   * Write a block of consecutive registers
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The first command/register to write to
+   * @param {number} length The number of bytes to write
+   * @param {Buffer} buffer The buffer to write
+   * @returns {Promise<{bytesWritten: number, buffer: Buffer}>}
+   * @memberof Replaybus
+   */
+  writeI2cBlock(address, command, length, buffer) {
+    const payload = buffer.slice(0, length).toString('hex');
+    return this._replay({
+      op: 'writeI2cBlock',
+      address,
+      register: command,
+      length,
+      payload,
+    }).then((bytesWritten) => ({ bytesWritten, buffer }));
+  }
+
+  /**
+   * Replay a scan for devices
+   *
+   * @param {number} [startAddr=0x03] The first address to scan
+   * @param {number} [endAddr=0x77] The last address to scan
+   * @returns {Promise<number[]>}
+   * @memberof Replaybus
+   */
+  scan(startAddr = 0x03, endAddr = 0x77) {
+    return this._replay({ op: 'scan', address: null, startAddr, endAddr });
+  }
+
+  /**
+   * Close the bus, further transfers will be rejected
+   *
+   * @returns {Promise}
+   * @memberof Replaybus
+   */
+  close() {
+    debug('close');
+    this._closed = true;
+    return Promise.resolve();
+  }
+}
+
+module.exports = {
+  Replaybus,
+};
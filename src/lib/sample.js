@@ -0,0 +1,136 @@
+const barometric = require('./barometric');
+const units = require('./units');
+
+/**
+ * A single reading from one temperature and one pressure conversion
+ *
+ * @class Sample
+ */
+class Sample {
+  /**
+   *Creates an instance of Sample.
+   * @param {object} values The sample values
+   * @param {number} values.temperature The compensated temperature in Celsius
+   * @param {number} values.pressure The compensated pressure in Pascals
+   * @param {number} values.ut The uncompensated temperature value
+   * @param {number} values.up The uncompensated pressure value
+   * @param {number} values.oss The oversampling mode used for the pressure conversion
+   * @param {Date} [values.timestamp=new Date()] When the sample was taken
+   * @param {object} [values.units] The units of the temperature and pressure, defaults to C and Pa
+   * @param {object} [values.unfiltered] The temperature and pressure before filtering, defaults to the temperature and pressure
+   * @param {number} [values.humidity] The relative humidity in percent, only set by sensors that measure it
+   * @param {boolean} [values.temperatureCached] Whether the ut was reused from an earlier temperature conversion, false when it was converted for this sample, only set by sensors that can reuse temperature conversions
+   * @memberof Sample
+   */
+  constructor({
+    temperature,
+    pressure,
+    ut,
+    up,
+    oss,
+    timestamp = new Date(),
+    units: sampleUnits = units.defaultUnits,
+    unfiltered = { temperature, pressure },
+    humidity,
+    temperatureCached,
+  }) {
+    this.temperature = temperature;
+    this.pressure = pressure;
+    this.unfiltered = Object.freeze({ ...unfiltered });
+    this.ut = ut;
+    this.up = up;
+    this.oss = oss;
+    this.timestamp = timestamp;
+    this.units = Object.freeze({ ...sampleUnits });
+    if (humidity !== undefined) {
+      this.humidity = humidity;
+    }
+    if (temperatureCached !== undefined) {
+      this.temperatureCached = temperatureCached;
+    }
+    Object.freeze(this);
+  }
+
+  /**
+   * Create a new sample from this one with some values replaced
+   *
+   * @param {object} values The values to replace
+   * @returns {Sample}
+   * @memberof Sample
+   */
+  derive(values) {
+    return new this.constructor({ ...this, ...values });
+  }
+
+  /**
+   * Create a new sample from this one in other units
+   *
+   * @param {object} output The output options
+   * @param {object} [output.units] The temperature and pressure units, defaults to the current units
+   * @param {object} [output.precision] The temperature and pressure decimal places, null leaves values unrounded
+   * @returns {Sample}
+   * @throws Will throw if a unit or precision is invalid.
+   * @memberof Sample
+   */
+  convert(output) {
+    const { units: to, precision } = units.validatedOutput(output, { units: this.units });
+    const temperature = (value) =>
+      units.round(
+        units.convertTemperature(value, to.temperature, this.units.temperature),
+        precision.temperature
+      );
+    const pressure = (value) =>
+      units.round(
+        units.convertPressure(value, to.pressure, this.units.pressure),
+        precision.pressure
+      );
+    return this.derive({
+      temperature: temperature(this.temperature),
+      pressure: pressure(this.pressure),
+      unfiltered: {
+        temperature: temperature(this.unfiltered.temperature),
+        pressure: pressure(this.unfiltered.pressure),
+      },
+      units: to,
+    });
+  }
+
+  /**
+   * Altitude in metres for this sample
+   *
+   * @param {number} [seaLevelPressure=101325] The sea-level reference pressure (QNH) in Pascals
+   * @returns {number}
+   * @memberof Sample
+   */
+  altitude(seaLevelPressure = barometric.standardSeaLevelPressure) {
+    return barometric.altitude(
+      units.convertPressure(this.pressure, 'Pa', this.units.pressure),
+      seaLevelPressure
+    );
+  }
+
+  /**
+   * Pressure for this sample reduced to sea level, in the units of the sample
+   *
+   * @param {number} stationAltitude The altitude of the sensor in metres
+   * @returns {number}
+   * @memberof Sample
+   */
+  seaLevelPressure(stationAltitude) {
+    return barometric.seaLevelPressure(this.pressure, stationAltitude);
+  }
+
+  /**
+   * Plain object representation, with the timestamp as an ISO 8601 string
+   *
+   * @returns {object}
+   * @memberof Sample
+   */
+  toJSON() {
+    return { ...this, timestamp: this.timestamp.toISOString() };
+  }
+}
+
+module.exports = {
+  Sample,
+};
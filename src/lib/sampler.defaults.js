@@ -0,0 +1,33 @@
+/**
+ * @typedef samplerDefaults
+ * @type {object}
+ * @property {number} interval=1000 The number of milliseconds between the start of each reading
+ * @property {number} staleAfter=null The number of milliseconds without a successful reading before stale is emitted, defaults to three intervals
+ * @property {object} threshold The minimum difference from the last change before change is emitted
+ * @property {number} threshold.temperature=0 The temperature difference, in the units of the samples
+ * @property {number} threshold.pressure=0 The pressure difference, in the units of the samples
+ */
+const samplerDefaults = {
+  interval: 1000,
+  staleAfter: null,
+  threshold: {
+    temperature: 0,
+    pressure: 0,
+  },
+};
+
+/**
+ * @typedef samplestreamDefaults
+ * @type {object}
+ * @property {number} interval=1000 The minimum number of milliseconds between the start of each reading
+ * @property {number} highWaterMark=1 The number of samples buffered before polling pauses for the consumer
+ */
+const samplestreamDefaults = {
+  interval: 1000,
+  highWaterMark: 1,
+};
+
+module.exports = {
+  samplerDefaults,
+  samplestreamDefaults,
+};
@@ -0,0 +1,241 @@
+const debug = require('debug')('Sampler');
+const _ = require('lodash');
+
+const { samplerDefaults } = require('./sampler.defaults');
+
+/**
+ * Continuous sampling loop that emits events on behalf of a sensor.
+ *
+ * A reading is only started once the previous one has completed, and the next
+ * reading is scheduled against the planned start time so slow conversions do not
+ * cause drift.
+ *
+ * @class Sampler
+ */
+class Sampler {
+  /**
+   *Creates an instance of Sampler.
+   * @param {function} read Returns a Promise resolved to a Sample
+   * @param {EventEmitter} emitter The emitter for the data, error, change and stale events
+   * @memberof Sampler
+   */
+  constructor(read, emitter) {
+    this._read = read;
+    this._emitter = emitter;
+    this._opts = null;
+    this._running = false;
+    this._generation = 0;
+    this._timer = null;
+    this._staleTimer = null;
+    this._pending = Promise.resolve();
+    this._next = null;
+    this._reference = null;
+    this._lastSample = null;
+    this._lastSuccess = null;
+    this._stale = false;
+  }
+
+  /**
+   * Check if sampling is running
+   *
+   * @readonly
+   * @memberof Sampler
+   */
+  get isRunning() {
+    return this._running;
+  }
+
+  /**
+   * Get the options sampling was started with
+   *
+   * @readonly
+   * @memberof Sampler
+   */
+  get options() {
+    return this._opts;
+  }
+
+  /**
+   * Get the last successful sample
+   *
+   * @readonly
+   * @memberof Sampler
+   */
+  get lastSample() {
+    return this._lastSample;
+  }
+
+  /**
+   * Check if no successful reading has arrived within staleAfter
+   *
+   * @readonly
+   * @memberof Sampler
+   */
+  get isStale() {
+    return this._stale;
+  }
+
+  /**
+   * Start sampling, does nothing if already running
+   *
+   * @param {samplerDefaults} [options] The sampling options
+   * @throws Will throw an error if the interval is invalid
+   * @memberof Sampler
+   */
+  start(options) {
+    if (this._running) {
+      debug('start. already running');
+      return;
+    }
+    const opts = _.merge({}, samplerDefaults, options);
+    if (!Number.isFinite(opts.interval) || opts.interval <= 0) {
+      throw new TypeError(`Invalid interval ${opts.interval}`);
+    }
+    if (_.isNil(opts.staleAfter)) {
+      opts.staleAfter = opts.interval * 3;
+    }
+    debug('start. %o', opts);
+
+    this._opts = opts;
+    this._running = true;
+    this._generation += 1;
+    this._reference = null;
+    this._stale = false;
+    this._lastSuccess = Date.now();
+    this._next = this._lastSuccess;
+    this._armStale();
+    // A reading from before a previous stop() may still be completing
+    this._pending.then(() => {
+      if (this._running && this._timer === null) {
+        this._schedule(0);
+      }
+    });
+  }
+
+  /**
+   * Stop sampling
+   *
+   * @returns {Promise} Returns a Promise that will be resolved with no arguments once any reading in progress has completed
+   * @memberof Sampler
+   */
+  stop() {
+    debug('stop');
+    this._running = false;
+    clearTimeout(this._timer);
+    clearTimeout(this._staleTimer);
+    this._timer = null;
+    this._staleTimer = null;
+    return this._pending;
+  }
+
+  /**
+   * Emit outside of the sampling promise chain so listener errors behave as they
+   * would for any other EventEmitter
+   *
+   * @param {string} event The event name
+   * @param {...*} args The event arguments
+   * @memberof Sampler
+   */
+  _emit(event, ...args) {
+    process.nextTick(() => {
+      this._emitter.emit(event, ...args);
+    });
+  }
+
+  /**
+   * Schedule the next reading
+   *
+   * @param {number} wait The number of milliseconds to wait
+   * @memberof Sampler
+   */
+  _schedule(wait) {
+    const generation = this._generation;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._pending = this._tick(generation);
+    }, wait);
+  }
+
+  /**
+   * Restart the timer that emits stale when no successful reading arrives
+   *
+   * @memberof Sampler
+   */
+  _armStale() {
+    clearTimeout(this._staleTimer);
+    this._staleTimer = setTimeout(() => {
+      this._staleTimer = null;
+      this._stale = true;
+      const age = Date.now() - this._lastSuccess;
+      debug('stale. age: %d', age);
+      this._emit('stale', { age, lastSample: this._lastSample });
+    }, this._opts.staleAfter);
+  }
+
+  /**
+   * Handle a successful reading
+   *
+   * @param {Sample} sample The sample
+   * @memberof Sampler
+   */
+  _onSample(sample) {
+    this._lastSample = sample;
+    this._lastSuccess = Date.now();
+    this._stale = false;
+    this._armStale();
+    this._emit('data', sample);
+
+    const reference = this._reference;
+    const { threshold } = this._opts;
+    if (
+      _.isNil(reference) ||
+      Math.abs(sample.temperature - reference.temperature) > threshold.temperature ||
+      Math.abs(sample.pressure - reference.pressure) > threshold.pressure
+    ) {
+      this._reference = sample;
+      this._emit('change', sample, reference);
+    }
+  }
+
+  /**
+   * Take one reading and schedule the next
+   *
+   * @param {number} generation The start() call this reading belongs to
+   * @returns {Promise} Returns a Promise that will be resolved with no arguments
+   * @memberof Sampler
+   */
+  _tick(generation) {
+    const started = Date.now();
+    const isCurrent = () => this._running && this._generation === generation;
+    return this._read()
+      .then(
+        (sample) => {
+          if (isCurrent()) {
+            this._onSample(sample);
+          }
+        },
+        (err) => {
+          debug('tick. error: %o', err);
+          if (isCurrent()) {
+            this._emit('error', err);
+          }
+        }
+      )
+      .then(() => {
+        if (!isCurrent()) {
+          return;
+        }
+        const now = Date.now();
+        debug('tick. took: %d ms', now - started);
+        this._next += this._opts.interval;
+        if (this._next < now) {
+          this._next = now;
+        }
+        this._schedule(this._next - now);
+      });
+  }
+}
+
+module.exports = {
+  Sampler,
+};
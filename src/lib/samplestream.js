@@ -0,0 +1,123 @@
+const { Readable } = require('stream');
+const debug = require('debug')('Samplestream');
+const _ = require('lodash');
+
+const { samplestreamDefaults } = require('./sampler.defaults');
+
+/**
+ * Object mode Readable stream of samples.
+ *
+ * A reading is only taken when the stream asks for more data, so a slow consumer
+ * pauses polling once highWaterMark samples are buffered.
+ *
+ * @class Samplestream
+ * @extends {Readable}
+ */
+class Samplestream extends Readable {
+  /**
+   *Creates an instance of Samplestream.
+   * @param {function} read Returns a Promise resolved to a Sample
+   * @param {samplestreamDefaults} [options] The stream options
+   * @throws Will throw an error if the interval is invalid
+   * @memberof Samplestream
+   */
+  constructor(read, options) {
+    const opts = _.merge({}, samplestreamDefaults, options);
+    if (!(Number.isFinite(opts.interval) && opts.interval > 0)) {
+      throw new TypeError(`Invalid interval ${opts.interval}`);
+    }
+    super({ objectMode: true, highWaterMark: opts.highWaterMark });
+    this._readSample = read;
+    this._opts = opts;
+    this._timer = null;
+    this._reading = false;
+    this._ending = false;
+    this._finished = false;
+    this._next = null;
+    this._pending = Promise.resolve();
+    debug('Samplestream constructor. %o', opts);
+  }
+
+  /**
+   * Called by Readable when the consumer wants more samples
+   *
+   * @memberof Samplestream
+   */
+  _read() {
+    if (this._ending || this._finished || this._reading || !_.isNil(this._timer)) {
+      return;
+    }
+    const now = Date.now();
+    if (_.isNil(this._next) || this._next < now) {
+      this._next = now;
+    }
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._take();
+    }, this._next - now);
+  }
+
+  /**
+   * Take one reading and push it to the consumer
+   *
+   * @memberof Samplestream
+   */
+  _take() {
+    this._next += this._opts.interval;
+    this._reading = true;
+    this._pending = this._readSample().then(
+      (sample) => {
+        this._reading = false;
+        if (!this._finished && !this.destroyed) {
+          this.push(sample);
+        }
+      },
+      (err) => {
+        this._reading = false;
+        debug('take. error: %o', err);
+        if (!this._finished && !this.destroyed) {
+          this.destroy(err);
+        }
+      }
+    );
+  }
+
+  /**
+   * End the stream once any reading in progress has been pushed
+   *
+   * @returns {Promise} Returns a Promise that will be resolved with no arguments
+   * @memberof Samplestream
+   */
+  finish() {
+    debug('finish');
+    this._ending = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+    return this._pending.then(() => {
+      if (!this._finished && !this.destroyed) {
+        this._finished = true;
+        this.push(null);
+      }
+      this._finished = true;
+    });
+  }
+
+  /**
+   * Stop polling when the stream is destroyed
+   *
+   * @param {Error} err The error, if any
+   * @param {function} callback Called once destroyed
+   * @memberof Samplestream
+   */
+  _destroy(err, callback) {
+    debug('destroy');
+    this._finished = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+    callback(err);
+  }
+}
+
+module.exports = {
+  Samplestream,
+};
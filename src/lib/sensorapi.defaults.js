@@ -0,0 +1,20 @@
+/**
+ * @typedef sensorapiDefaults
+ * @type {object}
+ * @property {number} cacheAge=1000 The number of milliseconds a reading is reused for by GET requests
+ * @property {number} streamInterval=1000 The default number of milliseconds between stream samples, overridden by the interval query parameter
+ * @property {string} basePath= The path prefix the routes are served under, e.g. /api
+ * @property {number} port=8080 The port listen() uses when none is given
+ * @property {string} host=null The host listen() binds to, null binds every interface
+ */
+const sensorapiDefaults = {
+  cacheAge: 1000,
+  streamInterval: 1000,
+  basePath: '',
+  port: 8080,
+  host: null,
+};
+
+module.exports = {
+  sensorapiDefaults,
+};
@@ -0,0 +1,416 @@
+const http = require('http');
+const debug = require('debug')('Sensorapi');
+const _ = require('lodash');
+
+const { sensorapiDefaults } = require('./sensorapi.defaults');
+
+const routes = [
+  { pattern: /^\/sensors\/?$/, method: 'GET', action: '_list' },
+  { pattern: /^\/sensors\/([^/]+)\/?$/, method: 'GET', action: '_get' },
+  { pattern: /^\/sensors\/([^/]+)\/reset\/?$/, method: 'POST', action: '_reset' },
+  { pattern: /^\/sensors\/([^/]+)\/stream\/?$/, method: 'GET', action: '_stream' },
+];
+
+/**
+ * Default id for a sensor, matching the Bmp180manager ids, e.g. i2c-1-0x77
+ *
+ * @param {object} sensor
+ * @param {number} index The position of the sensor, used when it has no bus number
+ * @returns {string}
+ */
+const sensorId = (sensor, index) => {
+  const busnumber = _.isNil(sensor.busnumber) ? `bus${index}` : sensor.busnumber;
+  return `i2c-${busnumber}-0x${sensor.address.toString(16)}`;
+};
+
+/**
+ * The device info of a sensor
+ *
+ * @param {string} id
+ * @param {object} sensor
+ * @returns {object}
+ */
+const infoFor = (id, sensor) => ({
+  id,
+  name: sensor.name,
+  bus: _.isNil(sensor.busnumber) ? null : sensor.busnumber,
+  address: sensor.address,
+  initialized: Boolean(sensor.isInitialized),
+  calibrated: Boolean(sensor.isCalibrated),
+});
+
+/**
+ * Decode a sensor id from a path
+ *
+ * @param {string} encoded The id as it appears in the path
+ * @returns {string|null} The id, null if the escapes are malformed
+ */
+const decodeId = (encoded) => {
+  try {
+    return decodeURIComponent(encoded);
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * JSON body for an error
+ *
+ * @param {Error} err
+ * @returns {{message: string, code: string|null}}
+ */
+const errorBody = (err) => ({ message: err.message, code: _.get(err, 'code', null) });
+
+/**
+ * Send a JSON response
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status The status code
+ * @param {*} body The body, serialized with JSON.stringify()
+ * @param {object} [headers] Additional headers
+ */
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(`${JSON.stringify(body)}\n`);
+};
+
+/**
+ * JSON HTTP API for one or more sensors, with the latest reading and device info,
+ * soft reset and a Server-Sent Events feed of live samples. The handler works with
+ * the plain http module so it can run standalone with listen() or be mounted in an
+ * existing server, e.g. app.use('/api', api.handler) in Express.
+ *
+ * Routes:
+ * GET /sensors - the info and latest reading of every sensor
+ * GET /sensors/:id - the info and latest reading of one sensor
+ * POST /sensors/:id/reset - softreset() then calibrate()
+ * GET /sensors/:id/stream - a text/event-stream of sample events, every interval ms from the query
+ *
+ * @class Sensorapi
+ */
+class Sensorapi {
+  /**
+   *Creates an instance of Sensorapi.
+   * @param {object|object[]|Bmp180manager} sensors A sensor, an array of sensors, an object of sensors keyed by id, or a Bmp180manager
+   * @param {sensorapiDefaults} [options] The configuration options
+   * @throws Will throw if the sensors, cache age or stream interval are invalid.
+   * @memberof Sensorapi
+   */
+  constructor(sensors, options) {
+    this._opts = _.merge({}, sensorapiDefaults, options);
+    const { cacheAge, streamInterval } = this._opts;
+    if (!(Number.isFinite(cacheAge) && cacheAge >= 0)) {
+      throw new TypeError(`Invalid cacheAge ${cacheAge}`);
+    }
+    if (!(Number.isInteger(streamInterval) && streamInterval > 0)) {
+      throw new TypeError(`Invalid streamInterval ${streamInterval}`);
+    }
+    this._source = this._validatedSensors(sensors);
+    this._readings = new Map();
+    this._streams = new Set();
+    this._server = null;
+    this.handler = this.handler.bind(this);
+    debug('Sensorapi constructor. %o', this._opts);
+  }
+
+  /**
+   * Confirm Valid sensors, returning a function listing the current id and sensor pairs
+   *
+   * @param {*} sensors Validates every sensor provides read()
+   * @throws Will throw an error if invalid.
+   * @returns {function}
+   *
+   * @memberof Sensorapi
+   */
+  _validatedSensors = (sensors) => {
+    if (!_.isNil(sensors) && _.isFunction(sensors.get) && _.isArray(sensors.ids)) {
+      return () => sensors.ids.map((id) => ({ id, sensor: sensors.get(id) }));
+    }
+    const entries = _.isFunction(_.get(sensors, 'read'))
+      ? [{ id: sensorId(sensors, 0), sensor: sensors }]
+      : _.map(sensors, (sensor, key) => ({
+          id: _.isArray(sensors) ? sensorId(sensor, key) : key,
+          sensor,
+        }));
+    if (
+      entries.length === 0 ||
+      !entries.every(({ sensor }) => _.isFunction(_.get(sensor, 'read')))
+    ) {
+      throw new TypeError(`Invalid sensors ${sensors}`);
+    }
+    return () => entries;
+  };
+
+  /**
+   * Get the HTTP server once listen() has been called
+   *
+   * @readonly
+   * @memberof Sensorapi
+   */
+  get server() {
+    return this._server;
+  }
+
+  /**
+   * Find a sensor by id
+   *
+   * @param {string} id
+   * @returns {object|undefined} The id and sensor
+   * @memberof Sensorapi
+   */
+  _find(id) {
+    return _.find(this._source(), (entry) => entry.id === id);
+  }
+
+  /**
+   * The info and latest reading of a sensor, reading it unless the last reading is
+   * younger than the cache age. Concurrent requests share the same read.
+   *
+   * @param {object} entry The id and sensor
+   * @returns {Promise<object>} Returns a Promise resolved to the info with the sample and error, it is never rejected
+   * @memberof Sensorapi
+   */
+  _latest({ id, sensor }) {
+    let reading = this._readings.get(id);
+    if (_.isNil(reading) || reading.sensor !== sensor) {
+      reading = { sensor, sample: null, error: null, readAt: null, pending: null };
+      this._readings.set(id, reading);
+    }
+    const current = reading;
+    const fresh = !_.isNil(current.readAt) && Date.now() - current.readAt < this._opts.cacheAge;
+    if (_.isNil(current.pending) && !fresh) {
+      current.pending = Promise.resolve()
+        .then(() => sensor.read())
+        .then(
+          (sample) => {
+            current.sample = sample;
+            current.error = null;
+          },
+          (err) => {
+            debug('_latest. %s error: %o', id, err);
+            current.sample = null;
+            current.error = errorBody(err);
+          }
+        )
+        .then(() => {
+          current.readAt = Date.now();
+          current.pending = null;
+        });
+    }
+    return Promise.resolve(current.pending).then(() => ({
+      ...infoFor(id, sensor),
+      sample: current.sample,
+      error: current.error,
+    }));
+  }
+
+  /**
+   * GET /sensors
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @returns {Promise}
+   * @memberof Sensorapi
+   */
+  _list(req, res) {
+    return Promise.all(this._source().map((entry) => this._latest(entry))).then((sensors) => {
+      sendJson(res, 200, sensors);
+    });
+  }
+
+  /**
+   * GET /sensors/:id, 503 when the sensor could not be read
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {object} entry The id and sensor
+   * @returns {Promise}
+   * @memberof Sensorapi
+   */
+  _get(req, res, entry) {
+    return this._latest(entry).then((latest) => {
+      sendJson(res, _.isNil(latest.error) ? 200 : 503, latest);
+    });
+  }
+
+  /**
+   * POST /sensors/:id/reset, softreset() then calibrate()
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {object} entry The id and sensor
+   * @returns {Promise}
+   * @memberof Sensorapi
+   */
+  _reset(req, res, { id, sensor }) {
+    return Promise.resolve()
+      .then(() => sensor.softreset())
+      .then(() => sensor.calibrate())
+      .then(() => {
+        this._readings.delete(id);
+        sendJson(res, 200, { ...infoFor(id, sensor), reset: true });
+      });
+  }
+
+  /**
+   * GET /sensors/:id/stream, sends a sample event with each reading and an error event
+   * when a reading fails, until the client disconnects or close() is called
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {object} entry The id and sensor
+   * @param {URLSearchParams} query The query parameters
+   * @memberof Sensorapi
+   */
+  _stream(req, res, { id, sensor }, query) {
+    const interval = query.has('interval')
+      ? Number(query.get('interval'))
+      : this._opts.streamInterval;
+    if (!(Number.isInteger(interval) && interval > 0)) {
+      sendJson(res, 400, {
+        error: { message: `Invalid interval ${query.get('interval')}`, code: null },
+      });
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    let eventId = 0;
+    let timer = null;
+    const stream = { closed: false, res };
+    const send = (event, data) => {
+      eventId += 1;
+      res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const poll = () => {
+      const started = Date.now();
+      Promise.resolve()
+        .then(() => sensor.read())
+        .then(
+          (sample) => send('sample', sample),
+          (err) => send('error', errorBody(err))
+        )
+        .then(() => {
+          if (!stream.closed) {
+            timer = setTimeout(poll, Math.max(interval - (Date.now() - started), 0));
+          }
+        });
+    };
+    stream.stop = () => {
+      stream.closed = true;
+      clearTimeout(timer);
+      this._streams.delete(stream);
+    };
+    this._streams.add(stream);
+    res.on('close', stream.stop);
+    debug('_stream. %s interval: %d', id, interval);
+    poll();
+  }
+
+  /**
+   * Request handler for http.createServer(), or mounting in an existing server. Requests
+   * that match no route are passed to next when given, otherwise answered with 404.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {function} [next] Called for requests that match no route
+   * @memberof Sensorapi
+   */
+  handler(req, res, next) {
+    const url = new URL(req.url, 'http://localhost');
+    const { basePath } = this._opts;
+    const path = url.pathname.startsWith(basePath) ? url.pathname.slice(basePath.length) : null;
+    const route = _.find(routes, ({ pattern }) => pattern.test(path));
+    if (_.isNil(route)) {
+      if (_.isFunction(next)) {
+        next();
+      } else {
+        sendJson(res, 404, { error: { message: 'Not Found', code: null } });
+      }
+      return;
+    }
+    if (req.method !== route.method) {
+      sendJson(
+        res,
+        405,
+        { error: { message: 'Method Not Allowed', code: null } },
+        { Allow: route.method }
+      );
+      return;
+    }
+    const [, encodedId] = route.pattern.exec(path);
+    const id = _.isNil(encodedId) ? null : decodeId(encodedId);
+    if (!_.isNil(encodedId) && _.isNil(id)) {
+      sendJson(res, 400, { error: { message: `Invalid sensor id ${encodedId}`, code: null } });
+      return;
+    }
+    const entry = _.isNil(id) ? null : this._find(id);
+    if (!_.isNil(id) && _.isNil(entry)) {
+      sendJson(res, 404, { error: { message: `Unknown sensor ${id}`, code: null } });
+      return;
+    }
+    Promise.resolve()
+      .then(() => this[route.action](req, res, entry, url.searchParams))
+      .catch((err) => {
+        debug('handler. error: %o', err);
+        if (res.headersSent) {
+          res.end();
+        } else {
+          sendJson(res, 500, { error: errorBody(err) });
+        }
+      });
+  }
+
+  /**
+   * Start an HTTP server serving the API
+   *
+   * @param {number} [port] The port, defaults to the configured port, 0 picks a free port
+   * @param {string} [host] The host, defaults to the configured host
+   * @returns {Promise<http.Server>} Returns a Promise that will be resolved to the listening server
+   * @memberof Sensorapi
+   */
+  listen(port = this._opts.port, host = this._opts.host) {
+    if (!_.isNil(this._server)) {
+      return Promise.reject(new Error('Sensorapi is already listening'));
+    }
+    const server = http.createServer(this.handler);
+    this._server = server;
+    return new Promise((resolve, reject) => {
+      server.once('error', (err) => {
+        this._server = null;
+        reject(err);
+      });
+      server.listen(port, _.isNil(host) ? undefined : host, () => {
+        debug('listen. %o', server.address());
+        resolve(server);
+      });
+    });
+  }
+
+  /**
+   * End every open stream and stop the HTTP server
+   *
+   * @returns {Promise<boolean>} Returns a Promise that will be resolved to true if a server was stopped
+   * @memberof Sensorapi
+   */
+  close() {
+    this._streams.forEach((stream) => {
+      stream.stop();
+      stream.res.end();
+    });
+    const server = this._server;
+    this._server = null;
+    if (_.isNil(server)) {
+      return Promise.resolve(false);
+    }
+    return new Promise((resolve, reject) => {
+      server.close((err) => (err ? reject(err) : resolve(true)));
+    });
+  }
+}
+
+module.exports = {
+  Sensorapi,
+};
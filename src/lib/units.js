@@ -0,0 +1,180 @@
+/**
+ * Pressure and temperature unit conversions
+ *
+ * @module units
+ */
+const _ = require('lodash');
+
+/**
+ * Pascals per unit for each supported pressure unit
+ * @type {object}
+ */
+const pressureUnits = Object.freeze({
+  Pa: 1,
+  hPa: 100,
+  mbar: 100,
+  kPa: 1000,
+  inHg: 3386.389,
+  mmHg: 133.322387415,
+  psi: 6894.757293168,
+  atm: 101325,
+});
+
+/**
+ * Conversions from Celsius for each supported temperature unit
+ * @type {object}
+ */
+const temperatureUnits = Object.freeze({
+  C: Object.freeze({ from: (c) => c, to: (c) => c }),
+  F: Object.freeze({ from: (c) => (c * 9) / 5 + 32, to: (f) => ((f - 32) * 5) / 9 }),
+  K: Object.freeze({ from: (c) => c + 273.15, to: (k) => k - 273.15 }),
+});
+
+const temperatureAliases = {
+  '°C': 'C',
+  degC: 'C',
+  '°F': 'F',
+  degF: 'F',
+};
+
+/**
+ * Units the driver reads in, Celsius and Pascals
+ * @type {object}
+ */
+const defaultUnits = Object.freeze({
+  temperature: 'C',
+  pressure: 'Pa',
+});
+
+/**
+ * Confirm a Valid pressure unit
+ *
+ * @param {*} unit Validates the unit is a supported pressure unit
+ * @throws Will throw an error if invalid.
+ * @returns {string}
+ */
+const validatedPressureUnit = (unit) => {
+  if (!_.has(pressureUnits, unit)) {
+    throw new TypeError(`Invalid pressure unit ${unit}`);
+  }
+  return unit;
+};
+
+/**
+ * Confirm a Valid temperature unit
+ *
+ * @param {*} unit Validates the unit is a supported temperature unit, ° and deg prefixes are accepted
+ * @throws Will throw an error if invalid.
+ * @returns {string} The unit as C, F or K
+ */
+const validatedTemperatureUnit = (unit) => {
+  const name = _.get(temperatureAliases, unit, unit);
+  if (!_.has(temperatureUnits, name)) {
+    throw new TypeError(`Invalid temperature unit ${unit}`);
+  }
+  return name;
+};
+
+/**
+ * Confirm a Valid rounding precision
+ *
+ * @param {*} precision Validates the precision is null or a number of decimal places
+ * @throws Will throw an error if invalid.
+ * @returns {number|null}
+ */
+const validatedPrecision = (precision) => {
+  if (_.isNil(precision)) {
+    return null;
+  }
+  if (!Number.isInteger(precision) || precision < 0) {
+    throw new TypeError(`Invalid precision ${precision}`);
+  }
+  return precision;
+};
+
+/**
+ * Round to a number of decimal places
+ *
+ * @param {number} value The value to round
+ * @param {number|null} precision The number of decimal places, null leaves the value unchanged
+ * @returns {number}
+ */
+const round = (value, precision) => {
+  const places = validatedPrecision(precision);
+  return places === null ? value : _.round(value, places);
+};
+
+/**
+ * Convert a pressure between units
+ *
+ * @param {number} value The pressure
+ * @param {string} to The unit to convert to
+ * @param {string} [from='Pa'] The unit to convert from
+ * @returns {number}
+ */
+const convertPressure = (value, to, from = defaultUnits.pressure) => {
+  const target = validatedPressureUnit(to);
+  const source = validatedPressureUnit(from);
+  if (target === source) {
+    return value;
+  }
+  return (value * pressureUnits[source]) / pressureUnits[target];
+};
+
+/**
+ * Convert a temperature between units
+ *
+ * @param {number} value The temperature
+ * @param {string} to The unit to convert to
+ * @param {string} [from='C'] The unit to convert from
+ * @returns {number}
+ */
+const convertTemperature = (value, to, from = defaultUnits.temperature) => {
+  const target = validatedTemperatureUnit(to);
+  const source = validatedTemperatureUnit(from);
+  if (target === source) {
+    return value;
+  }
+  return temperatureUnits[target].from(temperatureUnits[source].to(value));
+};
+
+/**
+ * Confirm Valid output options and fill in any missing values
+ *
+ * @param {object} [output] The output options
+ * @param {object} [output.units] The temperature and pressure units
+ * @param {object} [output.precision] The temperature and pressure decimal places
+ * @param {object} [defaults] The output options to use for missing values
+ * @throws Will throw an error if invalid.
+ * @returns {{units: {temperature: string, pressure: string}, precision: {temperature: number|null, pressure: number|null}}}
+ */
+const validatedOutput = (output, defaults) => {
+  const opts = _.merge(
+    { units: { ...defaultUnits }, precision: { temperature: null, pressure: null } },
+    defaults,
+    output
+  );
+  return {
+    units: {
+      temperature: validatedTemperatureUnit(opts.units.temperature),
+      pressure: validatedPressureUnit(opts.units.pressure),
+    },
+    precision: {
+      temperature: validatedPrecision(opts.precision.temperature),
+      pressure: validatedPrecision(opts.precision.pressure),
+    },
+  };
+};
+
+module.exports = {
+  pressureUnits,
+  temperatureUnits,
+  defaultUnits,
+  validatedPressureUnit,
+  validatedTemperatureUnit,
+  validatedPrecision,
+  validatedOutput,
+  round,
+  convertPressure,
+  convertTemperature,
+};
@@ -0,0 +1,263 @@
+const debug = require('debug')('Virtualbus');
+const _ = require('lodash');
+
+/**
+ * Create an error matching the one i2c-bus returns when no device acknowledges
+ *
+ * @param {number} address The I2C address
+ * @returns {Error}
+ */
+const remoteIoError = (address) => {
+  const err = new Error(`EREMOTEIO, Remote I/O error (address 0x${address.toString(16)})`);
+  err.code = 'EREMOTEIO';
+  err.errno = 121;
+  return err;
+};
+
+/**
+ * In-memory I2C bus that can be used in place of an i2c-bus Bus.
+ *
+ * Devices are attached at an address and must implement readRegister(register)
+ * and writeRegister(register, value). Block transfers auto-increment the register.
+ *
+ * @class Virtualbus
+ */
+class Virtualbus {
+  /**
+   *Creates an instance of Virtualbus.
+   * @param {number} [busnumber=1] The number reported for this bus
+   * @memberof Virtualbus
+   */
+  constructor(busnumber = 1) {
+    this._busnumber = busnumber;
+    this._devices = new Map();
+    this._closed = false;
+    debug('Virtualbus constructor.');
+  }
+
+  /**
+   * Get the number reported for this bus
+   *
+   * @readonly
+   * @memberof Virtualbus
+   */
+  get busnumber() {
+    return this._busnumber;
+  }
+
+  /**
+   * Get the addresses of the attached devices
+   *
+   * @readonly
+   * @memberof Virtualbus
+   */
+  get addresses() {
+    return Array.from(this._devices.keys()).sort((a, b) => a - b);
+  }
+
+  /**
+   * Check if the bus has been closed
+   *
+   * @readonly
+   * @memberof Virtualbus
+   */
+  get isClosed() {
+    return this._closed;
+  }
+
+  /**
+   * Attach a device to the bus
+   *
+   * @param {number} address The I2C address
+   * @param {object} device The device, implementing readRegister() and writeRegister()
+   * @returns {Virtualbus} This bus, to allow chaining
+   * @memberof Virtualbus
+   */
+  addDevice(address, device) {
+    if (!Number.isInteger(address) || address < 0 || address > 0x7f) {
+      throw new TypeError(`Invalid I2C address ${address}`);
+    }
+    if (
+      _.isNil(device) ||
+      !_.isFunction(device.readRegister) ||
+      !_.isFunction(device.writeRegister)
+    ) {
+      throw new TypeError('Invalid device it must implement readRegister and writeRegister');
+    }
+    this._devices.set(address, device);
+    return this;
+  }
+
+  /**
+   * Detach the device at an address
+   *
+   * @param {number} address The I2C address
+   * @returns {boolean} True if a device was removed
+   * @memberof Virtualbus
+   */
+  removeDevice(address) {
+    return this._devices.delete(address);
+  }
+
+  /**
+   * Get the device at an address
+   *
+   * @param {number} address The I2C address
+   * @returns {object|undefined}
+   * @memberof Virtualbus
+   */
+  getDevice(address) {
+    return this._devices.get(address);
+  }
+
+  /**
+   * Mirrors i2c-bus Bus.promisifiedBus(), this bus is already promise based
+   *
+   * @returns {Virtualbus}
+   * @memberof Virtualbus
+   */
+  promisifiedBus() {
+    return this;
+  }
+
+  /**
+   * Mirrors i2c-bus PromisifiedBus.bus()
+   *
+   * @returns {Virtualbus}
+   * @memberof Virtualbus
+   */
+  bus() {
+    return this;
+  }
+
+  /**
+   * Run a transfer against the device at an address
+   *
+   * @param {number} address The I2C address
+   * @param {function} fn Called with the device, its return value resolves the promise
+   * @returns {Promise}
+   * @memberof Virtualbus
+   */
+  _transfer(address, fn) {
+    return new Promise((resolve, reject) => {
+      setImmediate(() => {
+        if (this._closed) {
+          reject(new Error('Bus is closed'));
+          return;
+        }
+        const device = this._devices.get(address);
+        if (_.isNil(device)) {
+          reject(remoteIoError(address));
+          return;
+        }
+        try {
+          resolve(fn(device));
+        } catch (err) {
+          reject(err);
+        }
+      });
+    });
+  }
+
+  /**
+   * Read a byte from a device register
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The command/register to read from
+   * @returns {Promise<number>}
+   * @memberof Virtualbus
+   */
+  readByte(address, command) {
+    return this._transfer(address, (device) => device.readRegister(command));
+  }
+
+  /**
+   * Write a byte to a device register
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The command/register to write to
+   * @param {number} byte The value to write
+   * @returns {Promise}
+   * @memberof Virtualbus
+   */
+  writeByte(address, command, byte) {
+    return this._transfer(address, (device) => {
+      device.writeRegister(command, byte);
+    });
+  }
+
+  /**
+   * Read a block of consecutive registers
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The first command/register to read from
+   * @param {number} length The number of bytes to read
+   * @param {Buffer} buffer The buffer to read into
+   * @returns {Promise<{bytesRead: number, buffer: Buffer}>}
+   * @memberof Virtualbus
+   */
+  readI2cBlock(address, command, length, buffer) {
+    return this._transfer(address, (device) => {
+      for (let i = 0; i < length; i += 1) {
+        buffer.writeUInt8(device.readRegister((command + i) % 256), i);
+      }
+      return { bytesRead: length, buffer };
+    });
+  }
+
+  /**
+   * Write a block of consecutive registers
+   *
+   * @param {number} address The I2C address
+   * @param {number} command The first command/register to write to
+   * @param {number} length The number of bytes to write
+   * @param {Buffer} buffer The buffer to write
+   * @returns {Promise<{bytesWritten: number, buffer: Buffer}>}
+   * @memberof Virtualbus
+   */
+  writeI2cBlock(address, command, length, buffer) {
+    return this._transfer(address, (device) => {
+      for (let i = 0; i < length; i += 1) {
+        device.writeRegister((command + i) % 256, buffer.readUInt8(i));
+      }
+      return { bytesWritten: length, buffer };
+    });
+  }
+
+  /**
+   * Mirrors i2c-bus PromisifiedBus.scan(), the addresses in range with an attached device
+   *
+   * @param {number} [startAddr=0x03] The first address to scan
+   * @param {number} [endAddr=0x77] The last address to scan
+   * @returns {Promise<number[]>}
+   * @memberof Virtualbus
+   */
+  scan(startAddr = 0x03, endAddr = 0x77) {
+    return new Promise((resolve, reject) => {
+      setImmediate(() => {
+        if (this._closed) {
+          reject(new Error('Bus is closed'));
+          return;
+        }
+        resolve(this.addresses.filter((address) => address >= startAddr && address <= endAddr));
+      });
+    });
+  }
+
+  /**
+   * Close the bus, further transfers will be rejected
+   *
+   * @returns {Promise}
+   * @memberof Virtualbus
+   */
+  close() {
+    debug('close');
+    this._closed = true;
+    return Promise.resolve();
+  }
+}
+
+module.exports = {
+  Virtualbus,
+  remoteIoError,
+};
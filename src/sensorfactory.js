@@ -0,0 +1,81 @@
+/**
+ * Create the right driver for the Bosch pressure sensor fitted at an address
+ *
+ * @module sensorfactory
+ */
+const { openSync } = require('i2c-bus');
+const debug = require('debug')('sensorfactory');
+const _ = require('lodash');
+
+const { Bmp180sensor } = require('./bmp180sensor');
+const { Bmp280sensor } = require('./bmp280sensor');
+const { Bme280sensor } = require('./bme280sensor');
+const { I2cTransferError, UnsupportedChipError } = require('./lib/errors');
+
+// The chip id register is 0xd0 on every supported part
+const chipIdRegister = 0xd0;
+
+/**
+ * Driver class for each supported chip id, the BMP085 reports the same id as the
+ * BMP180 and uses the same driver
+ * @type {object}
+ */
+const drivers = Object.freeze({
+  0x55: Bmp180sensor,
+  0x58: Bmp280sensor,
+  0x60: Bme280sensor,
+});
+
+/**
+ * Read the chip id at an address
+ *
+ * @param {object|number} bus An i2c-bus Bus class, a Virtualbus or the number for the bus
+ * @param {number} address The I2C address
+ * @returns {Promise<number>} Returns a Promise that on success will be resolved to the chip id, rejected with an I2cTransferError
+ */
+const readChipId = (bus, address) => {
+  return Promise.resolve()
+    .then(() => {
+      if (Number.isInteger(bus)) {
+        const opened = openSync(bus).promisifiedBus();
+        return opened.readByte(address, chipIdRegister).then(
+          (chipid) => opened.close().then(() => chipid),
+          (err) => opened.close().then(() => Promise.reject(err))
+        );
+      }
+      return bus.promisifiedBus().readByte(address, chipIdRegister);
+    })
+    .catch((err) => {
+      throw new I2cTransferError('readByte', address, chipIdRegister, 1, err);
+    });
+};
+
+/**
+ * Read the chip id, then create and initialize the matching driver
+ *
+ * @param {object|number} bus An i2c-bus Bus class, a Virtualbus or the number for the bus
+ * @param {number} [address=0x77] The I2C address
+ * @param {object} [options] The driver configuration options
+ * @returns {Promise<Bmp180sensor|Bmp280sensor|Bme280sensor>} Returns a Promise that on success will be resolved to the initialized sensor, rejected with an UnsupportedChipError if the chip id is not supported
+ */
+const createSensor = (bus, address = 0x77, options) => {
+  debug('createSensor. address: %h', address);
+  return readChipId(bus, address).then((chipid) => {
+    const Driver = _.get(drivers, chipid);
+    if (_.isNil(Driver)) {
+      throw new UnsupportedChipError(address, chipid);
+    }
+    debug('createSensor. chip id: %h driver: %s', chipid, Driver.name);
+    const sensor = new Driver(bus, address, options);
+    return sensor.initialize().then(
+      () => sensor,
+      (err) => sensor.close().then(() => Promise.reject(err))
+    );
+  });
+};
+
+module.exports = {
+  drivers,
+  readChipId,
+  createSensor,
+};
@@ -0,0 +1,19 @@
+/**
+ * In-memory buses, simulated devices and fault injection for testing without hardware, kept out of the
+ * driver entry point so hardware users do not load them, e.g.
+ * const { Virtualbus, Bmp180virtualdevice } = require('bmp180sensor/src/virtual');
+ *
+ * @module virtual
+ */
+const { Virtualbus, remoteIoError } = require('./lib/virtualbus');
+const { Bmp180virtualdevice } = require('./bmp180sensor.virtual');
+const { Bmp280virtualdevice } = require('./bmp280sensor.virtual');
+const { Faultybus } = require('./lib/faultybus');
+
+module.exports = {
+  Virtualbus,
+  remoteIoError,
+  Bmp180virtualdevice,
+  Bmp280virtualdevice,
+  Faultybus,
+};
@@ -0,0 +1,77 @@
+const chai = require('chai');
+const { describe, it } = require('mocha');
+
+const { barometric } = require('../src/bmp180sensor.js');
+const { virtualSensor } = require('./helpers');
+
+describe('Barometric Test Suite', () => {
+  it('BARO1: altitude() - Confirm standard pressure is sea level', () => {
+    chai.expect(barometric.altitude(101325)).to.be.closeTo(0, 0.001);
+  });
+
+  it('BARO2: altitude() - Confirm altitude for a lower pressure', () => {
+    // 1 hPa change in pressure is approximately 8.4m near sea level
+    chai.expect(barometric.altitude(101225)).to.be.closeTo(8.3, 0.1);
+    chai.expect(barometric.altitude(89876)).to.be.closeTo(1000, 2);
+  });
+
+  it('BARO3: altitude() - Confirm the sea-level reference is used', () => {
+    chai.expect(barometric.altitude(100000, 100000)).to.be.closeTo(0, 0.001);
+    chai.expect(barometric.altitude(100000, 102000)).to.be.closeTo(166, 1);
+  });
+
+  it('BARO4: seaLevelPressure() and stationPressure() - Confirm they are inverses', () => {
+    const qnh = barometric.seaLevelPressure(95000, 540);
+    chai.expect(qnh).to.be.greaterThan(95000);
+    chai.expect(barometric.stationPressure(qnh, 540)).to.be.closeTo(95000, 0.001);
+    chai.expect(barometric.altitude(95000, qnh)).to.be.closeTo(540, 0.001);
+  });
+
+  it('BARO5: Confirm invalid values throw', () => {
+    chai.expect(() => barometric.altitude(-1)).to.throw(TypeError, 'Invalid pressure -1');
+    chai
+      .expect(() => barometric.altitude(100000, 0))
+      .to.throw(TypeError, 'Invalid sea-level pressure 0');
+    chai
+      .expect(() => barometric.seaLevelPressure(100000, 50000))
+      .to.throw(TypeError, 'Invalid altitude 50000');
+  });
+
+  it('BARO6: altitude() - Confirm sensor altitude uses the configured sea-level pressure', async () => {
+    const { bmp180 } = await virtualSensor({ pressure: 89876 }, { seaLevelPressure: 101325 });
+    chai.expect(bmp180.seaLevelPressure).to.equal(101325);
+    chai.expect(await bmp180.altitude()).to.be.closeTo(1000, 2);
+  });
+
+  it('BARO7: seaLevelPressure - Confirm setting a local QNH', async () => {
+    const { bmp180 } = await virtualSensor({ pressure: 100000 });
+    bmp180.seaLevelPressure = 100000;
+    chai.expect(await bmp180.altitude()).to.be.closeTo(0, 0.5);
+    chai
+      .expect(() => {
+        bmp180.seaLevelPressure = 'bad';
+      })
+      .to.throw(TypeError, 'Invalid sea-level pressure bad');
+  });
+
+  it('BARO8: calibrateAltitude() - Confirm setting the reference from a known altitude', async () => {
+    const { bmp180 } = await virtualSensor({ pressure: 95000 });
+    const qnh = await bmp180.calibrateAltitude(540);
+    chai.expect(qnh).to.equal(bmp180.seaLevelPressure);
+    chai.expect(qnh).to.be.closeTo(barometric.seaLevelPressure(95000, 540), 5);
+    chai.expect(await bmp180.altitude()).to.be.closeTo(540, 0.5);
+  });
+
+  it('BARO9: pressureAtSeaLevel() - Confirm sea-level pressure from a station altitude', async () => {
+    const { bmp180 } = await virtualSensor({ pressure: 95000 });
+    const value = await bmp180.pressureAtSeaLevel(540);
+    chai.expect(value).to.be.closeTo(barometric.seaLevelPressure(95000, 540), 5);
+  });
+
+  it('BARO10: Sample - Confirm altitude and sea-level pressure from a captured sample', async () => {
+    const { bmp180 } = await virtualSensor({ pressure: 89876 });
+    const sample = await bmp180.read();
+    chai.expect(sample.altitude()).to.be.closeTo(1000, 2);
+    chai.expect(sample.seaLevelPressure(1000)).to.be.closeTo(101325, 10);
+  });
+});
@@ -0,0 +1,149 @@
+const chai = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+
+const { Bmp180sensor } = require('../src/bmp180sensor.js');
+const { Bmp180virtualdevice, Virtualbus } = require('../src/virtual');
+const calibration = require('../src/bmp180sensor.calibration');
+const { CalibrationInvalidError } = require('../src/lib/errors');
+const { datasheetCalibration } = require('../src/bmp180sensor.constants');
+const { retryOptions, virtualBus, createSensor, recordWrites } = require('./helpers');
+
+const datasheetHex = '0198ffb8c7d17fe57ff55a71182e00048000ddf90b34';
+
+describe('Bmp180sensor Calibration Test Suite', () => {
+  let bus;
+  let writes;
+
+  beforeEach(() => {
+    const fixture = virtualBus({ temperature: 21.5, pressure: 100500 });
+    bus = fixture.bus;
+    writes = recordWrites(fixture.device);
+  });
+
+  it('CALIBRATION1: Confirm calibrationData is null until calibrated then returns the coefficients', async () => {
+    const bmp180 = createSensor(bus);
+    chai.expect(bmp180.calibrationData).to.equal(null);
+    await bmp180.initialize();
+    chai.expect(bmp180.calibrationData).to.deep.equal(datasheetCalibration);
+    chai.expect(Object.isFrozen(bmp180.calibrationData)).to.equal(true);
+  });
+
+  it('CALIBRATION2: Confirm hex encoding matches the EEPROM block', () => {
+    chai.expect(calibration.calibrationToHex(datasheetCalibration)).to.equal(datasheetHex);
+    chai
+      .expect(calibration.parseCalibration(datasheetHex))
+      .to.deep.equal({ ...datasheetCalibration });
+    chai
+      .expect(calibration.parseCalibration(`0x${datasheetHex.toUpperCase()}`))
+      .to.deep.equal({ ...datasheetCalibration });
+  });
+
+  it('CALIBRATION3: Confirm exportCalibration round trips through JSON and hex', async () => {
+    const bmp180 = createSensor(bus);
+    await bmp180.calibrate();
+    const json = bmp180.exportCalibration();
+    chai.expect(JSON.parse(json)).to.deep.equal(datasheetCalibration);
+    chai.expect(bmp180.exportCalibration('hex')).to.equal(datasheetHex);
+    chai.expect(calibration.parseCalibration(json)).to.deep.equal({ ...datasheetCalibration });
+    chai.expect(() => bmp180.exportCalibration('xml')).to.throw(TypeError, 'xml');
+  });
+
+  it('CALIBRATION4: Confirm exportCalibration throws before calibration', () => {
+    const bmp180 = createSensor(bus);
+    chai.expect(() => bmp180.exportCalibration()).to.throw(Error, 'calibrationdata is invalid');
+  });
+
+  it('CALIBRATION5: Confirm calibrate rejects words of 0x0000 or 0xFFFF', async () => {
+    const invalid = [
+      { ...datasheetCalibration, ac3: -1 },
+      { ...datasheetCalibration, ac4: 0 },
+    ];
+    const messages = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const coefficients of invalid) {
+      bus.removeDevice(0x77);
+      bus.addDevice(0x77, new Bmp180virtualdevice({ calibration: coefficients }));
+      const bmp180 = createSensor(bus);
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await bmp180.calibrate();
+      } catch (e) {
+        messages.push(e.message);
+      }
+      chai.expect(bmp180.isCalibrated).to.equal(false);
+    }
+    chai
+      .expect(messages)
+      .to.deep.equal([
+        'Invalid calibration data, ac3 is 0xffff',
+        'Invalid calibration data, ac4 is 0x0000',
+      ]);
+  });
+
+  it('CALIBRATION6: Confirm invalid saved calibration is rejected', () => {
+    chai
+      .expect(() => createSensor(bus, { calibration: { ...datasheetCalibration, md: undefined } }))
+      .to.throw(Error, 'Invalid calibration data, md is undefined');
+    chai
+      .expect(() => createSensor(bus, { calibration: { ...datasheetCalibration, ac5: 70000 } }))
+      .to.throw(Error, 'Invalid calibration data, ac5 is 70000');
+    chai.expect(() => createSensor(bus, { calibration: 'not json' })).to.throw(Error);
+    chai
+      .expect(() => createSensor(bus, { calibration: datasheetHex.slice(0, 20) }))
+      .to.throw(CalibrationInvalidError, 'expected 22 bytes got 10');
+  });
+
+  it('CALIBRATION7: Confirm initialize uses saved calibration without reading the EEPROM', async () => {
+    const saved = { ...datasheetCalibration, ac1: 409 };
+    const bmp180 = createSensor(bus, { calibration: JSON.stringify(saved) });
+    chai.expect(bmp180.isCalibrated).to.equal(true);
+    await bmp180.initialize();
+    chai.expect(bmp180.calibrationData).to.deep.equal(saved);
+    // Only the soft reset is written
+    chai.expect(writes).to.have.lengthOf(1);
+  });
+
+  it('CALIBRATION8: Confirm loadCalibration accepts the EEPROM block', () => {
+    const bmp180 = createSensor(bus);
+    chai
+      .expect(bmp180.loadCalibration(calibration.encodeCalibration(datasheetCalibration)))
+      .to.equal(true);
+    chai.expect(bmp180.calibrationData).to.deep.equal(datasheetCalibration);
+  });
+
+  it('CALIBRATION9: Confirm raw values are compensated offline from saved coefficients', async () => {
+    const bmp180 = createSensor(bus);
+    await bmp180.initialize();
+    const sample = await bmp180.read();
+
+    const offline = new Bmp180sensor(new Virtualbus(2), 0x77, {
+      retryOptions,
+      calibration: bmp180.exportCalibration('hex'),
+      units: { pressure: 'hPa' },
+    });
+    const raw = JSON.parse(JSON.stringify(sample));
+    const compensated = offline.compensate(raw);
+    chai.expect(compensated.temperature).to.equal(sample.temperature);
+    chai.expect(compensated.pressure).to.be.closeTo(sample.pressure / 100, 1e-9);
+    chai.expect(compensated.units.pressure).to.equal('hPa');
+    chai.expect(compensated.timestamp.toISOString()).to.equal(raw.timestamp);
+    chai
+      .expect(() => offline.compensate({ ...raw, oss: 4 }))
+      .to.throw(TypeError, 'Invalid oversampling setting 4');
+  });
+
+  it('CALIBRATION10: Confirm saved calibration of the wrong length is rejected', () => {
+    chai
+      .expect(() => calibration.parseCalibration(`${datasheetHex}00`))
+      .to.throw(CalibrationInvalidError, 'expected 22 bytes got 23');
+    chai
+      .expect(() => calibration.parseCalibration(`${datasheetHex}0`))
+      .to.throw(CalibrationInvalidError, 'expected 22 bytes got 22.5');
+    chai
+      .expect(() => calibration.parseCalibration(Buffer.from(`${datasheetHex}00`, 'hex')))
+      .to.throw(CalibrationInvalidError, 'expected 22 bytes got 23');
+    chai
+      .expect(calibration.parseCalibration(`0x${datasheetHex.toUpperCase()}`))
+      .to.deep.equal(datasheetCalibration);
+  });
+});
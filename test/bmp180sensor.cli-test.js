@@ -0,0 +1,145 @@
+const chai = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+
+const { exitCodes, parseArgs, run } = require('../src/bmp180sensor.cli');
+const { Bmp280virtualdevice } = require('../src/virtual');
+const { virtualBus } = require('./helpers');
+
+/**
+ * Collects everything written
+ *
+ * @returns {{write: function, text: string}}
+ */
+const output = () => {
+  const collected = { text: '' };
+  collected.write = (chunk) => {
+    collected.text += chunk;
+    return true;
+  };
+  return collected;
+};
+
+describe('bmp180 CLI Test Suite', () => {
+  let bus;
+  let stdout;
+  let stderr;
+  let cli;
+
+  beforeEach(() => {
+    bus = virtualBus({ temperature: 21.5, pressure: 99000 }).bus;
+    bus.addDevice(0x76, new Bmp280virtualdevice());
+    stdout = output();
+    stderr = output();
+    cli = (...argv) => run(argv, { stdout, stderr, openBus: () => bus });
+  });
+
+  it('CLI1: parseArgs() - Confirm options, aliases and defaults', () => {
+    const { command, options } = parseArgs(['watch', '-b', '3', '--address=0x76', '-m', '3']);
+    chai.expect(command).to.equal('watch');
+    chai.expect(options).to.include({
+      bus: 3,
+      address: 0x76,
+      mode: 'ultra_high_resolution',
+      format: 'table',
+      interval: 1000,
+      count: Infinity,
+    });
+    chai.expect(() => parseArgs([])).to.throw(TypeError, 'Missing command');
+    chai.expect(() => parseArgs(['write'])).to.throw(TypeError, 'Unknown command write');
+    chai.expect(() => parseArgs(['read', '--units'])).to.throw(TypeError, 'Unknown option --units');
+    chai
+      .expect(() => parseArgs(['read', '-a', '0x80']))
+      .to.throw(TypeError, 'Invalid address 0x80');
+    chai.expect(() => parseArgs(['read', '-m', 'fast'])).to.throw(TypeError, 'Invalid mode fast');
+    chai.expect(() => parseArgs(['read', '-f'])).to.throw(TypeError, 'Missing value for -f');
+    chai.expect(() => parseArgs(['watch', '-i', '0'])).to.throw(TypeError, 'Invalid interval 0');
+  });
+
+  it('CLI2: read - Confirm a reading in each format', async () => {
+    chai.expect(await cli('read')).to.equal(exitCodes.success);
+    const [header, row] = stdout.text.trim().split('\n');
+    chai
+      .expect(header)
+      .to.match(/^timestamp\s+temperature \(C\)\s+pressure \(Pa\)\s+ut\s+up\s+oss$/);
+    const [, temperature, pressure] = row.split(/\s+/);
+    chai.expect(temperature).to.equal('21.50');
+    chai.expect(Number(pressure)).to.be.closeTo(99000, 1);
+
+    stdout.text = '';
+    chai.expect(await cli('read', '--format', 'json', '--mode', 'high')).to.equal(0);
+    const sample = JSON.parse(stdout.text);
+    chai.expect(sample).to.include({ temperature: 21.5, oss: 2 });
+    chai.expect(sample.pressure).to.be.closeTo(99000, 1);
+    chai.expect(sample.units).to.deep.equal({ temperature: 'C', pressure: 'Pa' });
+    chai.expect(stderr.text).to.equal('');
+  });
+
+  it('CLI3: watch - Confirm NDJSON output until the count is reached', async () => {
+    chai.expect(await cli('watch', '-f', 'ndjson', '-i', '20', '-n', '3')).to.equal(0);
+    const lines = stdout.text.trim().split('\n');
+    chai.expect(lines).to.have.lengthOf(3);
+    lines.forEach((line) => chai.expect(JSON.parse(line).pressure).to.be.closeTo(99000, 1));
+
+    stdout.text = '';
+    chai.expect(await cli('watch', '-i', '20', '-n', '2')).to.equal(0);
+    chai.expect(stdout.text.trim().split('\n')).to.have.lengthOf(3);
+  });
+
+  it('CLI4: info - Confirm the chip id, version and calibration are printed', async () => {
+    chai.expect(await cli('info', '-f', 'json')).to.equal(0);
+    const info = JSON.parse(stdout.text);
+    chai.expect(info).to.include({ bus: 1, address: 0x77, chipid: 0x55, version: 0x02 });
+    chai.expect(info.calibration).to.include({ ac1: 408, md: 2868 });
+
+    stdout.text = '';
+    chai.expect(await cli('info')).to.equal(0);
+    chai.expect(stdout.text).to.match(/^version\s+0x02$/m);
+    chai.expect(stdout.text).to.match(/^ac3\s+-14383$/m);
+  });
+
+  it('CLI5: scan - Confirm every device is listed with its part', async () => {
+    chai.expect(await cli('scan')).to.equal(0);
+    chai
+      .expect(stdout.text.trim().split('\n'))
+      .to.deep.equal([
+        'id          address  chipid  part',
+        'i2c-1-0x76  0x76     0x58    BMP280',
+        'i2c-1-0x77  0x77     0x55    BMP180/BMP085',
+      ]);
+  });
+
+  it('CLI6: reset - Confirm a soft reset is written', async () => {
+    chai.expect(await cli('reset', '-f', 'ndjson')).to.equal(0);
+    chai.expect(JSON.parse(stdout.text)).to.deep.equal({ bus: 1, address: 0x77, reset: true });
+    stdout.text = '';
+    chai.expect(await cli('reset')).to.equal(0);
+    chai.expect(stdout.text).to.equal('Soft reset 0x77 on bus 1\n');
+  });
+
+  it('CLI7: Confirm chip id, I/O and usage failures exit non-zero with a message', async () => {
+    chai.expect(await cli('read', '-a', '0x76')).to.equal(exitCodes.failure);
+    chai
+      .expect(stderr.text)
+      .to.equal('bmp180: Expected BMP180 chip_id to be 0x55, got chip id 0x58.\n');
+
+    stderr.text = '';
+    chai.expect(await cli('info', '-a', '0x40', '-r', '0')).to.equal(exitCodes.failure);
+    chai
+      .expect(stderr.text)
+      .to.match(/^bmp180: readI2cByte failed at address 0x40.*after 1 attempt/);
+
+    stderr.text = '';
+    chai.expect(await cli('read', '-f', 'csv')).to.equal(exitCodes.usage);
+    chai.expect(stderr.text).to.match(/^bmp180: Invalid format csv\n\nUsage: bmp180/);
+    chai.expect(stdout.text).to.equal('');
+
+    chai.expect(await cli('--help')).to.equal(exitCodes.success);
+    chai.expect(stdout.text).to.match(/^Usage: bmp180 <command> \[options\]/);
+  });
+
+  it('CLI8: scan - Confirm a bus that cannot be opened exits non-zero with a message', async () => {
+    chai.expect(await run(['scan', '-b', '250'], { stdout, stderr })).to.equal(exitCodes.failure);
+    chai.expect(stderr.text).to.match(/^bmp180: Cannot scan bus 250, .*\/dev\/i2c-250/);
+    chai.expect(stdout.text).to.equal('');
+  });
+});
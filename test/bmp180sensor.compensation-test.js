@@ -0,0 +1,65 @@
+const chai = require('chai');
+const { describe, it } = require('mocha');
+
+const { Bmp180sensor, compensation } = require('../src/bmp180sensor.js');
+const { datasheetCalibration, oversamplingSettings } = require('../src/bmp180sensor.constants');
+const { virtualBus, virtualSensor } = require('./helpers');
+
+describe('Bmp180sensor Compensation Test Suite', () => {
+  it('COMPENSATION1: Confirm the datasheet worked example', () => {
+    const b5 = compensation.computeB5(datasheetCalibration, 27898);
+    chai.expect(b5).to.equal(2400);
+    chai.expect(compensation.computeB3(datasheetCalibration, b5, 0)).to.equal(422);
+    chai.expect(compensation.compensateTemperature(datasheetCalibration, 27898)).to.equal(15);
+    chai
+      .expect(compensation.compensatePressure(datasheetCalibration, 27898, 23843, 0))
+      .to.equal(69964);
+    chai
+      .expect(compensation.compensate(datasheetCalibration, { ut: 27898, up: 23843 }))
+      .to.deep.equal({ temperature: 15, pressure: 69964 });
+  });
+
+  it('COMPENSATION2: Confirm results are integers in every oversampling mode', () => {
+    [0, 1, 2, 3].forEach((oss) => {
+      const up = 23843 * 2 ** oss + oss;
+      const pressure = compensation.compensatePressure(datasheetCalibration, 27898, up, oss);
+      chai.expect(Number.isInteger(pressure)).to.equal(true);
+      chai.expect(pressure).to.be.closeTo(69964, 10);
+    });
+    chai
+      .expect(compensation.compensateTemperature(datasheetCalibration, 30000) * 10)
+      .to.satisfy(Number.isInteger);
+  });
+
+  it('COMPENSATION3: Confirm the sensor compensates raw values with the same functions', () => {
+    const bmp180 = new Bmp180sensor(virtualBus().bus, 0x77, { calibration: datasheetCalibration });
+    const sample = bmp180.compensate({ ut: 27898, up: 23843, oss: 0 });
+    chai.expect(sample.temperature).to.equal(15);
+    chai.expect(sample.pressure).to.equal(69964);
+  });
+
+  it('COMPENSATION4: Confirm readings from the virtual device match exactly', async () => {
+    const { bmp180 } = await virtualSensor(
+      { temperature: -12.3, pressure: 99000, timing: false },
+      { oss: oversamplingSettings.ultra_high_resolution }
+    );
+    const sample = await bmp180.read();
+    chai.expect(sample.temperature).to.equal(-12.3);
+    chai.expect(sample.pressure).to.equal(99000);
+  });
+
+  it('COMPENSATION5: Confirm invalid inputs throw', () => {
+    chai
+      .expect(() => compensation.computeB5(datasheetCalibration, 1.5))
+      .to.throw(TypeError, 'Invalid Uncompensated Temperature 1.5');
+    chai
+      .expect(() => compensation.compensatePressure(datasheetCalibration, 27898, '23843'))
+      .to.throw(TypeError, 'Invalid Uncompensated Pressure 23843');
+    chai
+      .expect(() => compensation.compensatePressure(datasheetCalibration, 27898, 23843, 4))
+      .to.throw(TypeError, 'Invalid oversampling setting 4');
+    chai
+      .expect(() => compensation.compensateTemperature(null, 27898))
+      .to.throw(TypeError, 'Invalid calibration null');
+  });
+});
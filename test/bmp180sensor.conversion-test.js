@@ -0,0 +1,116 @@
+const chai = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+
+const { Bmp180sensor } = require('../src/bmp180sensor.js');
+const { oversamplingSettings, registers } = require('../src/bmp180sensor.constants');
+const errors = require('../src/lib/errors');
+const { virtualBus, initializedSensor } = require('./helpers');
+
+describe('Bmp180sensor conversion Test Suite', () => {
+  let bus;
+  let device;
+
+  /**
+   * A sensor using the conversion options
+   *
+   * @param {object} conversion
+   * @returns {Promise<Bmp180sensor>}
+   */
+  const sensorWith = (conversion) => initializedSensor(bus, { conversion });
+
+  beforeEach(() => {
+    ({ bus, device } = virtualBus({ temperature: 18.2, pressure: 99800 }));
+  });
+
+  it('CONVERSION1: read() - Confirm the fixed delay is the default and is measured', async () => {
+    const bmp180 = await sensorWith();
+    const sample = await bmp180.read();
+    const times = bmp180.conversionTimes;
+
+    chai.expect(sample.temperature).to.be.closeTo(18.2, 0.1);
+    chai.expect(Object.keys(times)).to.have.members(['temperature', 'standard']);
+    chai.expect(times.temperature.count).to.equal(1);
+    chai.expect(times.temperature.last).to.be.at.least(oversamplingSettings.temperature.delay - 1);
+    chai.expect(times.standard.last).to.be.at.least(oversamplingSettings.standard.delay - 1);
+  });
+
+  it('CONVERSION2: read() - Confirm sco polls the control register until the conversion completes', async () => {
+    const controls = [];
+    const { readRegister } = device;
+    device.readRegister = (register) => {
+      const value = readRegister.call(device, register);
+      if (register === registers.control) {
+        controls.push(value);
+      }
+      return value;
+    };
+    const bmp180 = await sensorWith({ strategy: 'sco' });
+    bmp180.oss = oversamplingSettings.ultra_high_resolution;
+    const sample = await bmp180.read();
+
+    chai.expect(sample.pressure).to.be.closeTo(99800, 5);
+    chai.expect(controls).to.include(oversamplingSettings.ultra_high_resolution.command);
+    chai.expect(controls).to.include(oversamplingSettings.ultra_high_resolution.command - 0x20);
+    chai.expect(bmp180.conversionTimes.ultra_high_resolution.count).to.equal(1);
+  });
+
+  it('CONVERSION3: read() - Confirm eoc completes as soon as the pin is high', async () => {
+    let polls = 0;
+    const eoc = () => {
+      polls += 1;
+      return device.isConverting ? 0 : 1;
+    };
+    const bmp180 = await sensorWith({ strategy: 'eoc', eoc });
+    await bmp180.read();
+    await bmp180.read();
+    const times = bmp180.conversionTimes;
+
+    chai.expect(polls).to.be.at.least(4);
+    chai.expect(times.temperature.count).to.equal(2);
+    chai.expect(times.temperature.min).to.be.at.most(times.temperature.max);
+    chai.expect(times.temperature.mean).to.be.within(times.temperature.min, times.temperature.max);
+  });
+
+  it('CONVERSION4: read() - Confirm an eoc pin that never goes high times out', async () => {
+    const bmp180 = await sensorWith({
+      strategy: 'eoc',
+      eoc: { read: () => Promise.resolve(0) },
+      timeout: 10,
+    });
+    await bmp180.read().then(
+      () => chai.assert.fail('read() resolved'),
+      (err) => {
+        chai.expect(err).to.be.an.instanceof(errors.ConversionTimeoutError);
+        chai.expect(err.code).to.equal('ECONVERSIONTIMEOUT');
+        chai
+          .expect(err.message)
+          .to.equal('Timed out after 10 ms waiting for the conversion at address 0x77');
+      }
+    );
+  });
+
+  it('CONVERSION5: read() - Confirm a failing eoc pin falls back to the fixed delay', async () => {
+    const eoc = () => {
+      throw new Error('EIO');
+    };
+    const bmp180 = await sensorWith({ strategy: 'eoc', eoc });
+    const sample = await bmp180.read();
+
+    chai.expect(sample.pressure).to.be.closeTo(99800, 5);
+    chai
+      .expect(bmp180.conversionTimes.standard.last)
+      .to.be.at.least(oversamplingSettings.standard.delay - 1);
+  });
+
+  it('CONVERSION6: constructor - Confirm invalid conversion options throw', () => {
+    chai
+      .expect(() => new Bmp180sensor(bus, 0x77, { conversion: { strategy: 'irq' } }))
+      .to.throw(TypeError, 'Invalid conversion strategy irq');
+    chai
+      .expect(() => new Bmp180sensor(bus, 0x77, { conversion: { timeout: 0 } }))
+      .to.throw(TypeError, 'Invalid conversion timeout 0');
+    chai
+      .expect(() => new Bmp180sensor(bus, 0x77, { conversion: { strategy: 'eoc' } }))
+      .to.throw(TypeError, 'Invalid conversion eoc null');
+  });
+});
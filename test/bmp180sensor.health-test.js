@@ -0,0 +1,199 @@
+const chai = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+const delay = require('delay');
+
+const { Bmp180sensor, Recordingbus, errors } = require('../src/index.js');
+const { Faultybus } = require('../src/virtual');
+const { registers } = require('../src/bmp180sensor.constants');
+const { rejectionOf, uncaughtDuring, virtualBus, initializedSensor } = require('./helpers');
+
+describe('Bmp180sensor health Test Suite', () => {
+  let bus;
+  let device;
+  let events;
+
+  /**
+   * An initialized sensor using the health options, recording its health events
+   *
+   * @param {object} health
+   * @param {object} [onBus=bus] The bus the sensor uses
+   * @returns {Promise<Bmp180sensor>}
+   */
+  const sensorWith = (health, onBus = bus) =>
+    initializedSensor(onBus, { health }).then((bmp180) => {
+      bmp180.on('degraded', (err, status) => events.push(['degraded', err.code, status.status]));
+      bmp180.on('recovered', (status) => events.push(['recovered', status.status]));
+      return bmp180;
+    });
+
+  beforeEach(() => {
+    ({ bus, device } = virtualBus({ temperature: 20, pressure: 100000 }));
+    events = [];
+  });
+
+  it('HEALTH1: Confirm health monitoring is disabled by default', async () => {
+    const bmp180 = await sensorWith();
+    for (let i = 0; i < 12; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await bmp180.read();
+    }
+
+    chai.expect(bmp180.health).to.include({ enabled: false, status: 'healthy', failures: 0 });
+    chai.expect(events).to.deep.equal([]);
+    chai
+      .expect(() => new Bmp180sensor(bus, 0x77, { health: { stuckReads: 1 } }))
+      .to.throw(TypeError, 'Invalid health stuckReads 1');
+    chai
+      .expect(() => new Bmp180sensor(bus, 0x77, { health: { recoverAfter: 0 } }))
+      .to.throw(TypeError, 'Invalid health recoverAfter 0');
+    chai
+      .expect(
+        () => new Bmp180sensor(bus, 0x77, { health: { limits: { pressure: { min: 2, max: 1 } } } })
+      )
+      .to.throw(TypeError, 'Invalid health limits pressure 2 to 1');
+  });
+
+  it('HEALTH2: read() - Confirm readings outside the limits are rejected and the sensor degrades and recovers', async () => {
+    const bmp180 = await sensorWith({
+      enabled: true,
+      limits: { pressure: { min: 90000, max: 110000 } },
+    });
+    chai.expect((await bmp180.read()).pressure).to.equal(100000);
+
+    device.pressure = 85000;
+    const err = await rejectionOf(bmp180.read());
+    chai.expect(err).to.be.instanceOf(errors.ImplausibleReadingError);
+    chai.expect(err).to.include({ code: 'EIMPLAUSIBLE', quantity: 'pressure', min: 90000 });
+    chai.expect(bmp180.health).to.include({
+      status: 'degraded',
+      consecutiveFailures: 1,
+      implausible: 1,
+      lastError: err,
+    });
+
+    device.pressure = 95000;
+    chai.expect((await bmp180.read()).pressure).to.equal(95000);
+    chai.expect(bmp180.health).to.include({ status: 'healthy', consecutiveFailures: 0 });
+    chai.expect(bmp180.health).to.include({ readings: 3, failures: 1 });
+    await delay(0);
+    chai.expect(events).to.deep.equal([
+      ['degraded', 'EIMPLAUSIBLE', 'degraded'],
+      ['recovered', 'healthy'],
+    ]);
+  });
+
+  it('HEALTH3: read() - Confirm the datasheet operating range is the default limit', async () => {
+    const bmp180 = await sensorWith({ enabled: true });
+    device.temperature = 90;
+
+    const err = await rejectionOf(bmp180.read());
+    chai.expect(err).to.include({ code: 'EIMPLAUSIBLE', quantity: 'temperature', max: 85 });
+  });
+
+  it('HEALTH4: read() - Confirm raw values identical for stuckReads readings are rejected', async () => {
+    const bmp180 = await sensorWith({ enabled: true, stuckReads: 3 });
+    await bmp180.read();
+    await bmp180.read();
+
+    const err = await rejectionOf(bmp180.read());
+    chai.expect(err).to.be.instanceOf(errors.StuckSensorError);
+    chai.expect(err).to.include({ code: 'ESTUCK', reads: 3 });
+    chai.expect(bmp180.health).to.include({ status: 'degraded', stuck: 1 });
+
+    device.pressure = 100100;
+    await bmp180.read();
+    chai.expect(bmp180.health.status).to.equal('healthy');
+  });
+
+  it('HEALTH5: read() - Confirm the chip id is checked again once chipIdInterval has passed', async () => {
+    const recording = new Recordingbus(bus);
+    const faulty = new Faultybus(recording);
+    const chipIdReads = () =>
+      recording.records.filter((record) => record.register === registers.chipid).length;
+    const bmp180 = await sensorWith({ enabled: true, chipIdInterval: 20 }, faulty);
+    await bmp180.read();
+    chai.expect(chipIdReads()).to.equal(1);
+
+    await delay(25);
+    await bmp180.read();
+    chai.expect(chipIdReads()).to.equal(2);
+
+    await delay(25);
+    faulty.inject({ fault: 'corrupt', register: registers.chipid });
+    const err = await rejectionOf(bmp180.read());
+    chai.expect(err).to.be.instanceOf(errors.ChipIdMismatchError);
+    chai.expect(bmp180.health.status).to.equal('degraded');
+  });
+
+  it('HEALTH6: read() - Confirm repeated failures reset and recalibrate the sensor', async () => {
+    const faulty = new Faultybus(bus);
+    const bmp180 = await sensorWith({ enabled: true, recoverAfter: 2 }, faulty);
+    const calls = [];
+    ['softreset', 'calibrate', 'isValidChipId'].forEach((name) => {
+      const method = bmp180[name];
+      bmp180[name] = (...args) => {
+        calls.push(name);
+        return method.apply(bmp180, args);
+      };
+    });
+    faulty.inject({ fault: 'eio', count: 2, register: registers.results });
+
+    await rejectionOf(bmp180.read());
+    chai.expect(calls).to.deep.equal([]);
+    const err = await rejectionOf(bmp180.read());
+    chai.expect(err).to.be.instanceOf(errors.I2cTransferError);
+    chai.expect(calls).to.deep.equal(['softreset', 'calibrate']);
+    chai.expect(bmp180.health).to.include({ status: 'degraded', recoveries: 1 });
+
+    const sample = await bmp180.read();
+    chai.expect(sample.pressure).to.equal(100000);
+    chai.expect(calls).to.deep.equal(['softreset', 'calibrate', 'isValidChipId']);
+    chai.expect(bmp180.health).to.include({ status: 'healthy', failures: 2, recoveries: 1 });
+    await delay(0);
+    chai.expect(events).to.deep.equal([
+      ['degraded', 'EI2CTRANSFER', 'degraded'],
+      ['recovered', 'healthy'],
+    ]);
+  });
+
+  it('HEALTH7: read() - Confirm a failed recovery leaves the sensor degraded until a reading succeeds', async () => {
+    const faulty = new Faultybus(bus, { stuck: { timeout: 1 } });
+    const bmp180 = await sensorWith({ enabled: true, recoverAfter: 1 }, faulty);
+    faulty.inject('stuck');
+
+    const err = await rejectionOf(bmp180.read());
+    chai.expect(err.cause).to.include({ code: 'ETIMEDOUT' });
+    chai.expect(bmp180.health).to.include({ status: 'degraded', recoveries: 0 });
+
+    faulty.release();
+    await bmp180.read();
+    chai.expect(bmp180.health).to.include({ status: 'healthy', failures: 1, recoveries: 0 });
+  });
+
+  it('HEALTH8: read() - Confirm throwing degraded and recovered listeners do not affect the readings', async () => {
+    const bmp180 = await sensorWith({
+      enabled: true,
+      limits: { pressure: { min: 90000, max: 110000 } },
+    });
+    bmp180.on('degraded', () => {
+      throw new Error('degraded listener');
+    });
+    bmp180.on('recovered', () => {
+      throw new Error('recovered listener');
+    });
+
+    const uncaught = await uncaughtDuring(async () => {
+      device.pressure = 85000;
+      const err = await rejectionOf(bmp180.read());
+      chai.expect(err).to.be.instanceOf(errors.ImplausibleReadingError);
+      device.pressure = 95000;
+      chai.expect((await bmp180.read()).pressure).to.equal(95000);
+      await delay(0);
+    });
+
+    chai
+      .expect(uncaught.map((err) => err.message))
+      .to.deep.equal(['degraded listener', 'recovered listener']);
+    chai.expect(bmp180.health).to.include({ status: 'healthy', failures: 1 });
+  });
+});
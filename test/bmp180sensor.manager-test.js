@@ -0,0 +1,143 @@
+const chai = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+
+const {
+  Bmp180manager,
+  Bmp180sensor,
+  Bmp280sensor,
+  Bme280sensor,
+  errors,
+} = require('../src/index.js');
+const { Bmp180virtualdevice, Bmp280virtualdevice, Virtualbus } = require('../src/virtual');
+
+const sensor = { retryOptions: { retries: 0 } };
+
+describe('Bmp180manager Test Suite', () => {
+  let bus1;
+  let bus3;
+  let manager;
+
+  beforeEach(() => {
+    bus1 = new Virtualbus(1);
+    bus1.addDevice(0x77, new Bmp180virtualdevice({ temperature: 20, pressure: 101000 }));
+    bus1.addDevice(0x40, new Bmp180virtualdevice({ chipid: 0x21 }));
+    bus3 = new Virtualbus(3);
+    bus3.addDevice(0x77, new Bmp180virtualdevice({ temperature: 25, pressure: 99000 }));
+    bus3.addDevice(0x76, new Bmp280virtualdevice({ temperature: 22, pressure: 100500 }));
+    manager = new Bmp180manager({ buses: [bus1, bus3], addresses: [0x76, 0x77], sensor });
+  });
+
+  afterEach(() => manager.close());
+
+  it('MANAGER1: scan() - Confirm the chip id of each configured address that acknowledges', async () => {
+    const found = await manager.scan();
+    chai.expect(found).to.deep.equal([
+      { id: 'i2c-1-0x77', busnumber: 1, address: 0x77, chipid: 0x55, error: null },
+      { id: 'i2c-3-0x76', busnumber: 3, address: 0x76, chipid: 0x58, error: null },
+      { id: 'i2c-3-0x77', busnumber: 3, address: 0x77, chipid: 0x55, error: null },
+    ]);
+  });
+
+  it('MANAGER2: discover() - Confirm each part is initialized with the driver for its chip id under stable ids', async () => {
+    const results = await manager.discover();
+    chai.expect(results.map(({ id, error }) => [id, error])).to.deep.equal([
+      ['i2c-1-0x77', null],
+      ['i2c-3-0x76', null],
+      ['i2c-3-0x77', null],
+    ]);
+    chai.expect(manager.ids).to.deep.equal(['i2c-1-0x77', 'i2c-3-0x76', 'i2c-3-0x77']);
+    chai.expect(manager.get('i2c-3-0x77')).to.be.instanceOf(Bmp180sensor);
+    chai.expect(manager.get('i2c-3-0x77').isInitialized).to.equal(true);
+    chai.expect(manager.get('i2c-3-0x76')).to.be.instanceOf(Bmp280sensor);
+    chai.expect(manager.get('i2c-3-0x76').isInitialized).to.equal(true);
+    chai.expect(manager.devices[0]).to.include({ id: 'i2c-1-0x77', busnumber: 1, chipid: 0x55 });
+
+    // A second discovery does not reinitialize known sensors
+    chai.expect(await manager.discover()).to.deep.equal([]);
+  });
+
+  it('MANAGER3: readAll() - Confirm every sensor is read in one call', async () => {
+    await manager.discover();
+    const results = await manager.readAll({ units: { pressure: 'hPa' } });
+    chai
+      .expect(results.map(({ id }) => id))
+      .to.deep.equal(['i2c-1-0x77', 'i2c-3-0x76', 'i2c-3-0x77']);
+    chai.expect(results[0].error).to.equal(null);
+    chai.expect(results[0].sample.temperature).to.be.closeTo(20, 0.1);
+    chai.expect(results[1].sample.pressure).to.be.closeTo(1005, 0.05);
+    chai.expect(results[2].sample.pressure).to.be.closeTo(990, 0.05);
+  });
+
+  it('MANAGER4: readAll() - Confirm one failing sensor does not reject the batch', async () => {
+    await manager.discover();
+    bus1.removeDevice(0x77);
+    const results = await manager.readAll();
+    chai.expect(results[0].sample).to.equal(null);
+    chai.expect(results[0].error).to.be.instanceOf(errors.I2cTransferError);
+    chai.expect(results[2].error).to.equal(null);
+    chai.expect(results[2].sample.temperature).to.be.closeTo(25, 0.1);
+  });
+
+  it('MANAGER5: discover() - Confirm an initialization failure is reported and isolated', async () => {
+    const device = bus3.getDevice(0x77);
+    device.writeRegister = () => {
+      throw new Error('stuck');
+    };
+    const results = await manager.discover();
+    chai.expect(results[0].error).to.equal(null);
+    chai.expect(results[2].error).to.be.instanceOf(errors.I2cTransferError);
+    chai.expect(manager.ids).to.deep.equal(['i2c-1-0x77', 'i2c-3-0x76']);
+  });
+
+  it('MANAGER6: Confirm invalid buses and addresses throw', () => {
+    chai.expect(() => new Bmp180manager({ buses: [] })).to.throw(TypeError, 'Invalid buses');
+    chai.expect(() => new Bmp180manager({ buses: [{}] })).to.throw(TypeError, 'Invalid bus');
+    chai
+      .expect(() => new Bmp180manager({ buses: [bus1], addresses: [0x80] }))
+      .to.throw(TypeError, 'Invalid addresses 128');
+  });
+
+  it('MANAGER7: close() - Confirm sensors are closed and buses passed in stay open', async () => {
+    await manager.discover();
+    await manager.close();
+    chai.expect(manager.ids).to.deep.equal([]);
+    chai.expect(bus1.isClosed).to.equal(false);
+  });
+
+  it('MANAGER8: scan() - Confirm a failing bus is reported without affecting the others', async () => {
+    bus3.scan = () => Promise.reject(new Error('EIO, bus 3 failed'));
+    const found = await manager.scan();
+    chai.expect(found.map(({ id, chipid }) => [id, chipid])).to.deep.equal([
+      ['i2c-1-0x77', 0x55],
+      ['i2c-3', null],
+    ]);
+    chai.expect(found[1]).to.include({ busnumber: 3, address: null });
+    chai.expect(found[1].error.message).to.equal('EIO, bus 3 failed');
+
+    const results = await manager.discover();
+    chai.expect(results.map(({ id, error }) => [id, error && error.message])).to.deep.equal([
+      ['i2c-1-0x77', null],
+      ['i2c-3', 'EIO, bus 3 failed'],
+    ]);
+    chai.expect(manager.ids).to.deep.equal(['i2c-1-0x77']);
+    const readings = await manager.readAll();
+    chai.expect(readings[0].sample.temperature).to.be.closeTo(20, 0.1);
+  });
+
+  it('MANAGER9: discover() - Confirm a BME280 is managed and unsupported chip ids are skipped', async () => {
+    bus1.addDevice(0x76, new Bmp280virtualdevice({ chipid: 0x60, temperature: 19, humidity: 55 }));
+    const mixed = new Bmp180manager({ buses: [bus1], addresses: [0x40, 0x76, 0x77], sensor });
+    const results = await mixed.discover();
+    chai.expect(results.map(({ id, chipid }) => [id, chipid])).to.deep.equal([
+      ['i2c-1-0x76', 0x60],
+      ['i2c-1-0x77', 0x55],
+    ]);
+    chai.expect(mixed.get('i2c-1-0x76')).to.be.instanceOf(Bme280sensor);
+    chai.expect(mixed.get('i2c-1-0x40')).to.equal(undefined);
+
+    const readings = await mixed.readAll();
+    chai.expect(readings[0].sample.humidity).to.be.closeTo(55, 0.1);
+    chai.expect(readings[1].sample.temperature).to.be.closeTo(20, 0.1);
+    await mixed.close();
+  });
+});
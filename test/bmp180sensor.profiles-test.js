@@ -0,0 +1,160 @@
+const chai = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+const delay = require('delay');
+
+const { Bmp180sensor, profiles } = require('../src/bmp180sensor.js');
+const { oversamplingSettings, registers } = require('../src/bmp180sensor.constants');
+const { retryOptions, virtualBus, recordWrites } = require('./helpers');
+
+describe('Bmp180sensor profiles Test Suite', () => {
+  let bus;
+  let commands;
+
+  beforeEach(() => {
+    const fixture = virtualBus({ temperature: 21, pressure: 100500 });
+    bus = fixture.bus;
+    commands = recordWrites(fixture.device, registers.control);
+  });
+
+  it('PROFILES1: estimate() - Confirm the current and noise follow the datasheet figures', () => {
+    const lowPower = profiles.estimate({ oss: oversamplingSettings.ultra_low_power });
+    chai.expect(lowPower).to.deep.equal({
+      interval: 1000,
+      readingTime: 13,
+      current: 6.1,
+      noise: { pressure: 6, altitude: 0.5 },
+    });
+
+    const averaged = profiles.estimate({
+      oss: oversamplingSettings.ultra_high_resolution,
+      samples: 3,
+      interval: 10,
+    });
+    chai.expect(averaged.interval).to.equal(86);
+    chai.expect(averaged.current).to.be.closeTo(0.1 + (39 * 1000) / 86, 1e-9);
+    chai.expect(averaged.noise.pressure).to.be.closeTo(3 / Math.sqrt(3), 1e-9);
+
+    const every = profiles.estimate({
+      oss: oversamplingSettings.standard,
+      temperatureReuse: { every: 4 },
+    });
+    const maxAge = profiles.estimate({
+      oss: oversamplingSettings.standard,
+      interval: 250,
+      temperatureReuse: { maxAge: 1000 },
+    });
+    chai.expect(every.current).to.be.closeTo(0.1 + 0.75 + 5, 1e-9);
+    chai.expect(maxAge.current).to.be.closeTo(0.1 + (0.75 + 5) * 4, 1e-9);
+  });
+
+  it('PROFILES2: estimate() - Confirm invalid configurations are rejected', () => {
+    chai
+      .expect(() => profiles.estimate({ oss: oversamplingSettings.temperature }))
+      .to.throw(TypeError, 'Invalid oversampling setting 255');
+    chai
+      .expect(() => profiles.estimate({ oss: oversamplingSettings.standard, samples: 0 }))
+      .to.throw(TypeError, 'Invalid samples 0');
+    chai
+      .expect(() => profiles.estimate({ oss: oversamplingSettings.standard, interval: -1 }))
+      .to.throw(TypeError, 'Invalid interval -1');
+    chai
+      .expect(() => profiles.usageProfile('hiking'))
+      .to.throw(TypeError, 'Invalid profile hiking');
+  });
+
+  it('PROFILES3: Confirm a profile from the constructor sets oss and samples, explicit options take precedence', () => {
+    const floorChange = new Bmp180sensor(bus, 0x77, { profile: 'floor_change' });
+    chai.expect(floorChange.profile).to.equal('floor_change');
+    chai.expect(floorChange.oss).to.deep.equal(oversamplingSettings.standard);
+    chai.expect(floorChange.filter.samples).to.equal(4);
+
+    const explicit = new Bmp180sensor(bus, 0x77, {
+      profile: 'floor_change',
+      oss: oversamplingSettings.high,
+      filter: { samples: 2 },
+    });
+    chai.expect(explicit.oss).to.deep.equal(oversamplingSettings.high);
+    chai.expect(explicit.filter.samples).to.equal(2);
+
+    chai
+      .expect(() => new Bmp180sensor(bus, 0x77, { profile: 'hiking' }))
+      .to.throw(TypeError, 'Invalid profile hiking');
+    chai.expect(new Bmp180sensor(bus, 0x77).profile).to.equal(null);
+  });
+
+  it('PROFILES4: read() - Confirm a profile selected at runtime is used by the next reading', async () => {
+    const chain = [{ type: 'median', window: 3 }];
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions, filter: { chain } });
+    await bmp180.initialize();
+    bmp180.profile = 'indoor_navigation';
+    chai.expect(bmp180.filter).to.deep.equal({ samples: 3, chain });
+
+    const sample = await bmp180.read();
+    chai.expect(sample.oss).to.equal(3);
+    chai.expect(sample.pressure).to.equal(100500);
+    chai
+      .expect(commands)
+      .to.deep.equal([
+        oversamplingSettings.temperature.command,
+        ...Array(3).fill(oversamplingSettings.ultra_high_resolution.command),
+      ]);
+
+    bmp180.profile = null;
+    chai.expect(bmp180.profile).to.equal(null);
+    chai.expect(bmp180.oss).to.deep.equal(oversamplingSettings.ultra_high_resolution);
+  });
+
+  it('PROFILES5: start() - Confirm sampling uses the profile interval unless one is given', async () => {
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions, profile: 'sports' });
+    await bmp180.initialize();
+    let readings = 0;
+    bmp180.on('data', () => {
+      readings += 1;
+    });
+
+    chai.expect(bmp180.estimate().interval).to.equal(200);
+    bmp180.start();
+    await delay(300);
+    await bmp180.stop();
+    chai.expect(readings).to.equal(2);
+
+    bmp180.start({ interval: 5000 });
+    chai.expect(bmp180.estimate().interval).to.equal(5000);
+    await bmp180.stop();
+  });
+
+  it('PROFILES6: estimate() - Confirm the estimate for the weather monitoring profile', () => {
+    const bmp180 = new Bmp180sensor(bus, 0x77, { profile: 'weather_monitoring' });
+    const { interval, current, noise } = bmp180.estimate();
+
+    chai.expect(interval).to.equal(60000);
+    chai.expect(current).to.be.closeTo(0.2, 1e-9);
+    chai.expect(noise).to.deep.equal({ pressure: 6, altitude: 0.5 });
+    chai.expect(bmp180.estimate(1000).current).to.be.closeTo(6.1, 1e-9);
+  });
+
+  it('PROFILES7: profile - Confirm selecting a profile while sampling restarts at its interval', async () => {
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions, profile: 'weather_monitoring' });
+    await bmp180.initialize();
+    let readings = 0;
+    bmp180.on('data', () => {
+      readings += 1;
+    });
+
+    bmp180.start({ threshold: { pressure: 10 } });
+    await delay(50);
+    chai.expect(readings).to.equal(1);
+
+    bmp180.profile = 'sports';
+    chai.expect(bmp180.isSampling).to.equal(true);
+    chai.expect(bmp180.estimate().interval).to.equal(200);
+    await delay(300);
+    await bmp180.stop();
+    chai.expect(readings).to.equal(3);
+
+    bmp180.start();
+    bmp180.profile = null;
+    chai.expect(bmp180.estimate().interval).to.equal(200);
+    await bmp180.stop();
+  });
+});
@@ -0,0 +1,79 @@
+const chai = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+
+const { Sample } = require('../src/bmp180sensor.js');
+const { oversamplingSettings, registers } = require('../src/bmp180sensor.constants');
+const { virtualBus, initializedSensor, recordWrites } = require('./helpers');
+
+describe('Bmp180sensor read() Test Suite', () => {
+  let device;
+  let bmp180;
+
+  beforeEach(async () => {
+    const fixture = virtualBus({ temperature: 18.2, pressure: 99800 });
+    device = fixture.device;
+    bmp180 = await initializedSensor(fixture.bus);
+  });
+
+  it('READ1: read() - Confirm a Sample with temperature, pressure and raw values', async () => {
+    const before = Date.now();
+    const sample = await bmp180.read();
+
+    chai.expect(sample).to.be.an.instanceof(Sample);
+    chai.expect(sample.temperature).to.be.closeTo(18.2, 0.1);
+    chai.expect(sample.pressure).to.be.closeTo(99800, 5);
+    chai.expect(sample.ut).to.equal(device.uncompensatedTemperature());
+    chai
+      .expect(sample.up)
+      .to.equal(device.uncompensatedPressure(oversamplingSettings.standard.mode));
+    chai.expect(sample.oss).to.equal(oversamplingSettings.standard.mode);
+    chai.expect(sample.timestamp.getTime()).to.be.at.least(before);
+  });
+
+  it('READ2: read() - Confirm one temperature and one pressure conversion', async () => {
+    const commands = recordWrites(device, registers.control);
+
+    await bmp180.read();
+
+    chai
+      .expect(commands)
+      .to.deep.equal([
+        oversamplingSettings.temperature.command,
+        oversamplingSettings.standard.command,
+      ]);
+  });
+
+  it('READ3: read() - Confirm the oss mode used is recorded', async () => {
+    bmp180.oss = oversamplingSettings.ultra_high_resolution;
+    const sample = await bmp180.read();
+    chai.expect(sample.oss).to.equal(oversamplingSettings.ultra_high_resolution.mode);
+    chai.expect(sample.pressure).to.be.closeTo(99800, 5);
+  });
+
+  it('READ4: Sample - Confirm samples are immutable and can be derived', async () => {
+    const sample = await bmp180.read();
+    const derived = sample.derive({ pressure: 100000 });
+
+    chai.expect(Object.isFrozen(sample)).to.equal(true);
+    chai.expect(derived).to.be.an.instanceof(Sample);
+    chai.expect(derived.pressure).to.equal(100000);
+    chai.expect(derived.temperature).to.equal(sample.temperature);
+    chai.expect(derived.timestamp).to.equal(sample.timestamp);
+  });
+
+  it('READ5: Sample - Confirm JSON serialization', async () => {
+    const sample = await bmp180.read();
+    const json = JSON.parse(JSON.stringify(sample));
+    chai.expect(json).to.deep.equal({
+      temperature: sample.temperature,
+      pressure: sample.pressure,
+      unfiltered: { temperature: sample.temperature, pressure: sample.pressure },
+      ut: sample.ut,
+      up: sample.up,
+      oss: sample.oss,
+      timestamp: sample.timestamp.toISOString(),
+      units: { temperature: 'C', pressure: 'Pa' },
+      temperatureCached: false,
+    });
+  });
+});
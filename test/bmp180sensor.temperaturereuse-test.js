@@ -0,0 +1,100 @@
+const chai = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+
+const { Bmp180sensor } = require('../src/bmp180sensor.js');
+const { oversamplingSettings, registers } = require('../src/bmp180sensor.constants');
+const { virtualBus, initializedSensor, recordWrites } = require('./helpers');
+
+describe('Bmp180sensor temperatureReuse Test Suite', () => {
+  let bus;
+  let commands;
+
+  /**
+   * A sensor using the temperature reuse options
+   *
+   * @param {object} temperatureReuse
+   * @returns {Promise<Bmp180sensor>}
+   */
+  const sensorWith = (temperatureReuse) => initializedSensor(bus, { temperatureReuse });
+
+  const temperatureConversions = () =>
+    commands.filter((command) => command === oversamplingSettings.temperature.command).length;
+
+  beforeEach(() => {
+    const fixture = virtualBus({ temperature: 18.2, pressure: 99800 });
+    bus = fixture.bus;
+    commands = recordWrites(fixture.device, registers.control);
+  });
+
+  it('REUSE1: read() - Confirm the temperature is converted for every reading by default', async () => {
+    const bmp180 = await sensorWith();
+    const first = await bmp180.read();
+    const second = await bmp180.read();
+
+    chai.expect(temperatureConversions()).to.equal(2);
+    chai.expect(first.temperatureCached).to.equal(false);
+    chai.expect(second.temperatureCached).to.equal(false);
+  });
+
+  it('REUSE2: read() - Confirm every reuses the ut for N pressure readings', async () => {
+    const bmp180 = await sensorWith({ every: 3 });
+    const samples = [];
+    for (let i = 0; i < 5; i += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      samples.push(await bmp180.read());
+    }
+
+    chai
+      .expect(samples.map((sample) => sample.temperatureCached))
+      .to.deep.equal([false, true, true, false, true]);
+    chai.expect(temperatureConversions()).to.equal(2);
+    chai.expect(samples[1].ut).to.equal(samples[0].ut);
+    chai.expect(samples[1].pressure).to.be.closeTo(99800, 5);
+  });
+
+  it('REUSE3: pressure() - Confirm maxAge reuses the ut until it expires', async () => {
+    const bmp180 = await sensorWith({ maxAge: 40 });
+    await bmp180.pressure();
+    await bmp180.pressure();
+    chai.expect(temperatureConversions()).to.equal(1);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await bmp180.pressure();
+    chai.expect(temperatureConversions()).to.equal(2);
+  });
+
+  it('REUSE4: Confirm softreset(), calibrate() and an oss change invalidate the cached ut', async () => {
+    const bmp180 = await sensorWith({ maxAge: 60000 });
+    await bmp180.read();
+    chai.expect((await bmp180.read()).temperatureCached).to.equal(true);
+    await bmp180.softreset();
+    chai.expect((await bmp180.read()).temperatureCached).to.equal(false);
+    await bmp180.calibrate();
+    chai.expect((await bmp180.read()).temperatureCached).to.equal(false);
+    bmp180.oss = oversamplingSettings.high;
+    chai.expect((await bmp180.read()).temperatureCached).to.equal(false);
+    chai.expect((await bmp180.read()).temperatureCached).to.equal(true);
+    chai.expect(temperatureConversions()).to.equal(4);
+  });
+
+  it('REUSE5: temperature() - Confirm a temperature reading refreshes the cached ut', async () => {
+    const bmp180 = await sensorWith({ every: 1 });
+    await bmp180.temperature();
+    const sample = await bmp180.read();
+    chai.expect(sample.temperatureCached).to.equal(true);
+    chai.expect(temperatureConversions()).to.equal(1);
+  });
+
+  it('REUSE6: temperatureReuse - Confirm invalid policies throw', async () => {
+    chai
+      .expect(() => new Bmp180sensor(bus, 0x77, { temperatureReuse: { maxAge: -1 } }))
+      .to.throw(TypeError, 'Invalid temperatureReuse maxAge -1');
+    const bmp180 = await sensorWith();
+    chai
+      .expect(() => {
+        bmp180.temperatureReuse = { every: 1.5 };
+      })
+      .to.throw(TypeError, 'Invalid temperatureReuse every 1.5');
+    bmp180.temperatureReuse = { every: 2 };
+    chai.expect(bmp180.temperatureReuse).to.deep.equal({ maxAge: null, every: 2 });
+  });
+});
@@ -0,0 +1,118 @@
+const chai = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+
+const { Bmp180sensor } = require('../src/bmp180sensor.js');
+const { Bmp180virtualdevice } = require('../src/virtual');
+const {
+  datasheetCalibration,
+  oversamplingSettings,
+  registers,
+} = require('../src/bmp180sensor.constants');
+const { retryOptions, virtualBus } = require('./helpers');
+
+describe('Bmp180virtualdevice Test Suite', () => {
+  let bus;
+  let device;
+
+  beforeEach(() => {
+    ({ bus, device } = virtualBus({ temperature: 21.5, pressure: 100500 }));
+  });
+
+  it('VIRTUAL1: Confirm Bmp180sensor accepts a Virtualbus', () => {
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions });
+    chai.expect(bmp180.isValidBus).to.equal(true);
+  });
+
+  it('VIRTUAL2: Confirm error thrown if we pass an object that is not a bus', () => {
+    const badFn = () => {
+      // eslint-disable-next-line no-unused-vars
+      const test = new Bmp180sensor({});
+    };
+    chai.expect(badFn).to.throw(TypeError, 'Invalid bus it must a number or an i2c-bus.Bus');
+  });
+
+  it('VIRTUAL3: Confirm chip id and version registers', async () => {
+    chai.expect(await bus.readByte(0x77, registers.chipid)).to.equal(0x55);
+    chai.expect(await bus.readByte(0x77, registers.version)).to.equal(0x02);
+  });
+
+  it('VIRTUAL4: Confirm reading an empty address is rejected with EREMOTEIO', async () => {
+    let error = null;
+    try {
+      await bus.readByte(0x76, registers.chipid);
+    } catch (e) {
+      error = e;
+    }
+    chai.expect(error).to.be.an('error');
+    chai.expect(error.code).to.equal('EREMOTEIO');
+  });
+
+  it('VIRTUAL5: Confirm calibration block matches the configured coefficients', async () => {
+    const response = await bus.readI2cBlock(0x77, registers.calibration, 22, Buffer.alloc(22));
+    chai.expect(response.bytesRead).to.equal(22);
+    chai
+      .expect(response.buffer)
+      .to.deep.equal(Bmp180virtualdevice.encodeCalibration(datasheetCalibration));
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions });
+    chai.expect(await bmp180.calibrate()).to.equal(true);
+    chai.expect(bmp180.isCalibrated).to.equal(true);
+  });
+
+  it('VIRTUAL6: Confirm the control register reports SCO until the conversion completes', async () => {
+    await bus.writeByte(
+      0x77,
+      registers.control,
+      oversamplingSettings.ultra_high_resolution.command
+    );
+    const busy = await bus.readByte(0x77, registers.control);
+    chai.expect(busy).to.equal(oversamplingSettings.ultra_high_resolution.command);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    const done = await bus.readByte(0x77, registers.control);
+    chai.expect(done).to.equal(oversamplingSettings.ultra_high_resolution.command - 0x20);
+  });
+
+  it('VIRTUAL7: Confirm softreset() restores the power on register state', async () => {
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions });
+    await bus.writeByte(0x77, registers.control, oversamplingSettings.temperature.command);
+    await bmp180.softreset();
+    chai.expect(await bus.readByte(0x77, registers.control)).to.equal(0x00);
+    chai.expect(await bus.readByte(0x77, registers.results)).to.equal(0x80);
+  });
+
+  it('VIRTUAL8: Confirm initialize() and temperature() against the virtual device', async () => {
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions });
+    await bmp180.initialize();
+    const value = await bmp180.temperature();
+    chai.expect(bmp180.isInitialized).to.equal(true);
+    chai.expect(value).to.be.closeTo(21.5, 0.1);
+  });
+
+  Object.keys(oversamplingSettings)
+    .filter((key) => key !== 'temperature')
+    .forEach((key) => {
+      it(`VIRTUAL9: Confirm pressure() against the virtual device with oss ${key}`, async () => {
+        const bmp180 = new Bmp180sensor(bus, 0x77, {
+          retryOptions,
+          oss: oversamplingSettings[key],
+        });
+        await bmp180.initialize();
+        const value = await bmp180.pressure();
+        chai.expect(value).to.be.closeTo(100500, 5);
+      });
+    });
+
+  it('VIRTUAL10: Confirm readings follow changes to the simulated values', async () => {
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions });
+    await bmp180.initialize();
+    device.temperature = -12.3;
+    device.pressure = 85000;
+    chai.expect(await bmp180.temperature()).to.be.closeTo(-12.3, 0.1);
+    chai.expect(await bmp180.pressure()).to.be.closeTo(85000, 5);
+  });
+
+  it('VIRTUAL11: Confirm close() does not close a bus passed to the sensor', async () => {
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions });
+    chai.expect(await bmp180.close()).to.equal(false);
+    chai.expect(bus.isClosed).to.equal(false);
+  });
+});
@@ -0,0 +1,152 @@
+const chai = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+
+const {
+  Bmp085sensor,
+  Bmp180sensor,
+  Bmp280sensor,
+  Bme280sensor,
+  createSensor,
+  errors,
+} = require('../src/index.js');
+const { Bmp180virtualdevice, Bmp280virtualdevice, Virtualbus } = require('../src/virtual');
+const compensation = require('../src/bmp280sensor.compensation');
+const {
+  datasheetCalibration,
+  datasheetHumidityCalibration,
+} = require('../src/bmp280sensor.constants');
+const { retryOptions } = require('./helpers');
+
+describe('Bmp280sensor Test Suite', () => {
+  let bus;
+  let sensor;
+
+  beforeEach(() => {
+    bus = new Virtualbus(1);
+    sensor = null;
+  });
+
+  afterEach(() => (sensor ? sensor.close() : null));
+
+  it('BMP280-1: compensation - Confirm the datasheet temperature and pressure example', () => {
+    const { temperature, tFine } = compensation.compensateTemperature(519888, datasheetCalibration);
+    chai.expect(temperature).to.be.closeTo(25.08, 0.005);
+    chai
+      .expect(compensation.compensatePressure(415148, tFine, datasheetCalibration))
+      .to.be.closeTo(100653.27, 0.005);
+  });
+
+  it('BMP280-2: calibration - Confirm the calibration blocks round trip', () => {
+    const buffer = compensation.encodeCalibration(datasheetCalibration);
+    chai.expect(buffer.length).to.equal(compensation.calibrationLength);
+    chai.expect(compensation.decodeCalibration(buffer)).to.deep.equal(datasheetCalibration);
+
+    const calibration = { ...datasheetHumidityCalibration, h4: -313, h5: -50 };
+    const humidity = compensation.encodeHumidityCalibration(calibration);
+    chai
+      .expect(compensation.decodeHumidityCalibration(calibration.h1, humidity))
+      .to.deep.equal(calibration);
+  });
+
+  it('BMP280-3: calibration - Confirm invalid calibration is rejected', () => {
+    chai
+      .expect(() => compensation.decodeCalibration(Buffer.alloc(10)))
+      .to.throw(errors.CalibrationInvalidError, 'expected 24 bytes got 10');
+    chai
+      .expect(() => compensation.decodeCalibration(Buffer.alloc(24)))
+      .to.throw(errors.CalibrationInvalidError);
+  });
+
+  it('BMP280-4: read() - Confirm a BMP280 reads temperature and pressure', async () => {
+    bus.addDevice(0x76, new Bmp280virtualdevice({ temperature: 21.5, pressure: 99000 }));
+    sensor = new Bmp280sensor(bus, 0x76, { retryOptions });
+    chai.expect(await sensor.initialize()).to.equal(true);
+    const sample = await sensor.read();
+    chai.expect(sample.temperature).to.be.closeTo(21.5, 0.01);
+    chai.expect(sample.pressure).to.be.closeTo(99000, 0.5);
+    chai.expect(sample).to.not.have.property('humidity');
+    chai
+      .expect(await sensor.temperature({ units: { temperature: 'F' } }))
+      .to.be.closeTo(70.7, 0.02);
+    chai.expect(await sensor.pressure({ units: { pressure: 'hPa' } })).to.be.closeTo(990, 0.01);
+  });
+
+  it('BMP280-5: read() - Confirm a BME280 also reads humidity', async () => {
+    bus.addDevice(0x77, new Bmp280virtualdevice({ chipid: 0x60, temperature: -5, humidity: 42 }));
+    sensor = new Bme280sensor(bus, 0x77, { retryOptions, oversampling: { humidity: 16 } });
+    await sensor.initialize();
+    chai.expect(sensor.humidityCalibrationData).to.deep.equal(datasheetHumidityCalibration);
+    const sample = await sensor.read();
+    chai.expect(sample.temperature).to.be.closeTo(-5, 0.01);
+    chai.expect(sample.pressure).to.be.closeTo(101325, 0.5);
+    chai.expect(sample.humidity).to.be.closeTo(42, 0.01);
+    chai.expect(await sensor.humidity()).to.be.closeTo(42, 0.01);
+
+    sensor.oversampling = { humidity: 0 };
+    chai.expect((await sensor.read()).humidity).to.equal(undefined);
+    await sensor.humidity().then(
+      () => chai.assert.fail('humidity() resolved'),
+      (err) => chai.expect(err.message).to.equal('Invalid humidity oversampling 0')
+    );
+  });
+
+  it('BMP280-6: constructor - Confirm invalid oversampling is rejected', () => {
+    chai
+      .expect(() => new Bmp280sensor(bus, 0x77, { oversampling: { pressure: 3 } }))
+      .to.throw(TypeError, 'Invalid pressure oversampling 3');
+    chai
+      .expect(() => new Bmp280sensor(bus, 0x77, { oversampling: { temperature: 0 } }))
+      .to.throw(TypeError, 'Invalid temperature oversampling 0');
+  });
+
+  it('BMP280-7: initialize() - Confirm the chip id is checked for each part', async () => {
+    bus.addDevice(0x76, new Bmp280virtualdevice({ chipid: 0x58 }));
+    bus.addDevice(0x77, new Bmp180virtualdevice());
+    sensor = new Bme280sensor(bus, 0x76, { retryOptions });
+    await sensor.initialize().then(
+      () => chai.assert.fail('initialize() resolved'),
+      (err) => {
+        chai.expect(err).to.be.instanceOf(errors.ChipIdMismatchError);
+        chai.expect(err.message).to.equal('Expected BME280 chip_id to be 0x60, got chip id 0x58.');
+      }
+    );
+    const bmp085 = new Bmp085sensor(bus, 0x77, { retryOptions });
+    chai.expect(bmp085).to.be.instanceOf(Bmp180sensor);
+    chai.expect(await bmp085.initialize()).to.equal(true);
+    chai.expect(await bmp085.temperature()).to.be.closeTo(15, 0.1);
+    await bmp085.close();
+  });
+
+  it('BMP280-8: createSensor() - Confirm the driver is chosen from the chip id', async () => {
+    bus.addDevice(0x40, new Bmp180virtualdevice());
+    bus.addDevice(0x76, new Bmp280virtualdevice({ chipid: 0x58 }));
+    bus.addDevice(0x77, new Bmp280virtualdevice({ chipid: 0x60 }));
+    const sensors = [
+      await createSensor(bus, 0x40, { retryOptions }),
+      await createSensor(bus, 0x76, { retryOptions }),
+      await createSensor(bus, 0x77, { retryOptions }),
+    ];
+    chai
+      .expect(sensors.map((created) => created.constructor))
+      .to.deep.equal([Bmp180sensor, Bmp280sensor, Bme280sensor]);
+    chai.expect(sensors.every((created) => created.isInitialized)).to.equal(true);
+    chai.expect(await sensors[2].humidity()).to.be.closeTo(50, 0.01);
+    await Promise.all(sensors.map((created) => created.close()));
+  });
+
+  it('BMP280-9: createSensor() - Confirm unsupported and missing parts are rejected', async () => {
+    bus.addDevice(0x76, new Bmp280virtualdevice({ chipid: 0x61 }));
+    await createSensor(bus, 0x76).then(
+      () => chai.assert.fail('createSensor() resolved'),
+      (err) => {
+        chai.expect(err).to.be.instanceOf(errors.UnsupportedChipError);
+        chai.expect(err.code).to.equal('EUNSUPPORTEDCHIP');
+        chai.expect(err.message).to.equal('Unsupported chip id 0x61 at address 0x76');
+      }
+    );
+    await createSensor(bus, 0x77).then(
+      () => chai.assert.fail('createSensor() resolved'),
+      (err) => chai.expect(err).to.be.instanceOf(errors.I2cTransferError)
+    );
+  });
+});
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const chai = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+
+const { Datalogger, Sample } = require('../src/index.js');
+const { uncaughtDuring, virtualSensor } = require('./helpers');
+
+/**
+ * A sample at a time
+ *
+ * @param {string} timestamp
+ * @param {number} [pressure=101325]
+ * @returns {Sample}
+ */
+const sampleAt = (timestamp, pressure = 101325) =>
+  new Sample({
+    temperature: 15,
+    pressure,
+    ut: 27898,
+    up: 23843,
+    oss: 0,
+    timestamp: new Date(timestamp),
+  });
+
+describe('Datalogger Test Suite', () => {
+  let directory;
+  let logger;
+
+  const files = () => fs.readdirSync(directory).sort();
+  const read = (name) => fs.readFileSync(path.join(directory, name), 'utf8');
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'datalogger-'));
+    logger = null;
+  });
+
+  afterEach(async () => {
+    if (logger) {
+      await logger.close();
+    }
+    (fs.rmSync || fs.rmdirSync)(directory, { recursive: true });
+  });
+
+  it('DATALOGGER1: write() - Confirm CSV with a single header', async () => {
+    logger = new Datalogger(null, { directory });
+    await logger.write(sampleAt('2020-05-01T10:00:00Z'));
+    await logger.write(sampleAt('2020-05-01T10:01:00Z', 101300));
+    chai.expect(logger.currentFile).to.equal(path.join(directory, 'bmp180-2020-05-01.csv'));
+    chai
+      .expect(read('bmp180-2020-05-01.csv'))
+      .to.equal(
+        'timestamp,temperature,pressure\n' +
+          '2020-05-01T10:00:00.000Z,15,101325\n' +
+          '2020-05-01T10:01:00.000Z,15,101300\n'
+      );
+  });
+
+  it('DATALOGGER2: write() - Confirm NDJSON with configured columns', async () => {
+    logger = new Datalogger(null, {
+      directory,
+      format: 'ndjson',
+      basename: 'attic',
+      columns: ['timestamp', 'pressure', 'oss'],
+    });
+    await logger.write(sampleAt('2020-05-01T10:00:00Z'));
+    chai.expect(files()).to.deep.equal(['attic-2020-05-01.ndjson']);
+    chai
+      .expect(JSON.parse(read('attic-2020-05-01.ndjson')))
+      .to.deep.equal({ timestamp: '2020-05-01T10:00:00.000Z', pressure: 101325, oss: 0 });
+  });
+
+  it('DATALOGGER3: Confirm daily rotation compresses the previous file', async () => {
+    logger = new Datalogger(null, { directory });
+    const rotations = [];
+    logger.on('rotate', (from, to) => rotations.push([path.basename(from), path.basename(to)]));
+    await logger.write(sampleAt('2020-05-01T23:59:00Z'));
+    await logger.write(sampleAt('2020-05-02T00:00:00Z'));
+    chai.expect(rotations).to.deep.equal([['bmp180-2020-05-01.csv', 'bmp180-2020-05-02.csv']]);
+    chai.expect(files()).to.deep.equal(['bmp180-2020-05-01.csv.gz', 'bmp180-2020-05-02.csv']);
+    const unzipped = zlib.gunzipSync(fs.readFileSync(path.join(directory, files()[0]))).toString();
+    chai.expect(unzipped.split('\n')[1]).to.equal('2020-05-01T23:59:00.000Z,15,101325');
+    chai
+      .expect(read('bmp180-2020-05-02.csv').split('\n')[0])
+      .to.equal('timestamp,temperature,pressure');
+  });
+
+  it('DATALOGGER4: Confirm size rotation and retention by file count', async () => {
+    logger = new Datalogger(null, {
+      directory,
+      rotate: { size: 110 },
+      retention: { files: 3 },
+      gzip: false,
+    });
+    for (let minute = 0; minute < 8; minute += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await logger.write(sampleAt(`2020-05-01T10:0${minute}:00Z`));
+    }
+    // The 31 byte header and two 35 byte lines fit in 110 bytes
+    chai
+      .expect(files())
+      .to.deep.equal([
+        'bmp180-2020-05-01.1.csv',
+        'bmp180-2020-05-01.2.csv',
+        'bmp180-2020-05-01.3.csv',
+      ]);
+    chai.expect(read('bmp180-2020-05-01.3.csv').trim().split('\n')).to.have.lengthOf(3);
+  });
+
+  it('DATALOGGER5: Confirm retention by days', async () => {
+    logger = new Datalogger(null, { directory, retention: { days: 2 } });
+    await logger.write(sampleAt('2020-05-01T12:00:00Z'));
+    await logger.write(sampleAt('2020-05-02T12:00:00Z'));
+    await logger.write(sampleAt('2020-05-03T12:00:00Z'));
+    chai.expect(files()).to.deep.equal(['bmp180-2020-05-02.csv.gz', 'bmp180-2020-05-03.csv']);
+  });
+
+  it('DATALOGGER6: Confirm a new logger resumes the current file without another header', async () => {
+    logger = new Datalogger(null, { directory });
+    await logger.write(sampleAt('2020-05-01T10:00:00Z'));
+    await logger.close();
+    logger = new Datalogger(null, { directory });
+    await logger.write(sampleAt('2020-05-01T10:01:00Z'));
+    chai.expect(files()).to.deep.equal(['bmp180-2020-05-01.csv']);
+    const lines = read('bmp180-2020-05-01.csv').trim().split('\n');
+    chai.expect(lines).to.have.lengthOf(3);
+    chai.expect(lines.filter((line) => line.startsWith('timestamp'))).to.have.lengthOf(1);
+  });
+
+  it('DATALOGGER7: start() - Confirm the sensor is logged until close() flushes', async () => {
+    const { bmp180: sensor } = await virtualSensor(
+      { temperature: 21, pressure: 99000 },
+      { precision: { temperature: 1, pressure: 0 } }
+    );
+    logger = new Datalogger(sensor, { directory, interval: 20 });
+    chai.expect(logger.start()).to.equal(logger);
+    chai.expect(process.listenerCount('SIGTERM')).to.equal(1);
+    await new Promise((resolve) => setTimeout(resolve, 70));
+    chai.expect(await logger.close()).to.equal(true);
+    chai.expect(process.listenerCount('SIGTERM')).to.equal(0);
+    const lines = fs.readFileSync(logger.currentFile, 'utf8').trim().split('\n');
+    chai.expect(lines.length).to.be.within(3, 6);
+    const [, temperature, pressure] = lines[1].split(',').map(Number);
+    chai.expect(temperature).to.equal(21);
+    chai.expect(pressure).to.be.closeTo(99000, 1);
+  });
+
+  it('DATALOGGER8: Confirm invalid options and samples are rejected', async () => {
+    chai.expect(() => new Datalogger({})).to.throw(TypeError, 'Invalid sensor');
+    chai
+      .expect(() => new Datalogger(null, { format: 'xml' }))
+      .to.throw(TypeError, 'Invalid format xml');
+    chai
+      .expect(() => new Datalogger(null, { retention: { days: 0 } }))
+      .to.throw(TypeError, 'Invalid retention days 0');
+    chai.expect(() => new Datalogger(null).start()).to.throw(TypeError, 'Invalid sensor');
+    logger = new Datalogger(null, { directory });
+    await logger.write({ pressure: 1 }).then(
+      () => chai.assert.fail('write() resolved'),
+      (err) => chai.expect(err.message).to.equal('Invalid sample [object Object]')
+    );
+  });
+
+  it('DATALOGGER9: start() - Confirm failed readings with no error listener keep the schedule and close() resolves', async () => {
+    let reads = 0;
+    const sensor = {
+      read: () => {
+        reads += 1;
+        return Promise.reject(new Error('read failed'));
+      },
+    };
+    logger = new Datalogger(sensor, { directory, interval: 10, handleSignals: false });
+    // A missing error listener throws from the emit, as for any EventEmitter
+    const uncaught = await uncaughtDuring(async () => {
+      logger.start();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      chai.expect(await logger.close()).to.equal(true);
+    });
+
+    chai.expect(reads).to.be.at.least(3);
+    chai.expect(uncaught).to.have.lengthOf(reads);
+    chai.expect(uncaught[0].message).to.equal('read failed');
+  });
+});
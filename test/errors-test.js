@@ -0,0 +1,128 @@
+const chai = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+
+const { Bmp180sensor, errors } = require('../src/bmp180sensor.js');
+const { Bmp180virtualdevice } = require('../src/virtual');
+const { datasheetCalibration, registers } = require('../src/bmp180sensor.constants');
+const { retryingOptions, rejectionOf, virtualBus } = require('./helpers');
+
+const retryOptions = retryingOptions(2);
+
+describe('Errors Test Suite', () => {
+  let bus;
+
+  beforeEach(() => {
+    bus = virtualBus().bus;
+  });
+
+  it('ERRORS1: Confirm every error has a stable code and extends SensorError', () => {
+    const list = [
+      [new errors.ChipIdMismatchError('BMP180', 0x55, 0x58), 'ECHIPID'],
+      [new errors.NotCalibratedError(), 'ENOTCALIBRATED'],
+      [new errors.CalibrationInvalidError('bad', 'ac1', 0), 'ECALIBRATION'],
+      [new errors.I2cTransferError('readI2cByte', 0x77, 0xd0, 1), 'EI2CTRANSFER'],
+      [new errors.ShortReadError(0x77, 0xf6, 3, 1), 'ESHORTREAD'],
+    ];
+    list.forEach(([error, code]) => {
+      chai.expect(error).to.be.instanceOf(errors.SensorError);
+      chai.expect(error).to.be.instanceOf(Error);
+      chai.expect(error.code).to.equal(code);
+      chai.expect(error.name).to.equal(error.constructor.name);
+    });
+  });
+
+  it('ERRORS2: Confirm a missing device rejects with an I2cTransferError after all attempts', async () => {
+    const bmp180 = new Bmp180sensor(bus, 0x76, { retryOptions });
+    const error = await rejectionOf(bmp180.isValidChipId());
+    chai.expect(error).to.be.instanceOf(errors.I2cTransferError);
+    chai.expect(error.code).to.equal('EI2CTRANSFER');
+    chai.expect(error.address).to.equal(0x76);
+    chai.expect(error.register).to.equal(registers.chipid);
+    chai.expect(error.attempts).to.equal(3);
+    chai.expect(error.errno).to.equal(121);
+    chai.expect(error.cause.code).to.equal('EREMOTEIO');
+  });
+
+  it('ERRORS3: Confirm temperature() and pressure() reject instead of hanging', async () => {
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions: { retries: 0 } });
+    await bmp180.initialize();
+    bus.removeDevice(0x77);
+    const results = await Promise.all([
+      rejectionOf(bmp180.temperature()),
+      rejectionOf(bmp180.pressure()),
+      rejectionOf(bmp180.altitude()),
+      rejectionOf(bmp180.read()),
+    ]);
+    results.forEach((error) => {
+      chai.expect(error).to.be.instanceOf(errors.I2cTransferError);
+      chai.expect(error.attempts).to.equal(1);
+    });
+  });
+
+  it('ERRORS4: Confirm uncalibrated reads reject with NotCalibratedError', async () => {
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions });
+    const temperature = await rejectionOf(bmp180.temperature());
+    const pressure = await rejectionOf(bmp180.pressure());
+    chai.expect(temperature).to.be.instanceOf(errors.NotCalibratedError);
+    chai.expect(pressure.code).to.equal('ENOTCALIBRATED');
+  });
+
+  it('ERRORS5: Confirm a wrong chip id rejects with ChipIdMismatchError', async () => {
+    bus.removeDevice(0x77);
+    bus.addDevice(0x77, new Bmp180virtualdevice({ chipid: 0x58 }));
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions });
+    const error = await rejectionOf(bmp180.initialize());
+    chai.expect(error).to.be.instanceOf(errors.ChipIdMismatchError);
+    chai.expect(error.expected).to.equal(0x55);
+    chai.expect(error.actual).to.equal(0x58);
+    chai.expect(error.message).to.equal('Expected BMP180 chip_id to be 0x55, got chip id 0x58.');
+    chai.expect(bmp180.isInitialized).to.equal(false);
+  });
+
+  it('ERRORS6: Confirm invalid EEPROM contents reject with CalibrationInvalidError', async () => {
+    bus.removeDevice(0x77);
+    bus.addDevice(
+      0x77,
+      new Bmp180virtualdevice({ calibration: { ...datasheetCalibration, mc: 0 } })
+    );
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions });
+    const error = await rejectionOf(bmp180.initialize());
+    chai.expect(error).to.be.instanceOf(errors.CalibrationInvalidError);
+    chai.expect(error.coefficient).to.equal('mc');
+    chai.expect(error.value).to.equal(0);
+  });
+
+  it('ERRORS7: Confirm a short block read is retried then rejects with ShortReadError', async () => {
+    let reads = 0;
+    const shortBus = {
+      promisifiedBus: () => shortBus,
+      readByte: (address, command) => bus.readByte(address, command),
+      writeByte: (address, command, byte) => bus.writeByte(address, command, byte),
+      readI2cBlock: (address, command, length, buffer) => {
+        reads += 1;
+        return Promise.resolve({ bytesRead: length - 1, buffer });
+      },
+    };
+    const bmp180 = new Bmp180sensor(shortBus, 0x77, { retryOptions });
+    const error = await rejectionOf(bmp180.calibrate());
+    chai.expect(error).to.be.instanceOf(errors.ShortReadError);
+    chai.expect(error.register).to.equal(registers.calibration);
+    chai.expect(error.expected).to.equal(22);
+    chai.expect(error.actual).to.equal(21);
+    chai.expect(reads).to.equal(3);
+  });
+
+  it('ERRORS8: Confirm a transfer that recovers within the retries resolves', async () => {
+    let failures = 1;
+    const readByte = bus.readByte.bind(bus);
+    bus.readByte = (address, command) => {
+      if (failures > 0) {
+        failures -= 1;
+        return Promise.reject(new Error('EIO'));
+      }
+      return readByte(address, command);
+    };
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions });
+    chai.expect(await bmp180.isValidChipId()).to.equal(true);
+  });
+});
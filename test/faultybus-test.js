@@ -0,0 +1,114 @@
+const chai = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+
+const { errors } = require('../src/index.js');
+const { Faultybus } = require('../src/virtual');
+const { registers } = require('../src/bmp180sensor.constants');
+const { retryingOptions, virtualBus, createSensor } = require('./helpers');
+
+const retryOptions = retryingOptions(2);
+
+describe('Faultybus Test Suite', () => {
+  let bus;
+
+  /**
+   * A sensor on a faulty bus
+   *
+   * @param {object} faulty
+   * @param {object} [options]
+   * @returns {Bmp180sensor}
+   */
+  const sensorOn = (faulty, options) => createSensor(faulty, { retryOptions, ...options });
+
+  beforeEach(() => {
+    bus = virtualBus({ temperature: 20, pressure: 100000 }).bus;
+  });
+
+  it('FAULTYBUS1: Confirm scheduled NACKs are retried until the transfer succeeds', async () => {
+    const faulty = new Faultybus(bus, { schedule: [{ fault: 'eremoteio', count: 2 }] });
+    const bmp180 = sensorOn(faulty);
+
+    chai.expect(await bmp180.version()).to.equal(0x02);
+    chai.expect(bmp180.stats).to.deep.equal({ transfers: 1, retries: 2, failures: 0 });
+    chai.expect(faulty.stats).to.include({ transfers: 3, eremoteio: 2, eio: 0 });
+  });
+
+  it('FAULTYBUS2: Confirm EIO on every attempt fails the transfer once retries are exhausted', async () => {
+    const faulty = new Faultybus(bus, { probability: { eio: 1 } });
+    const bmp180 = sensorOn(faulty);
+    const err = await bmp180.version().catch((error) => error);
+
+    chai.expect(err).to.be.an.instanceof(errors.I2cTransferError);
+    chai.expect(err.attempts).to.equal(3);
+    chai.expect(err.errno).to.equal(5);
+    chai.expect(err.message).to.match(/EIO, Input\/output error \(address 0x77\)$/);
+    chai.expect(bmp180.stats.failures).to.equal(1);
+    chai.expect(faulty.stats.eio).to.equal(3);
+  });
+
+  it('FAULTYBUS3: Confirm a short read rejects with ShortReadError once retries are exhausted', async () => {
+    const faulty = new Faultybus(bus).inject({
+      fault: 'shortRead',
+      count: Infinity,
+      register: registers.calibration,
+    });
+    const bmp180 = sensorOn(faulty);
+    const err = await bmp180.calibrate().catch((error) => error);
+
+    chai.expect(err).to.be.an.instanceof(errors.ShortReadError);
+    chai.expect(err.expected).to.equal(22);
+    chai.expect(err.actual).to.equal(21);
+    chai.expect(faulty.stats.shortRead).to.equal(3);
+  });
+
+  it('FAULTYBUS4: Confirm corrupted bytes reach the driver', async () => {
+    const faulty = new Faultybus(bus, { schedule: ['corrupt'], random: () => 0 });
+    const bmp180 = sensorOn(faulty);
+    const err = await bmp180.isValidChipId().catch((error) => error);
+
+    chai.expect(err).to.be.an.instanceof(errors.ChipIdMismatchError);
+    chai.expect(err.actual).to.equal(0x56);
+    chai.expect(await bmp180.isValidChipId()).to.equal(true);
+    chai.expect(faulty.stats.corrupt).to.equal(1);
+  });
+
+  it('FAULTYBUS5: Confirm latency delays transfers without failing them', async () => {
+    const faulty = new Faultybus(bus, { probability: { latency: 1 }, latency: 20 });
+    const bmp180 = sensorOn(faulty);
+    const started = Date.now();
+
+    chai.expect(await bmp180.version()).to.equal(0x02);
+    chai.expect(Date.now() - started).to.be.at.least(19);
+    chai.expect(faulty.stats.latency).to.equal(1);
+  });
+
+  it('FAULTYBUS6: Confirm a stuck bus times out until it is released', async () => {
+    const faulty = new Faultybus(bus, { schedule: ['stuck'], stuck: { timeout: 5 } });
+    const bmp180 = sensorOn(faulty);
+    const err = await bmp180.version().catch((error) => error);
+
+    chai.expect(err.errno).to.equal(110);
+    chai.expect(faulty.isStuck).to.equal(true);
+    chai.expect(faulty.stats.stuck).to.equal(3);
+    chai.expect(faulty.release()).to.equal(true);
+    chai.expect(await bmp180.version()).to.equal(0x02);
+  });
+
+  it('FAULTYBUS7: Confirm only matching transfers are faulted and invalid faults throw', async () => {
+    const faulty = new Faultybus(bus).inject({ fault: 'eio', op: 'writeByte' });
+    const bmp180 = sensorOn(faulty, { retryOptions: { retries: 0 } });
+
+    chai.expect(await bmp180.version()).to.equal(0x02);
+    await bmp180.softreset().then(
+      () => chai.assert.fail('softreset() resolved'),
+      (err) => chai.expect(err.errno).to.equal(5)
+    );
+    chai.expect(() => faulty.inject('brownout')).to.throw(TypeError, 'Invalid fault brownout');
+    chai
+      .expect(() => faulty.inject({ fault: 'shortRead', op: 'readByte' }))
+      .to.throw(TypeError, 'Invalid op readByte for shortRead');
+    chai
+      .expect(() => new Faultybus(bus, { probability: { eio: 2 } }))
+      .to.throw(TypeError, 'Invalid probability eio 2');
+  });
+});
@@ -0,0 +1,91 @@
+const chai = require('chai');
+const { describe, it } = require('mocha');
+
+const { Bmp180sensor } = require('../src/bmp180sensor.js');
+const { Averagefilter } = require('../src/lib/averagefilter');
+const { Medianfilter } = require('../src/lib/medianfilter');
+const { Iirfilter } = require('../src/lib/iirfilter');
+const { Filterchain } = require('../src/lib/filterchain');
+const { oversamplingSettings, registers } = require('../src/bmp180sensor.constants');
+const { virtualBus, virtualSensor, recordWrites } = require('./helpers');
+
+const readings = { temperature: 20, pressure: 100000 };
+
+describe('Filter Test Suite', () => {
+  it('FILTER1: Averagefilter - Confirm the moving average over the window', () => {
+    const filter = new Averagefilter(3);
+    chai.expect([3, 6, 9, 12].map((value) => filter.update(value))).to.deep.equal([3, 4.5, 6, 9]);
+    filter.reset();
+    chai.expect(filter.update(1)).to.equal(1);
+  });
+
+  it('FILTER2: Medianfilter - Confirm a spike is rejected', () => {
+    const filter = new Medianfilter(3);
+    const values = [100, 101, 500, 102, 103].map((value) => filter.update(value));
+    chai.expect(values).to.deep.equal([100, 100.5, 101, 102, 103]);
+  });
+
+  it('FILTER3: Iirfilter - Confirm exponential smoothing', () => {
+    const filter = new Iirfilter(0.5);
+    chai.expect([10, 20, 20].map((value) => filter.update(value))).to.deep.equal([10, 15, 17.5]);
+  });
+
+  it('FILTER4: Confirm invalid filter configuration throws', () => {
+    chai.expect(() => new Averagefilter(0)).to.throw(TypeError, 'Invalid filter window 0');
+    chai.expect(() => new Iirfilter(1.5)).to.throw(TypeError, 'Invalid filter coefficient 1.5');
+    chai
+      .expect(() => new Filterchain([{ type: 'kalman' }]))
+      .to.throw(TypeError, 'Invalid filter type kalman');
+    chai
+      .expect(() => new Bmp180sensor(virtualBus().bus, 0x77, { filter: { samples: 0 } }))
+      .to.throw(TypeError, 'Invalid filter samples 0');
+  });
+
+  it('FILTER5: Filterchain - Confirm filters are applied in order to each value', () => {
+    const chain = new Filterchain([
+      { type: 'median', window: 3 },
+      { type: 'iir', coefficient: 0.5 },
+    ]);
+    chain.update({ temperature: 20, pressure: 100000 });
+    const result = chain.update({ temperature: 22, pressure: 100010 });
+    chai.expect(result).to.deep.equal({ temperature: 20.5, pressure: 100002.5 });
+  });
+
+  it('FILTER6: read() - Confirm samples report unfiltered and filtered values', async () => {
+    const { bmp180, device } = await virtualSensor(readings, {
+      filter: { chain: [{ type: 'iir', coefficient: 0.5 }] },
+    });
+    const first = await bmp180.read();
+    device.pressure = 100100;
+    const second = await bmp180.read();
+
+    chai.expect(first.pressure).to.equal(first.unfiltered.pressure);
+    chai.expect(second.unfiltered.pressure).to.be.closeTo(100100, 5);
+    chai.expect(second.pressure).to.be.closeTo(100050, 5);
+
+    bmp180.resetFilter();
+    const third = await bmp180.read();
+    chai.expect(third.pressure).to.equal(third.unfiltered.pressure);
+  });
+
+  it('FILTER7: read() - Confirm the number of pressure conversions per reading', async () => {
+    const { bmp180, device } = await virtualSensor(readings, { filter: { samples: 4 } });
+    const commands = recordWrites(device, registers.control);
+
+    const sample = await bmp180.read();
+
+    chai.expect(commands.length).to.equal(5);
+    chai
+      .expect(commands.filter((command) => command === oversamplingSettings.standard.command))
+      .to.have.lengthOf(4);
+    chai.expect(sample.pressure).to.be.closeTo(100000, 5);
+  });
+
+  it('FILTER8: read() - Confirm unfiltered values are converted with the output units', async () => {
+    const { bmp180 } = await virtualSensor(readings, {
+      filter: { chain: [{ type: 'average', window: 2 }] },
+    });
+    const sample = await bmp180.read({ units: { pressure: 'hPa' }, precision: { pressure: 0 } });
+    chai.expect(sample.unfiltered).to.deep.equal({ temperature: 20, pressure: 1000 });
+  });
+});
@@ -0,0 +1,147 @@
+const EventEmitter = require('events');
+const chai = require('chai');
+const { describe, it } = require('mocha');
+
+const { Forecaster, Sample, barometric } = require('../src/bmp180sensor.js');
+
+const hour = 60 * 60 * 1000;
+const start = new Date('2020-07-01T00:00:00Z').getTime();
+
+const feed = (forecaster, from, to, hours = 3) => {
+  for (let minute = 0; minute <= hours * 60; minute += 10) {
+    forecaster.add({
+      pressure: from + ((to - from) * minute) / (hours * 60),
+      timestamp: start + minute * 60 * 1000,
+    });
+  }
+};
+
+describe('Forecaster Test Suite', () => {
+  it('FORECAST1: tendency() - Confirm null until there is enough history', () => {
+    const forecaster = new Forecaster();
+    chai.expect(forecaster.tendency()).to.equal(null);
+    chai.expect(forecaster.forecast()).to.equal(null);
+    feed(forecaster, 101000, 101000, 0.5);
+    chai.expect(forecaster.tendency()).to.equal(null);
+  });
+
+  it('FORECAST2: tendency() - Confirm WMO steady, rising and falling classification', () => {
+    const steady = new Forecaster();
+    feed(steady, 101300, 101302);
+    chai
+      .expect(steady.tendency())
+      .to.include({ trend: 'steady', description: 'steady', change: 0 });
+
+    const slowly = new Forecaster();
+    feed(slowly, 101300, 101400);
+    chai
+      .expect(slowly.tendency())
+      .to.include({ trend: 'rising', description: 'rising slowly', change: 1 });
+
+    const falling = new Forecaster();
+    feed(falling, 101300, 101000);
+    chai
+      .expect(falling.tendency())
+      .to.include({ trend: 'falling', description: 'falling', change: -3 });
+
+    const rapid = new Forecaster();
+    feed(rapid, 101300, 100500);
+    chai.expect(rapid.tendency()).to.include({ description: 'falling very rapidly', change: -8 });
+  });
+
+  it('FORECAST3: tendency() - Confirm the change is extrapolated to 3 hours', () => {
+    const forecaster = new Forecaster();
+    feed(forecaster, 101300, 101200, 1.5);
+    chai.expect(forecaster.tendency().change).to.equal(-2);
+    chai.expect(forecaster.tendency().span).to.equal(1.5 * hour);
+  });
+
+  it('FORECAST4: forecast() - Confirm Zambretti letters for high rising and low falling pressure', () => {
+    const high = new Forecaster({ season: 'winter' });
+    feed(high, 103000, 103200);
+    chai
+      .expect(high.forecast())
+      .to.include({ letter: 'A', text: 'Settled fine', exceptional: false });
+
+    const low = new Forecaster({ season: 'winter' });
+    feed(low, 99000, 98600);
+    chai.expect(low.forecast()).to.include({ letter: 'Z', text: 'Stormy, much rain' });
+  });
+
+  it('FORECAST5: forecast() - Confirm season and hemisphere change the forecast', () => {
+    const winter = new Forecaster({ season: 'winter' });
+    feed(winter, 101000, 101200);
+    const summer = new Forecaster({ season: 'summer' });
+    feed(summer, 101000, 101200);
+
+    chai.expect(winter.forecast()).to.include({ letter: 'C', text: 'Becoming fine' });
+    chai.expect(summer.forecast()).to.include({ letter: 'B', text: 'Fine weather' });
+
+    // July is summer in the north and winter in the south
+    const north = new Forecaster();
+    feed(north, 101000, 101200);
+    const south = new Forecaster({ hemisphere: 'south' });
+    feed(south, 101000, 101200);
+    chai.expect(north.forecast()).to.include({ season: 'summer', letter: 'B' });
+    chai.expect(south.forecast()).to.include({ season: 'winter', letter: 'C' });
+  });
+
+  it('FORECAST6: Confirm pressure is reduced to sea level with the station altitude', () => {
+    const forecaster = new Forecaster({ altitude: 500 });
+    const pressure = barometric.stationPressure(101325, 500);
+    forecaster.add({ pressure, timestamp: start });
+    chai.expect(forecaster.history[0].pressure).to.be.closeTo(101325, 0.01);
+  });
+
+  it('FORECAST7: Confirm the history is bounded by resolution and maxAge', () => {
+    const forecaster = new Forecaster({ maxAge: 2 * hour });
+    chai.expect(forecaster.add({ pressure: 101000, timestamp: start })).to.equal(true);
+    chai.expect(forecaster.add({ pressure: 101000, timestamp: start + 1000 })).to.equal(false);
+    feed(forecaster, 101000, 101000, 5);
+    const { history } = forecaster;
+    chai.expect(history[0].timestamp).to.equal(start + 3 * hour);
+    chai.expect(history.length).to.equal(13);
+  });
+
+  it('FORECAST8: Confirm the history survives serialization', () => {
+    const forecaster = new Forecaster({ season: 'winter' });
+    feed(forecaster, 101000, 101200);
+    const restored = Forecaster.fromJSON(JSON.stringify(forecaster), { season: 'winter' });
+
+    chai.expect(restored.history).to.deep.equal(forecaster.history);
+    chai.expect(restored.forecast()).to.deep.equal(forecaster.forecast());
+    chai
+      .expect(() => restored.load({ history: [{ timestamp: 'bad' }] }))
+      .to.throw(TypeError, 'Invalid forecaster history');
+  });
+
+  it('FORECAST9: attach() - Confirm samples from sensor data events are added', () => {
+    const sensor = new EventEmitter();
+    const forecaster = new Forecaster().attach(sensor);
+    sensor.emit(
+      'data',
+      new Sample({
+        temperature: 20,
+        pressure: 1013.25,
+        ut: 27898,
+        up: 23843,
+        oss: 1,
+        units: { temperature: 'C', pressure: 'hPa' },
+      })
+    );
+    forecaster.detach();
+    sensor.emit('data', new Sample({ temperature: 20, pressure: 101325, ut: 1, up: 1, oss: 1 }));
+
+    chai.expect(forecaster.history.length).to.equal(1);
+    chai.expect(forecaster.history[0].pressure).to.be.closeTo(101325, 0.001);
+  });
+
+  it('FORECAST10: Confirm invalid options throw', () => {
+    chai
+      .expect(() => new Forecaster({ hemisphere: 'east' }))
+      .to.throw(TypeError, 'Invalid hemisphere east');
+    chai
+      .expect(() => new Forecaster({ season: 'spring' }))
+      .to.throw(TypeError, 'Invalid season spring');
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Fixtures shared by the test suites, a virtual BMP180 at 0x77 on bus 1, sensors that fail
+ * without retrying and a recorder for the registers written to a device.
+ *
+ * @module helpers
+ */
+const _ = require('lodash');
+
+const { Bmp180sensor } = require('../src/bmp180sensor.js');
+const { Bmp180virtualdevice, Virtualbus } = require('../src/virtual');
+
+const retryOptions = { retries: 0 };
+
+/**
+ * Retry options that retry a failed transfer without waiting between attempts
+ *
+ * @param {number} retries The number of retries
+ * @returns {object} The promise-retry options
+ */
+const retryingOptions = (retries) => ({ retries, minTimeout: 0, maxTimeout: 0 });
+
+/**
+ * Resolve to the rejection reason of a promise, failing if it resolves
+ *
+ * @param {Promise} promise The promise expected to reject
+ * @returns {Promise<Error>}
+ */
+const rejectionOf = (promise) =>
+  promise.then(
+    (value) => {
+      throw new Error(`Expected a rejection, resolved to ${value}`);
+    },
+    (err) => err
+  );
+
+/**
+ * Run a test collecting uncaught exceptions instead of failing on them, e.g. the
+ * error emitted by an EventEmitter with no error listener
+ *
+ * @param {function} run Returns a Promise for the test, called with the exceptions collected so far
+ * @returns {Promise<Error[]>} The exceptions once the test has completed
+ */
+const uncaughtDuring = (run) => {
+  const handlers = process.listeners('uncaughtException');
+  const uncaught = [];
+  const restore = () => {
+    process.removeAllListeners('uncaughtException');
+    handlers.forEach((handler) => process.on('uncaughtException', handler));
+  };
+  process.removeAllListeners('uncaughtException');
+  process.on('uncaughtException', (err) => uncaught.push(err));
+  return Promise.resolve()
+    .then(() => run(uncaught))
+    .then(
+      () => {
+        restore();
+        return uncaught;
+      },
+      (err) => {
+        restore();
+        throw err;
+      }
+    );
+};
+
+/**
+ * A virtual bus 1 with a BMP180 at 0x77
+ *
+ * @param {bmp180virtualdeviceDefaults} [options] The device options, e.g. temperature and pressure
+ * @returns {{bus: Virtualbus, device: Bmp180virtualdevice}}
+ */
+const virtualBus = (options) => {
+  const bus = new Virtualbus(1);
+  const device = new Bmp180virtualdevice(options);
+  bus.addDevice(0x77, device);
+  return { bus, device };
+};
+
+/**
+ * A sensor at 0x77 that does not retry failed transfers
+ *
+ * @param {object} bus The bus the sensor uses
+ * @param {object} [options] The sensor options, retryOptions defaults to no retries
+ * @returns {Bmp180sensor}
+ */
+const createSensor = (bus, options) => new Bmp180sensor(bus, 0x77, { retryOptions, ...options });
+
+/**
+ * An initialized sensor at 0x77 that does not retry failed transfers
+ *
+ * @param {object} bus The bus the sensor uses
+ * @param {object} [options] The sensor options, retryOptions defaults to no retries
+ * @returns {Promise<Bmp180sensor>}
+ */
+const initializedSensor = (bus, options) => {
+  const bmp180 = createSensor(bus, options);
+  return bmp180.initialize().then(() => bmp180);
+};
+
+/**
+ * An initialized sensor on a virtual bus 1 with a BMP180 at 0x77
+ *
+ * @param {bmp180virtualdeviceDefaults} [values] The device options, e.g. temperature and pressure
+ * @param {object} [options] The sensor options, retryOptions defaults to no retries
+ * @returns {Promise<{bus: Virtualbus, device: Bmp180virtualdevice, bmp180: Bmp180sensor}>}
+ */
+const virtualSensor = (values, options) => {
+  const { bus, device } = virtualBus(values);
+  return initializedSensor(bus, options).then((bmp180) => ({ bus, device, bmp180 }));
+};
+
+/**
+ * Record the values written to a device, in the order written
+ *
+ * @param {object} device The device, e.g. a Bmp180virtualdevice
+ * @param {number} [register] Only record writes to this register, e.g. registers.control
+ * @returns {number[]} The values, appended to as the device is written
+ */
+const recordWrites = (device, register) => {
+  const values = [];
+  const { writeRegister } = device;
+  Object.assign(device, {
+    writeRegister: (written, value) => {
+      if (_.isNil(register) || written === register) {
+        values.push(value);
+      }
+      return writeRegister.call(device, written, value);
+    },
+  });
+  return values;
+};
+
+module.exports = {
+  retryOptions,
+  retryingOptions,
+  rejectionOf,
+  uncaughtDuring,
+  virtualBus,
+  createSensor,
+  initializedSensor,
+  virtualSensor,
+  recordWrites,
+};
@@ -0,0 +1,156 @@
+const chai = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+const delay = require('delay');
+
+const { Bmp180sensor, errors } = require('../src/bmp180sensor.js');
+const { Bmp180virtualdevice } = require('../src/virtual');
+const { Lock } = require('../src/lib/lock');
+const { oversamplingSettings } = require('../src/bmp180sensor.constants');
+
+const { retryOptions, virtualBus } = require('./helpers');
+
+const ultraHigh = oversamplingSettings.ultra_high_resolution;
+
+describe('Lock Test Suite', () => {
+  let bus;
+
+  beforeEach(() => {
+    bus = virtualBus({ temperature: 21.5, pressure: 100500 }).bus;
+    bus.addDevice(0x76, new Bmp180virtualdevice({ temperature: 30, pressure: 95000 }));
+  });
+
+  it('LOCK1: Confirm the lock runs callers one at a time in order', async () => {
+    const lock = new Lock('test');
+    const events = [];
+    const task = (name, wait) => () => {
+      events.push(`${name} start`);
+      return delay(wait).then(() => {
+        events.push(`${name} end`);
+        return name;
+      });
+    };
+    const results = await Promise.all([
+      lock.run(task('a', 20)),
+      lock.run(task('b', 5)),
+      lock.run(task('c', 1)),
+    ]);
+    chai.expect(results).to.deep.equal(['a', 'b', 'c']);
+    chai.expect(events).to.deep.equal(['a start', 'a end', 'b start', 'b end', 'c start', 'c end']);
+    chai.expect(lock.isLocked).to.equal(false);
+  });
+
+  it('LOCK2: Confirm the lock is released when the operation rejects', async () => {
+    const lock = new Lock('test');
+    let error = null;
+    try {
+      await lock.run(() => Promise.reject(new Error('failed')));
+    } catch (e) {
+      error = e;
+    }
+    chai.expect(error.message).to.equal('failed');
+    chai.expect(await lock.run(() => 'next')).to.equal('next');
+  });
+
+  it('LOCK3: Confirm the queue depth limit rejects with LockQueueFullError', async () => {
+    const lock = new Lock('test');
+    const first = lock.run(() => delay(20));
+    const second = lock.run(() => true, { maxQueue: 1 });
+    let error = null;
+    try {
+      await lock.run(() => true, { maxQueue: 1 });
+    } catch (e) {
+      error = e;
+    }
+    chai.expect(error).to.be.instanceOf(errors.LockQueueFullError);
+    chai.expect(error.code).to.equal('ELOCKQUEUE');
+    chai.expect(error.maxQueue).to.equal(1);
+    await Promise.all([first, second]);
+  });
+
+  it('LOCK4: Confirm the timeout rejects with LockTimeoutError and leaves the queue', async () => {
+    const lock = new Lock('test');
+    const first = lock.run(() => delay(40));
+    let error = null;
+    try {
+      await lock.run(() => true, { timeout: 5 });
+    } catch (e) {
+      error = e;
+    }
+    chai.expect(error).to.be.instanceOf(errors.LockTimeoutError);
+    chai.expect(error.code).to.equal('ELOCKTIMEOUT');
+    chai.expect(lock.queueDepth).to.equal(0);
+    await first;
+    chai.expect(lock.isLocked).to.equal(false);
+  });
+
+  it('LOCK5: Confirm a temperature() call during a pressure conversion does not interleave', async () => {
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions, oss: ultraHigh });
+    await bmp180.initialize();
+    const expected = [await bmp180.pressure(), await bmp180.temperature()];
+    // Start the temperature conversion while the 25.5 ms pressure conversion is running
+    const pressure = bmp180.pressure();
+    await delay(15);
+    const results = await Promise.all([pressure, bmp180.temperature()]);
+    chai.expect(results).to.deep.equal(expected);
+  });
+
+  it('LOCK6: Confirm sensor instances for the same device share the device lock', async () => {
+    const first = new Bmp180sensor(bus, 0x77, { retryOptions, oss: ultraHigh });
+    const second = new Bmp180sensor(bus, 0x77, { retryOptions });
+    await first.initialize();
+    await second.initialize();
+    const expected = [await first.pressure(), await second.temperature()];
+    const pressure = first.pressure();
+    await delay(15);
+    const results = await Promise.all([pressure, second.temperature()]);
+    chai.expect(results).to.deep.equal(expected);
+  });
+
+  it('LOCK7: Confirm bus scope serializes every sensor on the bus', async () => {
+    const lock = { scope: 'bus' };
+    const first = new Bmp180sensor(bus, 0x77, { retryOptions, lock });
+    const second = new Bmp180sensor(bus, 0x76, { retryOptions, lock });
+    let active = 0;
+    let overlapped = false;
+    const track = () => {
+      active += 1;
+      overlapped = overlapped || active > 1;
+      return delay(5).then(() => {
+        active -= 1;
+      });
+    };
+    await Promise.all([first.transaction(track), second.transaction(track)]);
+    chai.expect(overlapped).to.equal(false);
+
+    const device = { scope: 'device' };
+    const third = new Bmp180sensor(bus, 0x77, { retryOptions, lock: device });
+    const fourth = new Bmp180sensor(bus, 0x76, { retryOptions, lock: device });
+    await Promise.all([third.transaction(track), fourth.transaction(track)]);
+    chai.expect(overlapped).to.equal(true);
+  });
+
+  it('LOCK8: Confirm the sensor lock timeout and invalid lock options', async () => {
+    const bmp180 = new Bmp180sensor(bus, 0x77, { retryOptions, lock: { timeout: 5 } });
+    await bmp180.initialize();
+    const held = bmp180.transaction(() => delay(40));
+    let error = null;
+    try {
+      await bmp180.temperature();
+    } catch (e) {
+      error = e;
+    }
+    await held;
+    chai.expect(error).to.be.instanceOf(errors.LockTimeoutError);
+    chai.expect(error.lock).to.equal('bus address 0x77');
+
+    chai
+      .expect(() => new Bmp180sensor(bus, 0x77, { lock: { scope: 'global' } }))
+      .to.throw(TypeError, 'Invalid lock scope global');
+    chai
+      .expect(() => new Bmp180sensor(bus, 0x77, { lock: { maxQueue: -1 } }))
+      .to.throw(TypeError, 'Invalid lock maxQueue -1');
+    chai
+      .expect(() => new Bmp180sensor(bus, 0x77, { lock: { timeout: 'soon' } }))
+      .to.throw(TypeError, 'Invalid lock timeout soon');
+  });
+});
@@ -0,0 +1,149 @@
+const http = require('http');
+const chai = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+
+const { Bme280sensor, Metricsexporter } = require('../src/index.js');
+const { Bmp280virtualdevice } = require('../src/virtual');
+const { retryingOptions, virtualBus, initializedSensor } = require('./helpers');
+
+const retryOptions = retryingOptions(1);
+
+/**
+ * GET a path from a server
+ *
+ * @param {http.Server} server
+ * @param {string} path
+ * @param {object} [headers]
+ * @returns {Promise<{status: number, headers: object, body: string}>}
+ */
+const get = (server, path, headers = {}) =>
+  new Promise((resolve, reject) => {
+    const { port } = server.address();
+    http
+      .get({ host: '127.0.0.1', port, path, headers }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+      })
+      .on('error', reject);
+  });
+
+/**
+ * The value of one metric sample
+ *
+ * @param {string} text The metrics text
+ * @param {string} name The sample name with labels
+ * @returns {number}
+ */
+const valueOf = (text, name) => {
+  const line = text.split('\n').find((entry) => entry.startsWith(`${name} `));
+  return line === undefined ? undefined : Number(line.slice(name.length + 1));
+};
+
+describe('Metricsexporter Test Suite', () => {
+  const labels = '{bus="1",address="0x77",sensor="BMP180"}';
+  let bus;
+  let device;
+  let sensor;
+  let exporter;
+
+  beforeEach(async () => {
+    ({ bus, device } = virtualBus({ temperature: 20, pressure: 100000 }));
+    sensor = await initializedSensor(bus, { retryOptions, units: { pressure: 'hPa' } });
+    exporter = new Metricsexporter(sensor, { cacheAge: 60000 });
+  });
+
+  afterEach(() => exporter.close());
+
+  it('METRICS1: metrics() - Confirm gauges in base units and transfer counters', async () => {
+    const text = await exporter.metrics();
+    chai.expect(text).to.include('# TYPE bmp180_temperature_celsius gauge\n');
+    chai.expect(text).to.include('# TYPE bmp180_i2c_transfers_total counter\n');
+    chai.expect(valueOf(text, `bmp180_up${labels}`)).to.equal(1);
+    chai.expect(valueOf(text, `bmp180_temperature_celsius${labels}`)).to.be.closeTo(20, 0.1);
+    chai.expect(valueOf(text, `bmp180_pressure_pascals${labels}`)).to.be.closeTo(100000, 1);
+    chai.expect(valueOf(text, `bmp180_altitude_meters${labels}`)).to.be.closeTo(110.9, 0.2);
+    chai
+      .expect(valueOf(text, `bmp180_i2c_transfers_total${labels}`))
+      .to.equal(sensor.stats.transfers);
+    chai.expect(valueOf(text, `bmp180_i2c_retries_total${labels}`)).to.equal(0);
+    chai
+      .expect(valueOf(text, `bmp180_last_success_timestamp_seconds${labels}`))
+      .to.be.closeTo(Date.now() / 1000, 5);
+    chai.expect(text).to.not.include('humidity');
+  });
+
+  it('METRICS2: metrics() - Confirm scrapes within the cache age reuse the reading', async () => {
+    const first = await exporter.metrics();
+    const { transfers } = sensor.stats;
+    await Promise.all([exporter.metrics(), exporter.metrics()]);
+    chai.expect(sensor.stats.transfers).to.equal(transfers);
+
+    const uncached = new Metricsexporter(sensor, { cacheAge: 0 });
+    device.temperature = 25;
+    const text = await uncached.metrics();
+    chai.expect(sensor.stats.transfers).to.be.above(transfers);
+    chai.expect(valueOf(first, `bmp180_temperature_celsius${labels}`)).to.be.closeTo(20, 0.1);
+    chai.expect(valueOf(text, `bmp180_temperature_celsius${labels}`)).to.be.closeTo(25, 0.1);
+  });
+
+  it('METRICS3: metrics() - Confirm a failing sensor reports up 0, errors and retries', async () => {
+    const failing = new Metricsexporter(sensor, { cacheAge: 0 });
+    await failing.metrics();
+    bus.removeDevice(0x77);
+    const text = await failing.metrics();
+    chai.expect(valueOf(text, `bmp180_up${labels}`)).to.equal(0);
+    chai.expect(valueOf(text, `bmp180_temperature_celsius${labels}`)).to.equal(undefined);
+    chai.expect(valueOf(text, `bmp180_read_errors_total${labels}`)).to.equal(1);
+    chai.expect(valueOf(text, `bmp180_i2c_retries_total${labels}`)).to.equal(1);
+    chai.expect(valueOf(text, `bmp180_i2c_failures_total${labels}`)).to.equal(1);
+    chai.expect(valueOf(text, `bmp180_last_success_timestamp_seconds${labels}`)).to.be.above(0);
+  });
+
+  it('METRICS4: metrics() - Confirm several sensors, humidity and OpenMetrics', async () => {
+    bus.addDevice(0x76, new Bmp280virtualdevice({ chipid: 0x60, humidity: 40 }));
+    const bme280 = new Bme280sensor(bus, 0x76, { retryOptions });
+    await bme280.initialize();
+    const text = await new Metricsexporter([sensor, bme280], { prefix: 'env_' }).metrics(
+      'openmetrics'
+    );
+    const bmeLabels = '{bus="1",address="0x76",sensor="BME280"}';
+    chai.expect(valueOf(text, `env_humidity_percent${bmeLabels}`)).to.be.closeTo(40, 0.01);
+    chai.expect(valueOf(text, `env_up${labels}`)).to.equal(1);
+    chai.expect(text).to.include('# TYPE env_i2c_transfers counter\n');
+    chai.expect(valueOf(text, `env_i2c_transfers_total${bmeLabels}`)).to.be.above(0);
+    chai.expect(text.endsWith('# EOF\n')).to.equal(true);
+    await exporter.metrics('xml').then(
+      () => chai.assert.fail('metrics() resolved'),
+      (err) => chai.expect(err.message).to.equal('Invalid format xml')
+    );
+  });
+
+  it('METRICS5: listen() - Confirm /metrics is served over HTTP', async () => {
+    const server = await exporter.listen(0, '127.0.0.1');
+    const response = await get(server, '/metrics');
+    chai.expect(response.status).to.equal(200);
+    chai
+      .expect(response.headers['content-type'])
+      .to.equal('text/plain; version=0.0.4; charset=utf-8');
+    chai.expect(valueOf(response.body, `bmp180_up${labels}`)).to.equal(1);
+
+    const openmetrics = await get(server, '/metrics', {
+      Accept: 'application/openmetrics-text; version=1.0.0',
+    });
+    chai.expect(openmetrics.headers['content-type']).to.match(/^application\/openmetrics-text/);
+    chai.expect((await get(server, '/')).status).to.equal(404);
+    chai.expect(await exporter.close()).to.equal(true);
+    chai.expect(exporter.server).to.equal(null);
+  });
+
+  it('METRICS6: constructor - Confirm invalid sensors and cache age throw', () => {
+    chai.expect(() => new Metricsexporter({})).to.throw(TypeError, 'Invalid sensor');
+    chai
+      .expect(() => new Metricsexporter(sensor, { cacheAge: -1 }))
+      .to.throw(TypeError, 'Invalid cacheAge -1');
+  });
+});
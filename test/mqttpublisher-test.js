@@ -0,0 +1,255 @@
+const net = require('net');
+const chai = require('chai');
+const mqtt = require('mqtt');
+const Aedes = require('aedes');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+
+const { Bme280sensor, Mqttpublisher } = require('../src/index.js');
+const { Bmp280virtualdevice } = require('../src/virtual');
+const { retryOptions, uncaughtDuring, virtualBus, initializedSensor } = require('./helpers');
+
+/**
+ * Resolve on the first event
+ *
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @returns {Promise<*>} The first event argument
+ */
+const once = (emitter, event) => new Promise((resolve) => emitter.once(event, resolve));
+
+describe('Mqttpublisher Test Suite', () => {
+  let broker;
+  let server;
+  let url;
+  let subscriber;
+  let messages;
+  let bus;
+  let device;
+  let sensor;
+  let publisher;
+
+  /**
+   * Wait until a message has arrived on a topic
+   *
+   * @param {string} topic
+   * @returns {Promise<string>} The latest payload
+   */
+  const messageOn = (topic) =>
+    new Promise((resolve) => {
+      const check = () => {
+        if (messages.has(topic)) {
+          resolve(messages.get(topic));
+        } else {
+          setTimeout(check, 5);
+        }
+      };
+      check();
+    });
+
+  beforeEach(async () => {
+    broker = Aedes();
+    server = net.createServer(broker.handle);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `mqtt://127.0.0.1:${server.address().port}`;
+    messages = new Map();
+    subscriber = mqtt.connect(url);
+    subscriber.on('message', (topic, payload) => messages.set(topic, payload.toString()));
+    await once(subscriber, 'connect');
+    await new Promise((resolve) => subscriber.subscribe('#', resolve));
+
+    ({ bus, device } = virtualBus({ temperature: 20, pressure: 100000 }));
+    sensor = await initializedSensor(bus);
+    publisher = new Mqttpublisher(sensor, { url, interval: 60000 });
+  });
+
+  afterEach(async () => {
+    await publisher.stop();
+    await new Promise((resolve) => subscriber.end(true, {}, resolve));
+    await new Promise((resolve) => broker.close(resolve));
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('MQTT1: start() - Confirm availability, discovery and the first reading are published', async () => {
+    chai.expect(publisher.id).to.equal('bmp180_1_77');
+    chai.expect(publisher.topics).to.deep.equal({
+      state: 'bmp180/bmp180_1_77/state',
+      availability: 'bmp180/bmp180_1_77/availability',
+      command: 'bmp180/bmp180_1_77/command',
+    });
+    chai.expect(await publisher.start()).to.equal(true);
+    chai.expect(publisher.isRunning).to.equal(true);
+    chai.expect(await messageOn(publisher.topics.availability)).to.equal('online');
+
+    const state = JSON.parse(await messageOn(publisher.topics.state));
+    chai.expect(state.temperature).to.be.closeTo(20, 0.1);
+    chai.expect(state.pressure).to.be.closeTo(1000, 0.01);
+    chai.expect(state).to.have.property('timestamp');
+
+    const temperature = JSON.parse(
+      await messageOn('homeassistant/sensor/bmp180_1_77/temperature/config')
+    );
+    chai.expect(temperature).to.include({
+      unique_id: 'bmp180_1_77_temperature',
+      device_class: 'temperature',
+      unit_of_measurement: '°C',
+      state_topic: publisher.topics.state,
+      value_template: '{{ value_json.temperature }}',
+      availability_topic: publisher.topics.availability,
+    });
+    chai
+      .expect(temperature.device)
+      .to.deep.include({ identifiers: ['bmp180_1_77'], model: 'BMP180' });
+    const pressure = JSON.parse(
+      await messageOn('homeassistant/sensor/bmp180_1_77/pressure/config')
+    );
+    chai.expect(pressure).to.include({ device_class: 'pressure', unit_of_measurement: 'hPa' });
+  });
+
+  it('MQTT2: Confirm readings are published every interval', async () => {
+    await publisher.stop();
+    publisher = new Mqttpublisher(sensor, { url, interval: 20, id: 'office' });
+    let published = 0;
+    publisher.on('publish', () => {
+      published += 1;
+    });
+    await publisher.start();
+    await new Promise((resolve) => setTimeout(resolve, 110));
+    chai.expect(published).to.be.within(3, 7);
+  });
+
+  it('MQTT3: Confirm read and reset commands on the command topic', async () => {
+    await publisher.start();
+    await messageOn(publisher.topics.state);
+    device.temperature = 25;
+    const published = once(publisher, 'publish');
+    subscriber.publish(publisher.topics.command, 'read');
+    chai.expect(await once(publisher, 'command')).to.equal('read');
+    chai.expect((await published).temperature).to.be.closeTo(25, 0.1);
+
+    let calibrated = 0;
+    const calibrate = sensor.calibrate.bind(sensor);
+    sensor.calibrate = () => {
+      calibrated += 1;
+      return calibrate();
+    };
+    subscriber.publish(publisher.topics.command, 'RESET');
+    chai.expect(await once(publisher, 'command')).to.equal('reset');
+    chai.expect(calibrated).to.equal(1);
+
+    subscriber.publish(publisher.topics.command, 'explode');
+    chai.expect((await once(publisher, 'error')).message).to.equal('Invalid command explode');
+  });
+
+  it('MQTT4: stop() - Confirm the device is marked offline, and the last will when the connection drops', async () => {
+    await publisher.start();
+    await messageOn(publisher.topics.state);
+    chai.expect(await publisher.stop()).to.equal(true);
+    chai.expect(await publisher.stop()).to.equal(false);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    chai.expect(messages.get(publisher.topics.availability)).to.equal('offline');
+
+    publisher = new Mqttpublisher(sensor, { url, id: 'dropped' });
+    await publisher.start();
+    chai.expect(await messageOn('bmp180/dropped/availability')).to.equal('online');
+    // Destroy the socket without a DISCONNECT so the broker publishes the will
+    // eslint-disable-next-line no-underscore-dangle
+    publisher._client.stream.destroy();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    chai.expect(messages.get('bmp180/dropped/availability')).to.equal('offline');
+  });
+
+  it('MQTT5: Confirm humidity is published for a BME280 and units are configurable', async () => {
+    bus.addDevice(0x76, new Bmp280virtualdevice({ chipid: 0x60, humidity: 45 }));
+    const bme280 = new Bme280sensor(bus, 0x76, { retryOptions });
+    await bme280.initialize();
+    publisher = new Mqttpublisher(bme280, {
+      url,
+      units: { temperature: 'F', pressure: 'Pa' },
+      discoveryPrefix: 'ha',
+      baseTopic: 'home/attic',
+    });
+    const configs = publisher.discoveryConfigs();
+    chai
+      .expect(configs.map(({ topic, config }) => [topic, config.unit_of_measurement]))
+      .to.deep.equal([
+        ['ha/sensor/bme280_1_76/temperature/config', '°F'],
+        ['ha/sensor/bme280_1_76/pressure/config', 'Pa'],
+        ['ha/sensor/bme280_1_76/humidity/config', '%'],
+      ]);
+    await publisher.start();
+    const state = JSON.parse(await messageOn('home/attic/state'));
+    chai.expect(state.humidity).to.be.closeTo(45, 0.01);
+    chai.expect(state.temperature).to.be.closeTo(59, 0.01);
+  });
+
+  it('MQTT6: Confirm invalid options throw and connection failures reject', async () => {
+    chai.expect(() => new Mqttpublisher({})).to.throw(TypeError, 'Invalid sensor');
+    chai
+      .expect(() => new Mqttpublisher(sensor, { interval: 0 }))
+      .to.throw(TypeError, 'Invalid interval 0');
+    chai.expect(() => new Mqttpublisher(sensor, { qos: 3 })).to.throw(TypeError, 'Invalid qos 3');
+    chai
+      .expect(() => new Mqttpublisher(sensor, { stopTimeout: -1 }))
+      .to.throw(TypeError, 'Invalid stopTimeout -1');
+    chai
+      .expect(() => new Mqttpublisher(sensor, { units: { pressure: 'atm' } }))
+      .to.throw(TypeError, 'Invalid pressure unit atm for Home Assistant discovery');
+    chai
+      .expect(new Mqttpublisher(sensor, { discovery: false, units: { pressure: 'atm' } }))
+      .to.be.instanceOf(Mqttpublisher);
+    const refused = new Mqttpublisher(sensor, {
+      url: 'mqtt://127.0.0.1:1',
+      clientOptions: { reconnectPeriod: 0 },
+    });
+    await refused.start().then(
+      () => chai.assert.fail('start() resolved'),
+      (err) => chai.expect(err.code).to.equal('ECONNREFUSED')
+    );
+    chai.expect(refused.isRunning).to.equal(false);
+  });
+
+  it('MQTT7: stop() - Confirm stop() resolves and errors stop once the broker is unreachable', async () => {
+    publisher = new Mqttpublisher(sensor, {
+      url,
+      id: 'unreachable',
+      clientOptions: { reconnectPeriod: 5 },
+    });
+    let errors = 0;
+    publisher.on('error', () => {
+      errors += 1;
+    });
+    await publisher.start();
+    server.close();
+    // eslint-disable-next-line no-underscore-dangle
+    publisher._client.stream.destroy();
+    await once(publisher, 'error');
+
+    const started = Date.now();
+    chai.expect(await publisher.stop()).to.equal(true);
+    chai.expect(Date.now() - started).to.be.below(500);
+    const stopped = errors;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    chai.expect(errors).to.equal(stopped);
+  });
+
+  it('MQTT8: Confirm publishing continues after a failed reading with no error listener', async () => {
+    publisher = new Mqttpublisher(sensor, { url, interval: 10 });
+    let attempts = 0;
+    const { publishReading } = publisher;
+    publisher.publishReading = () => {
+      attempts += 1;
+      return publishReading.call(publisher);
+    };
+    bus.removeDevice(0x77);
+    // A missing error listener throws from the emit, as for any EventEmitter
+    const uncaught = await uncaughtDuring(async () => {
+      await publisher.start();
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      await publisher.stop();
+    });
+
+    chai.expect(attempts).to.be.at.least(3);
+    chai.expect(uncaught.length).to.be.within(attempts - 1, attempts);
+    chai.expect(uncaught[0].code).to.equal('EI2CTRANSFER');
+  });
+});
@@ -0,0 +1,145 @@
+const { once } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+
+const { Bmp180sensor, Recordingbus, Replaybus, errors } = require('../src/index.js');
+const { oversamplingSettings } = require('../src/bmp180sensor.constants');
+const { retryOptions, rejectionOf, virtualBus, initializedSensor } = require('./helpers');
+
+describe('Replaybus Test Suite', () => {
+  let bus;
+  let directory;
+
+  /**
+   * Initialize a sensor on a bus and take a reading
+   *
+   * @param {object} sensorBus
+   * @param {object} [options]
+   * @returns {Promise<Sample>}
+   */
+  const session = (sensorBus, options) =>
+    initializedSensor(sensorBus, options).then((bmp180) => bmp180.read());
+
+  beforeEach(() => {
+    bus = virtualBus({ temperature: 23.4, pressure: 98765 }).bus;
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'replaybus-'));
+  });
+
+  afterEach(() => {
+    (fs.rmSync || fs.rmdirSync)(directory, { recursive: true });
+  });
+
+  it('REPLAY1: Recordingbus - Confirm every transfer is recorded with its result and timing', async () => {
+    const recording = new Recordingbus(bus);
+    await session(recording);
+    const { records } = recording;
+
+    chai.expect(records.map((record) => record.seq)).to.deep.equal(records.map((_, i) => i));
+    chai
+      .expect(records[0])
+      .to.include({ op: 'readByte', address: 0x77, register: 0xd0, result: 0x55 });
+    chai.expect(records[1]).to.include({ op: 'writeByte', register: 0xe0, payload: 0xb6 });
+    chai.expect(records[2]).to.include({ op: 'readI2cBlock', register: 0xaa, length: 22 });
+    chai.expect(records[2].result).to.have.lengthOf(44);
+    chai
+      .expect(records.filter((record) => record.op === 'writeByte').map((record) => record.payload))
+      .to.deep.equal([
+        0xb6,
+        oversamplingSettings.temperature.command,
+        oversamplingSettings.standard.command,
+      ]);
+    records.forEach((record) => {
+      chai.expect(record.at).to.be.a('number');
+      chai.expect(record.duration).to.be.at.least(0);
+    });
+  });
+
+  it('REPLAY2: Replaybus - Confirm a recorded file replays the same session without a device', async () => {
+    const file = path.join(directory, 'session.ndjson');
+    const recording = new Recordingbus(bus, file);
+    const recorded = await session(recording);
+    await recording.close();
+    chai.expect(bus.isClosed).to.equal(true);
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    chai.expect(JSON.parse(lines[0]).op).to.equal('readByte');
+
+    const replay = new Replaybus(file, { busnumber: 1 });
+    const replayed = await session(replay);
+    chai.expect(replay.isComplete).to.equal(true);
+    chai.expect(replayed.ut).to.equal(recorded.ut);
+    chai.expect(replayed.up).to.equal(recorded.up);
+    chai.expect(replayed.temperature).to.equal(recorded.temperature);
+    chai.expect(replayed.pressure).to.equal(recorded.pressure);
+  });
+
+  it('REPLAY3: Replaybus - Confirm a differing transfer is rejected without retrying', async () => {
+    const recording = new Recordingbus(bus);
+    await session(recording);
+    const replay = new Replaybus(recording.records);
+    const bmp180 = new Bmp180sensor(replay, 0x77, {
+      oss: oversamplingSettings.ultra_high_resolution,
+    });
+    await bmp180.initialize();
+    const err = await bmp180.read().then(
+      () => chai.assert.fail('read() resolved'),
+      (error) => error
+    );
+    chai.expect(err).to.be.an.instanceof(errors.ReplayMismatchError);
+    chai.expect(err.code).to.equal('EREPLAYMISMATCH');
+    chai
+      .expect(err.message)
+      .to.equal(
+        'Replay mismatch at record 5, expected writeByte address 0x77 register 0xf4 payload 0x74 ' +
+          'got writeByte address 0x77 register 0xf4 payload 0xf4'
+      );
+    chai.expect(bmp180.stats.retries).to.equal(0);
+    chai.expect(replay.remaining).to.equal(2);
+  });
+
+  it('REPLAY4: Replaybus - Confirm transfers beyond the recording are rejected', async () => {
+    const recording = new Recordingbus(bus);
+    const bmp180 = new Bmp180sensor(recording, 0x77, { retryOptions });
+    await bmp180.version();
+    const replayed = new Bmp180sensor(new Replaybus(recording.records), 0x77, { retryOptions });
+    chai.expect(await replayed.version()).to.equal(0x02);
+    await replayed.version().then(
+      () => chai.assert.fail('version() resolved'),
+      (err) =>
+        chai
+          .expect(err.message)
+          .to.equal(
+            'Replay mismatch at the end of the recording, expected no more transfers got readByte address 0x77 register 0xd1'
+          )
+    );
+  });
+
+  it('REPLAY5: Replaybus - Confirm recorded errors and retries are replayed', async () => {
+    bus.removeDevice(0x77);
+    const options = { retryOptions: { retries: 1, minTimeout: 0 } };
+    const recording = new Recordingbus(bus);
+    const recorded = await new Bmp180sensor(recording, 0x77, options).version().catch((err) => err);
+    chai
+      .expect(recording.records.map((record) => record.error.code))
+      .to.deep.equal(['EREMOTEIO', 'EREMOTEIO']);
+
+    const bmp180 = new Bmp180sensor(new Replaybus(recording.records), 0x77, options);
+    const replayed = await bmp180.version().catch((err) => err);
+    chai.expect(replayed).to.be.an.instanceof(errors.I2cTransferError);
+    chai.expect(replayed.message).to.equal(recorded.message);
+    chai.expect(replayed.errno).to.equal(121);
+    chai.expect(bmp180.stats).to.deep.equal({ transfers: 1, retries: 1, failures: 1 });
+  });
+
+  it('REPLAY6: Recordingbus - Confirm an unwritable file rejects the next transfer and close()', async () => {
+    const recording = new Recordingbus(bus, path.join(directory, 'missing', 'session.ndjson'));
+    // eslint-disable-next-line no-underscore-dangle
+    await once(recording._stream, 'error');
+
+    const err = await rejectionOf(recording.readByte(0x77, 0xd0));
+    chai.expect(err.code).to.equal('ENOENT');
+    chai.expect(await rejectionOf(recording.close())).to.equal(err);
+  });
+});
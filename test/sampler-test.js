@@ -0,0 +1,146 @@
+const EventEmitter = require('events');
+const chai = require('chai');
+const { describe, it, afterEach } = require('mocha');
+
+const { Sample } = require('../src/bmp180sensor.js');
+const { Sampler } = require('../src/lib/sampler');
+const { virtualSensor } = require('./helpers');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const sample = (pressure) =>
+  new Sample({ temperature: 20, pressure, ut: 27898, up: 23843, oss: 1 });
+
+describe('Sampler Test Suite', () => {
+  let sampler;
+
+  afterEach(() => sampler && sampler.stop());
+
+  it('SAMPLER1: start() - Confirm data events from a sensor on a virtual bus', async () => {
+    const { bmp180 } = await virtualSensor({ pressure: 100000 });
+    sampler = bmp180;
+
+    const samples = [];
+    bmp180.on('data', (value) => samples.push(value));
+    chai.expect(bmp180.start({ interval: 30 })).to.equal(bmp180);
+    chai.expect(bmp180.isSampling).to.equal(true);
+    await wait(100);
+    await bmp180.close();
+
+    chai.expect(bmp180.isSampling).to.equal(false);
+    chai.expect(samples.length).to.be.within(2, 4);
+    chai.expect(samples[0]).to.be.an.instanceof(Sample);
+    chai.expect(samples[0].pressure).to.be.closeTo(100000, 5);
+  });
+
+  it('SAMPLER2: Confirm readings never overlap when a read is slower than the interval', async () => {
+    const emitter = new EventEmitter();
+    let active = 0;
+    let maxActive = 0;
+    let count = 0;
+    sampler = new Sampler(async () => {
+      active += 1;
+      maxActive = Math.max(maxActive, active);
+      await wait(25);
+      active -= 1;
+      count += 1;
+      return sample(100000);
+    }, emitter);
+
+    sampler.start({ interval: 10 });
+    await wait(120);
+    await sampler.stop();
+
+    chai.expect(maxActive).to.equal(1);
+    chai.expect(count).to.be.within(3, 5);
+  });
+
+  it('SAMPLER3: Confirm the schedule is corrected for the time each read takes', async () => {
+    const emitter = new EventEmitter();
+    const starts = [];
+    sampler = new Sampler(async () => {
+      starts.push(Date.now());
+      await wait(15);
+      return sample(100000);
+    }, emitter);
+
+    sampler.start({ interval: 40 });
+    await wait(175);
+    await sampler.stop();
+
+    chai.expect(starts.length).to.be.within(4, 5);
+    // Without correction the starts would be 55ms apart
+    const elapsed = starts[3] - starts[0];
+    chai.expect(elapsed).to.be.within(110, 135);
+  });
+
+  it('SAMPLER4: Confirm error events and that sampling continues', async () => {
+    const emitter = new EventEmitter();
+    const errors = [];
+    const data = [];
+    let calls = 0;
+    sampler = new Sampler(async () => {
+      calls += 1;
+      if (calls === 1) {
+        throw new Error('read failed');
+      }
+      return sample(100000);
+    }, emitter);
+    emitter.on('error', (err) => errors.push(err));
+    emitter.on('data', (value) => data.push(value));
+
+    sampler.start({ interval: 10 });
+    await wait(35);
+    await sampler.stop();
+
+    chai.expect(errors.length).to.equal(1);
+    chai.expect(errors[0].message).to.equal('read failed');
+    chai.expect(data.length).to.be.at.least(1);
+  });
+
+  it('SAMPLER5: Confirm change events respect the threshold', async () => {
+    const emitter = new EventEmitter();
+    const pressures = [100000, 100002, 100010, 100011, 99990];
+    const changes = [];
+    sampler = new Sampler(async () => sample(pressures.shift() || 99990), emitter);
+    emitter.on('change', (value, previous) => changes.push([value.pressure, previous]));
+
+    sampler.start({ interval: 5, threshold: { pressure: 5 } });
+    await wait(50);
+    await sampler.stop();
+
+    chai.expect(changes.map(([pressure]) => pressure)).to.deep.equal([100000, 100010, 99990]);
+    chai.expect(changes[0][1]).to.equal(null);
+    chai.expect(changes[1][1].pressure).to.equal(100000);
+  });
+
+  it('SAMPLER6: Confirm stale is emitted once when readings stop succeeding', async () => {
+    const emitter = new EventEmitter();
+    const stale = [];
+    let calls = 0;
+    sampler = new Sampler(async () => {
+      calls += 1;
+      if (calls > 1) {
+        throw new Error('read failed');
+      }
+      return sample(100000);
+    }, emitter);
+    emitter.on('error', () => {});
+    emitter.on('stale', (value) => stale.push(value));
+
+    sampler.start({ interval: 10, staleAfter: 30 });
+    await wait(100);
+    chai.expect(sampler.isStale).to.equal(true);
+    await sampler.stop();
+
+    chai.expect(stale.length).to.equal(1);
+    chai.expect(stale[0].age).to.be.at.least(30);
+    chai.expect(stale[0].lastSample.pressure).to.equal(100000);
+  });
+
+  it('SAMPLER7: Confirm an invalid interval throws', () => {
+    sampler = new Sampler(async () => sample(100000), new EventEmitter());
+    chai.expect(() => sampler.start({ interval: 0 })).to.throw(TypeError, 'Invalid interval 0');
+    chai.expect(sampler.isRunning).to.equal(false);
+  });
+});
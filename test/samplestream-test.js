@@ -0,0 +1,117 @@
+const { Writable, pipeline } = require('stream');
+const chai = require('chai');
+const { describe, it, beforeEach } = require('mocha');
+
+const { Sample } = require('../src/bmp180sensor.js');
+const { Samplestream } = require('../src/lib/samplestream');
+const { virtualSensor } = require('./helpers');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const sample = (pressure) =>
+  new Sample({ temperature: 20, pressure, ut: 27898, up: 23843, oss: 1 });
+
+describe('Samplestream Test Suite', () => {
+  let bmp180;
+
+  beforeEach(async () => {
+    ({ bmp180 } = await virtualSensor({ pressure: 100000 }));
+  });
+
+  it('STREAM1: samples() - Confirm for await iterates Samples', async () => {
+    const samples = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const value of bmp180.samples({ interval: 5 })) {
+      samples.push(value);
+      if (samples.length === 3) {
+        break;
+      }
+    }
+    chai.expect(samples.length).to.equal(3);
+    chai.expect(samples[2]).to.be.an.instanceof(Sample);
+    chai.expect(samples[2].pressure).to.be.closeTo(100000, 5);
+  });
+
+  it('STREAM2: createReadStream() - Confirm the stream ends when close() is called', async () => {
+    const stream = bmp180.createReadStream({ interval: 10 });
+    const samples = [];
+    const ended = new Promise((resolve) => stream.on('end', resolve));
+    stream.on('data', (value) => samples.push(value));
+
+    await wait(50);
+    await bmp180.close();
+    await ended;
+
+    chai.expect(samples.length).to.be.at.least(2);
+  });
+
+  it('STREAM3: createReadStream() - Confirm the stream can be piped', (done) => {
+    const samples = [];
+    const sink = new Writable({
+      objectMode: true,
+      write(value, encoding, callback) {
+        samples.push(value);
+        if (samples.length === 2) {
+          bmp180.close();
+        }
+        callback();
+      },
+    });
+    pipeline(bmp180.createReadStream({ interval: 5 }), sink, (err) => {
+      chai.assert.notExists(err);
+      chai.expect(samples.length).to.be.at.least(2);
+      done();
+    });
+  });
+
+  it('STREAM4: Confirm polling pauses while the consumer is not reading', async () => {
+    let reads = 0;
+    const stream = new Samplestream(
+      async () => {
+        reads += 1;
+        return sample(100000);
+      },
+      { interval: 1, highWaterMark: 2 }
+    );
+
+    stream.read(0);
+    await wait(50);
+    const paused = reads;
+
+    chai.expect(paused).to.be.within(2, 3);
+    chai.expect(stream.readableLength).to.equal(2);
+
+    stream.read();
+    await wait(20);
+    chai.expect(reads).to.be.above(paused);
+    await stream.finish();
+  });
+
+  it('STREAM5: Confirm a failed reading destroys the stream with the error', async () => {
+    const stream = new Samplestream(
+      async () => {
+        throw new Error('read failed');
+      },
+      { interval: 1 }
+    );
+    let error = null;
+    try {
+      // eslint-disable-next-line no-restricted-syntax, no-unused-vars
+      for await (const value of stream) {
+        // nothing to do
+      }
+    } catch (e) {
+      error = e;
+    }
+    chai.expect(error.message).to.equal('read failed');
+  });
+
+  it('STREAM6: Confirm an invalid interval throws', () => {
+    chai
+      .expect(() => bmp180.createReadStream({ interval: 'bad' }))
+      .to.throw(TypeError, 'Invalid interval bad');
+    chai
+      .expect(() => bmp180.createReadStream({ interval: 0 }))
+      .to.throw(TypeError, 'Invalid interval 0');
+  });
+});
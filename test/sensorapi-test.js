@@ -0,0 +1,209 @@
+const http = require('http');
+const chai = require('chai');
+const _ = require('lodash');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+
+const { Bmp180manager, Sensorapi } = require('../src/index.js');
+const { retryOptions, virtualBus, initializedSensor } = require('./helpers');
+
+/**
+ * Send a request to a server
+ *
+ * @param {http.Server} server
+ * @param {string} method
+ * @param {string} path
+ * @returns {Promise<{status: number, headers: object, body: *}>} The body parsed as JSON
+ */
+const request = (server, method, path) =>
+  new Promise((resolve, reject) => {
+    const { port } = server.address();
+    http
+      .request({ host: '127.0.0.1', port, method, path }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () =>
+          resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) })
+        );
+      })
+      .on('error', reject)
+      .end();
+  });
+
+/**
+ * Collect Server-Sent Events from a stream, then disconnect
+ *
+ * @param {http.Server} server
+ * @param {string} path
+ * @param {number} count The number of events to collect
+ * @returns {Promise<{headers: object, events: object[]}>}
+ */
+const events = (server, path, count) =>
+  new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const req = http.get({ host: '127.0.0.1', port, path }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+        const blocks = text.split('\n\n').filter((block) => block.length > 0);
+        if (text.endsWith('\n\n') && blocks.length >= count) {
+          req.destroy();
+          resolve({
+            headers: res.headers,
+            events: blocks.slice(0, count).map((block) => {
+              const fields = _.fromPairs(
+                block
+                  .split('\n')
+                  .map((line) => [line.split(': ')[0], line.slice(line.indexOf(': ') + 2)])
+              );
+              return { ...fields, data: JSON.parse(fields.data) };
+            }),
+          });
+        }
+      });
+    });
+    req.on('error', (err) => (req.destroyed ? null : reject(err)));
+  });
+
+describe('Sensorapi Test Suite', () => {
+  let bus;
+  let device;
+  let sensor;
+  let api;
+  let server;
+
+  beforeEach(async () => {
+    ({ bus, device } = virtualBus({ temperature: 20, pressure: 100000 }));
+    sensor = await initializedSensor(bus);
+    api = new Sensorapi([sensor], { cacheAge: 0 });
+    server = await api.listen(0, '127.0.0.1');
+  });
+
+  afterEach(() => api.close());
+
+  it('SENSORAPI1: GET /sensors - Confirm the info and latest reading of every sensor', async () => {
+    const { status, headers, body } = await request(server, 'GET', '/sensors');
+    chai.expect(status).to.equal(200);
+    chai.expect(headers['content-type']).to.equal('application/json; charset=utf-8');
+    chai.expect(body).to.have.lengthOf(1);
+    chai.expect(body[0]).to.include({
+      id: 'i2c-1-0x77',
+      name: 'BMP180',
+      bus: 1,
+      address: 0x77,
+      initialized: true,
+      calibrated: true,
+      error: null,
+    });
+    chai.expect(body[0].sample.temperature).to.be.closeTo(20, 0.1);
+    chai.expect(body[0].sample.units).to.deep.equal({ temperature: 'C', pressure: 'Pa' });
+  });
+
+  it('SENSORAPI2: GET /sensors/:id - Confirm one sensor, unknown ids and failed reads', async () => {
+    const found = await request(server, 'GET', '/sensors/i2c-1-0x77');
+    chai.expect(found.status).to.equal(200);
+    chai.expect(found.body.sample.pressure).to.be.closeTo(100000, 1);
+
+    const missing = await request(server, 'GET', '/sensors/i2c-1-0x76');
+    chai.expect(missing.status).to.equal(404);
+    chai.expect(missing.body.error.message).to.equal('Unknown sensor i2c-1-0x76');
+
+    const malformed = await request(server, 'GET', '/sensors/%E0%A4%A');
+    chai.expect(malformed.status).to.equal(400);
+    chai.expect(malformed.body.error.message).to.equal('Invalid sensor id %E0%A4%A');
+
+    bus.removeDevice(0x77);
+    const failed = await request(server, 'GET', '/sensors/i2c-1-0x77');
+    chai.expect(failed.status).to.equal(503);
+    chai.expect(failed.body.sample).to.equal(null);
+    chai.expect(failed.body.error.code).to.equal('EI2CTRANSFER');
+  });
+
+  it('SENSORAPI3: GET /sensors/:id - Confirm readings are reused within the cache age', async () => {
+    await api.close();
+    api = new Sensorapi({ outdoor: sensor }, { cacheAge: 60000 });
+    server = await api.listen(0, '127.0.0.1');
+    const first = await request(server, 'GET', '/sensors/outdoor');
+    device.temperature = 30;
+    const second = await request(server, 'GET', '/sensors/outdoor');
+    chai.expect(second.body.sample).to.deep.equal(first.body.sample);
+  });
+
+  it('SENSORAPI4: POST /sensors/:id/reset - Confirm softreset() then calibrate()', async () => {
+    const calls = [];
+    const softreset = sensor.softreset.bind(sensor);
+    const calibrate = sensor.calibrate.bind(sensor);
+    sensor.softreset = () => calls.push('softreset') && softreset();
+    sensor.calibrate = () => calls.push('calibrate') && calibrate();
+    const { status, body } = await request(server, 'POST', '/sensors/i2c-1-0x77/reset');
+    chai.expect(status).to.equal(200);
+    chai.expect(body).to.include({ id: 'i2c-1-0x77', reset: true, calibrated: true });
+    chai.expect(calls).to.deep.equal(['softreset', 'calibrate']);
+
+    const wrongMethod = await request(server, 'GET', '/sensors/i2c-1-0x77/reset');
+    chai.expect(wrongMethod.status).to.equal(405);
+    chai.expect(wrongMethod.headers.allow).to.equal('POST');
+  });
+
+  it('SENSORAPI5: GET /sensors/:id/stream - Confirm Server-Sent Events of live samples', async () => {
+    const { headers, events: received } = await events(
+      server,
+      '/sensors/i2c-1-0x77/stream?interval=10',
+      3
+    );
+    chai.expect(headers['content-type']).to.equal('text/event-stream; charset=utf-8');
+    chai.expect(received.map(({ id, event }) => [id, event])).to.deep.equal([
+      ['1', 'sample'],
+      ['2', 'sample'],
+      ['3', 'sample'],
+    ]);
+    chai.expect(received[2].data.temperature).to.be.closeTo(20, 0.1);
+
+    const invalid = await request(server, 'GET', '/sensors/i2c-1-0x77/stream?interval=fast');
+    chai.expect(invalid.status).to.equal(400);
+    const empty = await request(server, 'GET', '/sensors/i2c-1-0x77/stream?interval=');
+    chai.expect(empty.status).to.equal(400);
+    const zero = await request(server, 'GET', '/sensors/i2c-1-0x77/stream?interval=0');
+    chai.expect(zero.status).to.equal(400);
+    chai.expect(zero.body.error.message).to.equal('Invalid interval 0');
+  });
+
+  it('SENSORAPI6: handler() - Confirm mounting under a base path and passing unmatched requests on', async () => {
+    await api.close();
+    const manager = new Bmp180manager({ buses: [bus], sensor: { retryOptions } });
+    await manager.discover();
+    api = new Sensorapi(manager, { basePath: '/api' });
+    let passed = 0;
+    server = http.createServer((req, res) =>
+      api.handler(req, res, () => {
+        passed += 1;
+        res.writeHead(418);
+        res.end('{}');
+      })
+    );
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const { body } = await request(server, 'GET', '/api/sensors');
+      chai.expect(body.map(({ id }) => id)).to.deep.equal(['i2c-1-0x77']);
+      chai.expect((await request(server, 'GET', '/sensors')).status).to.equal(418);
+      chai.expect(passed).to.equal(1);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+      await manager.close();
+    }
+  });
+
+  it('SENSORAPI7: constructor - Confirm invalid sensors and options throw', () => {
+    chai.expect(() => new Sensorapi([])).to.throw(TypeError, 'Invalid sensors');
+    chai.expect(() => new Sensorapi({ a: {} })).to.throw(TypeError, 'Invalid sensors');
+    chai
+      .expect(() => new Sensorapi(sensor, { streamInterval: -1 }))
+      .to.throw(TypeError, 'Invalid streamInterval -1');
+    chai
+      .expect(() => new Sensorapi(sensor, { streamInterval: 0 }))
+      .to.throw(TypeError, 'Invalid streamInterval 0');
+  });
+});
@@ -0,0 +1,93 @@
+const chai = require('chai');
+const { describe, it } = require('mocha');
+
+const { Bmp180sensor, units } = require('../src/bmp180sensor.js');
+const { virtualBus, virtualSensor } = require('./helpers');
+
+const standard = { temperature: 25, pressure: 101325 };
+
+describe('Units Test Suite', () => {
+  it('UNITS1: convertPressure() - Confirm each pressure unit', () => {
+    chai.expect(units.convertPressure(101325, 'Pa')).to.equal(101325);
+    chai.expect(units.convertPressure(101325, 'hPa')).to.equal(1013.25);
+    chai.expect(units.convertPressure(101325, 'mbar')).to.equal(1013.25);
+    chai.expect(units.convertPressure(101325, 'kPa')).to.equal(101.325);
+    chai.expect(units.convertPressure(101325, 'inHg')).to.be.closeTo(29.921, 0.001);
+    chai.expect(units.convertPressure(101325, 'mmHg')).to.be.closeTo(760, 0.001);
+    chai.expect(units.convertPressure(101325, 'psi')).to.be.closeTo(14.696, 0.001);
+    chai.expect(units.convertPressure(101325, 'atm')).to.equal(1);
+    chai.expect(units.convertPressure(29.92, 'hPa', 'inHg')).to.be.closeTo(1013.2, 0.1);
+  });
+
+  it('UNITS2: convertTemperature() - Confirm each temperature unit', () => {
+    chai.expect(units.convertTemperature(25, 'C')).to.equal(25);
+    chai.expect(units.convertTemperature(25, 'F')).to.equal(77);
+    chai.expect(units.convertTemperature(25, '°F')).to.equal(77);
+    chai.expect(units.convertTemperature(25, 'K')).to.equal(298.15);
+    chai.expect(units.convertTemperature(212, 'C', 'F')).to.equal(100);
+  });
+
+  it('UNITS3: Confirm invalid units and precision throw', () => {
+    chai
+      .expect(() => units.convertPressure(1, 'bar'))
+      .to.throw(TypeError, 'Invalid pressure unit bar');
+    chai
+      .expect(() => units.convertTemperature(1, 'R'))
+      .to.throw(TypeError, 'Invalid temperature unit R');
+    chai.expect(() => units.round(1.2345, -1)).to.throw(TypeError, 'Invalid precision -1');
+    chai
+      .expect(() => new Bmp180sensor(virtualBus().bus, 0x77, { units: { pressure: 'bar' } }))
+      .to.throw(TypeError, 'Invalid pressure unit bar');
+  });
+
+  it('UNITS4: Confirm the constructor units and precision are used', async () => {
+    const { bmp180 } = await virtualSensor(standard, {
+      units: { temperature: 'F', pressure: 'hPa' },
+      precision: { temperature: 1, pressure: 1 },
+    });
+    chai.expect(bmp180.units).to.deep.equal({ temperature: 'F', pressure: 'hPa' });
+    chai.expect(await bmp180.temperature()).to.equal(77);
+    chai.expect(await bmp180.pressure()).to.be.closeTo(1013.3, 0.1);
+
+    const sample = await bmp180.read();
+    chai.expect(sample.units).to.deep.equal({ temperature: 'F', pressure: 'hPa' });
+    chai.expect(sample.temperature).to.equal(77);
+    chai.expect(sample.pressure).to.be.closeTo(1013.3, 0.1);
+  });
+
+  it('UNITS5: Confirm each read call can override the units', async () => {
+    const { bmp180 } = await virtualSensor(standard);
+    chai.expect(await bmp180.temperature({ units: { temperature: 'K' } })).to.equal(298.15);
+    chai
+      .expect(await bmp180.pressure({ units: { pressure: 'kPa' }, precision: { pressure: 2 } }))
+      .to.be.closeTo(101.32, 0.02);
+
+    const sample = await bmp180.read({ units: { pressure: 'inHg' }, precision: { pressure: 2 } });
+    chai.expect(sample.units).to.deep.equal({ temperature: 'C', pressure: 'inHg' });
+    chai.expect(sample.pressure).to.equal(29.92);
+    chai.expect(bmp180.units).to.deep.equal({ temperature: 'C', pressure: 'Pa' });
+  });
+
+  it('UNITS6: Confirm invalid read call units are rejected', async () => {
+    const { bmp180 } = await virtualSensor(standard);
+    let error = null;
+    try {
+      await bmp180.read({ units: { temperature: 'X' } });
+    } catch (e) {
+      error = e;
+    }
+    chai.expect(error).to.be.an.instanceof(TypeError);
+  });
+
+  it('UNITS7: Sample - Confirm convert() and altitude() with converted units', async () => {
+    const { bmp180 } = await virtualSensor(standard);
+    bmp180.units = { pressure: 'hPa' };
+    const sample = await bmp180.read();
+    const converted = sample.convert({ units: { pressure: 'mmHg' }, precision: { pressure: 0 } });
+
+    chai.expect(converted.pressure).to.equal(760);
+    chai.expect(sample.altitude()).to.be.closeTo(0, 1);
+    chai.expect(converted.altitude()).to.be.closeTo(0, 5);
+    chai.expect(await bmp180.altitude()).to.be.closeTo(0, 1);
+  });
+});